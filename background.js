@@ -1,6 +1,24 @@
 
 // background.js - minimal service worker
 // Keep this file simple; add message handlers here if needed.
+import { getWatchlist, updateProductPrice, recordPriceCheckError } from './scripts/storage.js';
+import { notifyPriceChange, sendDailyDigest, handleNotificationClick } from './scripts/notifications.js';
+
+// Site adapters register themselves on globalThis.SmartShopperSites
+import './sites/adapters.js';
+
+const sites = globalThis.SmartShopperSites;
+
+// Local backend used to re-scrape watchlist product pages
+const BACKEND_URL = 'http://localhost:3000';
+
+// Periodic watchlist re-pricing
+const PRICE_CHECK_ALARM = 'smartshopper-price-check';
+const PRICE_CHECK_PERIOD_MINUTES = 6 * 60;
+
+// Daily digest of price alerts (when digest mode is on)
+const DIGEST_ALARM = 'smartshopper-daily-digest';
+const DIGEST_PERIOD_MINUTES = 24 * 60;
 
 self.addEventListener('install', (event) => {
   // service worker installed
@@ -21,8 +39,116 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .catch(err => sendResponse({ success: false, error: err.message }));
     return true; // Keep channel open for async response
   }
+
+  if (request.type === 'CHECK_PRICES_NOW') {
+    // "Check now" button on the watchlist page
+    refreshWatchlistPrices()
+      .then(summary => sendResponse({ ok: true, ...summary }))
+      .catch(err => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+});
+
+// Schedule periodic watchlist price checks (alarms persist across restarts)
+async function schedulePriceChecks() {
+  const existing = await chrome.alarms.get(PRICE_CHECK_ALARM);
+  if (!existing) {
+    await chrome.alarms.create(PRICE_CHECK_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: PRICE_CHECK_PERIOD_MINUTES
+    });
+  }
+
+  const digest = await chrome.alarms.get(DIGEST_ALARM);
+  if (!digest) {
+    await chrome.alarms.create(DIGEST_ALARM, {
+      delayInMinutes: DIGEST_PERIOD_MINUTES,
+      periodInMinutes: DIGEST_PERIOD_MINUTES
+    });
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => schedulePriceChecks());
+chrome.runtime.onStartup.addListener(() => schedulePriceChecks());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PRICE_CHECK_ALARM) {
+    refreshWatchlistPrices().catch(err => console.error('Scheduled price check failed:', err));
+  } else if (alarm.name === DIGEST_ALARM) {
+    sendDailyDigest().catch(err => console.error('Daily digest failed:', err));
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  handleNotificationClick(notificationId).catch(err => console.error('Notification click failed:', err));
 });
 
+// Re-price every active watchlist item; one failing item never aborts the run
+let refreshInProgress = null;
+
+function refreshWatchlistPrices() {
+  // Alarm and "Check now" can overlap - share the running check
+  if (!refreshInProgress) {
+    refreshInProgress = runPriceCheck().finally(() => {
+      refreshInProgress = null;
+    });
+  }
+  return refreshInProgress;
+}
+
+async function runPriceCheck() {
+  const watchlist = await getWatchlist();
+  const items = watchlist.filter(item => item.active);
+  const summary = { checked: items.length, updated: 0, failed: 0 };
+
+  for (const item of items) {
+    try {
+      const newPrice = await fetchCurrentPrice(item);
+      const result = await updateProductPrice(item.id, newPrice);
+      if (!result) throw new Error('Product no longer in watchlist');
+      summary.updated++;
+
+      try {
+        await notifyPriceChange(result);
+      } catch (err) {
+        console.warn(`Notification failed for ${item.name}:`, err.message);
+      }
+    } catch (err) {
+      console.warn(`Price check failed for ${item.name}:`, err.message);
+      await recordPriceCheckError(item.id, err.message);
+      summary.failed++;
+    }
+  }
+
+  console.log(`Watchlist price check: ${summary.updated}/${summary.checked} updated, ${summary.failed} failed`);
+  return summary;
+}
+
+// Ask the backend scraper for the current price of a product page
+async function fetchCurrentPrice(item) {
+  const response = await fetch(`${BACKEND_URL}/api/prices`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      productName: item.name,
+      productUrl: item.url,
+      sites: [String(item.site || 'unknown').toLowerCase()]
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Backend error: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const price = data.prices?.[0]?.numericPrice;
+  if (!price) {
+    throw new Error('No price found');
+  }
+
+  return price;
+}
+
 // Fetch price from search results page without opening visible tab
 async function fetchPriceInBackground(url, siteName) {
   try {
@@ -43,116 +169,19 @@ async function fetchPriceInBackground(url, siteName) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
     
-    let searchResults = [];
-
-    if (siteName === 'Amazon') {
-      // Amazon search results parsing - get multiple results for matching
-      const results = doc.querySelectorAll('[data-component-type="s-search-result"]');
-      
-      for (let i = 0; i < Math.min(results.length, 5); i++) {
-        const result = results[i];
-        
-        const priceElem = result.querySelector('.a-price .a-offscreen, .a-price-whole');
-        let price = null;
-        if (priceElem) {
-          const text = priceElem.textContent.replace(/[^0-9,\.]/g, '').replace(/,/g, '');
-          if (text && parseFloat(text) > 0) {
-            price = '₹' + parseInt(text.split('.')[0]).toLocaleString('en-IN');
-          }
-        }
-        
-        const linkElem = result.querySelector('h2 a, .a-link-normal.s-no-outline');
-        let productUrl = null;
-        if (linkElem) {
-          productUrl = 'https://www.amazon.in' + linkElem.getAttribute('href');
-        }
-        
-        const nameElem = result.querySelector('h2 span, .a-text-normal');
-        let productName = null;
-        if (nameElem) {
-          productName = nameElem.textContent.trim();
-        }
-        
-        if (price && productName) {
-          searchResults.push({ price, productUrl, productName });
-        }
-      }
-    } else if (siteName === 'Flipkart') {
-      // Flipkart search results parsing - get multiple results
-      const results = doc.querySelectorAll('div._1AtVbE, div._13oc-S, div._2kHMtA, a._1fQZEK');
-      
-      for (let i = 0; i < Math.min(results.length, 5); i++) {
-        const result = results[i];
-        
-        const priceSelectors = ['div._30jeq3', 'div._3I9_wc', 'div.Nx9bqj'];
-        let price = null;
-        for (const selector of priceSelectors) {
-          const priceElem = result.querySelector(selector);
-          if (priceElem && priceElem.textContent.trim()) {
-            const text = priceElem.textContent.replace(/[^0-9,]/g, '').replace(/,/g, '');
-            if (text && parseFloat(text) > 0) {
-              price = '₹' + parseInt(text).toLocaleString('en-IN');
-              break;
-            }
-          }
-        }
-        
-        const linkElem = result.closest('a') || result.querySelector('a');
-        let productUrl = null;
-        if (linkElem) {
-          const href = linkElem.getAttribute('href');
-          productUrl = href.startsWith('http') ? href : 'https://www.flipkart.com' + href;
-        }
-        
-        const nameSelectors = ['div._4rR01T', 'a.s1Q9rs', 'div.IRpwTa'];
-        let productName = null;
-        for (const selector of nameSelectors) {
-          const nameElem = result.querySelector(selector);
-          if (nameElem && nameElem.textContent.trim()) {
-            productName = nameElem.textContent.trim();
-            break;
-          }
-        }
-        
-        if (price && productName) {
-          searchResults.push({ price, productUrl, productName });
-        }
-      }
-    } else if (siteName === 'Myntra') {
-      // Myntra search results parsing - get multiple results
-      const results = doc.querySelectorAll('.product-base, .product-productMetaInfo');
-      
-      for (let i = 0; i < Math.min(results.length, 5); i++) {
-        const result = results[i];
-        
-        const priceElem = result.querySelector('.product-discountedPrice, .product-price');
-        let price = null;
-        if (priceElem) {
-          const text = priceElem.textContent.replace(/[^0-9,]/g, '').replace(/,/g, '');
-          if (text && parseFloat(text) > 0) {
-            price = '₹' + parseInt(text).toLocaleString('en-IN');
-          }
-        }
-        
-        const linkElem = result.closest('a') || result.querySelector('a');
-        let productUrl = null;
-        if (linkElem) {
-          const href = linkElem.getAttribute('href');
-          productUrl = href.startsWith('http') ? href : 'https://www.myntra.com' + href;
-        }
-        
-        const nameElem = result.querySelector('.product-product, .product-brand, h3, h4');
-        let productName = null;
-        if (nameElem) {
-          productName = nameElem.textContent.trim();
-        }
-        
-        if (price && productName) {
-          searchResults.push({ price, productUrl, productName });
-        }
-      }
+    // Site-specific selectors live in the site adapters (sites/)
+    const adapter = sites.get(siteName);
+    if (!adapter) {
+      return { success: false, error: `Unsupported site: ${siteName}` };
     }
 
+    const searchResults = adapter.parseSearchResults(sites.fromDom(doc), { maxResults: 5 })
+      .map(result => ({
+        price: '₹' + Math.floor(sites.parsePrice(result.priceText)).toLocaleString('en-IN'),
+        productUrl: result.url,
+        productName: result.productName
+      }));
+
     if (searchResults.length > 0) {
       return {
         success: true,
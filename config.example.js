@@ -40,8 +40,8 @@ export const API_CONFIG = {
   features: {
     useRealAPI: false, // Set to true to enable real API calls
     useMockData: true,  // Use mock data for development
-    cacheResults: true, // Cache API responses
-    cacheDuration: 3600000 // 1 hour in milliseconds
+    cacheResults: true, // Cache API responses (false sends fresh=1 to /v1/search-crosssite)
+    cacheDuration: 3600000 // 1 hour in milliseconds (max age accepted from the backend cache)
   }
 };
 
@@ -7,12 +7,16 @@
  * FLOW:
  * 1. Wait for DOM ready
  * 2. Extract product using canonical extractors
- * 3. Send minimal payload to backend (site, id, title only)
+ * 3. Send minimal payload to backend (site, id, title, plus gtin/mpn/brand when found)
  * 4. Post message to popup/background for UI updates
  * 
  * DEBUG: Set window.SMARTSHOPPER_DEBUG = true in console
  */
 
+// Site adapters must load before the extractor (they register on globalThis)
+import '../../sites/adapters.js';
+import '../../shared/identifiers.js';
+
 // Import extractor (works in Chrome extension context)
 import { extractProductKey } from './extractors.js';
 
@@ -82,6 +86,10 @@ async function sendToBackend(product) {
     id: product.id,
     title: product.title || 'Unknown Product'
   });
+  // Identifiers let the backend match the exact variant
+  ['gtin', 'mpn', 'brand'].forEach(field => {
+    if (product[field]) params.set(field, product[field]);
+  });
   
   // Backend URL from config or default to localhost
   const backendUrl = chrome?.runtime?.getManifest?.()?.host_permissions?.[0] || 'http://localhost:3000';
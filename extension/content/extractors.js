@@ -4,6 +4,8 @@
  * PURPOSE:
  * Extract canonical product identifiers from Amazon, Flipkart, Myntra, and Meesho product pages.
  * Uses robust extraction methods: URL patterns → JSON-LD → Meta tags → Data attributes.
+ * Per-site ID patterns and attributes come from the site adapters in sites/
+ * (load sites/registry.js and the adapter files before this script in the browser).
  * Avoids brittle CSS class selectors that break when sites update.
  * 
  * USAGE IN CONTENT SCRIPTS:
@@ -27,7 +29,11 @@
  *   canonical_key: string,   // Normalized key (e.g., 'amazon:B0ABC123XY')
  *   title?: string,          // Product title
  *   model?: string,          // Model number/SKU
- *   image?: string           // Product image URL
+ *   image?: string,          // Product image URL
+ *   gtin?: string,           // Check-digit validated GTIN-8/12/13/14, as 14 digits
+ *   gtins?: string[],        // Every valid GTIN found (JSON-LD, offers, meta tags)
+ *   mpn?: string,            // Manufacturer part number
+ *   brand?: string
  * }
  * or null if not a supported product page
  * 
@@ -74,6 +80,28 @@ function debug(...args) {
   }
 }
 
+// Site adapter registry (sites/): require() in Node/tests, global in the browser
+function getSites() {
+  if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+    return require('../../sites');
+  }
+  if (typeof globalThis !== 'undefined' && globalThis.SmartShopperSites) {
+    return globalThis.SmartShopperSites;
+  }
+  throw new Error('Site registry not loaded (include sites/registry.js and site adapters first)');
+}
+
+// GTIN/MPN/brand helpers (shared/identifiers.js), loaded the same way as the site registry
+function getIdentifiers() {
+  if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+    return require('../../shared/identifiers');
+  }
+  if (typeof globalThis !== 'undefined' && globalThis.SmartShopperIdentifiers) {
+    return globalThis.SmartShopperIdentifiers;
+  }
+  return null;
+}
+
 /**
  * Extract product key from current page
  * @returns {Promise<Object|null>} Product data or null
@@ -81,48 +109,26 @@ function debug(...args) {
 async function extractProductKey() {
   const win = getWindow();
   const url = win.location.href;
-  const hostname = win.location.hostname;
   
   debug('Starting extraction for URL:', url);
   
   // Detect site
-  let site = null;
-  if (hostname.includes('amazon.')) {
-    site = 'amazon';
-  } else if (hostname.includes('flipkart.com')) {
-    site = 'flipkart';
-  } else if (hostname.includes('myntra.com')) {
-    site = 'myntra';
-  } else if (hostname.includes('meesho.com')) {
-    site = 'meesho';
-  } else {
+  const adapter = getSites().detect(url);
+  if (!adapter) {
     debug('Not a supported e-commerce site');
     return null;
   }
   
+  const site = adapter.id;
   debug('Detected site:', site);
   
   // Site-specific extraction
-  let result = null;
-  
-  switch (site) {
-    case 'amazon':
-      result = await extractAmazon(url);
-      break;
-    case 'flipkart':
-      result = await extractFlipkart(url);
-      break;
-    case 'myntra':
-      result = await extractMyntra(url);
-      break;
-    case 'meesho':
-      result = await extractMeesho(url);
-      break;
-  }
+  const result = await extractWithAdapter(adapter, url);
   
   if (result) {
     result.site = site;
     result.canonical_key = `${site}:${result.id}`;
+    Object.assign(result, await extractIdentifiers(result));
     debug('✅ Extraction successful:', result);
   } else {
     debug('❌ Extraction failed for', site);
@@ -132,96 +138,22 @@ async function extractProductKey() {
 }
 
 /**
- * Extract Amazon ASIN (10 character alphanumeric ID)
- */
-async function extractAmazon(url) {
-  const doc = getDocument();
-  debug('[Amazon] Starting extraction');
-  
-  // Method 1: URL patterns
-  // Amazon URLs: /dp/ASIN or /gp/product/ASIN or /product/ASIN
-  const urlPatterns = [
-    /\/dp\/([A-Z0-9]{10})/,
-    /\/gp\/product\/([A-Z0-9]{10})/,
-    /\/product\/([A-Z0-9]{10})/,
-    /[?&]asin=([A-Z0-9]{10})/i
-  ];
-  
-  for (const pattern of urlPatterns) {
-    const match = url.match(pattern);
-    if (match) {
-      debug('[Amazon] Found ASIN in URL:', match[1]);
-      const asin = match[1];
-      return {
-        id: asin,
-        ...(await extractCommonMetadata())
-      };
-    }
-  }
-  
-  // Method 2: JSON-LD structured data
-  const jsonLd = await findInJsonLd();
-  if (jsonLd) {
-    const asin = jsonLd.sku || jsonLd.productID || jsonLd.gtin13;
-    if (asin && /^[A-Z0-9]{10}$/.test(asin)) {
-      debug('[Amazon] Found ASIN in JSON-LD:', asin);
-      return {
-        id: asin,
-        title: jsonLd.name,
-        image: jsonLd.image?.[0] || jsonLd.image,
-        model: jsonLd.model
-      };
-    }
-  }
-  
-  // Method 3: Meta tags
-  const metaAsin = doc.querySelector('meta[name="keywords"]')?.content.match(/\b[A-Z0-9]{10}\b/)?.[0];
-  if (metaAsin) {
-    debug('[Amazon] Found ASIN in meta keywords:', metaAsin);
-    return {
-      id: metaAsin,
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  // Method 4: Data attributes (safer than classes)
-  const asinAttr = doc.querySelector('[data-asin]')?.getAttribute('data-asin');
-  if (asinAttr && /^[A-Z0-9]{10}$/.test(asinAttr)) {
-    debug('[Amazon] Found ASIN in data-asin:', asinAttr);
-    return {
-      id: asinAttr,
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  debug('[Amazon] No ASIN found');
-  return null;
-}
-
-/**
- * Extract Flipkart PID (product ID from URL)
+ * Extract product ID using the site's adapter
+ * (ASIN for Amazon, PID for Flipkart, style ID for Myntra, product ID for Meesho)
+ * @param {Object} adapter - Site adapter from sites/
+ * @param {string} url - Current page URL
  */
-async function extractFlipkart(url) {
+async function extractWithAdapter(adapter, url) {
   const doc = getDocument();
-  debug('[Flipkart] Starting extraction');
+  const tag = `[${adapter.name}]`;
+  debug(tag, 'Starting extraction');
   
   // Method 1: URL patterns
-  // Flipkart URLs: /product/p/itmXXX or ?pid=XXX
-  const pidMatch = url.match(/[?&]pid=([A-Z0-9]+)/i);
-  if (pidMatch) {
-    debug('[Flipkart] Found PID in URL:', pidMatch[1]);
-    return {
-      id: pidMatch[1],
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  // Extract from path: /product-name/p/itmABCD123
-  const pathMatch = url.match(/\/p\/(itm[a-z0-9]+)/i);
-  if (pathMatch) {
-    debug('[Flipkart] Found ITM in path:', pathMatch[1]);
+  const urlId = adapter.extractId(url);
+  if (urlId) {
+    debug(tag, 'Found ID in URL:', urlId);
     return {
-      id: pathMatch[1],
+      id: urlId,
       ...(await extractCommonMetadata())
     };
   }
@@ -229,11 +161,11 @@ async function extractFlipkart(url) {
   // Method 2: JSON-LD structured data
   const jsonLd = await findInJsonLd();
   if (jsonLd) {
-    const pid = jsonLd.sku || jsonLd.productID;
-    if (pid) {
-      debug('[Flipkart] Found PID in JSON-LD:', pid);
+    const jsonLdId = adapter.idFromJsonLd(jsonLd);
+    if (jsonLdId) {
+      debug(tag, 'Found ID in JSON-LD:', jsonLdId);
       return {
-        id: pid,
+        id: jsonLdId,
         title: jsonLd.name,
         image: jsonLd.image?.[0] || jsonLd.image,
         model: jsonLd.model
@@ -241,153 +173,31 @@ async function extractFlipkart(url) {
     }
   }
   
-  // Method 3: Meta tags
+  // Method 3: Meta tags (canonical og:url, plus any site-specific hook)
   const ogUrl = doc.querySelector('meta[property="og:url"]')?.content;
-  if (ogUrl) {
-    const ogPidMatch = ogUrl.match(/[?&]pid=([A-Z0-9]+)/i);
-    if (ogPidMatch) {
-      debug('[Flipkart] Found PID in og:url:', ogPidMatch[1]);
-      return {
-        id: ogPidMatch[1],
-        ...(await extractCommonMetadata())
-      };
-    }
-  }
-  
-  // Method 4: Data attributes
-  const pidAttr = doc.querySelector('[data-pid]')?.getAttribute('data-pid');
-  if (pidAttr) {
-    debug('[Flipkart] Found PID in data-pid:', pidAttr);
+  const metaId = (ogUrl && adapter.extractId(ogUrl)) ||
+                 (adapter.extractIdFromPage && adapter.extractIdFromPage(getSites().fromDom(doc)));
+  if (metaId) {
+    debug(tag, 'Found ID in meta tags:', metaId);
     return {
-      id: pidAttr,
+      id: metaId,
       ...(await extractCommonMetadata())
     };
   }
   
-  debug('[Flipkart] No PID found');
-  return null;
-}
-
-/**
- * Extract Myntra style ID or product ID
- */
-async function extractMyntra(url) {
-  const doc = getDocument();
-  debug('[Myntra] Starting extraction');
-  
-  // Method 1: URL patterns
-  // Myntra URLs: /product-name/12345678 or /12345678
-  const styleIdMatch = url.match(/\/(\d{6,10})(?:\/|$|\?)/);
-  if (styleIdMatch) {
-    debug('[Myntra] Found style ID in URL:', styleIdMatch[1]);
-    return {
-      id: styleIdMatch[1],
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  // Method 2: JSON-LD structured data
-  const jsonLd = await findInJsonLd();
-  if (jsonLd) {
-    const styleId = jsonLd.sku || jsonLd.productID;
-    if (styleId && /^\d{6,10}$/.test(styleId)) {
-      debug('[Myntra] Found style ID in JSON-LD:', styleId);
-      return {
-        id: styleId,
-        title: jsonLd.name,
-        image: jsonLd.image?.[0] || jsonLd.image,
-        model: jsonLd.model
-      };
-    }
-  }
-  
-  // Method 3: Meta tags
-  const ogUrl = doc.querySelector('meta[property="og:url"]')?.content;
-  if (ogUrl) {
-    const ogStyleMatch = ogUrl.match(/\/(\d{6,10})(?:\/|$|\?)/);
-    if (ogStyleMatch) {
-      debug('[Myntra] Found style ID in og:url:', ogStyleMatch[1]);
-      return {
-        id: ogStyleMatch[1],
-        ...(await extractCommonMetadata())
-      };
-    }
-  }
-  
-  // Method 4: Data attributes
-  const styleAttr = doc.querySelector('[data-product-id]')?.getAttribute('data-product-id') ||
-                    doc.querySelector('[data-style-id]')?.getAttribute('data-style-id');
-  if (styleAttr && /^\d{6,10}$/.test(styleAttr)) {
-    debug('[Myntra] Found style ID in data attribute:', styleAttr);
-    return {
-      id: styleAttr,
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  debug('[Myntra] No style ID found');
-  return null;
-}
-
-/**
- * Extract Meesho product ID
- */
-async function extractMeesho(url) {
-  const doc = getDocument();
-  debug('[Meesho] Starting extraction');
-  
-  // Method 1: URL patterns
-  // Meesho URLs: /product/name/12345678 or /p/12345678
-  const productIdMatch = url.match(/\/(?:product|p)\/[^\/]+\/(\d+)|\/p\/(\d+)/);
-  if (productIdMatch) {
-    const productId = productIdMatch[1] || productIdMatch[2];
-    debug('[Meesho] Found product ID in URL:', productId);
-    return {
-      id: productId,
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  // Method 2: JSON-LD structured data
-  const jsonLd = await findInJsonLd();
-  if (jsonLd) {
-    const productId = jsonLd.sku || jsonLd.productID;
-    if (productId) {
-      debug('[Meesho] Found product ID in JSON-LD:', productId);
-      return {
-        id: productId,
-        title: jsonLd.name,
-        image: jsonLd.image?.[0] || jsonLd.image,
-        model: jsonLd.model
-      };
-    }
-  }
-  
-  // Method 3: Meta tags
-  const ogUrl = doc.querySelector('meta[property="og:url"]')?.content;
-  if (ogUrl) {
-    const ogProductMatch = ogUrl.match(/\/(?:product|p)\/[^\/]+\/(\d+)|\/p\/(\d+)/);
-    if (ogProductMatch) {
-      const productId = ogProductMatch[1] || ogProductMatch[2];
-      debug('[Meesho] Found product ID in og:url:', productId);
+  // Method 4: Data attributes (safer than classes)
+  for (const attribute of adapter.dataIdAttributes) {
+    const attrId = doc.querySelector(`[${attribute}]`)?.getAttribute(attribute);
+    if (adapter.isValidId(attrId)) {
+      debug(tag, `Found ID in ${attribute}:`, attrId);
       return {
-        id: productId,
+        id: attrId,
         ...(await extractCommonMetadata())
       };
     }
   }
   
-  // Method 4: Data attributes
-  const productAttr = doc.querySelector('[data-product-id]')?.getAttribute('data-product-id');
-  if (productAttr) {
-    debug('[Meesho] Found product ID in data attribute:', productAttr);
-    return {
-      id: productAttr,
-      ...(await extractCommonMetadata())
-    };
-  }
-  
-  debug('[Meesho] No product ID found');
+  debug(tag, 'No product ID found');
   return null;
 }
 
@@ -424,6 +234,33 @@ async function findInJsonLd() {
   return null;
 }
 
+/**
+ * Extract barcodes (gtin8/12/13/14), MPN and brand from JSON-LD and meta tags
+ * Only GTINs with a valid check digit are kept
+ * @param {Object} result - Extraction so far (its model is kept over the MPN)
+ * @returns {Object} { gtin?, gtins?, mpn?, brand?, model? }
+ */
+async function extractIdentifiers(result) {
+  const identifiers = getIdentifiers();
+  if (!identifiers) {
+    debug('shared/identifiers.js not loaded, skipping GTIN/MPN/brand');
+    return {};
+  }
+  
+  const { gtin, gtins, mpn, brand } = identifiers.extractIdentifiers(getDocument(), await findInJsonLd());
+  const found = {};
+  if (gtin) {
+    found.gtin = gtin;
+    found.gtins = gtins;
+  }
+  if (mpn) found.mpn = mpn;
+  if (brand) found.brand = brand;
+  if (mpn && !result.model) found.model = mpn;
+  
+  debug('Extracted identifiers:', found);
+  return found;
+}
+
 /**
  * Extract common metadata (title, image) from meta tags
  * @returns {Object} Metadata object
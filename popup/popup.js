@@ -10,6 +10,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   const priceTable = document.getElementById('price-table');
   const status = document.getElementById('status');
 
+  // Site adapters (loaded by popup.html, injected into the tab before extraction)
+  const sites = window.SmartShopperSites;
+  const quantity = window.SmartShopperQuantity;
+  const brands = window.SmartShopperBrands;
+  const SITE_SCRIPT_FILES = ['sites/registry.js', ...sites.SITE_FILES.map(file => `sites/${file}`), 'shared/identifiers.js'];
+
   // Auto-load current tab URL
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -17,7 +23,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       productUrl.value = tab.url;
       
       // Auto-compare prices if on a product page
-      if (tab.url.includes('amazon.') || tab.url.includes('flipkart.com') || tab.url.includes('myntra.com')) {
+      if (sites.detect(tab.url)) {
         // Automatically trigger price comparison
         setTimeout(() => handleCompare(), 500);
       }
@@ -28,6 +34,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Store latest comparison data for AI
   let latestComparisonData = null;
+  
+  // Source product of the current comparison (sent with match feedback)
+  let matchSource = null;
+  const FEEDBACK_URL = 'http://localhost:3000/v1/match-feedback';
 
   // close popup
   closeBtn.addEventListener('click', () => window.close());
@@ -69,6 +79,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     showStatus('Extracting price from page...');
     priceTable.innerHTML = '';
     priceComp.classList.add('hidden');
+    matchSource = null;
 
     try {
       // Get current tab and extract price
@@ -79,7 +90,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
 
-      // Inject script to extract price from page
+      // Inject site adapters, then the script to extract price from page
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: SITE_SCRIPT_FILES
+      });
       const results = await chrome.scripting.executeScript({
         target: { tabId: tab.id },
         func: extractPriceFromPage
@@ -94,7 +109,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
 
-      // Start with current site price
+      // Start with current site price (with its per-unit price, if the title names a pack size)
+      Object.assign(priceData, unitPriceFields(priceData.productName, sites.parsePrice(priceData.price)));
       const allPrices = [priceData];
       
       // Search other sites using backend matcher
@@ -102,57 +118,68 @@ document.addEventListener('DOMContentLoaded', async () => {
         showStatus('🔍 Searching across sites using smart matcher...');
         
         try {
-          // Call backend /v1/search-crosssite endpoint
-          const backendUrl = 'http://localhost:3000/v1/search-crosssite';
+          // Stream backend /v1/search-crosssite results, one site at a time
+          const backendUrl = 'http://localhost:3000/v1/search-crosssite/stream';
+          // Honour cacheResults/cacheDuration from config.js when it exists
+          const cacheParams = await import('../scripts/api.js')
+            .then(api => api.crossSiteCacheParams())
+            .catch(() => ({}));
+          // Page price lets the matcher drop cases and screen guards priced far below it
+          const sourcePrice = sites.parsePrice(priceData.price);
           const params = new URLSearchParams({
             site: priceData.site.toLowerCase(),
             id: priceData.productId,
-            title: priceData.productName
+            title: priceData.productName,
+            ...(sourcePrice && { price_cents: Math.round(sourcePrice * 100) }),
+            ...(priceData.image && { image: priceData.image }),
+            ...(priceData.gtin && { gtin: priceData.gtin }),
+            ...(priceData.mpn && { mpn: priceData.mpn }),
+            ...(priceData.brand && { brand: priceData.brand }),
+            ...cacheParams
           });
+          matchSource = {
+            site: priceData.site.toLowerCase(),
+            site_id: priceData.productId,
+            title: priceData.productName,
+            ...(sourcePrice && { price_cents: Math.round(sourcePrice * 100) }),
+            ...(priceData.gtin && { gtin: priceData.gtin }),
+            ...(priceData.mpn && { model: priceData.mpn }),
+            ...(priceData.brand && { brand: priceData.brand })
+          };
           
-          console.log('[Compare] Calling backend:', `${backendUrl}?${params}`);
-          const response = await fetch(`${backendUrl}?${params}`);
-          const matchData = await response.json();
-          console.log('[Compare] Backend response:', matchData);
-          console.log('[Compare] Results array:', matchData.results);
+          // Rows by site key, re-rendered as each site event arrives
+          const siteRows = new Map();
+          const renderRows = () => {
+            displayRealPrices(sortPrices([priceData, ...siteRows.values()]), priceData.site);
+            priceComp.classList.remove('hidden');
+          };
+          renderRows();
+          
+          console.log('[Compare] Streaming from backend:', `${backendUrl}?${params}`);
+          const matchData = await streamCrossSiteSearch(`${backendUrl}?${params}`, result => {
+            console.log('[Compare] Site:', result.site, 'available:', result.available, 'price_cents:', result.price_cents, 'score:', result.score);
+            siteRows.set(result.site, toPriceRow(result));
+            renderRows();
+            showStatus(`🔍 Checked ${siteRows.size} other site(s)...`);
+          });
+          console.log('[Compare] Backend summary:', matchData);
           
           if (matchData && matchData.results && matchData.results.length > 0) {
             console.log('[Compare] Found', matchData.results.length, 'site results');
-            // Add all site results (both available and not available)
-            for (const result of matchData.results) {
-              console.log('[Compare] Site:', result.site, 'available:', result.available, 'price_cents:', result.price_cents, 'score:', result.score);
-              
-              if (result.available) {
-                // Product found on this site - show the price with decimals
-                const priceValue = ((result.price_cents || 0) / 100).toFixed(2);
-                allPrices.push({
-                  site: result.site.charAt(0).toUpperCase() + result.site.slice(1),
-                  price: `₹${priceValue}`,
-                  url: result.url,
-                  status: 'available',
-                  productName: result.title,
-                  matchScore: result.score,
-                  matchQuality: result.match_quality
-                });
-              } else {
-                // Product not available on this site
-                allPrices.push({
-                  site: result.site.charAt(0).toUpperCase() + result.site.slice(1),
-                  price: 'Not Available',
-                  url: result.url, // Search URL as fallback
-                  status: 'not-found',
-                  productName: result.title,
-                  matchScore: result.score,
-                  reason: result.reason
-                });
-              }
-            }
+            // Summary is authoritative (includes fallback rows without site events)
+            siteRows.clear();
+            matchData.results.forEach(result => siteRows.set(result.site, toPriceRow(result)));
             
             const availableCount = matchData.results.filter(r => r.available).length;
-            showStatus(`✅ Found on ${availableCount} other site(s)`);
-          } else {
+            const cache = matchData._meta && matchData._meta.cache;
+            const cachedNote = cache && cache.hit ? ` (cached ${Math.max(1, Math.round(cache.age_ms / 60000))} min ago)` : '';
+            showStatus(`✅ Found on ${availableCount} other site(s)${cachedNote}`);
+          } else if (siteRows.size === 0) {
             showStatus('⚠️ No matching products found on other sites');
           }
+          
+          // Add all site results (both available and not available)
+          allPrices.push(...siteRows.values());
         } catch (backendError) {
           console.warn('Backend matcher failed, trying RapidAPI fallback:', backendError);
           showStatus('🔍 Backend unavailable, trying RapidAPI...');
@@ -176,17 +203,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         showStatus('⚠️ Missing product ID or name, showing current site only.');
       }
 
-      // Sort by price (lowest first), putting "Not Found" at the end
-      allPrices.sort((a, b) => {
-        if (a.status === 'not-found') return 1;
-        if (b.status === 'not-found') return -1;
-        if (a.status === 'out-of-stock') return 1;
-        if (b.status === 'out-of-stock') return -1;
-        
-        const priceA = parseFloat(a.price.replace(/[^0-9.]/g, ''));
-        const priceB = parseFloat(b.price.replace(/[^0-9.]/g, ''));
-        return priceA - priceB;
-      });
+      sortPrices(allPrices);
 
       // Display all prices
       displayRealPrices(allPrices, priceData.site);
@@ -210,26 +227,140 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Per-unit price fields for a row ({} when the title has no pack size)
+  function unitPriceFields(title, price) {
+    const pack = quantity.parseQuantity(title);
+    const unitPriceCents = quantity.unitPriceCents(Math.round((price || 0) * 100), pack);
+    if (!unitPriceCents) return {};
+    return {
+      unitPriceCents,
+      unitBasis: quantity.unitBasisLabel(pack),
+      quantity: quantity.formatQuantity(pack)
+    };
+  }
+
+  // Rank by per-unit price when every available row has one on the same
+  // basis and pack sizes differ (500 ml vs 1 L)
+  function shouldRankByUnit(prices) {
+    const available = prices.filter(p => p.status === 'available');
+    if (available.length < 2 || !available.every(p => p.unitPriceCents)) return false;
+    if (new Set(available.map(p => p.unitBasis)).size !== 1) return false;
+    return new Set(available.map(p => p.quantity)).size > 1;
+  }
+
+  // Sort by price (lowest first), putting "Not Found" at the end
+  function sortPrices(prices) {
+    const byUnit = shouldRankByUnit(prices);
+    
+    return prices.sort((a, b) => {
+      if (a.status === 'not-found') return 1;
+      if (b.status === 'not-found') return -1;
+      if (a.status === 'out-of-stock') return 1;
+      if (b.status === 'out-of-stock') return -1;
+      
+      if (byUnit) return a.unitPriceCents - b.unitPriceCents;
+      
+      const priceA = parseFloat(a.price.replace(/[^0-9.]/g, ''));
+      const priceB = parseFloat(b.price.replace(/[^0-9.]/g, ''));
+      return priceA - priceB;
+    });
+  }
+
+  // Price cell text for sites the backend could not search (site_status)
+  const SITE_STATUS_LABELS = {
+    timeout: 'Timed out',
+    blocked: 'Blocked',
+    error: 'Site error',
+    'circuit-open': 'Skipped'
+  };
+
+  // Convert a backend site result into a price table row
+  function toPriceRow(result) {
+    const site = result.site.charAt(0).toUpperCase() + result.site.slice(1);
+    
+    if (result.available) {
+      // Product found on this site - show the price with decimals
+      const priceValue = ((result.price_cents || 0) / 100).toFixed(2);
+      return {
+        site,
+        price: `₹${priceValue}`,
+        url: result.url,
+        status: 'available',
+        productName: result.title,
+        matchScore: result.score,
+        matchQuality: result.match_quality,
+        unitPriceCents: result.unit_price_cents,
+        unitBasis: result.unit_price_basis,
+        quantity: result.quantity,
+        // Pack / combo: never the BEST row, shown with its per-item price
+        bundle: result.bundle || null,
+        // What "right product" / "wrong product" reports
+        feedbackCandidate: {
+          site: result.site,
+          site_id: result.site_id,
+          title: result.title,
+          price_cents: result.price_cents
+        }
+      };
+    }
+    
+    // Product not available on this site (or the site could not be searched)
+    return {
+      site,
+      price: SITE_STATUS_LABELS[result.site_status] || 'Not Available',
+      url: result.url, // Search URL as fallback
+      status: 'not-found',
+      productName: result.title,
+      matchScore: result.score,
+      reason: result.reason
+    };
+  }
+
+  /**
+   * Read /v1/search-crosssite/stream, calling onSite for every site event
+   * Resolves with the summary event, or null if the stream broke after some
+   * sites arrived; rejects if the backend never answered (caller falls back)
+   */
+  function streamCrossSiteSearch(url, onSite) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(url);
+      let received = false;
+      
+      source.addEventListener('site', event => {
+        received = true;
+        onSite(JSON.parse(event.data).result);
+      });
+      
+      source.addEventListener('summary', event => {
+        source.close();
+        resolve(JSON.parse(event.data));
+      });
+      
+      // EventSource would reconnect forever; a broken stream ends the search
+      source.onerror = () => {
+        source.close();
+        if (received) {
+          resolve(null);
+        } else {
+          reject(new Error('Backend stream unavailable'));
+        }
+      };
+    });
+  }
+
   // Search for product on other sites using background fetch (no visible tabs)
   async function searchOtherSites(productName, currentSite) {
-    const sites = [
-      { name: 'Amazon', searchUrl: 'https://www.amazon.in/s?k=', domain: 'amazon.in' },
-      { name: 'Flipkart', searchUrl: 'https://www.flipkart.com/search?q=', domain: 'flipkart.com' },
-      { name: 'Myntra', searchUrl: 'https://www.myntra.com/search?q=', domain: 'myntra.com' }
-    ];
-
     const results = [];
     
     // Extract key search terms from product name (properly decode URL encoding)
     const keywords = extractKeywords(productName);
-    const searchQuery = encodeURIComponent(keywords);
 
     // Use background script to fetch prices without opening tabs
-    for (const site of sites) {
+    for (const site of sites.list()) {
       if (site.name === currentSite) continue; // Skip current site
 
+      const searchUrl = site.searchUrl(keywords);
       try {
-        const searchUrl = site.searchUrl + searchQuery;
         
         // Send message to background script to fetch the page
         const response = await chrome.runtime.sendMessage({
@@ -285,7 +416,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         results.push({
           site: site.name,
           price: 'N/A',
-          url: site.searchUrl + searchQuery,
+          url: searchUrl,
           status: 'not-found',
           message: 'Not Found'
         });
@@ -328,9 +459,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Normalize product name
     let normalized = productName.toLowerCase().trim();
     
-    // Extract potential brand (usually first 1-2 words)
+    // Brand from the lexicon ("Redmi Note 13" → Xiaomi); unknown brands fall back to the first 1-2 words
     const words = normalized.split(/\s+/);
-    const brand = words.slice(0, 2).join(' ');
+    const brand = brands.inferBrand(productName);
+    const leadingWords = words.slice(0, 2).join(' ');
     
     // Extract numbers (size, capacity, model numbers)
     const numbers = productName.match(/\d+(\.\d+)?/g) || [];
@@ -344,6 +476,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     return {
       brand,
+      leadingWords,
       numbers,
       units,
       capsWords,
@@ -353,6 +486,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
   }
 
+  // Same factor as the server matcher: keeps other brands below SIMILARITY_THRESHOLD
+  const BRAND_CONFLICT_FACTOR = 0.3;
+
   // Calculate similarity between two products (0-1 score)
   function calculateProductSimilarity(currentProduct, searchResult) {
     let score = 0;
@@ -361,10 +497,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     const current = extractProductAttributes(currentProduct);
     const result = extractProductAttributes(searchResult);
     
-    // Brand matching (high weight - 30%)
+    // Brand matching (high weight - 30%); null when the lexicon doesn't know either brand
     const brandWeight = 0.3;
     totalWeight += brandWeight;
-    if (result.normalized.includes(current.brand) || current.normalized.includes(result.brand)) {
+    const brandMatch = brands.sameBrand(current.brand, result.brand);
+    if (brandMatch || (brandMatch === null &&
+        (result.normalized.includes(current.leadingWords) || current.normalized.includes(result.leadingWords)))) {
       score += brandWeight;
     }
     
@@ -402,284 +540,80 @@ document.addEventListener('DOMContentLoaded', async () => {
       score += (keywordMatches / current.keywords.length) * keywordWeight;
     }
     
-    return score;
+    // A different brand is a different product, however similar the rest of the title
+    return brandMatch === false ? score * BRAND_CONFLICT_FACTOR : score;
   }
 
   // Function to inject into page and extract price
+  // (runs in the tab after SITE_SCRIPT_FILES, so the site registry is available there)
   function extractPriceFromPage() {
     const url = window.location.href;
-    let site = 'Unknown';
-    let price = null;
-    let productName = null;
-    let productId = null;
-    let mrp = null;
-    let status = 'available';
-
-    // Extract product ID helper (defined inline for injection context)
-    function extractProductIdFromUrl(url, site) {
-      if (site === 'Amazon') {
-        const patterns = [
-          /\/dp\/([A-Z0-9]{10})/,
-          /\/gp\/product\/([A-Z0-9]{10})/,
-          /[?&]asin=([A-Z0-9]{10})/i
-        ];
-        for (const pattern of patterns) {
-          const match = url.match(pattern);
-          if (match) return match[1];
-        }
-      } else if (site === 'Flipkart') {
-        const pidMatch = url.match(/[?&]pid=([A-Z0-9]+)/i);
-        if (pidMatch) return pidMatch[1];
-        const pathMatch = url.match(/\/p\/(itm[a-z0-9]+)/i);
-        if (pathMatch) return pathMatch[1];
-      } else if (site === 'Myntra') {
-        const styleMatch = url.match(/\/(\d{6,10})(?:\/|$|\?)/);
-        if (styleMatch) return styleMatch[1];
-      } else if (site === 'Meesho') {
-        const productMatch = url.match(/\/(?:product|p)\/[^\/]+\/(\d+)|\/p\/(\d+)/);
-        if (productMatch) return productMatch[1] || productMatch[2];
-      }
-      return null;
+    const sites = window.SmartShopperSites;
+    const adapter = sites ? sites.detect(url) : null;
+
+    if (!adapter) {
+      return {
+        site: 'Unknown',
+        price: null,
+        mrp: null,
+        productName: null,
+        productId: null,
+        url: url,
+        status: 'available'
+      };
     }
 
-    // Detect site
-    if (url.includes('amazon.')) {
-      site = 'Amazon';
-      productId = extractProductIdFromUrl(url, 'Amazon');
-      
-      // Check if out of stock
-      const availabilityElem = document.querySelector('#availability span, #availability');
-      if (availabilityElem && availabilityElem.textContent.toLowerCase().includes('out of stock')) {
-        status = 'out-of-stock';
-      }
-      
-      // Try multiple selectors for Amazon price (updated for 2025)
-      const priceSelectors = [
-        // Main price display (most common)
-        '.a-price.aok-align-center.reinventPricePriceToPayMargin.priceToPay span.a-price-whole',
-        '.a-price.reinventPricePriceToPayMargin.priceToPay .a-offscreen',
-        'span.a-price.aok-align-center span.a-offscreen',
-        '.a-price-whole',
-        
-        // Alternative locations
-        '.apexPriceToPay span.a-offscreen',
-        '#corePrice_feature_div .a-price .a-offscreen',
-        '#priceblock_ourprice',
-        '#priceblock_dealprice',
-        '.a-price.a-text-price.a-size-medium.apexPriceToPay .a-offscreen',
-        
-        // Deal/offer prices
-        '#priceblock_saleprice',
-        '.priceToPay .a-offscreen'
-      ];
-      
-      for (const selector of priceSelectors) {
-        const elem = document.querySelector(selector);
-        if (elem && elem.textContent.trim()) {
-          let text = elem.textContent.trim();
-          // Extract numbers from text like "₹18,930" or "18,930.00"
-          const cleaned = text.replace(/[^0-9,\.]/g, '').replace(/,/g, '');
-          if (cleaned && parseFloat(cleaned) > 0) {
-            const numericPrice = cleaned.split('.')[0];
-            if (numericPrice.length >= 2) { // Ensure it's a valid price
-              price = '₹' + parseInt(numericPrice).toLocaleString('en-IN');
-              break;
-            }
-          }
-        }
-      }
-
-      // Get MRP (fallback or comparison)
-      const mrpSelectors = [
-        '.a-price.a-text-price .a-offscreen',
-        '.basisPrice .a-offscreen',
-        'span.a-price.a-text-price span.a-offscreen'
-      ];
-      
-      for (const selector of mrpSelectors) {
-        const mrpElem = document.querySelector(selector);
-        if (mrpElem && mrpElem.textContent.trim()) {
-          const mrpText = mrpElem.textContent.replace(/[^0-9,\.]/g, '').replace(/,/g, '');
-          if (mrpText && parseFloat(mrpText) > 0) {
-            mrp = '₹' + parseInt(mrpText.split('.')[0]).toLocaleString('en-IN');
-            break;
-          }
-        }
-      }
-
-      // Get product name
-      const nameSelectors = ['#productTitle', 'h1.product-title', '#title'];
-      for (const selector of nameSelectors) {
-        const nameElem = document.querySelector(selector);
-        if (nameElem && nameElem.textContent.trim()) {
-          productName = nameElem.textContent.trim();
-          break;
-        }
-      }
-
-    } else if (url.includes('flipkart.com')) {
-      site = 'Flipkart';
-      productId = extractProductIdFromUrl(url, 'Flipkart');
-      
-      // Check if out of stock
-      const stockSelectors = ['._16FRp0', '.availability', '._2aK_ub', 'div._2J33Rc'];
-      for (const selector of stockSelectors) {
-        const stockElem = document.querySelector(selector);
-        if (stockElem) {
-          const stockText = stockElem.textContent.toLowerCase();
-          if (stockText.includes('out of stock') || stockText.includes('sold out') || stockText.includes('currently unavailable')) {
-            status = 'out-of-stock';
-            break;
-          }
-        }
-      }
-      
-      // Try multiple selectors for Flipkart price (updated for Dec 2024)
-      const priceSelectors = [
-        // December 2024 structure (most common)
-        'div.Nx9bqj.CxhGGd',
-        'div.hl05eU div.Nx9bqj',
-        
-        // Common class patterns
-        'div.Nx9bqj',
-        'div.CxhGGd',
-        
-        // Alternative current structures  
-        'div._30jeq3._16Jk6d',
-        'div._30jeq3',
-        '._25b18c ._16Jk6d',
-        '._25b18c div',
-        '.CEmiEU div._16Jk6d',
-        'div._16Jk6d',
-        
-        // Price container patterns
-        '[data-test-id="selling-price"]',
-        '.pPAw9M',
-        '._2Tpdn3',
-        
-        // Generic price patterns (broader search)
-        'div[class*="Nx9bqj"]',
-        'div[class*="CxhGGd"]',
-        'div[class*="30jeq3"]',
-        'div[class*="16Jk6d"]',
-        
-        // Older patterns (fallback)
-        'div._3I9_wc._2p6lqe',
-        'div._1vC4OE._3qQ9m1'
-      ];
-      
-      console.log('[Flipkart Debug] Starting price extraction...');
-      
-      for (const selector of priceSelectors) {
-        const priceElem = document.querySelector(selector);
-        if (priceElem) {
-          console.log('[Flipkart Debug] Found element with selector:', selector, 'Text:', priceElem.textContent.trim());
-          const text = priceElem.textContent.replace(/[^0-9,]/g, '').replace(/,/g, '');
-          if (text && parseFloat(text) > 0) {
-            price = '₹' + parseInt(text).toLocaleString('en-IN');
-            console.log('[Flipkart Debug] Extracted price:', price);
-            break;
-          }
-        }
-      }
-      
-      if (!price) {
-        console.log('[Flipkart Debug] No price found with any selector. Trying fallback...');
-        // Fallback: search all text nodes for price pattern
-        const bodyText = document.body.innerText;
-        const priceMatch = bodyText.match(/₹\s*[\d,]+/);
-        if (priceMatch) {
-          const text = priceMatch[0].replace(/[^0-9,]/g, '').replace(/,/g, '');
-          price = '₹' + parseInt(text).toLocaleString('en-IN');
-          console.log('[Flipkart Debug] Fallback found price:', price);
-        }
-      }
-
-      // Get product name
-      const nameSelectors = [
-        // December 2024 structure
-        'span.VU-ZEz',
-        'h1 span.VU-ZEz',
-        
-        // Alternative structures
-        'h1.yhB1nd',
-        'span.B_NuCI',
-        'h1._6EBuvT',
-        'span._35KyD6',
-        'h1 span',
-        
-        // Data attributes
-        '[data-test-id="product-title"]',
-        
-        // Generic fallback
-        'h1[class*="VU-ZEz"]',
-        'h1[class*="yhB1nd"]',
-        'span[class*="B_NuCI"]',
-        
-        // Broadest fallback - first h1 on page
-        'h1'
-      ];
-      
-      for (const selector of nameSelectors) {
-        const nameElem = document.querySelector(selector);
-        if (nameElem && nameElem.textContent.trim()) {
-          productName = nameElem.textContent.trim();
-          console.log('[Flipkart Debug] Found product name:', productName);
-          break;
-        }
-      }
-      
-      if (!productName) {
-        console.log('[Flipkart Debug] No product name found, using URL fallback');
-        // Extract from URL as last resort
-        const urlParts = url.split('/');
-        const slugPart = urlParts.find(part => part.includes('-') && part.length > 10);
-        if (slugPart) {
-          productName = slugPart.replace(/-/g, ' ').split('/')[0];
-        }
-      }
+    // Format like "₹18,930" (drop paise)
+    function formatPrice(text) {
+      const value = sites.parsePrice(text);
+      return value ? '₹' + Math.floor(value).toLocaleString('en-IN') : null;
+    }
 
-    } else if (url.includes('myntra.com')) {
-      site = 'Myntra';
-      productId = extractProductIdFromUrl(url, 'Myntra');
-      
-      // Check if out of stock
-      const stockElem = document.querySelector('.sold-out-title, .inventory-availabilityStatus');
-      if (stockElem && stockElem.textContent.toLowerCase().includes('out of stock')) {
-        status = 'out-of-stock';
-      }
-      
-      const priceElem = document.querySelector('.pdp-price strong, .pdp-price');
-      if (priceElem) {
-        const text = priceElem.textContent.replace(/[^0-9,]/g, '').replace(/,/g, '');
-        if (text) price = '₹' + text;
-      }
+    const page = adapter.parseProductPage(sites.fromDom(document), { url });
+    console.log(`[${adapter.name}] Extracted:`, page);
 
-      const nameElem = document.querySelector('.pdp-title, h1.pdp-name');
-      if (nameElem) productName = nameElem.textContent.trim();
-    }
+    // Barcode / part number / brand from JSON-LD and meta tags (check digits validated)
+    const identifiers = window.SmartShopperIdentifiers
+      ? window.SmartShopperIdentifiers.extractIdentifiers(document)
+      : {};
 
     return {
-      site: site,
-      price: price,
-      mrp: mrp,
-      productName: productName,
-      productId: productId,
-      url: window.location.href,
-      status: status
+      site: adapter.name,
+      price: formatPrice(page.priceText),
+      mrp: formatPrice(page.mrpText),
+      productName: page.productName,
+      productId: adapter.extractId(url),
+      // og:image, like extension/content/extractors.js (pHash stage of the matcher)
+      image: document.querySelector('meta[property="og:image"]')?.content || null,
+      gtin: identifiers.gtin || null,
+      mpn: identifiers.mpn || null,
+      brand: identifiers.brand || null,
+      url: url,
+      status: page.availability === 'Out of Stock' ? 'out-of-stock' : 'available'
     };
   }
 
   // Display real extracted prices with clickable links
   function displayRealPrices(priceData, currentSite) {
     priceTable.innerHTML = '';
+    
+    // Pack sizes differ: rows are ranked per unit (see sortPrices)
+    const byUnit = shouldRankByUnit(priceData);
+    if (byUnit) {
+      const note = document.createElement('div');
+      note.style.cssText = 'padding:4px 10px;font-size:11px;color:#6b7280';
+      note.textContent = `Pack sizes differ - ranked by price per ${priceData.find(p => p.unitBasis).unitBasis}`;
+      priceTable.appendChild(note);
+    }
+
+    // Best available price (not "Not Found"); packs and combos are not priced like the product
+    const bestIndex = priceData.findIndex(item => item.status !== 'not-found' && item.status !== 'out-of-stock' && !item.bundle);
 
     priceData.forEach((item, index) => {
       const row = document.createElement('div');
       row.className = 'price-row';
       
-      // Highlight best available price (not "Not Found")
-      const isBestPrice = index === 0 && item.status !== 'not-found' && item.status !== 'out-of-stock';
+      const isBestPrice = index === bestIndex;
       if (isBestPrice) row.classList.add('best-price');
       
       const siteDiv = document.createElement('div');
@@ -704,6 +638,13 @@ document.addEventListener('DOMContentLoaded', async () => {
           badge.style.background = '#3b82f6';
           badge.textContent = 'CURRENT';
           link.appendChild(badge);
+        } else if (item.bundle) {
+          const badge = document.createElement('span');
+          badge.className = 'badge';
+          badge.style.background = '#f59e0b';
+          badge.textContent = 'BUNDLE';
+          badge.title = item.bundle.label;
+          link.appendChild(badge);
         } else if (isBestPrice) {
           const badge = document.createElement('span');
           badge.className = 'badge';
@@ -759,6 +700,32 @@ document.addEventListener('DOMContentLoaded', async () => {
           qualityBadge.title = `Match quality: ${item.matchQuality}`;
           priceDiv.appendChild(qualityBadge);
         }
+        
+        // Per-unit price under the price ("₹79.80 / 100 ml · 2 × 250 ml")
+        if (item.unitPriceCents) {
+          const unitDiv = document.createElement('div');
+          unitDiv.style.fontSize = '10px';
+          unitDiv.style.fontWeight = byUnit ? '700' : '400';
+          unitDiv.style.color = '#6b7280';
+          unitDiv.textContent = `₹${(item.unitPriceCents / 100).toFixed(2)} / ${item.unitBasis} · ${item.quantity}`;
+          priceDiv.appendChild(unitDiv);
+        }
+        
+        // What the bundle is, and its per-item price when it can be split ("₹333.00 per item · Pack of 3")
+        if (item.bundle) {
+          const bundleDiv = document.createElement('div');
+          bundleDiv.style.fontSize = '10px';
+          bundleDiv.style.color = '#b45309';
+          bundleDiv.textContent = item.bundle.per_item_price_cents
+            ? `₹${(item.bundle.per_item_price_cents / 100).toFixed(2)} per item · ${item.bundle.label}`
+            : item.bundle.label;
+          priceDiv.appendChild(bundleDiv);
+        }
+        
+        // Let the user confirm or reject a cross-site match
+        if (item.feedbackCandidate && matchSource) {
+          priceDiv.appendChild(createFeedbackButtons(item));
+        }
       }
       
       row.appendChild(siteDiv);
@@ -767,6 +734,62 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // "Right product" / "wrong product" buttons for a matched row
+  function createFeedbackButtons(item) {
+    const container = document.createElement('div');
+    container.style.fontSize = '10px';
+    container.style.fontWeight = '400';
+    
+    if (item.feedbackLabel) {
+      container.style.color = '#6b7280';
+      container.textContent = item.feedbackLabel === 'match' ? 'Marked as right product' : 'Marked as wrong product';
+      return container;
+    }
+    
+    [['match', '👍', 'Right product'], ['mismatch', '👎', 'Wrong product']].forEach(([label, icon, title]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = icon;
+      button.title = title;
+      button.style.cssText = 'border:none;background:none;cursor:pointer;padding:0 4px;font-size:12px';
+      button.addEventListener('click', async (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        container.replaceChildren(document.createTextNode('Sending...'));
+        try {
+          await sendMatchFeedback(item, label);
+          item.feedbackLabel = label;
+          container.replaceWith(createFeedbackButtons(item));
+        } catch (err) {
+          console.warn('[Feedback] Failed to send:', err);
+          container.replaceWith(createFeedbackButtons(item));
+          showStatus('⚠️ Could not send feedback (is the backend running?)');
+        }
+      });
+      container.appendChild(button);
+    });
+    
+    return container;
+  }
+
+  // POST /v1/match-feedback for a row
+  async function sendMatchFeedback(item, label) {
+    const response = await fetch(FEEDBACK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        source: matchSource,
+        candidate: item.feedbackCandidate,
+        label,
+        score: item.matchScore
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
   // Summarize page - extract product details
   summarizeBtn.addEventListener('click', async () => {
     showStatus('Analyzing product...');
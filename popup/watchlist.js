@@ -1,9 +1,18 @@
 // popup/watchlist.js - Watchlist page functionality
-import { getWatchlist, removeFromWatchlist, getWatchlistStats, clearWatchlist } from '../scripts/storage.js';
+import {
+  getWatchlist,
+  removeFromWatchlist,
+  getWatchlistStats,
+  clearWatchlist,
+  setProductMuted,
+  getNotificationSettings,
+  saveNotificationSettings
+} from '../scripts/storage.js';
 
 // Load and display watchlist on page load
 document.addEventListener('DOMContentLoaded', async () => {
   await loadWatchlist();
+  await loadNotificationSettings();
   setupEventListeners();
 });
 
@@ -34,6 +43,11 @@ async function loadWatchlist() {
         btn.addEventListener('click', (e) => handleRemove(e.target.dataset.productId));
       });
 
+      // Attach event listeners to mute buttons
+      document.querySelectorAll('.mute-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => handleMuteToggle(e.target.dataset.productId, e.target.dataset.muted !== 'true'));
+      });
+
       // Attach event listeners to view buttons
       document.querySelectorAll('.view-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -46,6 +60,11 @@ async function loadWatchlist() {
   }
 }
 
+// Scraped names and error messages are untrusted text
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (m) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+}
+
 function createProductCard(product) {
   const priceDiff = product.initialPrice - product.currentPrice;
   const percentChange = product.initialPrice > 0 
@@ -62,8 +81,8 @@ function createProductCard(product) {
       <div class="flex gap-6">
         <!-- Product Info -->
         <div class="flex-1">
-          <h3 class="text-lg font-bold text-gray-800 mb-2 line-clamp-2">${product.name}</h3>
-          <div class="text-xs text-gray-500 mb-4">${product.site}</div>
+          <h3 class="text-lg font-bold text-gray-800 mb-2 line-clamp-2">${escapeHtml(product.name)}</h3>
+          <div class="text-xs text-gray-500 mb-4">${escapeHtml(product.site)}</div>
           
           <!-- Price Info -->
           <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
@@ -92,6 +111,7 @@ function createProductCard(product) {
             <span>📅 Added: ${addedDate}</span>
             <span>🔄 Last checked: ${checkedDate}</span>
             ${product.targetPrice ? `<span>🎯 Target: ₹${product.targetPrice}</span>` : ''}
+            ${product.lastError ? `<span class="text-red-600" title="${product.failedChecks || 1} failed check(s)">⚠️ Last check failed: ${escapeHtml(product.lastError)}</span>` : ''}
           </div>
 
           <!-- Actions -->
@@ -100,6 +120,10 @@ function createProductCard(product) {
                     data-url="${product.url}">
               View Product
             </button>
+            <button class="mute-btn bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-semibold py-2 px-4 rounded transition" 
+                    data-product-id="${product.id}" data-muted="${product.muted ? 'true' : 'false'}">
+              ${product.muted ? '🔕 Unmute Alerts' : '🔔 Mute Alerts'}
+            </button>
             <button class="remove-btn bg-red-600 hover:bg-red-700 text-white text-sm font-semibold py-2 px-4 rounded transition" 
                     data-product-id="${product.id}">
               Remove
@@ -139,17 +163,55 @@ async function handleRemove(productId) {
   }
 }
 
+async function handleMuteToggle(productId, muted) {
+  const success = await setProductMuted(productId, muted);
+  if (success) {
+    await loadWatchlist();
+    showStatus(muted ? 'Alerts muted for this product' : 'Alerts unmuted', 'success');
+  } else {
+    showStatus('Failed to update alerts', 'error');
+  }
+}
+
+async function loadNotificationSettings() {
+  const settings = await getNotificationSettings();
+  document.getElementById('notify-enabled').checked = settings.enabled;
+  document.getElementById('notify-drop-percent').value = settings.dropPercent;
+  document.getElementById('notify-digest').checked = settings.digest;
+}
+
 function setupEventListeners() {
+  // Notification settings
+  document.getElementById('notify-enabled').addEventListener('change', async (e) => {
+    await saveNotificationSettings({ enabled: e.target.checked });
+    showStatus('Notification settings saved', 'success');
+  });
+
+  document.getElementById('notify-drop-percent').addEventListener('change', async (e) => {
+    const dropPercent = Math.min(90, Math.max(1, parseInt(e.target.value, 10) || 10));
+    e.target.value = dropPercent;
+    await saveNotificationSettings({ dropPercent });
+    showStatus('Notification settings saved', 'success');
+  });
+
+  document.getElementById('notify-digest').addEventListener('change', async (e) => {
+    await saveNotificationSettings({ digest: e.target.checked });
+    showStatus(e.target.checked ? 'Alerts will arrive as a daily digest' : 'Alerts will arrive instantly', 'success');
+  });
+
   // Check prices now button
   document.getElementById('check-now').addEventListener('click', async () => {
     showStatus('Checking prices...', 'info');
     
-    chrome.runtime.sendMessage({ type: 'CHECK_PRICES_NOW' }, (response) => {
+    chrome.runtime.sendMessage({ type: 'CHECK_PRICES_NOW' }, async (response) => {
       if (response && response.ok) {
-        setTimeout(async () => {
-          await loadWatchlist();
+        // Background replies once every item has been checked
+        await loadWatchlist();
+        if (response.failed > 0) {
+          showStatus(`Updated ${response.updated} of ${response.checked} (${response.failed} failed)`, 'error');
+        } else {
           showStatus('Prices updated!', 'success');
-        }, 2000);
+        }
       } else {
         showStatus('Failed to check prices', 'error');
       }
@@ -8,6 +8,13 @@ const RAPIDAPI_KEY = API_CONFIG.rapidapi.key;
 const RAPIDAPI_AMAZON_HOST = API_CONFIG.rapidapi.amazon.host;
 const RAPIDAPI_FLIPKART_HOST = API_CONFIG.rapidapi.flipkart.host;
 
+// Cache hints for GET /v1/search-crosssite (features.cacheResults / cacheDuration)
+export function crossSiteCacheParams() {
+  const { cacheResults, cacheDuration } = API_CONFIG.features;
+  if (!cacheResults) return { fresh: '1' };
+  return cacheDuration ? { max_age: String(Math.floor(cacheDuration / 1000)) } : {};
+}
+
 // Get prices from multiple shopping sites
 export async function getPrices(productName, productUrl = null) {
   if (USE_REAL_API) {
@@ -0,0 +1,86 @@
+/**
+ * scripts/fit-match-weights.js - Fit Matcher Weights from Match Feedback
+ *
+ * USAGE:
+ * node scripts/fit-match-weights.js [--dry-run] [--feedback path] [--out path]
+ * npm run fit:weights
+ *
+ * INPUT:
+ * Labelled pairs from POST /v1/match-feedback
+ * (MATCH_FEEDBACK_DB, default server/data/match-feedback.json)
+ *
+ * OUTPUT:
+ * Fitted title weights and match/good/excellent thresholds
+ * (MATCH_WEIGHTS_FILE, default server/data/match-weights.json), loaded by
+ * server/matcher.js on the next server start. Delete the file to go back
+ * to the hand-tuned defaults.
+ *
+ * METHOD: see server/utils/weightFitter.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFeedbackStore } = require('../server/utils/feedbackStore');
+const { fitMatchWeights } = require('../server/utils/weightFitter');
+const matchWeights = require('../server/utils/matchWeights');
+
+function parseArgs(argv) {
+  const args = { dryRun: false, feedback: null, out: matchWeights.MATCH_WEIGHTS_FILE };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--feedback') args.feedback = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+  }
+  return args;
+}
+
+function formatMetrics({ threshold, precision, recall, f1 }) {
+  return `threshold ${threshold.toFixed(3)}  precision ${precision.toFixed(3)}  recall ${recall.toFixed(3)}  F1 ${f1.toFixed(3)}`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = args.feedback ? createFeedbackStore(path.resolve(args.feedback)) : require('../server/utils/feedbackStore');
+  const pairs = store.listFeedback();
+
+  console.log(`📥 Loaded ${pairs.length} labelled pairs from ${store.filePath}`);
+
+  let fit;
+  try {
+    fit = fitMatchWeights(pairs);
+  } catch (err) {
+    if (err.code === 'NOT_ENOUGH_FEEDBACK') {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+    throw err;
+  }
+
+  const { weights, metrics } = fit;
+  console.log(`\n📐 Fitted in ${fit.rounds} round(s):`);
+  matchWeights.WEIGHT_KEYS.forEach(key => {
+    console.log(`  ${key.padEnd(14)} ${String(matchWeights.DEFAULT_MATCH_WEIGHTS[key]).padEnd(6)} → ${weights[key]}`);
+  });
+  console.log(`  thresholds     match ${weights.thresholds.match}, good ${weights.thresholds.good}, excellent ${weights.thresholds.excellent}`);
+  console.log(`\n  before: ${formatMetrics(metrics.before)}`);
+  console.log(`  after:  ${formatMetrics(metrics.after)}  (in-sample)`);
+
+  if (args.dryRun) {
+    console.log('\n(dry run, nothing written)');
+    return;
+  }
+
+  const config = {
+    ...matchWeights.WEIGHT_KEYS.reduce((picked, key) => ({ ...picked, [key]: weights[key] }), {}),
+    thresholds: weights.thresholds,
+    fitted_at: new Date().toISOString(),
+    pairs: fit.pairs,
+    metrics
+  };
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(config, null, 2));
+  console.log(`\n💾 Wrote ${args.out} (restart the server to use it)`);
+}
+
+main();
@@ -0,0 +1,130 @@
+// scripts/notifications.js - Desktop notifications for watchlist price changes
+
+import {
+  getWatchlist,
+  getNotificationSettings,
+  queueDigestAlert,
+  takeDigestAlerts
+} from './storage.js';
+
+const ALERT_PREFIX = 'price-alert:';
+const DIGEST_ID = 'price-digest';
+const ICON_URL = 'icons/icon-128.png';
+
+/**
+ * Decide whether a price update deserves a notification
+ * @param {Object} update - Result of updateProductPrice()
+ * @param {Object} settings - Notification settings
+ * @returns {Object|null} - Alert description or null
+ */
+export function getPriceAlert(update, settings) {
+  if (!update || !update.priceDropped || !settings.enabled) return null;
+
+  const { product, priceDifference } = update;
+  if (product.muted) return null;
+
+  const newPrice = product.currentPrice;
+  const oldPrice = newPrice + priceDifference;
+  const dropPercent = oldPrice > 0 ? (priceDifference / oldPrice) * 100 : 0;
+
+  const base = {
+    productId: product.id,
+    name: product.name,
+    url: product.url,
+    oldPrice,
+    newPrice,
+    dropPercent: Math.round(dropPercent * 10) / 10,
+    ts: new Date().toISOString()
+  };
+
+  // Price fell to or below the user's target
+  if (product.targetPrice && newPrice <= product.targetPrice && oldPrice > product.targetPrice) {
+    return { ...base, type: 'target', targetPrice: product.targetPrice };
+  }
+
+  if (dropPercent >= settings.dropPercent) {
+    return { ...base, type: 'drop' };
+  }
+
+  return null;
+}
+
+function formatAlertMessage(alert) {
+  if (alert.type === 'target') {
+    return `🎯 Now ₹${alert.newPrice} (target ₹${alert.targetPrice}, was ₹${alert.oldPrice})`;
+  }
+  return `💰 Down ${alert.dropPercent}%: ₹${alert.oldPrice} → ₹${alert.newPrice}`;
+}
+
+/**
+ * Notify (or queue for the daily digest) after a price update
+ * @param {Object} update - Result of updateProductPrice()
+ * @returns {Promise<Object|null>} - The alert that was raised, if any
+ */
+export async function notifyPriceChange(update) {
+  const settings = await getNotificationSettings();
+  const alert = getPriceAlert(update, settings);
+  if (!alert) return null;
+
+  if (settings.digest) {
+    await queueDigestAlert(alert);
+    return alert;
+  }
+
+  await chrome.notifications.create(`${ALERT_PREFIX}${alert.productId}`, {
+    type: 'basic',
+    iconUrl: ICON_URL,
+    title: alert.type === 'target' ? 'Target price reached!' : 'Price drop!',
+    message: formatAlertMessage(alert),
+    contextMessage: alert.name,
+    priority: 1
+  });
+
+  return alert;
+}
+
+/**
+ * Send one notification summarising all queued alerts
+ * @returns {Promise<number>} - Number of alerts included
+ */
+export async function sendDailyDigest() {
+  const alerts = await takeDigestAlerts();
+  if (alerts.length === 0) return 0;
+
+  await chrome.notifications.create(DIGEST_ID, {
+    type: 'list',
+    iconUrl: ICON_URL,
+    title: `${alerts.length} price drop${alerts.length > 1 ? 's' : ''} today`,
+    message: 'Open your watchlist to see all changes',
+    items: alerts.slice(0, 5).map(alert => ({
+      title: alert.name.substring(0, 40),
+      message: formatAlertMessage(alert)
+    })),
+    priority: 1
+  });
+
+  return alerts.length;
+}
+
+/**
+ * Open the product (or the watchlist for digests) when a notification is clicked
+ * @param {string} notificationId
+ */
+export async function handleNotificationClick(notificationId) {
+  let url = null;
+
+  if (notificationId === DIGEST_ID) {
+    url = chrome.runtime.getURL('watchlist.html');
+  } else if (notificationId.startsWith(ALERT_PREFIX)) {
+    const productId = notificationId.slice(ALERT_PREFIX.length);
+    const watchlist = await getWatchlist();
+    url = watchlist.find(p => p.id === productId)?.url || null;
+  } else {
+    return;
+  }
+
+  if (url) {
+    await chrome.tabs.create({ url });
+  }
+  await chrome.notifications.clear(notificationId);
+}
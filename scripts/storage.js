@@ -1,6 +1,15 @@
 
 const WATCHLIST_KEY = 'smartshopper_watchlist';
 const PRICE_HISTORY_KEY = 'smartshopper_price_history';
+const NOTIFICATION_SETTINGS_KEY = 'smartshopper_notification_settings';
+const DIGEST_QUEUE_KEY = 'smartshopper_digest_queue';
+
+// Defaults for price-drop notifications
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  dropPercent: 10, // Notify when price drops by at least this much
+  digest: false    // Collect alerts into one daily notification
+};
 
 // Generic storage functions
 export function setItem(key, value) {
@@ -52,6 +61,7 @@ export async function addToWatchlist(product) {
       priceHistory: product.priceHistory || [],
       site: product.site || 'Unknown',
       imageUrl: product.imageUrl || null,
+      muted: product.muted || false,
       active: true
     };
 
@@ -137,6 +147,8 @@ export async function updateProductPrice(productId, newPrice) {
     // Update price and history
     product.currentPrice = newPrice;
     product.lastChecked = new Date().toISOString();
+    product.lastError = null;
+    product.failedChecks = 0;
     
     // Update lowest price if applicable
     if (newPrice < product.lowestPrice) {
@@ -174,6 +186,33 @@ export async function updateProductPrice(productId, newPrice) {
   }
 }
 
+/**
+ * Record a failed price check on a watchlist product
+ * @param {string} productId - Product ID or URL
+ * @param {string} message - Error description
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function recordPriceCheckError(productId, message) {
+  try {
+    const watchlist = await getWatchlist();
+    const product = watchlist.find(p => p.id === productId || p.url === productId);
+
+    if (!product) {
+      return false;
+    }
+
+    product.lastChecked = new Date().toISOString();
+    product.lastError = message;
+    product.failedChecks = (product.failedChecks || 0) + 1;
+
+    await setItem(WATCHLIST_KEY, watchlist);
+    return true;
+  } catch (err) {
+    console.error('recordPriceCheckError error:', err);
+    return false;
+  }
+}
+
 /**
  * Clear entire watchlist
  * @returns {Promise<boolean>}
@@ -212,3 +251,72 @@ export async function getWatchlistStats() {
     return { totalProducts: 0, activeProducts: 0, totalSavings: 0, productsWithDrops: 0 };
   }
 }
+
+// Notification settings and digest queue
+
+/**
+ * Mute or unmute price notifications for one product
+ * @param {string} productId - Product ID or URL
+ * @param {boolean} muted
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function setProductMuted(productId, muted) {
+  try {
+    const watchlist = await getWatchlist();
+    const product = watchlist.find(p => p.id === productId || p.url === productId);
+
+    if (!product) {
+      return false;
+    }
+
+    product.muted = muted;
+    await setItem(WATCHLIST_KEY, watchlist);
+    return true;
+  } catch (err) {
+    console.error('setProductMuted error:', err);
+    return false;
+  }
+}
+
+/**
+ * Get notification settings merged with defaults
+ * @returns {Promise<Object>} - { enabled, dropPercent, digest }
+ */
+export async function getNotificationSettings() {
+  const saved = await getItem(NOTIFICATION_SETTINGS_KEY);
+  return { ...DEFAULT_NOTIFICATION_SETTINGS, ...(saved || {}) };
+}
+
+/**
+ * Save (partial) notification settings
+ * @param {Object} changes - Any of { enabled, dropPercent, digest }
+ * @returns {Promise<Object>} - Updated settings
+ */
+export async function saveNotificationSettings(changes) {
+  const settings = { ...(await getNotificationSettings()), ...changes };
+  await setItem(NOTIFICATION_SETTINGS_KEY, settings);
+  return settings;
+}
+
+/**
+ * Queue an alert for the next daily digest
+ * @param {Object} alert
+ * @returns {Promise<boolean>}
+ */
+export async function queueDigestAlert(alert) {
+  const queue = (await getItem(DIGEST_QUEUE_KEY)) || [];
+  // Keep only the latest alert per product
+  const filtered = queue.filter(a => a.productId !== alert.productId);
+  filtered.push(alert);
+  return setItem(DIGEST_QUEUE_KEY, filtered);
+}
+
+/**
+ * Return and clear all queued digest alerts
+ * @returns {Promise<Array>}
+ */
+export async function takeDigestAlerts() {
+  const queue = (await getItem(DIGEST_QUEUE_KEY)) || [];
+  await setItem(DIGEST_QUEUE_KEY, []);
+  return queue;
+}
@@ -0,0 +1,133 @@
+/**
+ * server/bench/blocking.js - Candidate blocking benchmark
+ *
+ * PURPOSE:
+ * Builds a deterministic synthetic catalog (default 100k items), indexes it
+ * with createMatchIndex and matches perturbed catalog titles against it with
+ * matchInCatalog. Reports index build time, query time, how many candidates
+ * blocking lets through, blocking recall (the item a query came from is among
+ * the candidates) and agreement with brute-force findBestMatch on a few
+ * queries.
+ *
+ * USAGE:
+ * ```bash
+ * node server/bench/blocking.js [items] [queries]   # default 100000 items, 200 queries
+ * npm run bench:blocking
+ * ```
+ */
+
+const { createMatchIndex, matchInCatalog, findBestMatch, setLogLevel } = require('../matcher');
+
+const BRUTE_FORCE_QUERIES = 3;
+
+const BRANDS = [
+  'Samsung', 'Apple', 'OnePlus', 'Xiaomi', 'Realme', 'Sony', 'boAt', 'JBL', 'Lenovo', 'Dell',
+  'HP', 'Asus', 'Nike', 'Adidas', 'Puma', 'Skechers', 'Levis', 'Amul', 'Tata', 'Nestle'
+];
+const TYPES = [
+  'Smartphone', 'Wireless Headphones', 'Bluetooth Speaker', 'Laptop', 'Smart Watch',
+  'Running Shoes', 'Slim Fit Jeans', 'Cotton T-Shirt', 'Instant Noodles', 'Green Tea'
+];
+const COLOURS = ['Black', 'White', 'Blue', 'Red', 'Green', 'Grey', 'Silver', 'Gold'];
+const VARIANTS = ['64GB', '128GB', '256GB', '8GB RAM', 'Size 8', 'Size 10', '500 g', '1 kg', 'Pack of 2', ''];
+const SYLLABLES = ['ka', 'zo', 'ri', 'ven', 'tor', 'lix', 'mu', 'qua', 'sen', 'dra', 'pel', 'nox', 'vi', 'ro', 'tem', 'gal'];
+
+// Small seeded PRNG (mulberry32) so every run builds the same catalog
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function lineName(random) {
+  const word = pick(random, SYLLABLES) + pick(random, SYLLABLES) + (random() < 0.5 ? pick(random, SYLLABLES) : '');
+  return word[0].toUpperCase() + word.slice(1);
+}
+
+function buildCatalog(size, random) {
+  const lines = Array.from({ length: 2000 }, () => lineName(random));
+  return Array.from({ length: size }, (_, i) => {
+    const brand = pick(random, BRANDS);
+    const line = pick(random, lines);
+    const number = 1 + Math.floor(random() * 99);
+    const variant = pick(random, VARIANTS);
+    const model = random() < 0.3 ? `${brand.slice(0, 2).toUpperCase()}${1000 + Math.floor(random() * 9000)}X` : null;
+    const parts = [brand, line, number, pick(random, TYPES), model, `(${pick(random, COLOURS)}${variant ? `, ${variant}` : ''})`];
+    return {
+      site: i % 2 === 0 ? 'amazon' : 'flipkart',
+      site_id: `syn-${i}`,
+      title: parts.filter(Boolean).join(' '),
+      price_cents: 10000 + Math.floor(random() * 1000000)
+    };
+  });
+}
+
+// The same product as another site would list it: different case, one word dropped
+function perturb(title, random) {
+  const words = title.split(' ');
+  const drop = 1 + Math.floor(random() * (words.length - 1));
+  return words.filter((_, i) => i !== drop).join(' ').toLowerCase();
+}
+
+function ms(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function main() {
+  const size = Number(process.argv[2]) || 100000;
+  const queryCount = Number(process.argv[3]) || 200;
+  const random = createRandom(42);
+  setLogLevel('silent');
+
+  console.log(`\n📊 Blocking benchmark (${size} items, ${queryCount} queries)\n`);
+
+  let start = process.hrtime.bigint();
+  const catalog = buildCatalog(size, random);
+  console.log(`  catalog generated     ${ms(start).toFixed(0).padStart(8)} ms`);
+
+  start = process.hrtime.bigint();
+  const index = createMatchIndex(catalog);
+  const heapMb = process.memoryUsage().heapUsed / 1024 / 1024;
+  console.log(`  index built           ${ms(start).toFixed(0).padStart(8)} ms  (heap ${heapMb.toFixed(0)} MB)`);
+
+  const queries = Array.from({ length: queryCount }, () => {
+    const item = pick(random, catalog);
+    return { item, source: { site: 'myntra', title: perturb(item.title, random) } };
+  });
+
+  let blockedTotal = 0;
+  let recalled = 0;
+  let found = 0;
+  start = process.hrtime.bigint();
+  const results = queries.map(({ item, source }) => {
+    const result = matchInCatalog(source, index);
+    blockedTotal += result.blocking.candidates;
+    if (result.allScores.some(entry => entry.site_id === item.site_id)) recalled++;
+    if (result.best === item) found++;
+    return result;
+  });
+  console.log(`  query (block + score) ${(ms(start) / queryCount).toFixed(2).padStart(8)} ms/query`);
+  console.log(`  candidates scored     ${(blockedTotal / queryCount).toFixed(1).padStart(8)} per query (of ${size})`);
+  console.log(`  blocking recall       ${((recalled / queryCount) * 100).toFixed(1).padStart(7)}%`);
+  console.log(`  original item best    ${((found / queryCount) * 100).toFixed(1).padStart(7)}%`);
+
+  console.log(`\nBrute force (findBestMatch over all ${size} items, ${BRUTE_FORCE_QUERIES} queries):`);
+  let agree = 0;
+  start = process.hrtime.bigint();
+  queries.slice(0, BRUTE_FORCE_QUERIES).forEach(({ source }, i) => {
+    const brute = findBestMatch(source, catalog);
+    if (brute.score === results[i].score) agree++;
+  });
+  console.log(`  query                 ${(ms(start) / BRUTE_FORCE_QUERIES).toFixed(0).padStart(8)} ms/query`);
+  console.log(`  same best score       ${agree}/${BRUTE_FORCE_QUERIES}\n`);
+}
+
+main();
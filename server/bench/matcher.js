@@ -0,0 +1,71 @@
+/**
+ * server/bench/matcher.js - Matcher benchmark
+ *
+ * PURPOSE:
+ * Runs findBestMatch over the labelled cases in tests/fixtures/match-benchmark/
+ * (see utils/matchBenchmark.js for the format) and reports precision, recall
+ * and F1 at several thresholds, plus every case the matcher got wrong. Run it
+ * before and after changing server/matcher.js.
+ *
+ * USAGE:
+ * ```bash
+ * node server/bench/matcher.js [--thresholds 0.4,0.6,0.8] [--category fashion] [--dir path] [--json]
+ * npm run bench:matcher
+ * ```
+ */
+
+const { loadBenchmark, runBenchmark, BENCHMARK_DIR } = require('../utils/matchBenchmark');
+const { MATCH_WEIGHTS, setLogLevel } = require('../matcher');
+
+function parseArgs(argv) {
+  const args = { thresholds: null, category: null, dir: BENCHMARK_DIR, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--thresholds') args.thresholds = argv[++i].split(',').map(Number).filter(n => n >= 0 && n <= 1);
+    else if (argv[i] === '--category') args.category = argv[++i];
+    else if (argv[i] === '--dir') args.dir = argv[++i];
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { match, good, excellent } = MATCH_WEIGHTS.thresholds;
+  const thresholds = args.thresholds && args.thresholds.length > 0
+    ? args.thresholds
+    : Array.from(new Set([match, good, excellent]));
+  const cases = loadBenchmark(args.dir, { category: args.category });
+
+  // Keep the report readable
+  setLogLevel('silent');
+  const report = runBenchmark(cases, { thresholds });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const categories = Array.from(new Set(cases.map(benchmarkCase => benchmarkCase.category)));
+  console.log(`Matcher benchmark: ${report.cases} cases (${categories.join(', ')})\n`);
+  console.log('threshold  precision  recall      F1    tp  fp  fn  tn');
+  report.thresholds.forEach(row => {
+    console.log(`${row.threshold.toFixed(2).padStart(9)}  ${pct(row.precision)}    ${pct(row.recall)} ${pct(row.f1)}  ${String(row.tp).padStart(3)} ${String(row.fp).padStart(3)} ${String(row.fn).padStart(3)} ${String(row.tn).padStart(3)}`);
+  });
+
+  console.log(`\nConfusion at ${thresholds[0]} (${report.confusion.length} case(s)):`);
+  report.confusion.forEach(entry => {
+    console.log(`\n  ✗ [${entry.category}] ${entry.id} - ${entry.kind}`);
+    console.log(`    source:   ${entry.source}`);
+    console.log(`    expected: ${entry.expected ? `${entry.expected.title} (${entry.expected_score})` : 'no match'}`);
+    if (entry.picked) {
+      console.log(`    picked:   ${entry.picked.title} (${entry.picked_score})`);
+      console.log(`              ${entry.picked_reason}`);
+    }
+  });
+}
+
+main();
@@ -0,0 +1,96 @@
+/**
+ * server/bench/phash.js - Image hash benchmark
+ *
+ * PURPOSE:
+ * Times the separable pHash DCT against the naive O(N⁴) 2D DCT it replaced,
+ * each hash algorithm on the test fixtures, and Hamming distance.
+ *
+ * USAGE:
+ * ```bash
+ * node server/bench/phash.js [iterations]   # default 200
+ * npm run bench:phash
+ * ```
+ */
+
+const path = require('path');
+const phash = require('../phash');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'images');
+const FIXTURES = ['phone.pgm', 'phone-large.pgm', 'phone-bright.pgm', 'shoe.pgm'];
+
+// The original full 2D DCT, for comparison
+function naiveDct2D(pixels, n) {
+  const dct = new Float64Array(n * n);
+  for (let u = 0; u < n; u++) {
+    for (let v = 0; v < n; v++) {
+      let sum = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          const cu = u === 0 ? Math.sqrt(1 / n) : Math.sqrt(2 / n);
+          const cv = v === 0 ? Math.sqrt(1 / n) : Math.sqrt(2 / n);
+          sum += pixels[i * n + j] *
+                 Math.cos((2 * i + 1) * u * Math.PI / (2 * n)) *
+                 Math.cos((2 * j + 1) * v * Math.PI / (2 * n)) *
+                 cu * cv;
+        }
+      }
+      dct[u * n + v] = sum;
+    }
+  }
+  return dct;
+}
+
+function time(label, iterations, fn) {
+  fn();
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i++) fn();
+  const totalMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`  ${label.padEnd(28)} ${(totalMs / iterations).toFixed(4).padStart(10)} ms/op`);
+  return totalMs / iterations;
+}
+
+async function main() {
+  const iterations = Number(process.argv[2]) || 200;
+  const pixels = Float64Array.from({ length: 32 * 32 }, () => Math.random() * 255);
+
+  console.log(`\n📊 pHash benchmark (${iterations} iterations)\n`);
+
+  console.log('DCT (32x32):');
+  const naive = time('naive 2D DCT', Math.max(1, Math.floor(iterations / 20)), () => naiveDct2D(pixels, 32));
+  const separable = time('separable, low 8x8', iterations, () => phash.dctLowFrequencies(pixels, 32));
+  console.log(`  → ${(naive / separable).toFixed(0)}x faster\n`);
+
+  // Hashing without decode: greyscale pixels already resized
+  console.log('Hash from greyscale:');
+  Object.entries(phash.HASH_ALGORITHMS).forEach(([algorithm, size]) => {
+    const resized = pixels.subarray(0, size.width * size.height);
+    time(algorithm, iterations, () => phash.hashGreyscale(resized, algorithm));
+  });
+
+  // Full pipeline on fixtures (PGM decode + resize + hash)
+  const log = console.log;
+  console.log('\nFixtures (decode + resize + hash):');
+  const hashes = {};
+  for (const algorithm of Object.keys(phash.HASH_ALGORITHMS)) {
+    const start = process.hrtime.bigint();
+    console.log = () => {};
+    for (const fixture of FIXTURES) {
+      hashes[`${algorithm}:${fixture}`] = await phash.computeImageHash(path.join(FIXTURES_DIR, fixture), algorithm);
+    }
+    console.log = log;
+    const perImage = Number(process.hrtime.bigint() - start) / 1e6 / FIXTURES.length;
+    const distances = FIXTURES.slice(1).map(fixture =>
+      `${fixture}=${phash.hammingDistance(hashes[`${algorithm}:${FIXTURES[0]}`], hashes[`${algorithm}:${fixture}`])}`
+    );
+    console.log(`  ${algorithm.padEnd(6)} ${perImage.toFixed(3)} ms/image   distance from ${FIXTURES[0]}: ${distances.join(', ')}`);
+  }
+
+  console.log('\nHamming distance:');
+  time('nibble popcount', iterations * 100, () => phash.hammingDistance('f9b2e68a86649a61', '80803f3fd878b8c7'));
+  console.log('');
+}
+
+main().catch(err => {
+  console.error('❌ Benchmark failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * server/embeddings.js - Sentence Embeddings for Product Titles
+ *
+ * PURPOSE:
+ * Token overlap cannot tell that "Wireless Earbuds" and "TWS Earphones" are
+ * the same kind of product, or that "Running Shoes" and "Sports Sneakers"
+ * are close. Sentence embeddings can. This module turns titles into vectors
+ * for the matcher's semantic stage (see matcher.js); vectors are cached per
+ * title by utils/embeddingCache.js.
+ *
+ * PROVIDERS (EMBEDDING_PROVIDER):
+ * - local  A small CPU-only model run in-process by @xenova/transformers
+ *          (optional: npm install @xenova/transformers). EMBEDDING_MODEL
+ *          defaults to Xenova/all-MiniLM-L6-v2 (384 dimensions, ~23 MB
+ *          quantized), downloaded on first use.
+ * - http   POST EMBEDDING_URL with { model, input: [titles] }, answered as
+ *          { data: [{ embedding: [...] }] }: the OpenAI-compatible shape of
+ *          local servers (Ollama, llama.cpp, text-embeddings-inference) and of
+ *          the stand-in in mock/embeddingServer.js (npm run mock:embeddings).
+ * - none   (default) no embeddings; the semantic stage is skipped
+ *
+ * USAGE:
+ * ```javascript
+ * const { createEmbedder, cosineSimilarity } = require('./embeddings');
+ *
+ * const embedder = createEmbedder({ provider: 'http', url: 'http://localhost:4020/v1/embeddings' });
+ * const [a, b] = await embedder.embed(['boAt Airdopes 141 TWS Earbuds', 'boAt Airdopes 141 Bluetooth Earphones']);
+ * cosineSimilarity(a, b); // → 0.87
+ * ```
+ */
+
+const fetch = require('node-fetch');
+
+const PROVIDERS = ['none', 'local', 'http'];
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const LOCAL_PACKAGE = '@xenova/transformers';
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} -1..1 (0 for empty or mismatched vectors)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+function isLocalModelInstalled() {
+  try {
+    require.resolve(LOCAL_PACKAGE);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Embed with a model run in-process (loaded once, on first use)
+ * @param {string} model
+ * @returns {Function} texts → Promise<number[][]>
+ */
+function localEmbed(model) {
+  let extractor = null;
+  return async texts => {
+    if (!extractor) {
+      // ESM-only package
+      extractor = import(LOCAL_PACKAGE).then(({ pipeline }) => pipeline('feature-extraction', model, { quantized: true }));
+      extractor.catch(() => { extractor = null; });
+    }
+    const output = await (await extractor)(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  };
+}
+
+/**
+ * Embed with an OpenAI-compatible HTTP endpoint
+ * @param {string} url
+ * @param {string} model
+ * @param {Function} fetchImpl
+ * @returns {Function} texts → Promise<number[][]>
+ */
+function httpEmbed(url, model, fetchImpl) {
+  return async texts => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: texts })
+    });
+    if (!response.ok) {
+      throw new Error(`Embedding endpoint returned HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    const vectors = (body.data || []).map(entry => entry.embedding);
+    if (vectors.length !== texts.length || vectors.some(vector => !Array.isArray(vector))) {
+      throw new Error(`Embedding endpoint returned ${vectors.length} vectors for ${texts.length} texts`);
+    }
+    return vectors;
+  };
+}
+
+/**
+ * Create a title embedder
+ * @param {Object} options
+ * @param {string} options.provider - 'none' | 'local' | 'http'
+ * @param {string} options.url - Endpoint for 'http'
+ * @param {string} options.model - Model name (local model id, or passed to the endpoint)
+ * @param {Function} options.fetchImpl - fetch (tests)
+ * @returns {{provider: string, model: string|null, available: boolean, embed: Function}}
+ * @throws {Error} err.code = 'INVALID_EMBEDDING_PROVIDER' for an unknown provider or 'http' without a URL
+ */
+function createEmbedder({ provider = 'none', url, model, fetchImpl = fetch } = {}) {
+  if (!PROVIDERS.includes(provider) || (provider === 'http' && !url)) {
+    const err = new Error(provider === 'http'
+      ? 'EMBEDDING_URL is required for the http embedding provider'
+      : `Unknown embedding provider: ${provider} (use ${PROVIDERS.join(', ')})`);
+    err.code = 'INVALID_EMBEDDING_PROVIDER';
+    throw err;
+  }
+
+  if (provider === 'local') {
+    const localModel = model || DEFAULT_LOCAL_MODEL;
+    const available = isLocalModelInstalled();
+    if (!available) {
+      console.warn(`[Embeddings] ${LOCAL_PACKAGE} not installed. Install with: npm install ${LOCAL_PACKAGE}`);
+    }
+    return { provider, model: localModel, available, embed: localEmbed(localModel) };
+  }
+
+  if (provider === 'http') {
+    return { provider, model: model || null, available: true, embed: httpEmbed(url, model, fetchImpl) };
+  }
+
+  return {
+    provider,
+    model: null,
+    available: false,
+    embed: async () => {
+      throw new Error('Embeddings are disabled (EMBEDDING_PROVIDER=none)');
+    }
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_LOCAL_MODEL,
+  cosineSimilarity,
+  createEmbedder
+};
@@ -5,10 +5,14 @@ const cors = require('cors');
 const priceRoutes = require('./routes/priceRoutes');
 const trendRoutes = require('./routes/trendRoutes');
 const scraper = require('./utils/scraper');
+const trackStore = require('./utils/trackStore');
+const { createAlertEvaluator } = require('./utils/alertEvaluator');
 
 // New v1 API routes
 const priceV1Routes = require('./routes/price');
 const searchRoutes = require('./routes/search-crosssite');
+const similarImagesRoutes = require('./routes/similar-images');
+const matchFeedbackRoutes = require('./routes/match-feedback');
 
 const app = express();
 
@@ -22,6 +26,8 @@ app.use(bodyParser.json());
 // V1 API Routes (new canonical endpoints)
 app.use('/v1', priceV1Routes);
 app.use('/v1', searchRoutes);
+app.use('/v1', similarImagesRoutes);
+app.use('/v1', matchFeedbackRoutes);
 
 // Legacy API Routes
 app.use('/api/prices', priceRoutes);
@@ -37,11 +43,16 @@ app.get('/', (req, res) => res.json({
   endpoints: [
     'GET /v1/price - Get price data for product (new)',
     'GET /v1/search-crosssite - Find matches across sites (new)',
+    'GET /v1/search-crosssite/stream - Same search as Server-Sent Events',
+    'GET /v1/similar-images - Products with a near-duplicate image hash',
+    'POST /v1/match-feedback - Mark a cross-site match as right or wrong',
     'GET /healthz - Health check',
     'POST /api/prices - Get prices from multiple sites (legacy)',
     'POST /api/trend - Get price trends (legacy)',
     'POST /api/price-history - Get historical prices (legacy)',
-    'POST /api/track - Track product for alerts (legacy)'
+    'POST /api/track - Track product for alerts (legacy)',
+    'GET /api/track - List tracked products',
+    'PATCH /api/track/:id - Update target price or pause tracking'
   ]
 }));
 
@@ -71,9 +82,18 @@ const server = app.listen(port, () => {
   console.log(`🤖 Puppeteer scraper initialized`);
 });
 
+// Scheduled re-scrape of tracked products (price alerts)
+const alertEvaluator = createAlertEvaluator({
+  store: trackStore,
+  scrapeSite: scraper.scrapeSite,
+  intervalMs: Number(process.env.TRACK_CHECK_INTERVAL_MS) || undefined
+});
+alertEvaluator.start();
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  alertEvaluator.stop();
   await scraper.cleanup();
   server.close(() => {
     console.log('✅ Server closed');
@@ -83,6 +103,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 SIGTERM received, shutting down...');
+  alertEvaluator.stop();
   await scraper.cleanup();
   server.close(() => {
     console.log('✅ Server closed');
@@ -6,9 +6,47 @@
  * Uses multi-stage approach: exact match → fuzzy match → semantic match.
  * 
  * ALGORITHM:
- * 1. Exact model number match → score 1.0 (immediate best)
- * 2. Title normalization + Jaccard token overlap → score 0.5-0.95
- * 3. Optional Fuse.js fuzzy fallback → score 0.4-0.8
+ * 0. Validated GTIN (EAN/UPC barcode) equality → score 1.0, definitive: it
+ *    identifies the exact variant, so no later stage can lower it
+ * 1. Model number match → score 1.0 (immediate best, unless variant attributes
+ *    or brands conflict). Model numbers are parsed per brand grammar and match
+ *    exactly or by family, i.e. without region / colour suffix
+ *    (utils/modelNumbers.js)
+ * 2. Title normalization (any script: Devanagari romanized, Hinglish / Hindi
+ *    words mapped to one token, see utils/textNormalizer.js)
+ *    + Jaccard token overlap → score 0.5-0.95; +0.1 when the
+ *    brands (explicit, or inferred from the title via shared/brands.js) agree.
+ *    These constants come from MATCH_WEIGHTS (utils/matchWeights.js): defaults,
+ *    or weights fitted from match feedback by scripts/fit-match-weights.js
+ * 3. Optional image similarity: with pHashes for both images (options.imageHashes,
+ *    see utils/imageHashCache.js) the score is blended with IMAGE_WEIGHT ×
+ *    (1 - distance / IMAGE_MAX_DISTANCE); without them the stage is skipped
+ * 4. Optional semantic similarity: when the score so far is ambiguous (from the
+ *    match threshold up to SEMANTIC_CONFIDENT_SCORE) and both titles have
+ *    embeddings (options.embeddings, see embeddings.js and
+ *    utils/embeddingCache.js), it is blended with EMBEDDING_WEIGHT × cosine
+ *    similarity; confident lexical scores are left alone
+ * 5. Variant attributes (storage, RAM, colour, size, pack, quantity, year): small
+ *    bonus per match; a storage/RAM/size/pack/quantity conflict multiplies the score by
+ *    HARD_CONFLICT_FACTOR (always below the 0.4 match threshold), colour and
+ *    year conflicts subtract SOFT_CONFLICT_PENALTIES
+ * 6. Brand conflict: different brands multiply the score by BRAND_CONFLICT_FACTOR
+ * 7. Listing classifier (utils/listingClassifier.js): accessories, renewed /
+ *    refurbished / open-box units and price outliers are flagged; flagged
+ *    candidates keep their score in allScores but are never picked as best
+ *    unless options.includeFlagged is set. Packs and combos the source is not
+ *    (utils/bundleDetector.js) are only marked: allScores[].bundle
+ * 
+ * LARGE CATALOGS:
+ * findBestMatch scores every candidate it is given. To match against a stored
+ * catalog, build a blocking index once (createMatchIndex, see
+ * utils/candidateIndex.js) and call matchInCatalog: only the candidates
+ * sharing a GTIN, model number or rare title tokens with the source are scored.
+ * 
+ * LOGGING (MATCHER_LOG_LEVEL, setLogLevel() or options.logLevel):
+ * - silent: nothing
+ * - info (default): one summary per findBestMatch call
+ * - debug: also one line per scored candidate
  * 
  * USAGE:
  * ```javascript
@@ -25,56 +63,58 @@
  * ```
  */
 
-// Optional: Fuse.js for fuzzy matching (install if needed: npm install fuse.js)
-let Fuse;
-try {
-  Fuse = require('fuse.js');
-} catch (e) {
-  console.warn('[Matcher] Fuse.js not installed, using basic matching only');
-}
+const { extractAttributes, compareAttributes, formatAttribute } = require('./utils/attributes');
+const { classifyListing, referencePrice } = require('./utils/listingClassifier');
+const { phashHammingDistance, isProductImage } = require('./phash');
+const { cosineSimilarity } = require('./embeddings');
+const { normalizeGtin } = require('../shared/identifiers');
+const { brandOf, sameBrand } = require('../shared/brands');
+const { loadMatchWeights } = require('./utils/matchWeights');
+const { createCandidateIndex } = require('./utils/candidateIndex');
+const { extractModelNumbers, matchModelNumbers } = require('./utils/modelNumbers');
+const { normalizeText, canonicalToken, HINDI_STOPWORDS } = require('./utils/textNormalizer');
 
-/**
- * Normalize text for comparison
- * @param {string} text 
- * @returns {string}
- */
-function normalizeText(text) {
-  if (!text) return '';
-  
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ') // Remove punctuation
-    .replace(/\s+/g, ' ')      // Collapse whitespace
-    .trim();
-}
+// Different storage/RAM/size/pack/quantity is a different product: multiply by this
+// per conflict (keeps candidates ordered, but never above 0.3)
+const HARD_CONFLICT_ATTRIBUTES = ['storage', 'ram', 'size', 'pack', 'quantity'];
+const HARD_CONFLICT_FACTOR = 0.3;
 
-/**
- * Extract model numbers from text
- * Common patterns: ABC123XY, ABC-123-XY, MLPF3HN/A, 123ABC, etc.
- * @param {string} text 
- * @returns {string[]}
- */
-function extractModelNumbers(text) {
-  if (!text) return [];
-  
-  const patterns = [
-    /\b[A-Z]{2,}\d{2,}[A-Z]{0,2}(?:\/[A-Z]+)?\b/g,  // ABC123XY or MLPF3HN/A
-    /\b[A-Z]{2,}-\d{2,}-[A-Z]{0,2}\b/g,              // ABC-123-XY
-    /\b\d{2,}[A-Z]{2,}\b/g,                          // 123ABC
-    /\b[A-Z]\d{3,}[A-Z]?(?:\/[A-Z]+)?\b/g            // A1234B or A1234/B
-  ];
-  
-  const models = new Set();
-  
-  for (const pattern of patterns) {
-    const matches = text.match(pattern);
-    if (matches) {
-      matches.forEach(m => models.add(m.replace(/[-]/g, '')));  // Keep slashes, remove dashes
-    }
-  }
-  
-  return Array.from(models);
-}
+// Colour and model year differences are subtracted instead
+const SOFT_CONFLICT_PENALTIES = {
+  colour: 0.25,
+  year: 0.3
+};
+
+// A different brand is a different product ("Mi Band 7" vs "Fire-Boltt Band 7")
+const BRAND_CONFLICT_FACTOR = 0.3;
+
+// Score added per matching attribute
+const ATTRIBUTE_MATCH_BONUS = 0.03;
+
+// Share of the score taken from image similarity when both images are hashed.
+// pHashes of unrelated images differ in ~32 of 64 bits, so that counts as 0.
+const IMAGE_WEIGHT = 0.2;
+const IMAGE_MAX_DISTANCE = 32;
+
+// Share of the score taken from title embedding similarity, only for scores
+// below SEMANTIC_CONFIDENT_SCORE: token overlap that high needs no second opinion
+const EMBEDDING_WEIGHT = 0.3;
+const SEMANTIC_CONFIDENT_SCORE = 0.85;
+
+// Title-stage weights and match thresholds (fitted file if present, else defaults)
+const MATCH_WEIGHTS = loadMatchWeights();
+
+const LOG_LEVELS = { silent: 0, info: 1, debug: 2 };
+let logLevel = process.env.MATCHER_LOG_LEVEL in LOG_LEVELS ? process.env.MATCHER_LOG_LEVEL : 'info';
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+  'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+  ...HINDI_STOPWORDS
+]);
+
+// Title-stage keywords worth a bonus when both titles have them
+const SIGNIFICANT_KEYWORDS = ['pro', 'max', 'plus', 'ultra', 'mini'];
 
 /**
  * Calculate Jaccard similarity between two token sets
@@ -91,90 +131,258 @@ function jaccardSimilarity(set1, set2) {
 
 /**
  * Tokenize text into meaningful words (skip stopwords)
+ * Any script; Devanagari is romanized and spellings / Hindi words are mapped
+ * to one token each (utils/textNormalizer.js), so "लाल साड़ी" and "Red Saree" share tokens
  * @param {string} text 
  * @returns {Set<string>}
  */
 function tokenize(text) {
-  const stopwords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-    'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been'
-  ]);
-  
   const normalized = normalizeText(text);
-  const tokens = normalized.split(/\s+/).filter(t => t.length > 1 && !stopwords.has(t));
+  const tokens = normalized.split(/\s+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t))
+    .map(canonicalToken);
   
   return new Set(tokens);
 }
 
+/**
+ * Set the matcher's log level
+ * @param {string} level - 'silent' | 'info' | 'debug'
+ */
+function setLogLevel(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown matcher log level: ${level} (use ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  logLevel = level;
+}
+
+function getLogLevel() {
+  return logLevel;
+}
+
+function log(level, current, ...args) {
+  if (LOG_LEVELS[level] <= LOG_LEVELS[current]) {
+    console.log(...args);
+  }
+}
+
+function uniqueModels(models) {
+  return models.filter((model, i) => models.findIndex(other => other.code === model.code) === i);
+}
+
+// Derived data per product object, so catalog items are tokenized once however often they are scored
+const featureCache = new WeakMap();
+
+/**
+ * Tokens, model numbers, brand, attributes and keywords of a product (cached)
+ * @param {Object} product - { title, model?, brand?, attributes? }
+ * @returns {{tokens: Set<string>, models: Object[], brand: string|null, attributes: Object, keywords: string[]}}
+ */
+function productFeatures(product) {
+  const cached = featureCache.get(product);
+  if (cached && cached.title === product.title && cached.model === product.model) {
+    return cached;
+  }
+  
+  const brand = brandOf(product);
+  const tokens = tokenize(product.title);
+  const features = {
+    title: product.title,
+    model: product.model,
+    tokens,
+    models: uniqueModels([
+      ...extractModelNumbers(product.model, { brand, explicit: true }),
+      ...extractModelNumbers(product.title, { brand })
+    ]),
+    brand,
+    attributes: product.attributes || extractAttributes(product.title),
+    // Whole tokens only: "improved" or "maximum" is not "pro" or "max"
+    keywords: SIGNIFICANT_KEYWORDS.filter(kw => tokens.has(kw))
+  };
+  featureCache.set(product, features);
+  return features;
+}
+
+/**
+ * Image similarity from pHashes, or null when either image is not hashed
+ * (or is a placeholder, see phash.isProductImage)
+ * @param {Object} source - { image? }
+ * @param {Object} candidate - { image? }
+ * @param {Map<string, string>} imageHashes - image URL → pHash
+ * @returns {{distance: number, similarity: number}|null}
+ */
+function imageSimilarity(source, candidate, imageHashes) {
+  if (!imageHashes || !isProductImage(source.image) || !isProductImage(candidate.image)) return null;
+  
+  const sourceHash = imageHashes.get(source.image);
+  const candidateHash = imageHashes.get(candidate.image);
+  if (!sourceHash || !candidateHash) return null;
+  
+  const distance = phashHammingDistance(sourceHash, candidateHash);
+  return {
+    distance,
+    similarity: Math.max(0, 1 - distance / IMAGE_MAX_DISTANCE)
+  };
+}
+
+/**
+ * Cosine similarity of title embeddings, or null when either title is not embedded
+ * @param {Object} source - { title }
+ * @param {Object} candidate - { title }
+ * @param {Map<string, number[]>} embeddings - title → vector
+ * @returns {number|null} 0-1 (negative similarity counts as 0)
+ */
+function semanticSimilarity(source, candidate, embeddings) {
+  if (!embeddings || !source.title || !candidate.title) return null;
+  
+  const sourceVector = embeddings.get(source.title);
+  const candidateVector = embeddings.get(candidate.title);
+  if (!sourceVector || !candidateVector) return null;
+  
+  return Math.max(0, cosineSimilarity(sourceVector, candidateVector));
+}
+
 /**
  * Score a single candidate against source
- * @param {Object} source - { title, model?, brand? }
- * @param {Object} candidate - { title, model?, brand? }
- * @returns {Object} { score: number, reason: object }
+ * @param {Object} source - { title, gtin?, model?, brand?, attributes?, image? }
+ * @param {Object} candidate - { title, gtin?, model?, brand?, attributes?, image? }
+ * @param {Object} options
+ * @param {Map<string, string>} options.imageHashes - image URL → pHash (optional image stage)
+ * @param {Map<string, number[]>} options.embeddings - title → embedding (optional semantic stage)
+ * @param {Object} options.weights - Title-stage weights (default MATCH_WEIGHTS)
+ * @returns {Object} { score: number, reason: object } (reason.attributes lists matched/conflicting attributes,
+ *   reason.brand the resolved brands, reason.image the pHash distance and score contribution when both
+ *   images were hashed, reason.semantic the cosine similarity and contribution when the semantic stage ran)
  */
-function scoreCandidate(source, candidate) {
+function scoreCandidate(source, candidate, { imageHashes, embeddings, weights = MATCH_WEIGHTS } = {}) {
   let score = 0;
   const reason = {
+    gtin_match: false,
     model_match: false,
     title_similarity: 0,
     token_overlap: 0,
+    attributes: { matched: [], conflicts: [] },
     breakdown: []
   };
   
-  // Stage 1: Exact model number match (highest priority)
+  const sourceFeatures = productFeatures(source);
+  const candidateFeatures = productFeatures(candidate);
+  
+  // Variant attributes decide whether a model match can be trusted
+  const attributes = compareAttributes(sourceFeatures.attributes, candidateFeatures.attributes);
+  reason.attributes = attributes;
+  
+  // Brands: explicit (JSON-LD, API) or inferred from the title; match is null when either is unknown
+  const sourceBrand = sourceFeatures.brand;
+  const candidateBrand = candidateFeatures.brand;
+  const brandMatch = sameBrand(sourceBrand, candidateBrand);
+  reason.brand = { source: sourceBrand, candidate: candidateBrand, match: brandMatch };
+  
+  // Stage 0: Barcode identity (check digits validated, compared as GTIN-14)
+  const sourceGtin = normalizeGtin(source.gtin);
+  const candidateGtin = normalizeGtin(candidate.gtin);
+  if (sourceGtin && candidateGtin) {
+    if (sourceGtin === candidateGtin) {
+      score = 1.0;
+      reason.gtin_match = true;
+      reason.breakdown.push(`GTIN match: ${sourceGtin}`);
+      return { score, reason };
+    }
+    // Different barcodes can still be the same product (regional / repack codes)
+    reason.breakdown.push('GTIN differs');
+  }
+  
+  // Stage 1: Model number match (exact code, or the same family in another region / colour)
   if (source.model || candidate.model) {
-    const sourceModels = extractModelNumbers(source.model || source.title);
-    const candidateModels = extractModelNumbers(candidate.model || candidate.title);
-    
-    const modelMatch = sourceModels.some(sm => 
-      candidateModels.some(cm => cm === sm || cm.includes(sm) || sm.includes(cm))
-    );
-    
+    const modelMatch = matchModelNumbers(sourceFeatures.models, candidateFeatures.models);
     if (modelMatch) {
+      reason.model = { kind: modelMatch.kind, source: modelMatch.source.code, candidate: modelMatch.candidate.code };
+    }
+    
+    if (modelMatch && attributes.conflicts.length === 0 && brandMatch !== false) {
       score = 1.0;
       reason.model_match = true;
-      reason.breakdown.push('Exact model number match');
+      reason.breakdown.push(modelMatch.kind === 'exact'
+        ? 'Exact model number match'
+        : `Model number family match: ${modelMatch.source.family} (${modelMatch.source.code} vs ${modelMatch.candidate.code})`);
       return { score, reason };
     }
+    
+    if (modelMatch && brandMatch === false) {
+      // Short model codes repeat across brands ("Buds 2", "Watch 4")
+      reason.breakdown.push('Model number match ignored: brand conflict');
+    } else if (modelMatch) {
+      // Same model code across variants (e.g. Samsung storage options)
+      reason.breakdown.push('Model number match ignored: variant conflict');
+    }
   }
   
   // Stage 2: Title token overlap (Jaccard similarity)
-  const sourceTokens = tokenize(source.title);
-  const candidateTokens = tokenize(candidate.title);
-  
-  const tokenSimilarity = jaccardSimilarity(sourceTokens, candidateTokens);
+  const tokenSimilarity = jaccardSimilarity(sourceFeatures.tokens, candidateFeatures.tokens);
   reason.token_overlap = parseFloat(tokenSimilarity.toFixed(3));
   
-  // Weight token similarity heavily (0.5-0.95 range)
-  score = 0.5 + (tokenSimilarity * 0.45);
+  // Weight token similarity heavily (0.5-0.95 range with default weights)
+  score = weights.title_base + (tokenSimilarity * weights.token_overlap);
   reason.breakdown.push(`Token overlap: ${(tokenSimilarity * 100).toFixed(1)}%`);
   
   // Bonus: Brand match
-  if (source.brand && candidate.brand) {
-    const brandMatch = normalizeText(source.brand) === normalizeText(candidate.brand);
-    if (brandMatch) {
-      score = Math.min(1.0, score + 0.1);
-      reason.breakdown.push('Brand match');
-    }
+  if (brandMatch) {
+    score = Math.min(1.0, score + weights.brand_match);
+    reason.breakdown.push(`Brand match: ${sourceBrand}`);
   }
   
   // Bonus: Significant keyword overlap (e.g., both have "256gb", "pro")
-  const significantKeywords = ['pro', 'max', 'plus', 'ultra', 'mini'];
-  const sourceKeywords = significantKeywords.filter(kw => 
-    normalizeText(source.title).includes(kw)
-  );
-  const candidateKeywords = significantKeywords.filter(kw => 
-    normalizeText(candidate.title).includes(kw)
-  );
-  
-  const keywordMatch = sourceKeywords.filter(kw => candidateKeywords.includes(kw)).length;
+  const keywordMatch = sourceFeatures.keywords.filter(kw => candidateFeatures.keywords.includes(kw)).length;
   if (keywordMatch > 0) {
-    score = Math.min(1.0, score + (keywordMatch * 0.05));
+    score = Math.min(1.0, score + (keywordMatch * weights.keyword_match));
     reason.breakdown.push(`Keyword match: ${keywordMatch}`);
   }
   
   reason.title_similarity = parseFloat(score.toFixed(3));
   
+  // Stage 3: Image similarity (before conflicts, so a similar photo of another variant stays below threshold)
+  const image = imageSimilarity(source, candidate, imageHashes);
+  if (image) {
+    const blended = score * (1 - IMAGE_WEIGHT) + image.similarity * IMAGE_WEIGHT;
+    const contribution = parseFloat((blended - score).toFixed(3));
+    score = blended;
+    reason.image = { distance: image.distance, similarity: parseFloat(image.similarity.toFixed(3)), contribution };
+    reason.breakdown.push(`Image: distance ${image.distance}/64 (${contribution >= 0 ? '+' : ''}${contribution.toFixed(3)})`);
+  }
+  
+  // Stage 4: Title embeddings, only where token overlap is inconclusive
+  const semanticFloor = (weights.thresholds || MATCH_WEIGHTS.thresholds).match;
+  const similarity = semanticSimilarity(source, candidate, embeddings);
+  if (similarity !== null && score >= semanticFloor && score < SEMANTIC_CONFIDENT_SCORE) {
+    const blended = score * (1 - EMBEDDING_WEIGHT) + similarity * EMBEDDING_WEIGHT;
+    const contribution = parseFloat((blended - score).toFixed(3));
+    score = blended;
+    reason.semantic = { similarity: parseFloat(similarity.toFixed(3)), contribution };
+    reason.breakdown.push(`Semantic: ${similarity.toFixed(2)} (${contribution >= 0 ? '+' : ''}${contribution.toFixed(3)})`);
+  }
+  
+  // Stage 5: Variant attributes
+  if (attributes.matched.length > 0) {
+    score = Math.min(1.0, score + attributes.matched.length * ATTRIBUTE_MATCH_BONUS);
+    reason.breakdown.push(`Attribute match: ${attributes.matched.join(', ')}`);
+  }
+  
+  attributes.conflicts.forEach(({ attribute, source: sourceValues, candidate: candidateValues }) => {
+    if (HARD_CONFLICT_ATTRIBUTES.includes(attribute)) {
+      score *= HARD_CONFLICT_FACTOR;
+    } else {
+      score -= SOFT_CONFLICT_PENALTIES[attribute];
+    }
+    reason.breakdown.push(`Conflict: ${attribute} ${formatAttribute(attribute, sourceValues)} vs ${formatAttribute(attribute, candidateValues)}`);
+  });
+  
+  // Stage 6: Brand conflict
+  if (brandMatch === false) {
+    score *= BRAND_CONFLICT_FACTOR;
+    reason.breakdown.push(`Brand conflict: ${sourceBrand} vs ${candidateBrand}`);
+  }
+  score = Math.max(0, score);
+  
   return { score: parseFloat(score.toFixed(3)), reason };
 }
 
@@ -182,9 +390,15 @@ function scoreCandidate(source, candidate) {
  * Find best matching product from candidates
  * @param {Object} source - Source product { title, model?, brand? }
  * @param {Array} candidates - Array of candidate products
+ * @param {Object} options
+ * @param {boolean} options.includeFlagged - Let accessory/refurbished/outlier listings be picked as best
+ * @param {Map<string, string>} options.imageHashes - image URL → pHash, see scoreCandidate
+ * @param {Map<string, number[]>} options.embeddings - title → embedding, see scoreCandidate
+ * @param {Object} options.weights - Title-stage weights, see scoreCandidate
+ * @param {string} options.logLevel - Overrides the matcher log level for this call
  * @returns {Object} { best, score, reason, allScores }
  */
-function findBestMatch(source, candidates) {
+function findBestMatch(source, candidates, { includeFlagged = false, imageHashes, embeddings, weights, logLevel: level = logLevel } = {}) {
   if (!source || !source.title) {
     throw new Error('Source must have a title');
   }
@@ -198,51 +412,120 @@ function findBestMatch(source, candidates) {
     };
   }
   
-  console.log(`[Matcher] Finding best match for: "${source.title}"`);
-  console.log(`[Matcher] Evaluating ${candidates.length} candidates`);
+  log('info', level, `[Matcher] Finding best match for: "${source.title}"`);
+  log('info', level, `[Matcher] Evaluating ${candidates.length} candidates`);
   
-  // Score all candidates
+  const referencePriceCents = referencePrice(source, candidates);
+  
+  // Score and classify all candidates (stage 7: listing classifier)
   const scored = candidates.map(candidate => {
-    const { score, reason } = scoreCandidate(source, candidate);
+    const { score, reason } = scoreCandidate(source, candidate, { imageHashes, embeddings, weights });
+    const classification = classifyListing(source, candidate, { referencePriceCents });
+    reason.classification = classification;
     
-    console.log(`[Matcher]   ${candidate.site || 'unknown'}: ${score.toFixed(3)} - "${candidate.title?.substring(0, 60)}..."`);
+    const flagNote = classification.flags.length > 0 ? ` [${classification.flags.join(', ')}]` : '';
+    log('debug', level, `[Matcher]   ${candidate.site || 'unknown'}: ${score.toFixed(3)}${flagNote} - "${candidate.title?.substring(0, 60)}..."`);
     
     return {
       candidate,
       score,
-      reason
+      reason,
+      excluded: classification.excluded && !includeFlagged
     };
   });
   
   // Sort by score (highest first)
   scored.sort((a, b) => b.score - a.score);
   
-  const best = scored[0];
+  const allScores = scored.map(s => ({
+    site: s.candidate.site,
+    site_id: s.candidate.site_id,
+    title: s.candidate.title,
+    price_cents: s.candidate.price_cents,
+    url: s.candidate.url,
+    image: s.candidate.image,
+    rating: s.candidate.rating,
+    score: s.score,
+    reason: s.reason.breakdown.concat(s.reason.classification.reasons).join(', '),
+    flags: s.reason.classification.flags,
+    bundle: s.reason.classification.bundle,
+    excluded: s.excluded
+  }));
+  
+  const best = scored.find(s => !s.excluded);
+  
+  if (!best) {
+    log('info', level, `[Matcher] ⚠️ All ${scored.length} candidates flagged (accessory, refurbished or price outlier)`);
+    return {
+      best: null,
+      score: 0,
+      reason: { error: 'All candidates flagged as accessory, refurbished or price outlier' },
+      allScores
+    };
+  }
   
-  console.log(`[Matcher] ✅ Best match: ${best.score.toFixed(3)} - ${best.candidate.site || 'unknown'}`);
-  console.log(`[Matcher]    Reason:`, best.reason.breakdown.join(', '));
+  log('info', level, `[Matcher] ✅ Best match: ${best.score.toFixed(3)} - ${best.candidate.site || 'unknown'}`);
+  log('info', level, `[Matcher]    Reason:`, best.reason.breakdown.join(', '));
   
   return {
     best: best.candidate,
     score: best.score,
     reason: best.reason,
-    allScores: scored.map(s => ({
-      site: s.candidate.site,
-      site_id: s.candidate.site_id,
-      title: s.candidate.title,
-      price_cents: s.candidate.price_cents,
-      url: s.candidate.url,
-      image: s.candidate.image,
-      rating: s.candidate.rating,
-      score: s.score,
-      reason: s.reason.breakdown.join(', ')
-    }))
+    allScores
+  };
+}
+
+/**
+ * Build a blocking index over a catalog for matchInCatalog
+ * @param {Array} items - Catalog products { title, model?, gtin?, ... }
+ * @param {Object} options - See utils/candidateIndex.js (maxDocFrequency)
+ * @returns {Object} Candidate index (add, addAll, block, size)
+ */
+function createMatchIndex(items = [], options = {}) {
+  const index = createCandidateIndex({ ...options, features: productFeatures });
+  index.addAll(items);
+  return index;
+}
+
+/**
+ * Find the best match in an indexed catalog, scoring only the blocked candidates
+ * @param {Object} source - Source product { title, model?, brand?, gtin? }
+ * @param {Object} index - From createMatchIndex
+ * @param {Object} options - findBestMatch options, plus limit (most token-blocked candidates, default 50)
+ * @returns {Object} findBestMatch result plus blocking stats { catalog, candidates, tokens_used, via }
+ */
+function matchInCatalog(source, index, { limit, ...options } = {}) {
+  if (!source || !source.title) {
+    throw new Error('Source must have a title');
+  }
+  
+  const { candidates, stats } = index.block(source, { limit });
+  log('info', options.logLevel || logLevel, `[Matcher] Blocking: ${stats.candidates} of ${stats.catalog} catalog items`);
+  
+  return {
+    ...findBestMatch(source, candidates, options),
+    blocking: stats
   };
 }
 
 module.exports = {
+  HARD_CONFLICT_ATTRIBUTES,
+  HARD_CONFLICT_FACTOR,
+  SOFT_CONFLICT_PENALTIES,
+  BRAND_CONFLICT_FACTOR,
+  IMAGE_WEIGHT,
+  MATCH_WEIGHTS,
+  IMAGE_MAX_DISTANCE,
+  EMBEDDING_WEIGHT,
+  SEMANTIC_CONFIDENT_SCORE,
+  LOG_LEVELS,
   findBestMatch,
   scoreCandidate,
+  createMatchIndex,
+  matchInCatalog,
+  productFeatures,
+  setLogLevel,
+  getLogLevel,
   normalizeText,
   extractModelNumbers,
   jaccardSimilarity,
@@ -0,0 +1,153 @@
+/**
+ * server/mock/embeddingServer.js - Local Embedding Endpoint Stand-in
+ *
+ * PURPOSE:
+ * Answer the OpenAI-compatible embeddings request that the http provider of
+ * server/embeddings.js sends, without a model download, so the matcher's
+ * semantic stage can be run end to end (and tested) on any machine.
+ *
+ * The vectors are not learned: words (normalized as the matcher does, see
+ * utils/textNormalizer.js) and their character trigrams are hashed into
+ * DIMENSIONS buckets, and words in one CONCEPTS group also share a bucket,
+ * so "TWS Earbuds" and "Bluetooth Earphones" come out close. Same input,
+ * same vector.
+ *
+ * ENDPOINTS:
+ * - POST /v1/embeddings   body { model?, input: string | string[] }
+ *   → { object: 'list', model, data: [{ object: 'embedding', index, embedding: [...] }] }
+ *
+ * USAGE:
+ * ```bash
+ * npm run mock:embeddings      # listens on MOCK_EMBEDDING_PORT (default 4020)
+ *
+ * # server/.env
+ * EMBEDDING_PROVIDER=http
+ * EMBEDDING_URL=http://localhost:4020/v1/embeddings
+ * ```
+ */
+
+const express = require('express');
+const { normalizeText, canonicalToken } = require('../utils/textNormalizer');
+
+const DIMENSIONS = 256;
+const TRIGRAM_WEIGHT = 0.5;
+const CONCEPT_WEIGHT = 1.5;
+
+// Words a real model would place near each other
+const CONCEPTS = [
+  ['earbuds', 'earphones', 'headphones', 'headset', 'tws', 'airdopes', 'buds'],
+  ['phone', 'mobile', 'smartphone', 'cellphone'],
+  ['laptop', 'notebook', 'ultrabook'],
+  ['tv', 'television', 'qled', 'oled'],
+  ['shoes', 'sneakers', 'trainers', 'footwear'],
+  ['watch', 'smartwatch', 'wristwatch'],
+  ['speaker', 'soundbar', 'boombox'],
+  ['charger', 'adapter', 'adaptor'],
+  ['saree', 'lehenga', 'kurta', 'salwar', 'dupatta']
+];
+
+const CONCEPT_MAP = new Map();
+CONCEPTS.forEach((words, i) => words.forEach(word => CONCEPT_MAP.set(word, `concept:${i}`)));
+
+// FNV-1a, 32 bit
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function addFeature(vector, feature, weight) {
+  const h = hash(feature);
+  // One bit picks the sign, so unrelated features cancel out instead of piling up
+  vector[h % DIMENSIONS] += h & 0x80000000 ? -weight : weight;
+}
+
+/**
+ * Deterministic embedding of a text
+ * @param {string} text
+ * @returns {number[]} DIMENSIONS values, L2-normalized (all zeros for empty text)
+ */
+function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+
+  normalizeText(text).split(' ').filter(Boolean).map(canonicalToken).forEach(word => {
+    addFeature(vector, `w:${word}`, 1);
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+    if (CONCEPT_MAP.has(word)) addFeature(vector, CONCEPT_MAP.get(word), CONCEPT_WEIGHT);
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Create the mock embedding app
+ * @param {Object} options
+ * @param {number} options.latencyMs - Delay every response
+ * @returns {Object} Express app
+ */
+function createMockEmbeddingServer({ latencyMs = 0 } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.post('/v1/embeddings', (req, res) => {
+    const { model = 'mock-hashed-trigrams', input } = req.body || {};
+    const texts = typeof input === 'string' ? [input] : input;
+
+    if (!Array.isArray(texts) || texts.some(text => typeof text !== 'string')) {
+      return res.status(400).json({ error: { message: 'input must be a string or an array of strings' } });
+    }
+
+    const body = {
+      object: 'list',
+      model,
+      data: texts.map((text, index) => ({ object: 'embedding', index, embedding: embedText(text) }))
+    };
+    setTimeout(() => res.json(body), latencyMs);
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - createMockEmbeddingServer options plus `port` (0 = random)
+ * @returns {Promise<{server, app, url}>}
+ */
+function startMockEmbeddingServer(options = {}) {
+  const app = createMockEmbeddingServer(options);
+  const port = options.port !== undefined ? options.port : 4020;
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      resolve({ server, app, url: `http://localhost:${server.address().port}` });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockEmbeddingServer({
+    port: Number(process.env.MOCK_EMBEDDING_PORT) || 4020
+  }).then(({ url }) => {
+    console.log(`🧪 Mock embedding endpoint running on ${url}`);
+    console.log('   EMBEDDING_PROVIDER=http');
+    console.log(`   EMBEDDING_URL=${url}/v1/embeddings`);
+  }).catch(err => {
+    console.error('Failed to start mock embedding endpoint:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DIMENSIONS,
+  createMockEmbeddingServer,
+  startMockEmbeddingServer,
+  embedText
+};
@@ -0,0 +1,260 @@
+/**
+ * server/mock/rapidapiServer.js - Local RapidAPI Stand-in
+ *
+ * PURPOSE:
+ * Serve the two RapidAPI shapes the scraper consumes, from local JSON
+ * catalogs, so searchAmazonRapidAPI / searchFlipkartRapidAPI (and
+ * loadCandidates behind /v1/search-crosssite) run without spending quota.
+ *
+ * ENDPOINTS:
+ * - GET  /amazon/search?query=...           real-time-amazon-data `/search` shape
+ *   → { status: 'OK', data: { total_products, products: [{ asin, product_title, product_price, ... }] } }
+ * - POST /flipkart/fk-product-details       real-time-flipkart-scraper bulk shape
+ *   body { urls: [...] } → [{ url, title, price, in_stock, ... } | null]
+ * - GET  /__mock/config                     current fault settings and request count
+ * - POST /__mock/config                     change fault settings (body merged in)
+ * - POST /__mock/reset                      restore settings, rate-limit window and counters
+ *
+ * FAULTS (options.faults or POST /__mock/config):
+ * - latencyMs     delay every API response
+ * - failNext      fail the next N API requests with errorStatus
+ * - errorRate     fail this fraction (0..1) of API requests with errorStatus
+ * - errorStatus   status used for simulated errors (default 500)
+ * - rateLimit     { limit, windowMs } → 429 once `limit` requests hit the window
+ *
+ * USAGE:
+ * ```bash
+ * npm run mock:rapidapi        # listens on MOCK_RAPIDAPI_PORT (default 4010)
+ *
+ * # server/.env
+ * RAPIDAPI_AMAZON_URL=http://localhost:4010/amazon
+ * RAPIDAPI_AMAZON_KEY=mock-key
+ * RAPIDAPI_FLIPKART_URL=http://localhost:4010/flipkart/fk-product-details
+ * RAPIDAPI_FLIPKART_KEY=mock-key
+ * ```
+ * Catalogs default to server/mock/catalogs/{amazon,flipkart}.json
+ * (override with MOCK_RAPIDAPI_AMAZON_CATALOG / MOCK_RAPIDAPI_FLIPKART_CATALOG).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const CATALOG_DIR = path.join(__dirname, 'catalogs');
+
+const DEFAULT_FAULTS = {
+  latencyMs: 0,
+  failNext: 0,
+  errorRate: 0,
+  errorStatus: 500,
+  rateLimit: null
+};
+
+// Catalog from a JSON file path, a { products } object or an array
+function loadCatalog(source) {
+  if (!source) return [];
+  const data = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+  return Array.isArray(data) ? data : data.products || [];
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Rank catalog products by how many query tokens their title contains
+ * (at least half of the tokens must match)
+ */
+function searchCatalog(products, query, titleField) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  return products
+    .map(product => {
+      const titleTokens = new Set(tokenize(product[titleField]));
+      const hits = tokens.filter(token => titleTokens.has(token)).length;
+      return { product, score: hits / tokens.length };
+    })
+    .filter(entry => entry.score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.product);
+}
+
+// Flipkart product for a URL (exact URL, then pid)
+function findFlipkartProduct(products, url) {
+  const pid = (String(url).match(/[?&]pid=([A-Z0-9]+)/i) || [])[1];
+  return products.find(product => product.url === url) ||
+         (pid ? products.find(product => product.pid === pid) : null) ||
+         null;
+}
+
+/**
+ * Create the mock RapidAPI express app
+ * @param {Object} options
+ * @param {Object} options.catalogs - { amazon, flipkart }: file path, object or array
+ * @param {Object} options.faults - Initial fault settings (see header)
+ * @param {string} options.apiKey - Require this x-rapidapi-key (any key when unset)
+ * @param {Function} options.random - Random source for errorRate (tests)
+ * @returns {express.Application} App with `app.locals.mock` state
+ */
+function createMockRapidApi(options = {}) {
+  const {
+    catalogs = {},
+    faults = {},
+    apiKey = null,
+    random = Math.random
+  } = options;
+
+  const amazonProducts = loadCatalog(catalogs.amazon !== undefined ? catalogs.amazon : path.join(CATALOG_DIR, 'amazon.json'));
+  const flipkartProducts = loadCatalog(catalogs.flipkart !== undefined ? catalogs.flipkart : path.join(CATALOG_DIR, 'flipkart.json'));
+
+  const state = {
+    faults: { ...DEFAULT_FAULTS, ...faults },
+    requests: 0,
+    window: { startedAt: Date.now(), count: 0 }
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.locals.mock = state;
+
+  // Fault injection and auth shared by both APIs
+  function simulate(req, res, next) {
+    state.requests++;
+    const { faults: f } = state;
+
+    if (!req.get('x-rapidapi-key') || (apiKey && req.get('x-rapidapi-key') !== apiKey)) {
+      return res.status(403).json({ message: 'You are not subscribed to this API.' });
+    }
+
+    if (f.rateLimit && f.rateLimit.limit) {
+      const windowMs = f.rateLimit.windowMs || 60000;
+      if (Date.now() - state.window.startedAt >= windowMs) {
+        state.window = { startedAt: Date.now(), count: 0 };
+      }
+      state.window.count++;
+
+      const remaining = Math.max(0, f.rateLimit.limit - state.window.count);
+      res.set('X-RateLimit-Requests-Limit', String(f.rateLimit.limit));
+      res.set('X-RateLimit-Requests-Remaining', String(remaining));
+
+      if (state.window.count > f.rateLimit.limit) {
+        const retryAfter = Math.ceil((state.window.startedAt + windowMs - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(1, retryAfter)));
+        return res.status(429).json({ message: 'You have exceeded the rate limit per minute for your plan.' });
+      }
+    }
+
+    let fail = false;
+    if (f.failNext > 0) {
+      f.failNext--;
+      fail = true;
+    } else if (f.errorRate > 0 && random() < f.errorRate) {
+      fail = true;
+    }
+
+    const respond = () => {
+      if (fail) {
+        return res.status(f.errorStatus).json({ message: 'Simulated upstream error', status: f.errorStatus });
+      }
+      next();
+    };
+
+    if (f.latencyMs > 0) {
+      setTimeout(respond, f.latencyMs);
+    } else {
+      respond();
+    }
+  }
+
+  // real-time-amazon-data: GET /search
+  app.get('/amazon/search', simulate, (req, res) => {
+    const { query, page = '1', country = 'IN' } = req.query;
+
+    if (!query) {
+      return res.status(400).json({ status: 'ERROR', error: { message: 'Missing required parameter: query' } });
+    }
+
+    const products = searchCatalog(amazonProducts, query, 'product_title');
+    res.json({
+      status: 'OK',
+      request_id: `mock-${state.requests}`,
+      parameters: { query, country, page: Number(page) },
+      data: {
+        total_products: products.length,
+        country,
+        domain: 'www.amazon.in',
+        products
+      }
+    });
+  });
+
+  // real-time-flipkart-scraper: POST { urls } → one entry per URL
+  app.post('/flipkart/fk-product-details', simulate, (req, res) => {
+    const { urls } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ message: 'Body must include a non-empty urls array' });
+    }
+
+    res.json(urls.map(url => findFlipkartProduct(flipkartProducts, url)));
+  });
+
+  app.get('/__mock/config', (req, res) => {
+    res.json({ ok: true, faults: state.faults, requests: state.requests });
+  });
+
+  app.post('/__mock/config', (req, res) => {
+    state.faults = { ...state.faults, ...(req.body || {}) };
+    res.json({ ok: true, faults: state.faults });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state.faults = { ...DEFAULT_FAULTS, ...faults };
+    state.requests = 0;
+    state.window = { startedAt: Date.now(), count: 0 };
+    res.json({ ok: true, faults: state.faults });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - createMockRapidApi options plus `port` (0 = random)
+ * @returns {Promise<{server, app, url}>}
+ */
+function startMockRapidApi(options = {}) {
+  const app = createMockRapidApi(options);
+  const port = options.port !== undefined ? options.port : 4010;
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      resolve({ server, app, url: `http://localhost:${server.address().port}` });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockRapidApi({
+    port: Number(process.env.MOCK_RAPIDAPI_PORT) || 4010,
+    catalogs: {
+      amazon: process.env.MOCK_RAPIDAPI_AMAZON_CATALOG,
+      flipkart: process.env.MOCK_RAPIDAPI_FLIPKART_CATALOG
+    }
+  }).then(({ url }) => {
+    console.log(`🧪 Mock RapidAPI running on ${url}`);
+    console.log(`   RAPIDAPI_AMAZON_URL=${url}/amazon`);
+    console.log(`   RAPIDAPI_FLIPKART_URL=${url}/flipkart/fk-product-details`);
+  }).catch(err => {
+    console.error('Failed to start mock RapidAPI:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockRapidApi,
+  startMockRapidApi,
+  searchCatalog
+};
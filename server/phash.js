@@ -1,36 +1,38 @@
 /**
- * server/phash.js - Perceptual Hash (pHash) for Image Similarity
- * 
+ * server/phash.js - Perceptual Hashes (pHash, aHash, dHash) for Image Similarity
+ *
  * PURPOSE:
  * Compute perceptual hashes for product images to find visually similar products
  * across different e-commerce sites.
- * 
- * ALGORITHM:
- * 1. Fetch image from URL
- * 2. Resize to 32x32 pixels (normalize size)
- * 3. Convert to greyscale (remove color variation)
- * 4. Apply Discrete Cosine Transform (DCT)
- * 5. Extract top-left 8x8 DCT coefficients
- * 6. Compare to median to generate 64-bit hash
- * 
+ *
+ * ALGORITHMS (all 64-bit, as 16 hex digits):
+ * - phash  Resize to 32x32 greyscale, separable DCT, keep the top-left 8x8
+ *          (low frequency) coefficients, 1 bit per coefficient above their median
+ * - ahash  Resize to 8x8 greyscale, 1 bit per pixel above the mean
+ * - dhash  Resize to 9x8 greyscale, 1 bit per pixel darker than its right neighbour
+ * pHash is the most robust to scaling and brightness changes; aHash and dHash
+ * are cheaper and good enough for near-duplicate photos.
+ *
  * DEPENDENCIES:
- * npm install sharp
- * 
+ * npm install sharp  (decodes JPEG/PNG/WebP; binary PGM files decode without it)
+ *
  * USAGE:
  * ```javascript
- * const { computePHash, phashHammingDistance } = require('./phash');
- * 
+ * const { computePHash, computeImageHash, hammingDistance } = require('./phash');
+ *
  * const hash1 = await computePHash('https://example.com/image1.jpg');
- * const hash2 = await computePHash('https://example.com/image2.jpg');
- * const similarity = phashHammingDistance(hash1, hash2);
- * 
- * if (similarity < 10) {
+ * const hash2 = await computeImageHash('https://example.com/image2.jpg', 'phash');
+ * const distance = hammingDistance(hash1, hash2);
+ *
+ * if (distance < 10) {
  *   console.log('Images are very similar');
  * }
  * ```
- * 
+ *
+ * BENCHMARK: node server/bench/phash.js
+ *
  * NOTE: This should run server-side due to CORS and CPU cost.
- * For production, cache hashes in database to avoid recomputing.
+ * Hashes are cached per image URL by utils/imageHashCache.js.
  */
 
 // Optional dependency - install with: npm install sharp
@@ -41,24 +43,43 @@ try {
   console.warn('[pHash] sharp not installed. Install with: npm install sharp');
 }
 
+const fs = require('fs');
 const https = require('https');
 const http = require('http');
 
+// Greyscale size each algorithm hashes
+const HASH_ALGORITHMS = {
+  phash: { width: 32, height: 32 },
+  ahash: { width: 8, height: 8 },
+  dhash: { width: 9, height: 8 }
+};
+
+// DCT coefficients kept per dimension by pHash (8x8 = 64 bits)
+const PHASH_LOW_FREQUENCIES = 8;
+
+// Set bits per hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// Stand-in images: every product gets the same one, so their hashes always "match"
+const PLACEHOLDER_IMAGE_HOSTS = /^https?:\/\/(?:[\w-]+\.)*(?:placeholder\.com|placehold\.co|placehold\.it|dummyimage\.com)\//i;
+const PLACEHOLDER_IMAGE_PATHS = /\/(?:[\w-]*[-_])?(?:placeholder|no[-_]?image|default[-_]?image)[\w-]*\.\w+(?:\?|$)/i;
+
 /**
  * Fetch image buffer from URL
- * @param {string} url 
+ * @param {string} url
  * @returns {Promise<Buffer>}
  */
 function fetchImage(url) {
   return new Promise((resolve, reject) => {
     const client = url.startsWith('https') ? https : http;
-    
+
     client.get(url, (res) => {
       if (res.statusCode !== 200) {
+        res.resume();
         reject(new Error(`HTTP ${res.statusCode}`));
         return;
       }
-      
+
       const chunks = [];
       res.on('data', chunk => chunks.push(chunk));
       res.on('end', () => resolve(Buffer.concat(chunks)));
@@ -68,173 +89,362 @@ function fetchImage(url) {
 }
 
 /**
- * Simplified 2D DCT (Discrete Cosine Transform)
- * @param {number[][]} matrix - 2D array of pixel values
- * @returns {number[][]} DCT coefficients
+ * Decode a binary (P5) or ASCII (P2) PGM greyscale image
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Float64Array}|null} null when not a PGM
  */
-function dct2D(matrix) {
-  const N = matrix.length;
-  const M = matrix[0].length;
-  const dct = Array(N).fill(0).map(() => Array(M).fill(0));
-  
-  for (let u = 0; u < N; u++) {
-    for (let v = 0; v < M; v++) {
+function decodePgm(buffer) {
+  const magic = buffer.toString('latin1', 0, 2);
+  if (magic !== 'P5' && magic !== 'P2') return null;
+
+  // Header: magic, width, height, maxval (whitespace separated, # comments)
+  const header = [];
+  let offset = 2;
+  while (header.length < 3) {
+    while (/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+    if (buffer[offset] === 0x23) {
+      while (buffer[offset] !== 0x0a) offset++;
+      continue;
+    }
+    const start = offset;
+    while (offset < buffer.length && !/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+    header.push(Number(buffer.toString('latin1', start, offset)));
+  }
+  offset++;
+
+  const [width, height, maxval] = header;
+  const data = new Float64Array(width * height);
+  if (magic === 'P5') {
+    const bytes = maxval > 255 ? 2 : 1;
+    for (let i = 0; i < data.length; i++) {
+      const value = bytes === 2 ? buffer.readUInt16BE(offset + i * 2) : buffer[offset + i];
+      data[i] = value * 255 / maxval;
+    }
+  } else {
+    const values = buffer.toString('latin1', offset).trim().split(/\s+/);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Number(values[i]) * 255 / maxval;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Resize greyscale pixels by area averaging
+ * @param {{width, height, data}} image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Float64Array}
+ */
+function resizeGreyscale(image, width, height) {
+  const out = new Float64Array(width * height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = y * scaleY;
+    const y1 = y0 + scaleY;
+    for (let x = 0; x < width; x++) {
+      const x0 = x * scaleX;
+      const x1 = x0 + scaleX;
       let sum = 0;
-      
-      for (let i = 0; i < N; i++) {
-        for (let j = 0; j < M; j++) {
-          const cu = u === 0 ? Math.sqrt(1/N) : Math.sqrt(2/N);
-          const cv = v === 0 ? Math.sqrt(1/M) : Math.sqrt(2/M);
-          
-          sum += matrix[i][j] * 
-                 Math.cos((2*i + 1) * u * Math.PI / (2*N)) *
-                 Math.cos((2*j + 1) * v * Math.PI / (2*M)) *
-                 cu * cv;
+      let area = 0;
+
+      for (let sy = Math.floor(y0); sy < Math.ceil(y1); sy++) {
+        const wy = Math.min(y1, sy + 1) - Math.max(y0, sy);
+        for (let sx = Math.floor(x0); sx < Math.ceil(x1); sx++) {
+          const wx = Math.min(x1, sx + 1) - Math.max(x0, sx);
+          sum += image.data[sy * image.width + sx] * wx * wy;
+          area += wx * wy;
         }
       }
-      
-      dct[u][v] = sum;
+      out[y * width + x] = sum / area;
     }
   }
-  
-  return dct;
+
+  return out;
 }
 
 /**
- * Compute perceptual hash for an image
- * @param {string} imageUrl - URL or local path to image
- * @returns {Promise<string>} 64-bit hash as hex string
+ * Load an image as resized greyscale pixels
+ * @param {string|Buffer} input - URL, local path or image bytes
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Float64Array>} Row-major, 0-255
  */
-async function computePHash(imageUrl) {
+async function loadGreyscale(input, width, height) {
+  let buffer = input;
+  if (typeof input === 'string') {
+    buffer = input.startsWith('http') ? await fetchImage(input) : fs.readFileSync(input);
+  }
+
+  const pgm = decodePgm(buffer);
+  if (pgm) {
+    return resizeGreyscale(pgm, width, height);
+  }
+
   if (!sharp) {
-    throw new Error('sharp not installed. Install with: npm install sharp');
-  }
-  
-  console.log(`[pHash] Computing hash for: ${imageUrl}`);
-  
-  try {
-    // Step 1: Fetch image
-    const imageBuffer = imageUrl.startsWith('http') 
-      ? await fetchImage(imageUrl)
-      : require('fs').readFileSync(imageUrl);
-    
-    // Step 2 & 3: Resize to 32x32 and convert to greyscale
-    const { data, info } = await sharp(imageBuffer)
-      .resize(32, 32, { fit: 'fill' })
-      .greyscale()
-      .raw()
-      .toBuffer({ resolveWithObject: true });
-    
-    // Convert 1D array to 2D matrix
-    const matrix = [];
-    for (let i = 0; i < 32; i++) {
-      matrix[i] = [];
-      for (let j = 0; j < 32; j++) {
-        matrix[i][j] = data[i * 32 + j];
+    const err = new Error('sharp not installed. Install with: npm install sharp');
+    err.code = 'SHARP_MISSING';
+    throw err;
+  }
+
+  const { data } = await sharp(buffer)
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return Float64Array.from(data);
+}
+
+// Cosine tables per DCT size: table[u * n + i] = c(u) * cos((2i + 1)uπ / 2n)
+const cosineTables = new Map();
+
+function cosineTable(n) {
+  if (!cosineTables.has(n)) {
+    const table = new Float64Array(n * n);
+    for (let u = 0; u < n; u++) {
+      const cu = u === 0 ? Math.sqrt(1 / n) : Math.sqrt(2 / n);
+      for (let i = 0; i < n; i++) {
+        table[u * n + i] = cu * Math.cos((2 * i + 1) * u * Math.PI / (2 * n));
+      }
+    }
+    cosineTables.set(n, table);
+  }
+  return cosineTables.get(n);
+}
+
+/**
+ * Low-frequency block of the 2D DCT-II of a square image, computed as a row
+ * pass then a column pass (O(n² · keep) instead of O(n⁴) for the full DCT)
+ * @param {Float64Array} pixels - n × n, row-major
+ * @param {number} n
+ * @param {number} keep - Coefficients kept per dimension
+ * @returns {Float64Array} keep × keep, row-major (u = row frequency)
+ */
+function dctLowFrequencies(pixels, n, keep = PHASH_LOW_FREQUENCIES) {
+  const cos = cosineTable(n);
+
+  // Rows: rowDct[i * keep + v] = Σj pixels[i][j] · cos[v][j]
+  const rowDct = new Float64Array(n * keep);
+  for (let i = 0; i < n; i++) {
+    for (let v = 0; v < keep; v++) {
+      let sum = 0;
+      for (let j = 0; j < n; j++) {
+        sum += pixels[i * n + j] * cos[v * n + j];
       }
+      rowDct[i * keep + v] = sum;
     }
-    
-    // Step 4: Apply DCT
-    const dct = dct2D(matrix);
-    
-    // Step 5: Extract top-left 8x8 DCT coefficients (low frequencies)
-    const dctLowFreq = [];
-    for (let i = 0; i < 8; i++) {
-      for (let j = 0; j < 8; j++) {
-        dctLowFreq.push(dct[i][j]);
+  }
+
+  // Columns: dct[u][v] = Σi cos[u][i] · rowDct[i][v]
+  const dct = new Float64Array(keep * keep);
+  for (let u = 0; u < keep; u++) {
+    for (let v = 0; v < keep; v++) {
+      let sum = 0;
+      for (let i = 0; i < n; i++) {
+        sum += cos[u * n + i] * rowDct[i * keep + v];
       }
+      dct[u * keep + v] = sum;
     }
-    
-    // Step 6: Compute median
-    const sorted = [...dctLowFreq].sort((a, b) => a - b);
+  }
+
+  return dct;
+}
+
+/**
+ * Bits (array of booleans, most significant first) as a hex string
+ * @param {boolean[]} bits - Length divisible by 4
+ * @returns {string}
+ */
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Hash already-resized greyscale pixels (see HASH_ALGORITHMS for sizes)
+ * @param {Float64Array|number[]} pixels
+ * @param {string} algorithm - 'phash', 'ahash' or 'dhash'
+ * @returns {string} 64-bit hash as hex string
+ */
+function hashGreyscale(pixels, algorithm = 'phash') {
+  const size = HASH_ALGORITHMS[algorithm];
+  if (!size) {
+    throw new Error(`Unknown hash algorithm: ${algorithm}`);
+  }
+
+  const bits = [];
+
+  if (algorithm === 'phash') {
+    const coefficients = dctLowFrequencies(pixels, size.width);
+    const sorted = Array.from(coefficients).sort((a, b) => a - b);
     const median = sorted[Math.floor(sorted.length / 2)];
-    
-    // Step 7: Generate hash (1 if > median, 0 if <= median)
-    let hash = '';
-    for (let i = 0; i < dctLowFreq.length; i++) {
-      hash += dctLowFreq[i] > median ? '1' : '0';
+    coefficients.forEach(value => bits.push(value > median));
+  } else if (algorithm === 'ahash') {
+    let mean = 0;
+    for (let i = 0; i < pixels.length; i++) mean += pixels[i];
+    mean /= pixels.length;
+    for (let i = 0; i < pixels.length; i++) bits.push(pixels[i] > mean);
+  } else {
+    for (let y = 0; y < size.height; y++) {
+      for (let x = 0; x < size.width - 1; x++) {
+        bits.push(pixels[y * size.width + x] < pixels[y * size.width + x + 1]);
+      }
     }
-    
-    // Convert binary to hex
-    const hexHash = parseInt(hash, 2).toString(16).padStart(16, '0');
-    
-    console.log(`[pHash] Hash computed: ${hexHash}`);
-    return hexHash;
-    
-  } catch (error) {
-    console.error('[pHash] Error computing hash:', error.message);
-    throw error;
   }
+
+  return bitsToHex(bits);
 }
 
 /**
- * Calculate Hamming distance between two pHashes
+ * Compute a perceptual hash for an image
+ * @param {string|Buffer} input - URL, local path or image bytes
+ * @param {string} algorithm - 'phash' (default), 'ahash' or 'dhash'
+ * @returns {Promise<string>} 64-bit hash as hex string; rejects when the image
+ *   cannot be loaded or decoded (logging is left to the caller, e.g. imageHashCache)
+ */
+async function computeImageHash(input, algorithm = 'phash') {
+  const size = HASH_ALGORITHMS[algorithm];
+  if (!size) {
+    throw new Error(`Unknown hash algorithm: ${algorithm}`);
+  }
+
+  const pixels = await loadGreyscale(input, size.width, size.height);
+  return hashGreyscale(pixels, algorithm);
+}
+
+/**
+ * Compute perceptual hash (pHash) for an image
+ * @param {string|Buffer} input - URL, local path or image bytes
+ * @returns {Promise<string>} 64-bit hash as hex string
+ */
+function computePHash(input) {
+  return computeImageHash(input, 'phash');
+}
+
+/**
+ * Compute average hash (aHash) for an image
+ * @param {string|Buffer} input
+ * @returns {Promise<string>}
+ */
+function computeAHash(input) {
+  return computeImageHash(input, 'ahash');
+}
+
+/**
+ * Compute difference hash (dHash) for an image
+ * @param {string|Buffer} input
+ * @returns {Promise<string>}
+ */
+function computeDHash(input) {
+  return computeImageHash(input, 'dhash');
+}
+
+/**
+ * Calculate Hamming distance between two hashes (any algorithm)
  * Lower distance = more similar images (0 = identical)
- * 
+ *
  * @param {string} hash1 - Hex hash string
  * @param {string} hash2 - Hex hash string
- * @returns {number} Hamming distance (0-64)
+ * @returns {number} Hamming distance (0-64 for 64-bit hashes)
  */
-function phashHammingDistance(hash1, hash2) {
+function hammingDistance(hash1, hash2) {
   if (!hash1 || !hash2) {
     throw new Error('Both hashes required');
   }
-  
+
   if (hash1.length !== hash2.length) {
     throw new Error('Hashes must be same length');
   }
-  
-  // Convert hex to binary
-  const bin1 = parseInt(hash1, 16).toString(2).padStart(64, '0');
-  const bin2 = parseInt(hash2, 16).toString(2).padStart(64, '0');
-  
-  // Count differing bits
+
+  // XOR one hex digit (4 bits) at a time: exact for any hash length
   let distance = 0;
-  for (let i = 0; i < bin1.length; i++) {
-    if (bin1[i] !== bin2[i]) distance++;
+  for (let i = 0; i < hash1.length; i++) {
+    distance += NIBBLE_BITS[parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)];
   }
-  
+
   return distance;
 }
 
+// pHash-era name, kept for existing callers
+const phashHammingDistance = hammingDistance;
+
+/**
+ * Whether hashes can be computed here (sharp is installed)
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return Boolean(sharp);
+}
+
+/**
+ * Whether a URL is a real product photo worth hashing (not missing, not a
+ * placeholder service or a retailer's "no image" stand-in)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isProductImage(url) {
+  return /^https?:\/\//i.test(url || '') &&
+    !PLACEHOLDER_IMAGE_HOSTS.test(url) &&
+    !PLACEHOLDER_IMAGE_PATHS.test(url);
+}
+
 /**
- * Determine if two images are similar based on pHash
- * @param {string} hash1 
- * @param {string} hash2 
+ * Determine if two images are similar based on their hashes
+ * @param {string} hash1
+ * @param {string} hash2
  * @param {number} threshold - Max Hamming distance (default 10)
  * @returns {boolean}
  */
 function areSimilar(hash1, hash2, threshold = 10) {
-  const distance = phashHammingDistance(hash1, hash2);
+  const distance = hammingDistance(hash1, hash2);
   return distance <= threshold;
 }
 
 module.exports = {
+  HASH_ALGORITHMS,
+  computeImageHash,
   computePHash,
+  computeAHash,
+  computeDHash,
+  hashGreyscale,
+  dctLowFrequencies,
+  decodePgm,
+  resizeGreyscale,
+  hammingDistance,
   phashHammingDistance,
-  areSimilar
+  areSimilar,
+  isAvailable,
+  isProductImage
 };
 
 /**
  * CLI usage example:
- * 
- * node server/phash.js <image_url1> <image_url2>
+ *
+ * node server/phash.js <image_url1> <image_url2> [phash|ahash|dhash]
  */
 if (require.main === module) {
-  const [,, url1, url2] = process.argv;
-  
+  const [,, url1, url2, algorithm = 'phash'] = process.argv;
+
   if (!url1 || !url2) {
-    console.error('Usage: node server/phash.js <image_url1> <image_url2>');
+    console.error('Usage: node server/phash.js <image_url1> <image_url2> [phash|ahash|dhash]');
     process.exit(1);
   }
-  
+
   (async () => {
     try {
-      const hash1 = await computePHash(url1);
-      const hash2 = await computePHash(url2);
-      const distance = phashHammingDistance(hash1, hash2);
-      
+      const hash1 = await computeImageHash(url1, algorithm);
+      const hash2 = await computeImageHash(url2, algorithm);
+      const distance = hammingDistance(hash1, hash2);
+
       console.log('\nResults:');
+      console.log(`Algorithm: ${algorithm}`);
       console.log(`Hash 1: ${hash1}`);
       console.log(`Hash 2: ${hash2}`);
       console.log(`Hamming Distance: ${distance}/64`);
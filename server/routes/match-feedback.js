@@ -0,0 +1,76 @@
+/**
+ * server/routes/match-feedback.js - Match Feedback
+ *
+ * POST /v1/match-feedback
+ * Stores a user's verdict on a cross-site row ("right product" / "wrong
+ * product") as a labelled pair in utils/feedbackStore.js. The pairs are
+ * fitted into matcher weights offline by scripts/fit-match-weights.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const sites = require('../../sites');
+const feedbackStore = require('../utils/feedbackStore');
+
+const MAX_TITLE_LENGTH = 500;
+
+// Error message for an invalid source/candidate, or null
+function productError(product, name) {
+  if (!product || typeof product !== 'object') return `Missing ${name}`;
+  if (!product.site || !sites.get(String(product.site).toLowerCase())) return `Unknown ${name}.site`;
+  if (!product.title || typeof product.title !== 'string') return `Missing ${name}.title`;
+  if (product.title.length > MAX_TITLE_LENGTH) return `${name}.title is too long`;
+  return null;
+}
+
+/**
+ * POST /v1/match-feedback
+ * Body: {
+ *   source: { site, site_id?, title, model?, brand?, gtin?, price_cents? },
+ *   candidate: { site, site_id?, title, brand?, gtin?, price_cents? },
+ *   label: 'match' | 'mismatch',
+ *   score?: number   // score the popup showed
+ * }
+ */
+router.post('/match-feedback', (req, res) => {
+  const { source, candidate, label, score } = req.body || {};
+
+  // Validation
+  if (!feedbackStore.LABELS.includes(label)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Invalid label',
+      allowed: feedbackStore.LABELS
+    });
+  }
+
+  const invalid = productError(source, 'source') || productError(candidate, 'candidate');
+  if (invalid) {
+    return res.status(400).json({
+      ok: false,
+      error: invalid,
+      required: ['source.site', 'source.title', 'candidate.site', 'candidate.title', 'label']
+    });
+  }
+
+  const normalizeSite = product => ({ ...product, site: String(product.site).toLowerCase() });
+
+  try {
+    const pair = feedbackStore.addFeedback({
+      source: normalizeSite(source),
+      candidate: normalizeSite(candidate),
+      label,
+      score
+    });
+    const counts = feedbackStore.counts();
+
+    console.log(`${label === 'match' ? '👍' : '👎'} [Match Feedback] ${pair.id}: ${label} (${counts.total} labelled pairs)`);
+
+    res.json({ ok: true, id: pair.id, label: pair.label, counts });
+  } catch (err) {
+    console.error('[Match Feedback] Failed to store feedback:', err);
+    res.status(500).json({ ok: false, error: err.toString() });
+  }
+});
+
+module.exports = router;
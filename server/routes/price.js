@@ -2,28 +2,26 @@
  * server/routes/price.js - Price API Route
  * 
  * GET /v1/price?site=&id=&title=
- * Returns price data for a specific product (currently mock data)
+ * Returns price data for a specific product
  * 
- * MOCK DATA STRATEGY:
- * - Uses product ID to generate deterministic prices
- * - Returns realistic price history (30 days)
- * - Returns mock cross-site matches
+ * DATA SOURCES:
+ * - Price history: persistent store (utils/priceHistory.js), filled by every
+ *   successful scrape and keyed by canonical_key (`site:id`)
+ * - Current price: latest stored point, or a deterministic mock price when the
+ *   product has never been scraped
+ * - Cross-site matches and coupons: still mock data
  * 
  * PRODUCTION TODO:
- * Replace mock logic with:
+ * Replace remaining mock logic with:
  * ```javascript
- * const product = await db.products.findOne({ 
- *   canonical_key: `${site}:${id}` 
- * });
- * const history = await db.price_history.find({ 
- *   product_id: product.id 
- * }).limit(30);
  * const matches = await matcher.findMatches(product);
  * ```
  */
 
 const express = require('express');
 const router = express.Router();
+const priceHistory = require('../utils/priceHistory');
+const sites = require('../../sites');
 
 // Mock price generator (deterministic based on ID)
 function generateMockPrice(id, site) {
@@ -32,31 +30,11 @@ function generateMockPrice(id, site) {
   return Math.round(basePrice / 10) * 10; // Round to nearest 10
 }
 
-// Mock price history (30 days)
-function generatePriceHistory(currentPrice) {
-  const history = [];
-  const now = Date.now();
-  const dayMs = 24 * 60 * 60 * 1000;
-  
-  for (let i = 30; i >= 0; i--) {
-    const variation = (Math.random() - 0.5) * 0.1; // ±10% variation
-    const price = Math.round(currentPrice * (1 + variation));
-    history.push({
-      ts: now - (i * dayMs),
-      price_cents: price * 100,
-      source: i === 0 ? 'current' : 'historical'
-    });
-  }
-  
-  return history;
-}
-
 // Mock cross-site matches
 function generateMatches(site, id, currentPrice) {
-  const sites = ['amazon', 'flipkart', 'myntra', 'meesho'];
   const matches = [];
   
-  for (const targetSite of sites) {
+  for (const targetSite of sites.ids()) {
     if (targetSite === site) continue;
     
     const variation = (Math.random() - 0.3) * 0.2; // -10% to +10%
@@ -113,7 +91,7 @@ router.get('/price', (req, res) => {
     });
   }
   
-  const validSites = ['amazon', 'flipkart', 'myntra', 'meesho'];
+  const validSites = sites.ids();
   if (!validSites.includes(site)) {
     return res.status(400).json({
       error: 'Invalid site',
@@ -123,30 +101,39 @@ router.get('/price', (req, res) => {
   
   console.log(`[Price API] Fetching price for ${site}:${id} - ${title || 'No title'}`);
   
-  // Generate mock data (deterministic based on ID)
-  const currentPrice = generateMockPrice(id, site);
   const canonical_key = `${site}:${id}`;
   
+  // Stored history (oldest first); fall back to mock price if never scraped
+  const history = priceHistory.getHistory(canonical_key, { days: 30 });
+  const latest = history[history.length - 1] || null;
+  const stored = priceHistory.getProduct(canonical_key);
+  const currentPrice = latest ? latest.price_cents / 100 : generateMockPrice(id, site);
+  
   const response = {
     product: {
       canonical_key,
       site,
       site_id: id,
-      title: title || `Mock Product ${id}`,
+      title: title || stored?.title || `Mock Product ${id}`,
       image: `https://via.placeholder.com/300x300.png?text=${site}+${id}`
     },
     current_price: {
-      amount_cents: currentPrice * 100,
-      currency: 'INR',
-      ts: Date.now(),
-      source: 'mock_api'
+      amount_cents: Math.round(currentPrice * 100),
+      currency: latest ? latest.currency : 'INR',
+      ts: latest ? latest.ts : Date.now(),
+      source: latest ? latest.source : 'mock_api'
     },
-    price_history: generatePriceHistory(currentPrice),
+    price_history: history.map(point => ({
+      ts: point.ts,
+      price_cents: point.price_cents,
+      source: point.source
+    })),
     matches: generateMatches(site, id, currentPrice),
     coupons: generateCoupons(site),
     _meta: {
-      mock: true,
-      note: 'Replace with DB queries in production'
+      mock: !latest,
+      history_points: history.length,
+      note: latest ? 'Matches and coupons are mock data' : 'No stored prices yet - current price is mock data'
     }
   };
   
@@ -1,23 +1,36 @@
 const express = require('express');
 const router = express.Router();
+const priceHistory = require('../utils/priceHistory');
 
 // POST /api/price-history - Get historical price data for a product
+// Body: { url } or { canonical_key } (e.g. 'amazon:B0BPX3F3Q4'), optional days
 router.post('/', async (req, res) => {
-  const { url, days = 30 } = req.body || {};
-  
-  if (!url) {
-    return res.status(400).json({ ok: false, error: 'Missing url' });
+  const { url, canonical_key, days = 30 } = req.body || {};
+
+  if (!url && !canonical_key) {
+    return res.status(400).json({ ok: false, error: 'Missing url or canonical_key' });
+  }
+
+  const key = canonical_key || priceHistory.canonicalKeyFromUrl(url);
+  if (!key) {
+    return res.status(400).json({ ok: false, error: 'Unsupported product url' });
   }
 
   try {
-    // TODO: Implement real price history from database or scraping service
-    // For now, return mock data
-    const history = generateMockHistory(days, url);
-    
-    res.json({ 
-      ok: true, 
+    const [site] = key.split(':');
+    const history = priceHistory.getHistory(key, { days: Number(days) || 30 }).map(point => ({
+      date: new Date(point.ts).toISOString().split('T')[0],
+      ts: point.ts,
+      price: point.price_cents / 100,
+      site,
+      source: point.source
+    }));
+
+    res.json({
+      ok: true,
       history,
-      url,
+      canonical_key: key,
+      url: url || priceHistory.getProduct(key)?.url || null,
       days,
       timestamp: new Date().toISOString()
     });
@@ -27,23 +40,4 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Helper: Generate mock price history
-function generateMockHistory(days, url) {
-  const history = [];
-  let basePrice = 1500 + Math.floor(Math.random() * 500);
-  
-  for (let i = 0; i < days; i++) {
-    basePrice += (Math.random() * 100 - 50);
-    basePrice = Math.max(basePrice, 800); // Keep minimum price
-    
-    history.push({
-      date: new Date(Date.now() - (days - i) * 86400000).toISOString().split('T')[0],
-      price: Math.round(basePrice),
-      site: 'average'
-    });
-  }
-  
-  return history;
-}
-
 module.exports = router;
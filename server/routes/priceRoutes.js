@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const scraper = require('../utils/scraper');
+const siteRegistry = require('../../sites');
 
 // POST /api/prices - Get prices from multiple shopping sites
 router.post('/', async (req, res) => {
@@ -15,7 +16,7 @@ router.post('/', async (req, res) => {
 
   try {
     // TODO: Implement real scraping for each site
-    const sitesToScrape = sites || ['amazon', 'flipkart', 'myntra', 'meesho'];
+    const sitesToScrape = sites || siteRegistry.ids();
     const pricePromises = sitesToScrape.map(site => 
       scraper.scrapeSite(site, productName, productUrl)
     );
@@ -1,23 +1,36 @@
 /**
  * server/routes/search-crosssite.js - Cross-Site Product Search
  * 
- * GET /v1/search-crosssite?site=&id=&title=
+ * GET /v1/search-crosssite?site=&id=&title=[&price_cents=&image=&gtin=&mpn=&brand=]
  * Find matching products across other e-commerce sites
  * 
+ * GET /v1/search-crosssite/stream?site=&id=&title=
+ * Same search as Server-Sent Events, one event per site as it finishes
+ * 
  * CURRENT: Uses mock candidate list
  * PRODUCTION: Replace with:
  * ```javascript
  * const candidates = await db.products.search({
  *   query: normalizeText(title),
- *   sites: ['amazon', 'flipkart', 'myntra', 'meesho'].filter(s => s !== site),
+ *   sites: sites.ids().filter(s => s !== site),
  *   limit: 20
  * });
  * ```
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const { findBestMatch } = require('../matcher');
+const { findBestMatch, MATCH_WEIGHTS } = require('../matcher');
+const sites = require('../../sites');
+const quantity = require('../../shared/quantity');
+const identifiers = require('../../shared/identifiers');
+const searchCache = require('../utils/searchCache');
+const siteGuard = require('../utils/siteGuard');
+const imageHashCache = require('../utils/imageHashCache');
+const embeddingCache = require('../utils/embeddingCache');
+const imageIndex = require('../utils/imageIndex');
+const { isProductImage } = require('../phash');
 const { scrapeSearchResults, searchFlipkartRapidAPI, searchAmazonRapidAPI } = require('../utils/scraper');
 
 // Mock candidate database
@@ -135,60 +148,83 @@ const MOCK_CANDIDATES = {
   ]
 };
 
+// Search call for a site (errors are thrown so siteGuard can retry them;
+// `signal` stops an attempt that ran past its deadline)
+function searchSite(site, query, signal) {
+  const options = { throwOnError: true, signal };
+  
+  // Use RapidAPI for Flipkart and Amazon (faster and more reliable)
+  if (site === 'flipkart') {
+    return searchFlipkartRapidAPI(query, 3, options);
+  }
+  if (site === 'amazon') {
+    return searchAmazonRapidAPI(query, 3, options);
+  }
+  // Use Puppeteer for other sites (Myntra, Meesho)
+  return scrapeSearchResults(site, query, 3, options);
+}
+
 /**
- * Load candidate products for matching using real web scraping
- * Scrapes Flipkart, Myntra, and Meesho for matching products
+ * Scrape candidates from one site, in matcher format, under siteGuard
+ * (deadline, retries, circuit breaker)
+ * @returns {Promise<{candidates, status}>} status = _meta.sites entry
  */
-async function loadCandidates(query, excludeSite) {
-  const normalized = query.toLowerCase().trim();
+async function loadSiteCandidates(site, query) {
+  console.log(`[Search Cross-Site] 🛒 Scraping ${site}...`);
   
+  const run = await siteGuard.run(site, signal => searchSite(site, query, signal));
+  const results = run.value || [];
+  
+  if (run.status === 'ok') {
+    console.log(`[Search Cross-Site] ✅ ${site} returned ${results.length} products`);
+  } else {
+    console.error(`[Search Cross-Site] ❌ ${site} ${run.status}:`, run.error);
+  }
+  
+  // Convert scraper format to matcher format
+  const candidates = results.map(product => {
+    const priceCents = Math.round((product.numericPrice || 0) * 100);
+    console.log(`[Search Cross-Site] 💰 ${site} product: "${product.productName?.substring(0, 50)}..." - ₹${product.numericPrice} (${priceCents} cents)`);
+    return {
+      site: site,
+      site_id: extractProductId(product.url, site) || `${site}_${Date.now()}`,
+      title: product.productName,
+      price_cents: priceCents,
+      url: product.url,
+      image: product.image || null,
+      scraped_at: product.scrapedAt,
+      rating: product.rating,
+      ...(product.gtin && { gtin: product.gtin }),
+      ...(product.brand && { brand: product.brand }),
+      source: product.source || 'puppeteer'
+    };
+  });
+  
+  const { value, ...status } = run;
+  return { candidates, status: { ...status, candidates: candidates.length } };
+}
+
+/**
+ * Load candidate products for matching using real web scraping
+ * Scrapes every registered site except `excludeSite` in parallel
+ * @param {Object} options
+ * @param {Function} options.onSite - Called with (site, candidates, status) as each site finishes
+ * @returns {Promise<{candidates, siteStatus}>} siteStatus = site → status (see siteGuard)
+ */
+async function loadCandidates(query, excludeSite, { onSite } = {}) {
   console.log(`[Search Cross-Site] 🔍 Scraping real prices for: "${query}"`);
   
   const candidates = [];
-  const sites = ['amazon', 'flipkart', 'myntra', 'meesho']; // All supported sites
+  const siteStatus = {};
+  const targetSites = sites.ids().filter(site => site !== excludeSite); // All registered sites
   
   // Scrape each site in parallel for speed
-  const scrapePromises = sites
-    .filter(site => site !== excludeSite)
-    .map(async (site) => {
-      try {
-        console.log(`[Search Cross-Site] 🛒 Scraping ${site}...`);
-        
-        let results = [];
-        
-        // Use RapidAPI for Flipkart and Amazon (faster and more reliable)
-        if (site === 'flipkart') {
-          results = await searchFlipkartRapidAPI(query, 3);
-          console.log(`[Search Cross-Site] ✅ Flipkart RapidAPI returned ${results.length} products`);
-        } else if (site === 'amazon') {
-          results = await searchAmazonRapidAPI(query, 3);
-          console.log(`[Search Cross-Site] ✅ Amazon RapidAPI returned ${results.length} products`);
-        } else {
-          // Use Puppeteer for other sites (Myntra, Meesho)
-          results = await scrapeSearchResults(site, query, 3);
-        }
-        
-        // Convert scraper format to matcher format
-        return results.map(product => {
-          const priceCents = Math.round((product.numericPrice || 0) * 100);
-          console.log(`[Search Cross-Site] 💰 ${site} product: "${product.productName?.substring(0, 50)}..." - ₹${product.numericPrice} (${priceCents} cents)`);
-          return {
-            site: site,
-            site_id: extractProductId(product.url, site) || `${site}_${Date.now()}`,
-            title: product.productName,
-            price_cents: priceCents,
-            url: product.url,
-            image: product.image || 'https://via.placeholder.com/300',
-            scraped_at: product.scrapedAt,
-            rating: product.rating,
-            source: product.source || 'puppeteer'
-          };
-        });
-      } catch (err) {
-        console.error(`[Search Cross-Site] ❌ Error scraping ${site}:`, err.message);
-        return [];
-      }
-    });
+  const scrapePromises = targetSites.map(async (site) => {
+    const { candidates: siteCandidates, status } = await loadSiteCandidates(site, query);
+    siteStatus[site] = status;
+    if (onSite) onSite(site, siteCandidates, status);
+    return siteCandidates;
+  });
   
   // Wait for all scrapes to complete
   const results = await Promise.all(scrapePromises);
@@ -198,13 +234,13 @@ async function loadCandidates(query, excludeSite) {
     candidates.push(...siteResults);
   });
   
-  console.log(`[Search Cross-Site] ✅ Scraped ${candidates.length} products from ${sites.filter(s => s !== excludeSite).length} sites`);
+  console.log(`[Search Cross-Site] ✅ Scraped ${candidates.length} products from ${targetSites.length} sites`);
   
   // FALLBACK: If scraping failed, generate mock data to show UI works
   if (candidates.length === 0) {
     console.log(`[Search Cross-Site] ⚠️  Scraping failed, using mock data as fallback`);
     
-    sites.filter(site => site !== excludeSite).forEach((site, index) => {
+    targetSites.forEach((site, index) => {
       const words = query.split(/\s+/).slice(0, 8).join(' ');
       const basePrice = 300 + (Math.random() * 500);
       const variants = [
@@ -218,76 +254,225 @@ async function loadCandidates(query, excludeSite) {
         site_id: `MOCK_${site.toUpperCase()}_${Date.now()}_${index}`,
         title: variants[index % 3],
         price_cents: Math.floor(basePrice * 100),
-        url: `https://www.${site}.${site === 'amazon' ? 'in' : 'com'}/search?q=${encodeURIComponent(query)}`,
+        url: sites.get(site).searchUrl(query),
         image: 'https://via.placeholder.com/300',
         mock: true
       });
     });
   }
   
-  return candidates;
+  return { candidates, siteStatus };
 }
 
 /**
- * Extract product ID from URL
+ * Extract product ID from URL using the site's adapter
  */
 function extractProductId(url, site) {
-  if (!url) return null;
-  
-  try {
-    if (site === 'flipkart') {
-      // https://www.flipkart.com/product-name/p/itm123abc
-      const match = url.match(/\/p\/([a-zA-Z0-9]+)/);
-      return match ? match[1] : null;
-    } else if (site === 'myntra') {
-      // https://www.myntra.com/12345678
-      const match = url.match(/myntra\.com\/([0-9]+)/);
-      return match ? match[1] : null;
-    } else if (site === 'meesho') {
-      // https://www.meesho.com/product-name/p/abc123
-      const match = url.match(/\/p\/([a-zA-Z0-9]+)/);
-      return match ? match[1] : null;
+  const adapter = sites.get(site);
+  return adapter ? adapter.extractId(url) : null;
+}
+
+/**
+ * Candidates for a query, from the search cache when possible
+ * (`onSite` only fires when scraping, see loadCandidates)
+ * @returns {Promise<{candidates, siteStatus, cache}>} cache = _meta.cache description
+ */
+async function getCandidates(query, excludeSite, { fresh = false, maxAgeMs, onSite } = {}) {
+  let entry = fresh ? null : searchCache.get(query, excludeSite, { maxAgeMs });
+  const hit = Boolean(entry);
+
+  if (!entry) {
+    const { candidates, siteStatus } = await loadCandidates(query, excludeSite, { onSite });
+    entry = searchCache.set(query, excludeSite, candidates, siteStatus) ||
+      { candidates, siteStatus, storedAt: Date.now(), ttlMs: 0, ageMs: 0, sources: [] };
+  }
+
+  return {
+    candidates: entry.candidates,
+    siteStatus: entry.siteStatus || {},
+    cache: {
+      enabled: searchCache.enabled,
+      hit,
+      bypassed: fresh,
+      key: entry.key || null,
+      stored_at: new Date(entry.storedAt).toISOString(),
+      age_ms: entry.ageMs,
+      ttl_ms: entry.ttlMs,
+      sources: entry.sources
     }
-  } catch (err) {
-    return null;
+  };
+}
+
+/**
+ * Set ETag/Cache-Control for a search response
+ * ETag covers the results only (not timings in _meta), so a cached
+ * response revalidates with 304 until the entry is refreshed
+ */
+function setCacheHeaders(res, body, cache) {
+  const etagSource = JSON.stringify({ source: body.source, results: body.results, best: body.best_overall || null });
+  res.set('ETag', `W/"${crypto.createHash('sha1').update(etagSource).digest('hex').slice(0, 27)}"`);
+
+  if (cache.enabled && cache.ttl_ms > 0) {
+    const remaining = Math.max(0, Math.floor((cache.ttl_ms - cache.age_ms) / 1000));
+    res.set('Cache-Control', `private, max-age=${remaining}`);
+  } else {
+    res.set('Cache-Control', 'no-store');
   }
-  
-  return null;
 }
 
+// Minimum score for a row, and the good/excellent quality bands (fitted with the weights)
+const MATCH_THRESHOLD = MATCH_WEIGHTS.thresholds.match;
+const { good: GOOD_THRESHOLD, excellent: EXCELLENT_THRESHOLD } = MATCH_WEIGHTS.thresholds;
+
+// Why a site has no row, by siteGuard status
+const SITE_STATUS_REASONS = {
+  timeout: 'Site took too long to respond',
+  blocked: 'Site is blocking or rate limiting us',
+  error: 'Site could not be searched',
+  'circuit-open': 'Site skipped after repeated failures'
+};
+
 /**
- * GET /v1/search-crosssite
- * Query params: site, id, title
+ * Result row for one target site from its best-scoring candidate
+ * @param {string} targetSite
+ * @param {Object|undefined} match - Entry of findBestMatch().allScores
+ * @param {string} title - Source title (search URL for missing products)
+ * @param {Object} status - Site status from loadCandidates (explains missing rows)
  */
-router.get('/search-crosssite', async (req, res) => {
-  const { site, id, title } = req.query;
+function buildSiteResult(targetSite, match, title, status) {
+  const siteStatus = status ? status.status : 'ok';
   
-  // Validation
-  if (!site || !id || !title) {
-    return res.status(400).json({
-      error: 'Missing required parameters',
-      required: ['site', 'id', 'title']
-    });
+  if (match && match.score >= MATCH_THRESHOLD) {
+    // Good match found (unit price lets the popup compare different pack sizes)
+    const pack = quantity.parseQuantity(match.title);
+    return {
+      site: targetSite,
+      available: true,
+      site_status: siteStatus,
+      site_id: match.site_id,
+      title: match.title,
+      price_cents: match.price_cents,
+      unit_price_cents: quantity.unitPriceCents(match.price_cents, pack),
+      unit_price_basis: quantity.unitBasisLabel(pack),
+      quantity: pack ? quantity.formatQuantity(pack) : null,
+      // Packs and combos: what the source's number of items costs here (null when a combo can't be split)
+      bundle: match.bundle || null,
+      effective_price_cents: match.bundle ? match.bundle.effective_price_cents : match.price_cents,
+      url: match.url,
+      image: match.image,
+      rating: match.rating,
+      score: match.score,
+      reason: match.reason,
+      flags: match.flags,
+      match_quality: match.score >= EXCELLENT_THRESHOLD ? 'excellent' : match.score >= GOOD_THRESHOLD ? 'good' : 'fair'
+    };
   }
   
-  console.log(`[Search Cross-Site] Query: ${site}:${id} - "${title}"`);
+  // No match, poor match, or only flagged listings (cases, renewed units)
+  let reason = match ? 'Low match score - might be different product' : 'Product not found on this site';
+  if (match && match.excluded) {
+    reason = `Only ${match.flags.join('/')} listings found`;
+  } else if (!match && SITE_STATUS_REASONS[siteStatus]) {
+    reason = SITE_STATUS_REASONS[siteStatus];
+  }
   
-  // Source product
-  const source = {
-    site,
-    site_id: id,
-    title,
-    canonical_key: `${site}:${id}`
+  return {
+    site: targetSite,
+    available: false,
+    site_status: siteStatus,
+    title: 'Not Available',
+    price_cents: 0,
+    url: sites.get(targetSite).searchUrl(title),
+    score: match && !match.excluded ? match.score : 0,
+    reason,
+    flags: match ? match.flags : [],
+    match_quality: 'none'
   };
+}
+
+// Best-scoring candidate per site; unflagged candidates beat flagged ones
+function bestPerSite(allScores) {
+  const siteGroups = {};
+  allScores.forEach(candidate => {
+    const current = siteGroups[candidate.site];
+    if (!current ||
+        (current.excluded && !candidate.excluded) ||
+        (current.excluded === candidate.excluded && candidate.score > current.score)) {
+      siteGroups[candidate.site] = candidate;
+    }
+  });
+  return siteGroups;
+}
+
+/**
+ * pHashes of the source and candidate images (empty without a source image,
+ * or when image matching is off / sharp is missing). Missing and placeholder
+ * images are not hashed: they would all look alike.
+ * @returns {Promise<Map<string, string>>}
+ */
+async function imageHashesFor(source, candidates) {
+  if (!isProductImage(source.image)) return new Map();
+  const imageHashes = await imageHashCache.hashAll(
+    [source.image, ...candidates.map(c => c.image)].filter(isProductImage)
+  );
   
-  // Load candidates (real scraping)
-  const candidates = await loadCandidates(title, site);
+  // Remember scraped images for GET /v1/similar-images (not mock data). Only
+  // products whose id came from their own URL: the `${site}_${Date.now()}`
+  // stand-in would add a new key on every search.
+  const hashed = candidates
+    .filter(c => !c.mock && imageHashes.has(c.image) && c.site_id === extractProductId(c.url, c.site))
+    .map(c => ({ ...c, canonical_key: `${c.site}:${c.site_id}`, hash: imageHashes.get(c.image) }));
+  if (hashed.length > 0) {
+    try {
+      imageIndex.addImages(hashed);
+    } catch (err) {
+      console.warn('[Search Cross-Site] ⚠️ Image index update failed:', err.message);
+    }
+  }
   
-  console.log(`[Search Cross-Site] Found ${candidates.length} candidates`);
+  return imageHashes;
+}
+
+/**
+ * Optional matcher inputs: image pHashes and title embeddings (each empty
+ * when its feature is off), fetched side by side
+ * @returns {Promise<{imageHashes: Map<string, string>, embeddings: Map<string, number[]>}>}
+ */
+async function matchSignalsFor(source, candidates) {
+  const [imageHashes, embeddings] = await Promise.all([
+    imageHashesFor(source, candidates),
+    embeddingCache.embedAll([source.title, ...candidates.map(c => c.title)])
+  ]);
+  return { imageHashes, embeddings };
+}
+
+/**
+ * Score one site's candidates against the source (streaming events)
+ * @returns {Object} Result row, see buildSiteResult
+ */
+function scoreSite(source, targetSite, siteCandidates, status, signals) {
+  if (siteCandidates.length === 0) {
+    return buildSiteResult(targetSite, undefined, source.title, status);
+  }
+  const result = findBestMatch(source, siteCandidates, signals);
+  return buildSiteResult(targetSite, bestPerSite(result.allScores)[targetSite], source.title, status);
+}
+
+/**
+ * Full search response body for a source product and its candidates
+ * @param {Object} source
+ * @param {Object[]} candidates
+ * @param {Object} cache - _meta.cache from getCandidates
+ * @param {Object} siteStatus - site → status, reported as _meta.sites
+ * @param {Object} signals - { imageHashes, embeddings }, see matchSignalsFor
+ */
+function buildSearchResponse(source, candidates, cache, siteStatus = {}, signals = {}) {
+  const { imageHashes = new Map(), embeddings = new Map() } = signals;
+  const { site, title } = source;
+  const allSites = sites.ids();
   
   if (candidates.length === 0) {
     // Return "Not Available" for all sites
-    const allSites = ['amazon', 'flipkart', 'myntra', 'meesho'];
     const notAvailable = allSites
       .filter(s => s !== site)
       .map(s => ({
@@ -300,64 +485,29 @@ router.get('/search-crosssite', async (req, res) => {
         reason: 'Product not found on this site'
       }));
     
-    return res.json({
+    return {
       source,
       results: notAvailable,
       _meta: {
         scraped: true,
         note: 'No products found via web scraping',
-        total_sites_searched: allSites.filter(s => s !== site).length
+        total_sites_searched: allSites.filter(s => s !== site).length,
+        sites: siteStatus,
+        cache
       }
-    });
+    };
   }
   
   // Find best match using matcher
-  const result = findBestMatch(source, candidates);
+  const result = findBestMatch(source, candidates, { imageHashes, embeddings });
   
   // Group candidates by site and get best match per site
-  const siteGroups = {};
-  result.allScores.forEach(candidate => {
-    if (!siteGroups[candidate.site] || candidate.score > siteGroups[candidate.site].score) {
-      siteGroups[candidate.site] = candidate;
-    }
-  });
+  const siteGroups = bestPerSite(result.allScores);
   
   // Create results for each site
-  const allSites = ['amazon', 'flipkart', 'myntra', 'meesho'];
   const finalResults = allSites
     .filter(s => s !== site)
-    .map(targetSite => {
-      const match = siteGroups[targetSite];
-      
-      if (match && match.score >= 0.4) {
-        // Good match found
-        return {
-          site: targetSite,
-          available: true,
-          site_id: match.site_id,
-          title: match.title,
-          price_cents: match.price_cents,
-          url: match.url,
-          image: match.image,
-          rating: match.rating,
-          score: match.score,
-          reason: match.reason,
-          match_quality: match.score >= 0.8 ? 'excellent' : match.score >= 0.6 ? 'good' : 'fair'
-        };
-      } else {
-        // No match or poor match
-        return {
-          site: targetSite,
-          available: false,
-          title: 'Not Available',
-          price_cents: 0,
-          url: `https://www.${targetSite}.${targetSite === 'amazon' ? 'in' : 'com'}/search?q=${encodeURIComponent(title)}`,
-          score: match ? match.score : 0,
-          reason: match ? 'Low match score - might be different product' : 'Product not found on this site',
-          match_quality: 'none'
-        };
-      }
-    });
+    .map(targetSite => buildSiteResult(targetSite, siteGroups[targetSite], title, siteStatus[targetSite]));
   
   // Log scores for debugging
   console.log('[Search Cross-Site] Match scores:');
@@ -366,18 +516,164 @@ router.get('/search-crosssite', async (req, res) => {
     console.log(`  ${status} ${r.site}: ${r.score.toFixed(3)} - ${r.reason}`);
   });
   
-  res.json({
+  return {
     source,
     results: finalResults,
     best_overall: result.best,
     _meta: {
       scraped: true,
-      scraped_at: new Date().toISOString(),
+      scraped_at: cache.stored_at,
       sites_searched: allSites.filter(s => s !== site),
       total_candidates: candidates.length,
-      match_threshold: 0.4
+      match_threshold: MATCH_THRESHOLD,
+      sites: siteStatus,
+      images_hashed: imageHashes.size,
+      titles_embedded: embeddings.size,
+      cache
     }
+  };
+}
+
+/**
+ * Parse shared query params of both search endpoints
+ * @returns {{error}|{source, fresh, maxAgeMs}}
+ */
+function parseSearchRequest(req) {
+  const { site, id, title, price_cents, image, gtin, mpn, brand, fresh, max_age } = req.query;
+  
+  // Validation
+  if (!site || !id || !title) {
+    return {
+      error: {
+        error: 'Missing required parameters',
+        required: ['site', 'id', 'title']
+      }
+    };
+  }
+  
+  console.log(`[Search Cross-Site] Query: ${site}:${id} - "${title}"`);
+  
+  return {
+    // Source product
+    source: {
+      site,
+      site_id: id,
+      title,
+      // Optional: reference for the matcher's price outlier check
+      ...(Number(price_cents) > 0 && { price_cents: Math.round(Number(price_cents)) }),
+      // Optional: product image for the matcher's pHash stage (remote URLs only)
+      ...(/^https?:\/\//i.test(image || '') && { image }),
+      // Optional identifiers: a valid GTIN is a definitive match, the MPN is used as the model number
+      ...(identifiers.normalizeGtin(gtin) && { gtin: identifiers.normalizeGtin(gtin) }),
+      ...(mpn && { model: String(mpn) }),
+      ...(brand && { brand: String(brand) }),
+      canonical_key: `${site}:${id}`
+    },
+    fresh: fresh === '1' || fresh === 'true' || /no-cache/i.test(req.get('Cache-Control') || ''),
+    maxAgeMs: max_age !== undefined && Number(max_age) >= 0 ? Number(max_age) * 1000 : undefined
+  };
+}
+
+/**
+ * GET /v1/search-crosssite
+ * Query params: site, id, title
+ * Optional: price_cents (source price), image (source image URL),
+ *           gtin (validated barcode), mpn (model number), brand,
+ *           fresh=1 (skip cache), max_age=<seconds> (accept older cache entries only up to this age)
+ */
+router.get('/search-crosssite', async (req, res) => {
+  const { error, source, fresh, maxAgeMs } = parseSearchRequest(req);
+  if (error) {
+    return res.status(400).json(error);
+  }
+  
+  // Load candidates (cached, or real scraping)
+  const { candidates, siteStatus, cache } = await getCandidates(source.title, source.site, { fresh, maxAgeMs });
+  
+  if (cache.hit) {
+    console.log(`[Search Cross-Site] ⚡ Cache hit (${Math.round(cache.age_ms / 1000)}s old)`);
+  }
+  
+  console.log(`[Search Cross-Site] Found ${candidates.length} candidates`);
+  
+  const signals = await matchSignalsFor(source, candidates);
+  const body = buildSearchResponse(source, candidates, cache, siteStatus, signals);
+  setCacheHeaders(res, body, cache);
+  res.json(body);
+});
+
+/**
+ * GET /v1/search-crosssite/stream
+ * Same params as /v1/search-crosssite, answered as Server-Sent Events:
+ * - start    { source, sites }                        before scraping
+ * - site     { site, status, result, candidates, elapsed_ms } as soon as each site is scored
+ * - summary  full /v1/search-crosssite body           last event, then the stream ends
+ * The summary is authoritative: when every site comes back empty it carries
+ * the mock fallback rows, which have no site events.
+ */
+router.get('/search-crosssite/stream', async (req, res) => {
+  const { error, source, fresh, maxAgeMs } = parseSearchRequest(req);
+  if (error) {
+    return res.status(400).json(error);
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
   });
+  res.flushHeaders();
+  
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const startedAt = Date.now();
+  const targetSites = sites.ids().filter(s => s !== source.site);
+  // Site events wait for their images and embeddings; the summary waits for every site event
+  const pendingSites = [];
+  const sendSite = (targetSite, siteCandidates, status) => {
+    pendingSites.push(matchSignalsFor(source, siteCandidates).then(signals => {
+      send('site', {
+        site: targetSite,
+        status,
+        result: scoreSite(source, targetSite, siteCandidates, status, signals),
+        candidates: siteCandidates.length,
+        elapsed_ms: Date.now() - startedAt
+      });
+    }));
+  };
+  
+  send('start', { source, sites: targetSites });
+  
+  try {
+    const { candidates, siteStatus, cache } = await getCandidates(source.title, source.site, {
+      fresh,
+      maxAgeMs,
+      onSite: sendSite
+    });
+    
+    // Cached candidates: replay per-site events at once
+    if (cache.hit) {
+      console.log(`[Search Cross-Site] ⚡ Cache hit (${Math.round(cache.age_ms / 1000)}s old)`);
+      targetSites.forEach(targetSite => {
+        sendSite(targetSite, candidates.filter(c => c.site === targetSite), siteStatus[targetSite]);
+      });
+    }
+    
+    await Promise.all(pendingSites);
+    const signals = await matchSignalsFor(source, candidates);
+    send('summary', buildSearchResponse(source, candidates, cache, siteStatus, signals));
+  } catch (err) {
+    console.error('[Search Cross-Site] ❌ Stream failed:', err.message);
+    send('summary', { source, results: [], _meta: { error: err.message } });
+  }
+  
+  res.end();
 });
 
 module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * server/routes/similar-images.js - Near-Duplicate Image Lookup
+ *
+ * GET /v1/similar-images?hash=&radius=
+ * Products whose image pHash is within `radius` bits of `hash`
+ *
+ * The index (utils/imageIndex.js) is filled by /v1/search-crosssite whenever
+ * image matching hashes candidate images, so the same product photo reused
+ * on another site shows up here with a small distance.
+ */
+
+const express = require('express');
+const router = express.Router();
+const imageIndex = require('../utils/imageIndex');
+
+const DEFAULT_RADIUS = 10;
+const MAX_RADIUS = 32;
+const DEFAULT_LIMIT = 50;
+
+/**
+ * GET /v1/similar-images
+ * Query params: hash (16 hex digits, from server/phash.js)
+ * Optional: radius (0-32, default 10), limit (default 50)
+ */
+router.get('/similar-images', (req, res) => {
+  const { hash, radius = DEFAULT_RADIUS, limit = DEFAULT_LIMIT } = req.query;
+
+  // Validation
+  if (!hash || !imageIndex.HASH_PATTERN.test(String(hash).toLowerCase())) {
+    return res.status(400).json({
+      error: 'Missing or invalid hash',
+      required: ['hash'],
+      optional: ['radius', 'limit'],
+      format: '64-bit hash as 16 hex digits'
+    });
+  }
+
+  const maxDistance = Number(radius);
+  if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > MAX_RADIUS) {
+    return res.status(400).json({
+      error: 'Invalid radius',
+      range: [0, MAX_RADIUS]
+    });
+  }
+
+  const { results, visited } = imageIndex.findSimilar(hash, {
+    radius: maxDistance,
+    limit: Math.max(1, Number(limit) || DEFAULT_LIMIT)
+  });
+
+  console.log(`[Similar Images] ${hash} r=${maxDistance}: ${results.length} results (${visited}/${imageIndex.size()} hashes compared)`);
+
+  res.json({
+    hash: String(hash).toLowerCase(),
+    radius: maxDistance,
+    results,
+    _meta: {
+      indexed: imageIndex.size(),
+      compared: visited
+    }
+  });
+});
+
+module.exports = router;
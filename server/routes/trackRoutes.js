@@ -1,41 +1,24 @@
 const express = require('express');
 const router = express.Router();
-
-// In-memory storage for tracked products (TODO: Replace with database)
-const trackedProducts = new Map();
+const trackStore = require('../utils/trackStore');
 
 // POST /api/track - Track a product for price alerts
 router.post('/', async (req, res) => {
   const { productName, url, currentPrice, targetPrice, email } = req.body || {};
-  
+
   if (!url) {
     return res.status(400).json({ ok: false, error: 'Missing url' });
   }
 
   try {
-    const trackingId = `track_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    const trackingData = {
-      id: trackingId,
-      productName: productName || 'Unknown Product',
-      url,
-      currentPrice: currentPrice || 0,
-      targetPrice: targetPrice || null,
-      email: email || null,
-      createdAt: new Date().toISOString(),
-      alerts: [],
-      active: true
-    };
-    
-    // Store in memory (TODO: Save to database)
-    trackedProducts.set(trackingId, trackingData);
-    
-    console.log(`✅ Tracking product: ${productName} (ID: ${trackingId})`);
-    
-    res.json({ 
-      ok: true, 
+    const trackingData = trackStore.createTracking({ productName, url, currentPrice, targetPrice, email });
+
+    console.log(`✅ Tracking product: ${trackingData.productName} (ID: ${trackingData.id})`);
+
+    res.json({
+      ok: true,
       message: 'Product tracked successfully',
-      trackingId,
+      trackingId: trackingData.id,
       data: trackingData
     });
   } catch (err) {
@@ -44,24 +27,64 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/track - List trackings (optional ?active=true|false)
+router.get('/', (req, res) => {
+  const { active } = req.query;
+  const filter = active === undefined ? {} : { active: active === 'true' };
+  const trackings = trackStore.listTrackings(filter);
+
+  res.json({ ok: true, count: trackings.length, data: trackings });
+});
+
 // GET /api/track/:id - Get tracking status
 router.get('/:id', (req, res) => {
   const { id } = req.params;
-  const tracking = trackedProducts.get(id);
-  
+  const tracking = trackStore.getTracking(id);
+
   if (!tracking) {
     return res.status(404).json({ ok: false, error: 'Tracking not found' });
   }
-  
+
+  res.json({ ok: true, data: tracking });
+});
+
+// PATCH /api/track/:id - Change target price or pause/resume a tracking
+router.patch('/:id', (req, res) => {
+  const { id } = req.params;
+  const { targetPrice, active } = req.body || {};
+  const changes = {};
+
+  if (targetPrice !== undefined) {
+    if (targetPrice !== null && !(typeof targetPrice === 'number' && targetPrice > 0)) {
+      return res.status(400).json({ ok: false, error: 'targetPrice must be a positive number or null' });
+    }
+    changes.targetPrice = targetPrice;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'active must be a boolean' });
+    }
+    changes.active = active;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ ok: false, error: 'Nothing to update', allowed: ['targetPrice', 'active'] });
+  }
+
+  const tracking = trackStore.updateTracking(id, changes);
+  if (!tracking) {
+    return res.status(404).json({ ok: false, error: 'Tracking not found' });
+  }
+
   res.json({ ok: true, data: tracking });
 });
 
 // DELETE /api/track/:id - Stop tracking a product
 router.delete('/:id', (req, res) => {
   const { id } = req.params;
-  
-  if (trackedProducts.has(id)) {
-    trackedProducts.delete(id);
+
+  if (trackStore.removeTracking(id)) {
     res.json({ ok: true, message: 'Tracking stopped' });
   } else {
     res.status(404).json({ ok: false, error: 'Tracking not found' });
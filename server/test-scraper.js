@@ -1,4 +1,6 @@
 // Test script for scraper functionality
+// Hits live sites by default; SCRAPER_FIXTURES=record saves the pages and
+// SCRAPER_FIXTURES=replay reruns against them offline (see utils/htmlFixtures.js)
 const scraper = require('./utils/scraper');
 
 async function testScraper() {
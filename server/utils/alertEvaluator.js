@@ -0,0 +1,173 @@
+/**
+ * server/utils/alertEvaluator.js - Scheduled Price Alert Evaluator
+ *
+ * PURPOSE:
+ * Periodically re-scrape every active tracking, update its current price and
+ * append an alert record when the price reaches the tracking's targetPrice.
+ *
+ * ALERT RULE:
+ * A 'target_reached' alert is appended when the new price is at or below
+ * targetPrice AND either the previous price was above target (crossing) or
+ * the price dropped further since the last check. A stable price below target
+ * does not produce a new alert on every run.
+ *
+ * A tracking whose URL no site adapter recognises is not scraped; it gets
+ * lastError 'Unsupported site' instead.
+ *
+ * USAGE:
+ * ```javascript
+ * const { createAlertEvaluator } = require('./utils/alertEvaluator');
+ * const trackStore = require('./utils/trackStore');
+ * const scraper = require('./utils/scraper');
+ *
+ * const evaluator = createAlertEvaluator({ store: trackStore, scrapeSite: scraper.scrapeSite });
+ * evaluator.start();          // runs after 30s, then every TRACK_CHECK_INTERVAL_MS (default 6h)
+ * await evaluator.runOnce();  // or trigger manually
+ * ```
+ */
+
+const sites = require('../../sites');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const DEFAULT_START_DELAY_MS = 30 * 1000; // first run, after server startup
+
+// Site id of a tracking: from its canonical key, else from the URL's host
+function trackingSite(tracking) {
+  if (tracking.canonical_key) return tracking.canonical_key.split(':')[0];
+  const adapter = tracking.url ? sites.detect(tracking.url) : null;
+  return adapter ? adapter.id : null;
+}
+
+/**
+ * Decide whether a price change should produce an alert
+ * @param {number|null} oldPrice
+ * @param {number} newPrice
+ * @param {number|null} targetPrice
+ * @returns {boolean}
+ */
+function shouldAlert(oldPrice, newPrice, targetPrice) {
+  if (!targetPrice || !newPrice || newPrice > targetPrice) return false;
+  if (!oldPrice || oldPrice > targetPrice) return true;
+  return newPrice < oldPrice;
+}
+
+/**
+ * Create an evaluator bound to a tracking store and scraper
+ * @param {Object} options - { store, scrapeSite, intervalMs?, startDelayMs? }
+ * @returns {Object} { runOnce, evaluateTracking, start, stop }
+ */
+function createAlertEvaluator({ store, scrapeSite, intervalMs = DEFAULT_INTERVAL_MS, startDelayMs = DEFAULT_START_DELAY_MS }) {
+  let timer = null;
+  let startTimer = null;
+  let running = false;
+
+  /**
+   * Re-scrape a single tracking and record the outcome
+   * @param {Object} tracking
+   * @returns {Promise<Object>} { id, ok, newPrice?, alert?, error? }
+   */
+  async function evaluateTracking(tracking) {
+    const site = trackingSite(tracking);
+    const checkedAt = new Date().toISOString();
+
+    try {
+      if (!site) {
+        throw new Error('Unsupported site');
+      }
+
+      const result = await scrapeSite(site, tracking.productName, tracking.url);
+      if (!result || !result.numericPrice) {
+        throw new Error('No price found');
+      }
+
+      const oldPrice = tracking.currentPrice || null;
+      const newPrice = result.numericPrice;
+      let alert = null;
+
+      if (shouldAlert(oldPrice, newPrice, tracking.targetPrice)) {
+        alert = store.appendAlert(tracking.id, {
+          type: 'target_reached',
+          oldPrice,
+          newPrice,
+          targetPrice: tracking.targetPrice
+        });
+        console.log(`🔔 Price alert: ${tracking.productName} ₹${oldPrice} → ₹${newPrice} (target ₹${tracking.targetPrice})`);
+      }
+
+      store.updateTracking(tracking.id, {
+        currentPrice: newPrice,
+        lastCheckedAt: checkedAt,
+        lastError: null
+      });
+
+      return { id: tracking.id, ok: true, newPrice, alert };
+    } catch (err) {
+      console.error(`[Alerts] Failed to check ${tracking.id}:`, err.message);
+      store.updateTracking(tracking.id, {
+        lastCheckedAt: checkedAt,
+        lastError: err.message
+      });
+      return { id: tracking.id, ok: false, error: err.message };
+    }
+  }
+
+  /**
+   * Evaluate all active trackings (sequentially, to share one browser)
+   * @returns {Promise<Array>} Per-tracking results
+   */
+  async function runOnce() {
+    if (running) {
+      console.log('[Alerts] Previous run still in progress, skipping');
+      return [];
+    }
+
+    running = true;
+    try {
+      const trackings = store.listTrackings({ active: true });
+      console.log(`[Alerts] Checking ${trackings.length} active tracking(s)`);
+
+      const results = [];
+      for (const tracking of trackings) {
+        results.push(await evaluateTracking(tracking));
+      }
+      return results;
+    } finally {
+      running = false;
+    }
+  }
+
+  function run() {
+    runOnce().catch(err => console.error('[Alerts] Run failed:', err.message));
+  }
+
+  function start() {
+    if (timer) return;
+    // One check soon after startup, then every intervalMs
+    startTimer = setTimeout(run, startDelayMs);
+    timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for the evaluator
+    if (startTimer.unref) startTimer.unref();
+    if (timer.unref) timer.unref();
+    console.log(`⏰ Price alert evaluator scheduled every ${Math.round(intervalMs / 60000)} min`);
+  }
+
+  function stop() {
+    if (startTimer) {
+      clearTimeout(startTimer);
+      startTimer = null;
+    }
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { runOnce, evaluateTracking, start, stop };
+}
+
+module.exports = {
+  createAlertEvaluator,
+  shouldAlert,
+  DEFAULT_INTERVAL_MS,
+  DEFAULT_START_DELAY_MS
+};
@@ -0,0 +1,270 @@
+/**
+ * server/utils/attributes.js - Variant attributes from product titles
+ *
+ * PURPOSE:
+ * Token overlap alone scores "iPhone 15 128GB" and "iPhone 15 256GB" as the
+ * same product. This module pulls the attributes that separate variants
+ * out of titles so the matcher can penalise conflicts:
+ *
+ * - storage   GB (1TB = 1024)          "256GB", "(8GB, 256GB)", "8/128 GB", "1 TB"
+ * - ram       GB                       "8GB RAM", "RAM 12 GB", "8+256GB"
+ * - colour    colour family            "Deep Purple" → purple, "Midnight" → black
+ * - size      apparel / footwear size  "Size M", "(XL)", "L/XL", "UK 9"
+ * - pack      item count               "Pack of 2", "Set of 3", "2 pcs"
+ * - quantity  total amount             "2 x 250ml" → 500ml (shared/quantity.js)
+ * - year      model year               "(2023)", "2024 Edition"
+ *
+ * Every attribute is a list (titles may name several colours or sizes) or
+ * null when the title does not mention it. Two titles conflict on an
+ * attribute only when both mention it and the lists share no value. A
+ * matching quantity overrides a pack conflict ("2 x 250ml" vs "500 ml").
+ *
+ * USAGE:
+ * ```javascript
+ * const { extractAttributes, compareAttributes } = require('./utils/attributes');
+ *
+ * compareAttributes(
+ *   extractAttributes('Apple iPhone 15 (128 GB) - Black'),
+ *   extractAttributes('Apple iPhone 15 256GB Midnight')
+ * );
+ * // → { matched: ['colour'], conflicts: [{ attribute: 'storage', source: [128], candidate: [256] }] }
+ * ```
+ */
+
+const { parseQuantity } = require('../../shared/quantity');
+
+const ATTRIBUTES = ['storage', 'ram', 'colour', 'size', 'pack', 'quantity', 'year'];
+
+// Pack phrases, first group = item count (shared with utils/bundleDetector.js)
+const PACK_PATTERNS = [
+  /\b(?:pack|set|combo|bundle|box)\s+of\s+(\d{1,3})\b/,
+  /\b(\d{1,3})\s*[-\s]?(?:pack|pcs|pieces|pc)\b/,
+  /\bpack\s*[:\-]?\s*(\d{1,3})\b/
+];
+
+// Colour words → family ("Navy Blue" and "Blue" are the same colour)
+const COLOUR_FAMILIES = {
+  black: 'black', midnight: 'black', onyx: 'black', jet: 'black',
+  white: 'white', starlight: 'white', ivory: 'white',
+  grey: 'grey', gray: 'grey', graphite: 'grey', charcoal: 'grey',
+  silver: 'silver',
+  gold: 'gold', golden: 'gold',
+  blue: 'blue', navy: 'blue', turquoise: 'blue', aqua: 'blue', teal: 'blue',
+  red: 'red', maroon: 'red', burgundy: 'red',
+  green: 'green', olive: 'green',
+  yellow: 'yellow', mustard: 'yellow',
+  orange: 'orange',
+  purple: 'purple', violet: 'purple', lavender: 'purple', lilac: 'purple',
+  pink: 'pink',
+  brown: 'brown',
+  beige: 'beige', khaki: 'beige'
+};
+
+const SIZE_WORDS = ['xxs', 'xs', 's', 'm', 'l', 'xl', 'xxl', 'xxxl', '2xl', '3xl', '4xl', '5xl'];
+const SIZE_ALIASES = { xxl: '2xl', xxxl: '3xl' };
+
+// Units that rule a 4-digit number out as a year ("2020 mAh")
+const YEAR_UNIT_GUARD = '(?!\\s*(?:mah|mm|cm|ml|mp|hz|kg|gb|tb|w\\b|g\\b|v\\b))';
+
+function uniq(values) {
+  return Array.from(new Set(values));
+}
+
+function toGb(value, unit) {
+  const gb = parseFloat(value) * (/^t/i.test(unit) ? 1024 : 1);
+  return Number.isFinite(gb) && gb > 0 ? gb : null;
+}
+
+function normalizeSize(size) {
+  const lower = size.toLowerCase();
+  return SIZE_ALIASES[lower] || lower;
+}
+
+/**
+ * Storage and RAM in GB
+ * @param {string} text - Lowercased title
+ * @returns {{storage: number[], ram: number[]}}
+ */
+function extractMemory(text) {
+  const ram = [];
+  const storage = [];
+
+  // Paired "8GB+256GB", "8/128 GB", "8 GB | 128 GB" → RAM + storage
+  const paired = /(\d{1,2})\s*(?:gb)?\s*[+\/|]\s*(\d{2,4}|\d(?:\.\d)?)\s*(gb|tb)\b/g;
+  let masked = text.replace(paired, (match, ramGb, storageValue, unit) => {
+    ram.push(Number(ramGb));
+    storage.push(toGb(storageValue, unit));
+    return ' ';
+  });
+
+  // Labelled RAM: "8GB RAM", "RAM 8 GB", "8 GB LPDDR5 RAM"
+  masked = masked
+    .replace(/(\d{1,2})\s*gb\s*(?:[a-z0-9]+\s+)?ram\b/g, (match, gb) => { ram.push(Number(gb)); return ' '; })
+    .replace(/\bram\s*[:\-]?\s*(\d{1,2})\s*gb\b/g, (match, gb) => { ram.push(Number(gb)); return ' '; });
+
+  // Remaining sizes; with several, small values next to a large one are RAM
+  const sizes = [];
+  masked.replace(/(\d+(?:\.\d+)?)\s*(gb|tb)\b/g, (match, value, unit) => {
+    sizes.push(toGb(value, unit));
+    return match;
+  });
+
+  const largest = Math.max(...sizes);
+  sizes.forEach(gb => {
+    if (gb <= 16 && largest >= 32 && sizes.length > 1) {
+      ram.push(gb);
+    } else {
+      storage.push(gb);
+    }
+  });
+
+  return { storage: uniq(storage.filter(Boolean)), ram: uniq(ram) };
+}
+
+function extractColours(text) {
+  const families = text.split(/[^a-z]+/)
+    .map(word => COLOUR_FAMILIES[word])
+    .filter(Boolean);
+  return uniq(families);
+}
+
+function extractSizes(text) {
+  const sizes = [];
+  const sizeWord = SIZE_WORDS.join('|');
+
+  // "Size M", "Size: L/XL", "size 32"; not "screen size 65" or "display size 6.7 inch"
+  const numericSize = '\\d{1,2}(?!\\.\\d|\\d|\\s*(?:inch|inches|cm|mm|"))';
+  const labelled = new RegExp(`\\b(?<!\\b(?:screen|display)\\s*)size\\s*[:\\-]?\\s*((?:(?:${sizeWord}|${numericSize})\\s*[\\/,]?\\s*)+)`, 'g');
+  let match;
+  while ((match = labelled.exec(text))) {
+    match[1].split(/[\s\/,]+/).filter(Boolean).forEach(size => sizes.push(normalizeSize(size)));
+  }
+
+  // "(M)", "- XL" at the end, and sizes that cannot be ordinary words
+  const bracketed = new RegExp(`\\((${sizeWord})\\)|-\\s*(${sizeWord})\\s*$|\\b(xxs|xs|xxl|xxxl|[2-5]xl|xl)\\b`, 'g');
+  while ((match = bracketed.exec(text))) {
+    sizes.push(normalizeSize(match[1] || match[2] || match[3]));
+  }
+
+  // Footwear: "UK 9", "UK-8.5"
+  const footwear = /\buk\s*[\-]?\s*(\d{1,2}(?:\.5)?)\b/g;
+  while ((match = footwear.exec(text))) {
+    sizes.push(`uk${match[1]}`);
+  }
+
+  return uniq(sizes);
+}
+
+/**
+ * Item count of a pack ("Pack of 3", "3-Pack", "2 pcs", "Pack: 4"); "60 count"
+ * is the contents of one item and left to the quantity attribute
+ * @param {string} text - Lower-cased title
+ * @returns {number[]} [count], or [] for no pack phrase
+ */
+function extractPack(text) {
+  for (const pattern of PACK_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return [Number(match[1])];
+  }
+  return [];
+}
+
+function extractYears(text) {
+  const pattern = new RegExp(`\\b(20[1-3]\\d)\\b${YEAR_UNIT_GUARD}`, 'g');
+  const years = [];
+  let match;
+  while ((match = pattern.exec(text))) {
+    years.push(Number(match[1]));
+  }
+  return uniq(years);
+}
+
+// Total amount as a comparable key ('500ml', '1000g', '60count')
+function extractQuantity(title) {
+  const quantity = parseQuantity(title);
+  return quantity ? [`${Number(quantity.amount.toPrecision(3))}${quantity.unit}`] : [];
+}
+
+/**
+ * Extract variant attributes from a product title
+ * @param {string} title
+ * @returns {{storage, ram, colour, size, pack, quantity, year}} Lists, or null when not mentioned
+ */
+function extractAttributes(title) {
+  const text = String(title || '').toLowerCase();
+  const { storage, ram } = extractMemory(text);
+
+  const attributes = {
+    storage,
+    ram,
+    colour: extractColours(text),
+    size: extractSizes(text),
+    pack: extractPack(text),
+    quantity: extractQuantity(title),
+    year: extractYears(text)
+  };
+
+  ATTRIBUTES.forEach(name => {
+    if (attributes[name].length === 0) attributes[name] = null;
+  });
+
+  return attributes;
+}
+
+/**
+ * Compare two attribute sets from extractAttributes
+ * @param {Object} source
+ * @param {Object} candidate
+ * @returns {{matched: string[], conflicts: Array<{attribute, source, candidate}>}}
+ */
+function compareAttributes(source, candidate) {
+  const matched = [];
+  const conflicts = [];
+
+  ATTRIBUTES.forEach(attribute => {
+    const a = source[attribute];
+    const b = candidate[attribute];
+    if (!a || !b) return;
+
+    if (a.some(value => b.includes(value))) {
+      matched.push(attribute);
+    } else {
+      conflicts.push({ attribute, source: a, candidate: b });
+    }
+  });
+
+  // Same total in a different pack split is the same product
+  if (matched.includes('quantity')) {
+    return { matched, conflicts: conflicts.filter(conflict => conflict.attribute !== 'pack') };
+  }
+
+  return { matched, conflicts };
+}
+
+/**
+ * Human-readable attribute values ('128GB', 'purple', 'pack of 2')
+ * @param {string} attribute
+ * @param {Array} values
+ * @returns {string}
+ */
+function formatAttribute(attribute, values) {
+  switch (attribute) {
+    case 'storage':
+    case 'ram':
+      return values.map(gb => (gb >= 1024 && gb % 1024 === 0 ? `${gb / 1024}TB` : `${gb}GB`)).join('/');
+    case 'pack':
+      return values.map(count => `pack of ${count}`).join('/');
+    default:
+      return values.join('/');
+  }
+}
+
+module.exports = {
+  ATTRIBUTES,
+  COLOUR_FAMILIES,
+  PACK_PATTERNS,
+  extractPack,
+  extractAttributes,
+  compareAttributes,
+  formatAttribute
+};
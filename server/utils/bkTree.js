@@ -0,0 +1,173 @@
+/**
+ * server/utils/bkTree.js - BK-tree for Hamming-distance radius queries
+ *
+ * PURPOSE:
+ * Finding every image hash within distance r of a query by scanning all
+ * hashes is linear in the catalog. A BK-tree stores each hash under its
+ * parent at edge label d(parent, hash); by the triangle inequality a query
+ * only descends into children whose edge label lies in [d - r, d + r], so
+ * small-radius lookups touch a small part of the tree.
+ *
+ * Several ids can share one key (the same photo reused by different
+ * listings). Removing the last id of a key leaves an empty routing node;
+ * the tree rebuilds itself once more than half of its nodes are empty.
+ *
+ * USAGE:
+ * ```javascript
+ * const { createBkTree } = require('./bkTree');
+ * const { hammingDistance } = require('../phash');
+ *
+ * const tree = createBkTree(hammingDistance);
+ * tree.insert('f9b2e68a86649a61', 'amazon:B0BN94DM8Z');
+ * tree.query('f9b2e68a86649a60', 4);
+ * // → { matches: [{ key: 'f9b2e68a86649a61', distance: 1, ids: ['amazon:B0BN94DM8Z'] }], visited: 1 }
+ * ```
+ */
+
+/**
+ * Create an empty BK-tree
+ * @param {Function} distance - (a, b) → non-negative integer metric
+ * @returns {Object} { insert, remove, query, has, size, nodeCount, entries }
+ */
+function createBkTree(distance) {
+  // Node: { key, ids: Set, children: Map<edge distance, node> }
+  let root = null;
+  let nodes = 0;
+  let emptyNodes = 0;
+  let ids = 0;
+
+  function findNode(key) {
+    let node = root;
+    while (node) {
+      const d = distance(key, node.key);
+      if (d === 0) return node;
+      node = node.children.get(d);
+    }
+    return null;
+  }
+
+  /**
+   * Add an id under a key
+   * @param {string} key
+   * @param {string} id
+   * @returns {boolean} false when the id was already stored under this key
+   */
+  function insert(key, id) {
+    if (!root) {
+      root = { key, ids: new Set([id]), children: new Map() };
+      nodes = 1;
+      ids = 1;
+      return true;
+    }
+
+    let node = root;
+    for (;;) {
+      const d = distance(key, node.key);
+      if (d === 0) {
+        if (node.ids.has(id)) return false;
+        if (node.ids.size === 0) emptyNodes--;
+        node.ids.add(id);
+        ids++;
+        return true;
+      }
+
+      const child = node.children.get(d);
+      if (!child) {
+        node.children.set(d, { key, ids: new Set([id]), children: new Map() });
+        nodes++;
+        ids++;
+        return true;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Remove an id from a key
+   * @param {string} key
+   * @param {string} id
+   * @returns {boolean} false when the id was not stored under this key
+   */
+  function remove(key, id) {
+    const node = findNode(key);
+    if (!node || !node.ids.delete(id)) return false;
+
+    ids--;
+    if (node.ids.size === 0) {
+      emptyNodes++;
+      if (emptyNodes * 2 > nodes) rebuild();
+    }
+    return true;
+  }
+
+  // Re-insert live keys only, dropping empty routing nodes
+  function rebuild() {
+    const live = entries();
+    root = null;
+    nodes = 0;
+    emptyNodes = 0;
+    ids = 0;
+    live.forEach(({ key, ids: keyIds }) => keyIds.forEach(id => insert(key, id)));
+  }
+
+  /**
+   * All keys within `radius` of `key`, nearest first
+   * @param {string} key
+   * @param {number} radius
+   * @returns {{matches: Array<{key, distance, ids}>, visited: number}} visited = nodes compared
+   */
+  function query(key, radius) {
+    const matches = [];
+    let visited = 0;
+    const stack = root ? [root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const d = distance(key, node.key);
+      visited++;
+
+      if (d <= radius && node.ids.size > 0) {
+        matches.push({ key: node.key, distance: d, ids: [...node.ids] });
+      }
+
+      node.children.forEach((child, edge) => {
+        if (edge >= d - radius && edge <= d + radius) stack.push(child);
+      });
+    }
+
+    matches.sort((a, b) => a.distance - b.distance);
+    return { matches, visited };
+  }
+
+  /**
+   * Every non-empty key with its ids
+   * @returns {Array<{key, ids: string[]}>}
+   */
+  function entries() {
+    const result = [];
+    const stack = root ? [root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.ids.size > 0) result.push({ key: node.key, ids: [...node.ids] });
+      node.children.forEach(child => stack.push(child));
+    }
+    return result;
+  }
+
+  return {
+    insert,
+    remove,
+    query,
+    has: (key, id) => {
+      const node = findNode(key);
+      return Boolean(node && node.ids.has(id));
+    },
+    entries,
+    size: () => ids,
+    nodeCount: () => nodes
+  };
+}
+
+module.exports = {
+  createBkTree
+};
@@ -0,0 +1,184 @@
+/**
+ * server/utils/bundleDetector.js - Bundle and combo listings
+ *
+ * PURPOSE:
+ * "Roadster T-shirt (Pack of 3)" at ₹999 and "Phone + Charger Combo" are not
+ * priced like the single item the user is looking at, so comparing their
+ * price one-to-one with it is misleading. This module recognizes such
+ * listings and splits them into components:
+ *
+ * KINDS:
+ * - pack   N of the same item        "Pack of 3", "Set of 2", "3-Pack", "2 pcs",
+ *                                    "2 x 250ml"; per-item price = price / N
+ * - combo  different items together  "Phone + Charger Combo" → phone, charger;
+ *                                    a "Combo" / "Bundle" title that cannot be
+ *                                    split has no components (items null);
+ *                                    spec / service parts ("512GB SSD", "1 Year
+ *                                    Warranty") are not components
+ * Pack phrases are the pack attribute's grammar (utils/attributes.js).
+ *
+ * bundleDescriptor() compares with the source: a pack of 3 is no bundle when
+ * the source is the same pack of 3, and "2 x 250ml" is none next to "500 ml".
+ * The effective price is what the source's number of items would cost
+ * (packs only; a combo's price cannot be split between its items).
+ *
+ * USAGE:
+ * ```javascript
+ * const { detectBundle, bundleDescriptor } = require('./utils/bundleDetector');
+ *
+ * detectBundle('Roadster Men Cotton T-shirt (Pack of 3)');
+ * // → { kind: 'pack', items: 3, components: [{ name: 'roadster men cotton t-shirt', count: 3 }], label: 'Pack of 3' }
+ * bundleDescriptor({ title: 'Roadster T-shirt' }, { title: 'Roadster T-shirt (Pack of 3)', price_cents: 99900 });
+ * // → { kind: 'pack', items: 3, ..., source_items: 1, per_item_price_cents: 33300, effective_price_cents: 33300 }
+ * ```
+ */
+
+const { parseQuantity, sameQuantity } = require('../../shared/quantity');
+const { PACK_PATTERNS, extractPack } = require('./attributes');
+
+const COMBO_WORDS = /\b(?:combo|bundle)\b/;
+
+// "+" joins products in combos, but also specs and services: "(Wi-Fi + Cellular)",
+// "16GB + 512GB SSD", "+ 1 Year Warranty"
+const COMPONENT_SEPARATOR = /\s\+\s/;
+const SPEC_WORDS = new Set([
+  'ram', 'rom', 'storage', 'memory', 'internal', 'expandable', 'cellular', 'wifi', 'wi', 'fi',
+  'lte', '4g', '5g', 'sim', 'dual', 'esim', 'ssd', 'hdd', 'emmc', 'nvme',
+  'warranty', 'extended', 'year', 'years', 'month', 'months', 'emi', 'no-cost', 'cost', 'free', 'offer',
+  'combo', 'bundle', 'kit', 'pack', 'set'
+]);
+
+// Units written apart from their number ("512 GB"); a component of numbers and units names no product
+const UNIT_WORDS = new Set([
+  'gb', 'tb', 'mb', 'mah', 'w', 'watt', 'watts', 'hz', 'inch', 'inches', 'cm', 'mm', 'm',
+  'ml', 'l', 'litre', 'liter', 'g', 'gm', 'kg', 'x'
+]);
+
+function lower(text) {
+  return String(text || '').toLowerCase();
+}
+
+function words(text) {
+  return lower(text).split(/[^a-z0-9-]+/).filter(Boolean);
+}
+
+// Words of a component that name a product ("128gb", "512 gb", "storage" don't)
+function productWords(text) {
+  return words(text).filter(word =>
+    !SPEC_WORDS.has(word) && !UNIT_WORDS.has(word) && !/^\d+(?:\.\d+)?[a-z]{0,3}$/.test(word));
+}
+
+function packCount(text) {
+  const [count] = extractPack(text);
+  if (count) return count;
+
+  // "2 x 250ml": measured goods only ("60 tablets" is the contents of one item)
+  const quantity = parseQuantity(text);
+  return quantity && quantity.unit !== 'count' ? quantity.count : 1;
+}
+
+// "Phone + 2 x Charger Combo" → [{ name: 'phone', count: 1 }, { name: 'charger', count: 2 }]
+function splitComponents(text) {
+  const outside = text.replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+  const parts = outside.split(COMPONENT_SEPARATOR);
+  if (parts.length < 2) return [];
+
+  // Spec and service parts ("512GB SSD", "1 Year Warranty") name no product: dropped
+  const components = parts.map(part => {
+    const counted = part.trim().match(/^(\d{1,2})\s*[x×]?\s+(.+)$/);
+    const name = productWords(counted ? counted[2] : part).join(' ');
+    return { name, count: counted ? Number(counted[1]) : 1 };
+  }).filter(component => component.name);
+
+  return components.length >= 2 ? components : [];
+}
+
+/**
+ * Detect a bundle or combo listing from its title
+ * @param {string} title
+ * @returns {{kind: string, items: number|null, components: Array<{name, count}>, label: string}|null}
+ *   null for a single item
+ */
+function detectBundle(title) {
+  const text = lower(title);
+  if (!text) return null;
+
+  const components = splitComponents(text);
+  if (components.length > 0) {
+    return {
+      kind: 'combo',
+      items: components.reduce((sum, component) => sum + component.count, 0),
+      components,
+      label: `Combo: ${components.map(c => (c.count > 1 ? `${c.count} × ${c.name}` : c.name)).join(' + ')}`
+    };
+  }
+
+  const count = packCount(text);
+  if (count > 1) {
+    const name = PACK_PATTERNS.reduce((rest, pattern) => rest.replace(pattern, ' '), text.replace(/[()[\],]/g, ' '));
+    return {
+      kind: 'pack',
+      items: count,
+      components: [{ name: productWords(name).filter(word => word.length > 1).join(' ').slice(0, 60), count }],
+      label: `Pack of ${count}`
+    };
+  }
+
+  if (COMBO_WORDS.test(text)) {
+    return { kind: 'combo', items: null, components: [], label: 'Combo' };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a combo is led by the source product ("Galaxy M14 5G + Charger Combo"
+ * for a Galaxy M14 source): then its other components are extras, not an
+ * accessory listing
+ * @param {Object} bundle - detectBundle() result
+ * @param {string} sourceTitle
+ * @returns {boolean}
+ */
+function comboIncludesSource(bundle, sourceTitle) {
+  if (!bundle || bundle.kind !== 'combo' || bundle.components.length === 0) return false;
+
+  const sourceWords = new Set(productWords(sourceTitle));
+  const lead = bundle.components[0].name.split(' ');
+  const shared = lead.filter(word => sourceWords.has(word)).length;
+  return shared >= Math.min(2, lead.length);
+}
+
+/**
+ * Bundle descriptor of a candidate relative to the source listing
+ * @param {Object} source - { title }
+ * @param {Object} candidate - { title, price_cents? }
+ * @returns {Object|null} detectBundle() result plus source_items, per_item_price_cents and
+ *   effective_price_cents (price of source_items items; null for combos), or null when the
+ *   candidate compares one-to-one with the source
+ */
+function bundleDescriptor(source, candidate) {
+  const bundle = detectBundle(candidate.title);
+  if (!bundle) return null;
+
+  const sourceBundle = detectBundle(source.title);
+  if (sourceBundle && sourceBundle.kind === bundle.kind && sourceBundle.items === bundle.items) return null;
+
+  // Same total amount in another split ("2 x 250ml" vs "500 ml")
+  if (bundle.kind === 'pack' && sameQuantity(parseQuantity(source.title), parseQuantity(candidate.title))) return null;
+
+  const sourceItems = sourceBundle && sourceBundle.kind === 'pack' ? sourceBundle.items : 1;
+  const priced = bundle.kind === 'pack' && candidate.price_cents > 0;
+
+  return {
+    ...bundle,
+    source_items: sourceItems,
+    per_item_price_cents: priced ? Math.round(candidate.price_cents / bundle.items) : null,
+    effective_price_cents: priced ? Math.round(candidate.price_cents * sourceItems / bundle.items) : null
+  };
+}
+
+module.exports = {
+  detectBundle,
+  comboIncludesSource,
+  bundleDescriptor
+};
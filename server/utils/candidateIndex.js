@@ -0,0 +1,181 @@
+/**
+ * server/utils/candidateIndex.js - Candidate Blocking Index
+ *
+ * PURPOSE:
+ * Matching a product against a stored catalog of thousands of items cannot
+ * run scoreCandidate on every item. This inverted index (token → items,
+ * model number → items, GTIN → items) picks the plausible candidates
+ * ("blocking") so only those are scored. Built through
+ * matcher.createMatchIndex(), which supplies the matcher's tokenizer.
+ *
+ * BLOCKING:
+ * 1. Items with the source's GTIN or one of its model number families are
+ *    always kept
+ * 2. Title tokens: tokens in more than maxDocFrequency of the catalog
+ *    ("5g", "black", a big brand) are too common to block on and are
+ *    skipped, unless every source token is that common (then the two rarest
+ *    are used). Items sharing at least min(2, usable tokens) of the rest
+ *    are kept.
+ * 3. Token-blocked items are ranked by IDF weight of the shared tokens, then
+ *    Jaccard similarity of all tokens, and the top `limit` are returned
+ *
+ * USAGE:
+ * ```javascript
+ * const { createMatchIndex, matchInCatalog } = require('../matcher');
+ *
+ * const index = createMatchIndex(catalogItems);
+ * const { best, score, blocking } = matchInCatalog(source, index, { limit: 50 });
+ * // blocking → { catalog: 100000, candidates: 50, via: { gtin: 0, model: 2, tokens: 48 } }
+ * ```
+ *
+ * The index is append-only; rebuild it when catalog items change.
+ */
+
+const { normalizeGtin } = require('../../shared/identifiers');
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_MAX_DOC_FREQUENCY = 0.05;
+
+// Token-blocked items ranked by Jaccard (beyond this many, IDF order decides first)
+const MAX_RANKED = 5000;
+
+function addPosting(postings, key, id) {
+  const list = postings.get(key);
+  if (list) list.push(id);
+  else postings.set(key, [id]);
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Create an empty candidate index
+ * @param {Object} options
+ * @param {Function} options.features - product → { tokens: Set, models: [{ family }] } (matcher.productFeatures)
+ * @param {number} options.maxDocFrequency - Share of items above which a token is too common to block on
+ * @returns {Object} Index API
+ */
+function createCandidateIndex({ features, maxDocFrequency = DEFAULT_MAX_DOC_FREQUENCY } = {}) {
+  if (typeof features !== 'function') {
+    throw new Error('createCandidateIndex needs a features(product) function');
+  }
+
+  const items = [];
+  const tokenPostings = new Map();
+  const modelPostings = new Map();
+  const gtinPostings = new Map();
+
+  /**
+   * Add a catalog item
+   * @param {Object} item - { title, model?, gtin?, ... } (kept as is, returned by block)
+   * @returns {number} Item id
+   */
+  function add(item) {
+    const id = items.length;
+    const { tokens, models } = features(item);
+    items.push(item);
+
+    tokens.forEach(token => addPosting(tokenPostings, token, id));
+    models.forEach(model => addPosting(modelPostings, model.family, id));
+    const gtin = normalizeGtin(item.gtin);
+    if (gtin) addPosting(gtinPostings, gtin, id);
+
+    return id;
+  }
+
+  /**
+   * Add many catalog items
+   * @param {Array} list
+   * @returns {number} Number added
+   */
+  function addAll(list) {
+    list.forEach(add);
+    return list.length;
+  }
+
+  /**
+   * Plausible candidates for a source product
+   * @param {Object} source - { title, model?, gtin? }
+   * @param {Object} options
+   * @param {number} options.limit - Most token-blocked candidates to return (default 50)
+   * @returns {{candidates: Array, stats: Object}}
+   */
+  function block(source, { limit = DEFAULT_LIMIT } = {}) {
+    const { tokens, models } = features(source);
+    const kept = new Set();
+    const via = { gtin: 0, model: 0, tokens: 0 };
+
+    // 1. Identifiers
+    const gtin = normalizeGtin(source.gtin);
+    (gtin && gtinPostings.get(gtin) || []).forEach(id => {
+      if (!kept.has(id)) via.gtin++;
+      kept.add(id);
+    });
+    new Set(models.map(model => model.family)).forEach(family => {
+      (modelPostings.get(family) || []).forEach(id => {
+        if (!kept.has(id)) via.model++;
+        kept.add(id);
+      });
+    });
+
+    // 2. Rare title tokens
+    const known = Array.from(tokens)
+      .map(token => ({ token, postings: tokenPostings.get(token) }))
+      .filter(entry => entry.postings)
+      .sort((a, b) => a.postings.length - b.postings.length);
+    const commonAbove = Math.max(1, maxDocFrequency * items.length);
+    let usable = known.filter(entry => entry.postings.length <= commonAbove);
+    if (usable.length === 0) usable = known.slice(0, 2);
+
+    const minShared = Math.min(2, usable.length);
+    const weight = new Map();
+    const shared = new Map();
+    usable.forEach(({ postings }) => {
+      const idf = Math.log(1 + items.length / postings.length);
+      postings.forEach(id => {
+        weight.set(id, (weight.get(id) || 0) + idf);
+        shared.set(id, (shared.get(id) || 0) + 1);
+      });
+    });
+
+    // 3. Rank and cut
+    const ranked = Array.from(shared.keys())
+      .filter(id => shared.get(id) >= minShared && !kept.has(id))
+      .sort((a, b) => weight.get(b) - weight.get(a))
+      .slice(0, MAX_RANKED)
+      .map(id => ({ id, similarity: jaccard(tokens, features(items[id]).tokens) }))
+      .sort((a, b) => b.similarity - a.similarity || weight.get(b.id) - weight.get(a.id))
+      .slice(0, limit);
+    ranked.forEach(({ id }) => kept.add(id));
+    via.tokens = ranked.length;
+
+    return {
+      candidates: Array.from(kept).map(id => items[id]),
+      stats: {
+        catalog: items.length,
+        candidates: kept.size,
+        tokens_used: usable.map(entry => entry.token),
+        via
+      }
+    };
+  }
+
+  return {
+    add,
+    addAll,
+    block,
+    size: () => items.length
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  DEFAULT_MAX_DOC_FREQUENCY,
+  createCandidateIndex
+};
@@ -0,0 +1,192 @@
+/**
+ * server/utils/embeddingCache.js - Title embedding cache
+ *
+ * PURPOSE:
+ * The matcher's semantic stage compares title embeddings (see
+ * server/embeddings.js), and computing one means a model run or an HTTP
+ * round trip. This cache embeds each title once (failed titles are retried
+ * after FAILURE_TTL_MS), sends a search's new titles in batches, and waits
+ * for them under one deadline, so a slow model cannot hold up the search.
+ * With EMBEDDING_PROVIDER unset (or the local model not installed) the cache
+ * is disabled and returns no vectors; matching then uses titles only.
+ *
+ * CONFIG (env):
+ * - EMBEDDING_PROVIDER=none|local|http   see server/embeddings.js
+ * - EMBEDDING_URL, EMBEDDING_MODEL       endpoint / model
+ * - EMBEDDING_TIMEOUT_MS=2000            deadline for embedding one search's titles
+ * - EMBEDDING_CACHE_SIZE=5000            max cached titles
+ *
+ * USAGE:
+ * ```javascript
+ * const embeddingCache = require('../utils/embeddingCache');
+ *
+ * const embeddings = await embeddingCache.embedAll([source.title, ...candidates.map(c => c.title)]);
+ * findBestMatch(source, candidates, { embeddings });
+ * ```
+ */
+
+const { createEmbedder } = require('../embeddings');
+const { withTimeout } = require('./siteGuard');
+
+const FAILURE_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Create a title embedding cache
+ * @param {Object} options
+ * @param {Object} options.embedder - From createEmbedder ({ available, embed })
+ * @param {boolean} options.enabled - Also false when the embedder is not available
+ * @param {number} options.timeoutMs - Deadline for embedAll()
+ * @param {number} options.batchSize - Titles per embed() call
+ * @param {number} options.maxEntries
+ * @param {Function} options.now - Clock (tests)
+ */
+function createEmbeddingCache(options = {}) {
+  const {
+    embedder = createEmbedder(),
+    timeoutMs = 2000,
+    batchSize = 32,
+    maxEntries = 5000,
+    now = Date.now
+  } = options;
+  const enabled = options.enabled !== false && embedder.available;
+
+  // title → { vector, failedAt } | { promise } while in flight
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, failures: 0 };
+
+  function remember(text, entry) {
+    entries.delete(text);
+    entries.set(text, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // One embed() call for a batch of uncached titles; every title gets its own promise
+  function embedBatch(texts) {
+    const batch = Promise.resolve().then(() => embedder.embed(texts));
+
+    return texts.map((text, i) => {
+      const promise = batch
+        .then(vectors => {
+          remember(text, { vector: vectors[i] });
+          return vectors[i];
+        })
+        .catch(() => {
+          remember(text, { vector: null, failedAt: now() });
+          return null;
+        });
+      remember(text, { promise });
+      return promise;
+    });
+
+    batch.catch(err => {
+      stats.failures += texts.length;
+      console.warn(`[Embeddings] ⚠️ ${texts.length} title(s): ${err.message}`);
+    });
+  }
+
+  function cached(text) {
+    const entry = entries.get(text);
+    if (!entry) return undefined;
+    if (entry.promise) return entry.promise;
+    if (entry.vector || now() - entry.failedAt < FAILURE_TTL_MS) {
+      stats.hits++;
+      return Promise.resolve(entry.vector);
+    }
+    return undefined;
+  }
+
+  /**
+   * Embed many titles; titles still pending at the deadline are left out
+   * (and stay cached for the next search once they finish)
+   * @param {string[]} texts
+   * @returns {Promise<Map<string, number[]>>} title → vector
+   */
+  async function embedAll(texts) {
+    const embeddings = new Map();
+    if (!enabled) return embeddings;
+
+    const unique = [...new Set((texts || []).filter(Boolean))];
+    const lookups = new Map();
+    const missing = [];
+    unique.forEach(text => {
+      const lookup = cached(text);
+      if (lookup) lookups.set(text, lookup);
+      else missing.push(text);
+    });
+    stats.misses += missing.length;
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize);
+      embedBatch(batch).forEach((promise, j) => lookups.set(batch[j], promise));
+    }
+
+    const pending = [...lookups].map(([text, lookup]) => lookup.then(vector => {
+      if (vector) embeddings.set(text, vector);
+    }));
+
+    try {
+      await withTimeout(Promise.all(pending), timeoutMs);
+    } catch (err) {
+      console.warn(`[Embeddings] ⏱️ ${embeddings.size}/${unique.length} titles embedded before ${timeoutMs}ms deadline`);
+    }
+
+    return new Map(embeddings);
+  }
+
+  /**
+   * Embedding of one title
+   * @param {string} text
+   * @returns {Promise<number[]|null>} null when disabled or the title failed
+   */
+  async function embed(text) {
+    const embeddings = await embedAll([text]);
+    return embeddings.get(text) || null;
+  }
+
+  function clear() {
+    entries.clear();
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.failures = 0;
+  }
+
+  return {
+    enabled,
+    embed,
+    embedAll,
+    clear,
+    size: () => entries.size,
+    stats: () => ({ ...stats, size: entries.size })
+  };
+}
+
+function envNumber(name) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : undefined;
+}
+
+function defaultEmbedder() {
+  try {
+    return createEmbedder({
+      provider: process.env.EMBEDDING_PROVIDER || 'none',
+      url: process.env.EMBEDDING_URL,
+      model: process.env.EMBEDDING_MODEL
+    });
+  } catch (err) {
+    console.warn(`[Embeddings] ⚠️ ${err.message}; semantic matching disabled`);
+    return createEmbedder();
+  }
+}
+
+const defaultCache = createEmbeddingCache({
+  embedder: defaultEmbedder(),
+  timeoutMs: envNumber('EMBEDDING_TIMEOUT_MS'),
+  batchSize: envNumber('EMBEDDING_BATCH_SIZE'),
+  maxEntries: envNumber('EMBEDDING_CACHE_SIZE')
+});
+
+module.exports = {
+  createEmbeddingCache,
+  ...defaultCache
+};
@@ -0,0 +1,129 @@
+/**
+ * server/utils/feedbackStore.js - Persistent Match Feedback Store
+ *
+ * PURPOSE:
+ * Labelled (source, candidate) pairs from the popup's "right product" /
+ * "wrong product" buttons (POST /v1/match-feedback). They are the training
+ * data for scripts/fit-match-weights.js.
+ *
+ * STORAGE:
+ * Single JSON file (default: server/data/match-feedback.json, override with
+ * MATCH_FEEDBACK_DB). Layout: { pairs: { [pairKey]: pair } }
+ * A pair is stored once per source/candidate product; marking it again
+ * replaces the label.
+ *
+ * PAIR SHAPE:
+ * {
+ *   id, label: 'match' | 'mismatch',
+ *   source: { site, site_id, title, model?, brand?, gtin?, price_cents? },
+ *   candidate: { site, site_id, title, brand?, gtin?, price_cents? },
+ *   score,            // matcher score shown when the label was given
+ *   created_at, updated_at
+ * }
+ */
+
+const path = require('path');
+const { createJsonStore, DATA_DIR } = require('./jsonStore');
+
+const LABELS = ['match', 'mismatch'];
+
+// Product fields kept with a label (what scoreCandidate reads, plus identity)
+const PRODUCT_FIELDS = ['site', 'site_id', 'title', 'model', 'brand', 'gtin', 'price_cents'];
+
+function pickProduct(product) {
+  const picked = {};
+  PRODUCT_FIELDS.forEach(field => {
+    if (product[field] !== undefined && product[field] !== null && product[field] !== '') {
+      picked[field] = field === 'price_cents' ? Number(product[field]) : String(product[field]);
+    }
+  });
+  return picked;
+}
+
+/**
+ * Key of a labelled pair: site:id of both products (title when there is no id)
+ */
+function pairKey(source, candidate) {
+  const key = product => (product.site_id ? `${product.site}:${product.site_id}` : `${product.site}:${product.title}`);
+  return `${key(source)}|${key(candidate)}`.toLowerCase();
+}
+
+/**
+ * Create a feedback store backed by a JSON file
+ * @param {string} filePath
+ * @returns {Object} Store API
+ */
+function createFeedbackStore(filePath) {
+  const store = createJsonStore(filePath, { pairs: {} });
+
+  /**
+   * Record (or relabel) a pair
+   * @param {Object} input - { source, candidate, label, score? }
+   * @returns {Object} Stored pair
+   */
+  function addFeedback({ source, candidate, label, score }) {
+    const now = new Date().toISOString();
+    const pickedSource = pickProduct(source);
+    const pickedCandidate = pickProduct(candidate);
+    const id = pairKey(pickedSource, pickedCandidate);
+
+    return store.update(data => {
+      const existing = data.pairs[id];
+      const pair = {
+        id,
+        label,
+        source: pickedSource,
+        candidate: pickedCandidate,
+        score: typeof score === 'number' ? score : null,
+        created_at: existing ? existing.created_at : now,
+        updated_at: now
+      };
+      data.pairs[id] = pair;
+      return { ...pair };
+    });
+  }
+
+  /**
+   * All labelled pairs, oldest first
+   * @param {Object} filter - { label? }
+   * @returns {Array}
+   */
+  function listFeedback({ label } = {}) {
+    return Object.values(store.load().pairs)
+      .filter(pair => !label || pair.label === label)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(pair => ({ ...pair }));
+  }
+
+  /**
+   * Pair counts by label
+   * @returns {{total: number, match: number, mismatch: number}}
+   */
+  function counts() {
+    const pairs = Object.values(store.load().pairs);
+    return {
+      total: pairs.length,
+      match: pairs.filter(pair => pair.label === 'match').length,
+      mismatch: pairs.filter(pair => pair.label === 'mismatch').length
+    };
+  }
+
+  return {
+    addFeedback,
+    listFeedback,
+    counts,
+    filePath: store.filePath
+  };
+}
+
+// Default store shared by the route and the fitting script
+const defaultStore = createFeedbackStore(
+  process.env.MATCH_FEEDBACK_DB || path.join(DATA_DIR, 'match-feedback.json')
+);
+
+module.exports = {
+  LABELS,
+  createFeedbackStore,
+  pairKey,
+  ...defaultStore
+};
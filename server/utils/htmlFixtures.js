@@ -0,0 +1,160 @@
+/**
+ * server/utils/htmlFixtures.js - Offline HTML fixtures for the scraper
+ *
+ * PURPOSE:
+ * Record retailer pages once and replay them later, so scraper code can be
+ * exercised without hitting live sites (CI, offline development).
+ *
+ * MODES (SCRAPER_FIXTURES env var):
+ * - unset    Live scraping, fixtures untouched
+ * - record   Live scraping, every fetched/rendered page is saved
+ * - replay   No network or browser: pages are served from fixtures and a
+ *            missing fixture is an error
+ *
+ * STORAGE:
+ * Directory (default: server/fixtures/html, override with
+ * SCRAPER_FIXTURES_DIR) with one HTML file per page plus index.json keyed
+ * by URL:
+ * {
+ *   pages: {
+ *     'https://www.amazon.in/s?k=boat': { file: 'www.amazon.in/s-k-boat-1a2b3c4d.html', recordedAt }
+ *   }
+ * }
+ * Hand-written fixtures only need an index entry pointing at their file.
+ *
+ * USAGE:
+ * ```bash
+ * SCRAPER_FIXTURES=record node server/test-scraper.js   # save pages
+ * SCRAPER_FIXTURES=replay node server/test-scraper.js   # deterministic rerun
+ * ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'fixtures', 'html');
+const MODES = ['record', 'replay'];
+
+/**
+ * Normalize a URL into a fixture key (fragment dropped)
+ * @param {string} url
+ * @returns {string}
+ */
+function fixtureKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (err) {
+    return String(url);
+  }
+}
+
+// Readable, collision-safe relative file name for a URL
+function fixtureFileName(key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8);
+  let host = 'unknown';
+  let slug = 'page';
+
+  try {
+    const parsed = new URL(key);
+    host = parsed.hostname;
+    slug = (parsed.pathname + parsed.search).replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'index';
+  } catch (err) {
+    // Keep defaults
+  }
+
+  return path.join(host, `${slug}-${hash}.html`);
+}
+
+/**
+ * Create a fixture store
+ * @param {Object} options
+ * @param {string} options.dir - Fixtures directory
+ * @param {string|null} options.mode - 'record', 'replay' or null (live)
+ * @returns {Object} Fixture API
+ */
+function createFixtureStore({ dir = DEFAULT_DIR, mode = null } = {}) {
+  if (mode && !MODES.includes(mode)) {
+    throw new Error(`Invalid fixture mode "${mode}" (expected ${MODES.join(' or ')})`);
+  }
+
+  const index = createJsonStore(path.join(dir, 'index.json'), { pages: {} });
+
+  function has(url) {
+    return Boolean(index.load().pages[fixtureKey(url)]);
+  }
+
+  /**
+   * Read the recorded HTML for a URL
+   * @throws {Error} code FIXTURE_MISSING when nothing was recorded
+   */
+  function read(url) {
+    const key = fixtureKey(url);
+    const entry = index.load().pages[key];
+
+    if (!entry) {
+      const err = new Error(`No HTML fixture recorded for ${key}`);
+      err.code = 'FIXTURE_MISSING';
+      throw err;
+    }
+
+    return fs.readFileSync(path.join(dir, entry.file), 'utf8');
+  }
+
+  /**
+   * Save HTML for a URL (overwrites an earlier recording)
+   * @returns {string} Absolute path of the fixture file
+   */
+  function write(url, html) {
+    const key = fixtureKey(url);
+    const file = fixtureFileName(key);
+    const fullPath = path.join(dir, file);
+
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, html);
+    index.update(data => {
+      data.pages[key] = { file: file.split(path.sep).join('/'), recordedAt: new Date().toISOString() };
+    });
+
+    return fullPath;
+  }
+
+  // Save only when recording (call after every live fetch)
+  function record(url, html) {
+    if (mode !== 'record') return null;
+
+    try {
+      const fullPath = write(url, html);
+      console.log(`📼 [Fixtures] Recorded ${fixtureKey(url)}`);
+      return fullPath;
+    } catch (err) {
+      console.error('[Fixtures] Failed to record page:', err.message);
+      return null;
+    }
+  }
+
+  return {
+    dir,
+    mode,
+    isRecording: () => mode === 'record',
+    isReplaying: () => mode === 'replay',
+    has,
+    read,
+    write,
+    record
+  };
+}
+
+const defaultStore = createFixtureStore({
+  dir: process.env.SCRAPER_FIXTURES_DIR || DEFAULT_DIR,
+  mode: process.env.SCRAPER_FIXTURES || null
+});
+
+module.exports = {
+  createFixtureStore,
+  fixtureKey,
+  ...defaultStore
+};
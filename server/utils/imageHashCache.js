@@ -0,0 +1,157 @@
+/**
+ * server/utils/imageHashCache.js - pHash cache for product image URLs
+ *
+ * PURPOSE:
+ * findBestMatch can use image similarity as an extra signal, but computing a
+ * pHash means downloading the image and running a DCT. This cache hashes
+ * each image URL once (failed URLs are retried after FAILURE_TTL_MS) and
+ * hashes a search's images in parallel under one deadline, so a slow image
+ * host cannot hold up the search. Without `sharp` installed the cache is
+ * disabled and returns no hashes; matching then falls back to titles only.
+ *
+ * CONFIG (env):
+ * - IMAGE_MATCHING=false         disable image hashing
+ * - IMAGE_HASH_TIMEOUT_MS=4000   deadline for hashing one search's images
+ * - IMAGE_HASH_CACHE_SIZE=2000   max cached URLs
+ *
+ * LOGGING:
+ * Failed images and missed deadlines are warned about; each newly hashed
+ * image is logged only at MATCHER_LOG_LEVEL=debug (see matcher.js).
+ *
+ * USAGE:
+ * ```javascript
+ * const imageHashCache = require('../utils/imageHashCache');
+ *
+ * const imageHashes = await imageHashCache.hashAll([source.image, ...candidates.map(c => c.image)]);
+ * findBestMatch(source, candidates, { imageHashes });
+ * ```
+ */
+
+const phash = require('../phash');
+const { withTimeout } = require('./siteGuard');
+const { getLogLevel } = require('../matcher');
+
+const FAILURE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Create an image hash cache
+ * @param {Object} options
+ * @param {boolean} options.enabled - Also false when `available` is false
+ * @param {boolean} options.available - Whether hashes can be computed (sharp installed)
+ * @param {Function} options.computeHash - url → Promise<hex hash> (default phash.computePHash)
+ * @param {number} options.timeoutMs - Deadline for hashAll()
+ * @param {number} options.maxEntries
+ * @param {Function} options.now - Clock (tests)
+ */
+function createImageHashCache(options = {}) {
+  const {
+    available = phash.isAvailable(),
+    computeHash = phash.computePHash,
+    timeoutMs = 4000,
+    maxEntries = 2000,
+    now = Date.now
+  } = options;
+  const enabled = options.enabled !== false && available;
+
+  // url → { hash, failedAt } | { promise } while in flight
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, failures: 0 };
+
+  function remember(url, entry) {
+    entries.delete(url);
+    entries.set(url, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * pHash of one image
+   * @param {string} url
+   * @returns {Promise<string|null>} null when disabled or the image failed
+   */
+  async function hash(url) {
+    if (!enabled || !url) return null;
+
+    const entry = entries.get(url);
+    if (entry && entry.promise) return entry.promise;
+    if (entry && (entry.hash || now() - entry.failedAt < FAILURE_TTL_MS)) {
+      stats.hits++;
+      return entry.hash;
+    }
+
+    stats.misses++;
+    const promise = Promise.resolve()
+      .then(() => computeHash(url))
+      .then(result => {
+        remember(url, { hash: result });
+        if (getLogLevel() === 'debug') console.log(`[ImageHash] 🖼️ ${url} → ${result}`);
+        return result;
+      })
+      .catch(err => {
+        stats.failures++;
+        console.warn(`[ImageHash] ⚠️ ${url}: ${err.message}`);
+        remember(url, { hash: null, failedAt: now() });
+        return null;
+      });
+
+    remember(url, { promise });
+    return promise;
+  }
+
+  /**
+   * Hash many images in parallel; images still pending at the deadline are
+   * left out (and stay cached for the next search once they finish)
+   * @param {string[]} urls
+   * @returns {Promise<Map<string, string>>} url → hash
+   */
+  async function hashAll(urls) {
+    const hashes = new Map();
+    if (!enabled) return hashes;
+
+    const unique = [...new Set((urls || []).filter(Boolean))];
+    const pending = unique.map(url => hash(url).then(result => {
+      if (result) hashes.set(url, result);
+    }));
+
+    try {
+      await withTimeout(Promise.all(pending), timeoutMs);
+    } catch (err) {
+      console.warn(`[ImageHash] ⏱️ ${hashes.size}/${unique.length} images hashed before ${timeoutMs}ms deadline`);
+    }
+
+    return new Map(hashes);
+  }
+
+  function clear() {
+    entries.clear();
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.failures = 0;
+  }
+
+  return {
+    enabled,
+    hash,
+    hashAll,
+    clear,
+    size: () => entries.size,
+    stats: () => ({ ...stats, size: entries.size })
+  };
+}
+
+function envNumber(name) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : undefined;
+}
+
+const defaultCache = createImageHashCache({
+  enabled: process.env.IMAGE_MATCHING !== 'false',
+  timeoutMs: envNumber('IMAGE_HASH_TIMEOUT_MS'),
+  maxEntries: envNumber('IMAGE_HASH_CACHE_SIZE')
+});
+
+module.exports = {
+  createImageHashCache,
+  ...defaultCache
+};
@@ -0,0 +1,144 @@
+/**
+ * server/utils/imageIndex.js - Persistent near-duplicate image index
+ *
+ * PURPOSE:
+ * Remember the pHash of every product image the server has hashed, so the
+ * same product photo reused on another site can be found without comparing
+ * against the whole catalog. Hashes live in a BK-tree (utils/bkTree.js)
+ * keyed by Hamming distance; GET /v1/similar-images queries it.
+ *
+ * STORAGE:
+ * Single JSON file (default: server/data/image-index.json, override with
+ * IMAGE_INDEX_DB). The tree is rebuilt from it on first use. Layout:
+ * {
+ *   products: {
+ *     'amazon:B0BN94DM8Z': { canonical_key, site, site_id, hash, image, title, url, indexed_at }
+ *   }
+ * }
+ *
+ * USAGE:
+ * ```javascript
+ * const imageIndex = require('./imageIndex');
+ *
+ * imageIndex.addImages([{ canonical_key: 'amazon:B0BN94DM8Z', hash: 'f9b2e68a86649a61', image, title, url }]);
+ * imageIndex.findSimilar('f9b2e68a86649a60', { radius: 6 });
+ * // → { results: [{ canonical_key: 'amazon:B0BN94DM8Z', distance: 1, ... }], visited: 1 }
+ * ```
+ */
+
+const path = require('path');
+const { createJsonStore, DATA_DIR } = require('./jsonStore');
+const { createBkTree } = require('./bkTree');
+const { hammingDistance } = require('../phash');
+
+const HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Create an image index backed by a JSON file
+ * @param {string} filePath
+ * @returns {Object} Index API
+ */
+function createImageIndex(filePath) {
+  const store = createJsonStore(filePath, { products: {} });
+  let tree = null;
+
+  // Build the tree from the stored products on first use
+  function getTree() {
+    if (!tree) {
+      tree = createBkTree(hammingDistance);
+      Object.values(store.load().products).forEach(product => tree.insert(product.hash, product.canonical_key));
+    }
+    return tree;
+  }
+
+  /**
+   * Add or update product image hashes (one file write per call)
+   * @param {Object[]} images - [{ canonical_key, hash, site?, site_id?, image?, title?, url? }]
+   * @returns {number} Products added or whose hash changed
+   */
+  function addImages(images) {
+    const index = getTree();
+
+    return store.update(data => {
+      let changed = 0;
+
+      images.forEach(image => {
+        const hash = String(image.hash || '').toLowerCase();
+        if (!image.canonical_key || !HASH_PATTERN.test(hash)) return;
+
+        const [site, ...idParts] = image.canonical_key.split(':');
+        const existing = data.products[image.canonical_key];
+        if (existing && existing.hash !== hash) {
+          index.remove(existing.hash, image.canonical_key);
+        }
+        if (index.insert(hash, image.canonical_key)) changed++;
+
+        data.products[image.canonical_key] = {
+          canonical_key: image.canonical_key,
+          site: image.site || site,
+          site_id: image.site_id || idParts.join(':'),
+          hash,
+          image: image.image || null,
+          title: image.title || null,
+          url: image.url || null,
+          indexed_at: Date.now()
+        };
+      });
+
+      return changed;
+    });
+  }
+
+  /**
+   * Remove a product from the index
+   * @param {string} canonicalKey
+   * @returns {boolean} false when it was not indexed
+   */
+  function removeImage(canonicalKey) {
+    const existing = store.load().products[canonicalKey];
+    if (!existing) return false;
+
+    getTree().remove(existing.hash, canonicalKey);
+    store.update(data => {
+      delete data.products[canonicalKey];
+    });
+    return true;
+  }
+
+  /**
+   * Products whose image hash is within `radius` of `hash`, nearest first
+   * @param {string} hash - 64-bit hex hash
+   * @param {Object} options - { radius = 10, limit = 50 }
+   * @returns {{results: Object[], visited: number}} visited = hashes compared
+   */
+  function findSimilar(hash, { radius = 10, limit = 50 } = {}) {
+    const { products } = store.load();
+    const { matches, visited } = getTree().query(String(hash).toLowerCase(), radius);
+
+    const results = [];
+    matches.forEach(({ distance, ids }) => {
+      ids.forEach(id => results.push({ ...products[id], distance }));
+    });
+
+    return { results: results.slice(0, limit), visited };
+  }
+
+  return {
+    addImages,
+    removeImage,
+    findSimilar,
+    size: () => getTree().size(),
+    filePath: store.filePath
+  };
+}
+
+// Default index shared by the search and similar-images routes
+const defaultIndex = createImageIndex(
+  process.env.IMAGE_INDEX_DB || path.join(DATA_DIR, 'image-index.json')
+);
+
+module.exports = {
+  HASH_PATTERN,
+  createImageIndex,
+  ...defaultIndex
+};
@@ -0,0 +1,92 @@
+/**
+ * server/utils/jsonStore.js - Embedded JSON-file database
+ *
+ * PURPOSE:
+ * Minimal persistence layer so the server keeps state across restarts
+ * without an external database service. Each store is a single JSON file
+ * loaded lazily into memory and rewritten atomically (tmp file + rename).
+ *
+ * USAGE:
+ * ```javascript
+ * const { createJsonStore } = require('./jsonStore');
+ *
+ * const store = createJsonStore('/path/to/data.json', { items: {} });
+ * store.update(data => { data.items.abc = { ok: true }; });
+ * console.log(store.load().items);
+ * ```
+ *
+ * NOTE: Writes are synchronous and single-process, and each update()
+ * rewrites the whole file, so batch related changes into one update().
+ * Good enough for a local server; swap for SQLite/Mongo if multiple
+ * processes share the data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default directory for all data files (override with SMARTSHOPPER_DATA_DIR)
+const DATA_DIR = process.env.SMARTSHOPPER_DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Create a JSON-file backed store
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {Object} defaults - Initial contents when the file does not exist
+ * @returns {Object} { load, save, update, reset, filePath }
+ */
+function createJsonStore(filePath, defaults = {}) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        // Keep the unreadable file around instead of overwriting it on next save
+        console.error(`[JsonStore] Failed to read ${filePath}:`, err.message);
+        try {
+          fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+        } catch (renameErr) {
+          // Nothing more we can do
+        }
+      }
+      data = JSON.parse(JSON.stringify(defaults));
+    }
+
+    return data;
+  }
+
+  function save() {
+    if (!data) return;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    // Compact: data files are rewritten whole on every update
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Apply a mutation and persist it
+   * @param {Function} mutator - Receives the data object, may return a value
+   * @returns {*} Whatever the mutator returned
+   */
+  function update(mutator) {
+    const result = mutator(load());
+    save();
+    return result;
+  }
+
+  // Drop the in-memory copy (next load() re-reads from disk)
+  function reset() {
+    data = null;
+  }
+
+  return { load, save, update, reset, filePath };
+}
+
+module.exports = {
+  createJsonStore,
+  DATA_DIR
+};
@@ -0,0 +1,220 @@
+/**
+ * server/utils/listingClassifier.js - Accessory / refurbished listing flags
+ *
+ * PURPOSE:
+ * Searching "iPhone 14 Pro" returns cases, screen guards and renewed units
+ * whose titles overlap the source almost completely. This classifier flags
+ * them so findBestMatch can skip them:
+ *
+ * FLAGS:
+ * - accessory     an accessory word as the head noun of the title ("Spigen
+ *                 Ultra Hybrid Case", "Type-C Charging Cable 1m") or a
+ *                 "for <source product>" / "compatible with" target, unless
+ *                 the source is itself an accessory or the candidate is a
+ *                 combo led by the source product ("Galaxy M14 + Charger
+ *                 Combo"). Descriptions ("Full Sleeve T-shirt", "Earbuds,
+ *                 Charging Case", "Monitor, Adjustable Stand") are not
+ * - renewed, refurbished, open-box, used
+ *                 condition differs from the source's condition ("used" only
+ *                 as a condition: "(Used)", "Used - Good", not "Used by ...")
+ * - price-low     price below PRICE_LOW_RATIO × reference price
+ * - price-high    price above PRICE_HIGH_RATIO × reference price (marked only)
+ * - bundle        pack or combo the source is not ("Pack of 3", "Phone +
+ *                 Charger Combo", see bundleDetector.js); marked only, with
+ *                 the bundle descriptor and per-item price in `bundle`
+ * The reference price is the source price when known, else the median
+ * candidate price.
+ *
+ * USAGE:
+ * ```javascript
+ * const { classifyListing, referencePrice } = require('./utils/listingClassifier');
+ *
+ * const reference = referencePrice(source, candidates);
+ * classifyListing(source, { title: 'Spigen Case for iPhone 14 Pro', price_cents: 99900 }, { referencePriceCents: reference });
+ * // → { flags: ['accessory', 'price-low'], excluded: true, condition: 'new', price_ratio: 0.008, bundle: null, reasons: [...] }
+ * ```
+ */
+
+const { bundleDescriptor, comboIncludesSource } = require('./bundleDetector');
+
+const ACCESSORY_TERMS = [
+  'case', 'cover', 'back cover', 'flip cover', 'bumper', 'screen guard', 'screen protector',
+  'tempered glass', 'lens protector', 'charger', 'charging cable', 'cable', 'adapter',
+  'strap', 'pouch', 'sleeve', 'holder', 'stand', 'mount', 'stylus'
+];
+
+// Accessory words describing a product rather than naming one
+const DESCRIPTIVE_PHRASES = /\b(?:(?:full|half|long|short|3\/4th|three[\s-]quarter|puff|cap|raglan|bell)\s+sleeves?|charging\s+case|(?:band|watch)\s+straps?|(?:height\s+|tilt\s+)?adjustable\s+stand|with\s+stand|stand\s+included)\b/g;
+
+// Where the product name ends: "<name>, <details>", "<name> (<variant>)", "<name> for <target>"
+const HEAD_END = /\s*(?:[,(\[|]|\s[-–]\s|\b(?:for|with|compatible|designed|suitable|fits)\b)/;
+
+// Sizes and lengths after the name ("Laptop Sleeve 15.6 inch", "Cable 1.5m")
+const TRAILING_SPECS = /(?:\s+(?:\S*\d\S*|inch(?:es)?|cm|mm|m|ft|feet|metres?|meters?))+$/;
+
+// Phrases that make the title about something used *with* a product
+const TARGET_PHRASE = /\b(?:compatible with|designed for|suitable for|fits)\b/;
+
+const CONDITIONS = [
+  { condition: 'renewed', pattern: /\brenewed\b/ },
+  { condition: 'refurbished', pattern: /\brefurb(?:ished)?\b/ },
+  { condition: 'open-box', pattern: /\bopen[\s-]?box\b/ },
+  // "Used" as a condition, not "used by dermatologists"
+  {
+    condition: 'used',
+    pattern: /\b(?:pre[\s-]?owned|second[\s-]?hand)\b|[([]\s*used\s*[)\]]|^used\s+(?!by\b|for\b|in\b)|\bused\s*[-–:,]?\s*(?:condition|like new|very good|good|acceptable|refurbished)\b|\bcondition\s*[-–:]?\s*used\b/
+  }
+];
+
+// "Running Shoes For Men (Grey)" names who a product is for, not a product
+const NON_PRODUCT_WORDS = new Set(['men', 'mens', 'women', 'womens', 'boys', 'girls', 'kids', 'unisex', 'adults', 'baby', 'babies']);
+
+const PRICE_LOW_RATIO = 0.3;
+const PRICE_HIGH_RATIO = 3;
+
+// Flags that keep a candidate out of findBestMatch().best
+const EXCLUDING_FLAGS = ['accessory', 'renewed', 'refurbished', 'open-box', 'used', 'price-low'];
+
+const ACCESSORY_TERM = `(?:${ACCESSORY_TERMS.map(term => term.replace(' ', '\\s+')).join('|')})s?`;
+const ACCESSORY_PATTERN = new RegExp(`\\b${ACCESSORY_TERM}\\b`);
+// The same terms ending the product name ("Tempered Glass Screen Guard")
+const HEAD_ACCESSORY_PATTERN = new RegExp(`\\b(?:${ACCESSORY_TERM}\\s+)*${ACCESSORY_TERM}$`);
+
+function lower(text) {
+  return String(text || '').toLowerCase();
+}
+
+function words(text) {
+  return lower(text).split(/[^a-z0-9]+/).filter(word => word.length > 1);
+}
+
+/**
+ * Listing condition from title cues
+ * @param {string} title
+ * @returns {string} 'new', 'renewed', 'refurbished', 'open-box' or 'used'
+ */
+function detectCondition(title) {
+  const text = lower(title);
+  const found = CONDITIONS.find(({ pattern }) => pattern.test(text));
+  return found ? found.condition : 'new';
+}
+
+/**
+ * Whether a title describes an accessory (optionally for the source product)
+ * @param {string} title
+ * @param {string} sourceTitle - "Case for <source words>" counts as an accessory
+ * @returns {string|null} Cue that matched, or null
+ */
+function accessoryCue(title, sourceTitle = '') {
+  const text = lower(title).replace(DESCRIPTIVE_PHRASES, ' ').replace(/\s+/g, ' ').trim();
+
+  // Head noun: last word of the name, past trailing specs ("Charging Cable 1.5m")
+  // ("Watch with Leather Strap" describes what is included, not an accessory)
+  const name = text.split(HEAD_END)[0].trim().replace(TRAILING_SPECS, '');
+  const head = name.match(HEAD_ACCESSORY_PATTERN);
+  if (head) return `accessory term "${head[0]}"`;
+  if (TARGET_PHRASE.test(text)) return 'compatibility phrase';
+
+  // "... for iPhone 14 Pro" naming at least two words of the source product
+  // (not of its own "for ..." clause: "Hair Oil for Hair Growth")
+  const target = text.match(/\bfor\s+(.+)$/);
+  if (target && sourceTitle) {
+    const sourceWords = new Set(words(lower(sourceTitle).replace(/\bfor\s+.*$/, '')));
+    const named = words(target[1]).filter(word => sourceWords.has(word) && !NON_PRODUCT_WORDS.has(word));
+    if (named.length >= 2) {
+      const term = text.slice(0, target.index).match(ACCESSORY_PATTERN);
+      return term ? `accessory term "${term[0]}" for "${target[1].trim().slice(0, 40)}"` : `made for "${target[1].trim().slice(0, 40)}"`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reference price for outlier checks: source price, else median candidate price
+ * @param {Object} source - { price_cents? }
+ * @param {Object[]} candidates - [{ price_cents }]
+ * @returns {number|null} cents
+ */
+function referencePrice(source, candidates) {
+  if (source && source.price_cents > 0) return source.price_cents;
+
+  const prices = (candidates || [])
+    .map(candidate => candidate.price_cents)
+    .filter(price => price > 0)
+    .sort((a, b) => a - b);
+  if (prices.length === 0) return null;
+
+  const middle = Math.floor(prices.length / 2);
+  return prices.length % 2 ? prices[middle] : Math.round((prices[middle - 1] + prices[middle]) / 2);
+}
+
+/**
+ * Classify a candidate listing relative to the source
+ * @param {Object} source - { title, price_cents? }
+ * @param {Object} candidate - { title, price_cents? }
+ * @param {Object} options
+ * @param {number} options.referencePriceCents - See referencePrice()
+ * @returns {{flags: string[], excluded: boolean, condition: string, price_ratio: number|null, bundle: Object|null, reasons: string[]}}
+ */
+function classifyListing(source, candidate, { referencePriceCents = null } = {}) {
+  const flags = [];
+  const reasons = [];
+
+  // Packs and combos match the product but are not priced like one unit of it
+  const bundle = bundleDescriptor(source, candidate);
+
+  // Accessories only matter when the user is not looking at one, and a
+  // "<source product> + Charger Combo" is the product with extras
+  if (!accessoryCue(source.title) && !comboIncludesSource(bundle, source.title)) {
+    const cue = accessoryCue(candidate.title, source.title);
+    if (cue) {
+      flags.push('accessory');
+      reasons.push(`Accessory: ${cue}`);
+    }
+  }
+
+  const condition = detectCondition(candidate.title);
+  const sourceCondition = detectCondition(source.title);
+  if (condition !== sourceCondition) {
+    flags.push(condition === 'new' ? `source-${sourceCondition}` : condition);
+    reasons.push(`Condition: ${condition} (source ${sourceCondition})`);
+  }
+
+  let priceRatio = null;
+  if (referencePriceCents > 0 && candidate.price_cents > 0) {
+    priceRatio = parseFloat((candidate.price_cents / referencePriceCents).toFixed(3));
+    if (priceRatio < PRICE_LOW_RATIO) {
+      flags.push('price-low');
+      reasons.push(`Price ${Math.round(priceRatio * 100)}% of reference`);
+    } else if (priceRatio > PRICE_HIGH_RATIO) {
+      flags.push('price-high');
+      reasons.push(`Price ${priceRatio.toFixed(1)}× reference`);
+    }
+  }
+
+  if (bundle) {
+    flags.push('bundle');
+    reasons.push(`Bundle: ${bundle.label}`);
+  }
+
+  return {
+    flags,
+    excluded: flags.some(flag => EXCLUDING_FLAGS.includes(flag)),
+    condition,
+    price_ratio: priceRatio,
+    bundle,
+    reasons
+  };
+}
+
+module.exports = {
+  ACCESSORY_TERMS,
+  EXCLUDING_FLAGS,
+  PRICE_LOW_RATIO,
+  PRICE_HIGH_RATIO,
+  classifyListing,
+  detectCondition,
+  accessoryCue,
+  referencePrice
+};
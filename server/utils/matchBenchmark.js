@@ -0,0 +1,156 @@
+/**
+ * server/utils/matchBenchmark.js - Matcher Evaluation on a Labelled Dataset
+ *
+ * PURPOSE:
+ * Measures findBestMatch on benchmark cases instead of eyeballing it: each
+ * case is a source product, the candidates a search returned, and the
+ * candidate that is the same product (or null when none is). Used by
+ * server/bench/matcher.js and the regression test.
+ *
+ * DATASET FORMAT (one JSON file per category, tests/fixtures/match-benchmark/):
+ * {
+ *   "category": "electronics",
+ *   "cases": [{
+ *     "id": "iphone-14-pro-256",
+ *     "source": { "site", "title", "model"?, "brand"?, "gtin"?, "price_cents"? },
+ *     "candidates": [{ "site", "site_id", "title", "price_cents"?, ... }],
+ *     "expected": "iphone-14-pro-256-2"      // site_id of the right candidate, or null
+ *   }]
+ * }
+ *
+ * SCORING at a threshold (the pick is findBestMatch's best when its score is
+ * at or above the threshold):
+ * - right pick → true positive
+ * - wrong pick → false positive, and a false negative when there was a right one
+ * - no pick → false negative when there was a right one, else true negative
+ *
+ * USAGE:
+ * ```javascript
+ * const { loadBenchmark, runBenchmark } = require('./utils/matchBenchmark');
+ *
+ * const report = runBenchmark(loadBenchmark(), { thresholds: [0.4, 0.6, 0.8] });
+ * // → { cases, thresholds: [{ threshold, precision, recall, f1, ... }], confusion: [...] }
+ * ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findBestMatch } = require('../matcher');
+
+const BENCHMARK_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'match-benchmark');
+
+/**
+ * Load every category file of a benchmark directory
+ * @param {string} dir
+ * @param {Object} options
+ * @param {string} options.category - Only this category
+ * @returns {Array} Cases, each with its category
+ */
+function loadBenchmark(dir = BENCHMARK_DIR, { category } = {}) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .flatMap(file => {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return data.cases.map(benchmarkCase => ({ ...benchmarkCase, category: data.category }));
+    })
+    .filter(benchmarkCase => !category || benchmarkCase.category === category);
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Counts and precision / recall / F1 of the picks at one threshold
+ * @param {Array} picks - { expected, picked, score } per case
+ * @param {number} threshold
+ */
+function scoreAtThreshold(picks, threshold) {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+
+  picks.forEach(({ expected, picked, score }) => {
+    const pick = picked && score >= threshold ? picked : null;
+    if (pick && pick === expected) {
+      tp++;
+    } else if (pick) {
+      fp++;
+      if (expected) fn++;
+    } else if (expected) {
+      fn++;
+    } else {
+      tn++;
+    }
+  });
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+  return { threshold, precision: round(precision), recall: round(recall), f1: round(f1), tp, fp, fn, tn };
+}
+
+function describe(candidate) {
+  return candidate ? { site_id: candidate.site_id, title: candidate.title } : null;
+}
+
+/**
+ * Run findBestMatch over every case
+ * @param {Array} cases - From loadBenchmark
+ * @param {Object} options
+ * @param {number[]} options.thresholds - Thresholds to report (default 0.4, 0.6, 0.8)
+ * @param {number} options.confusionThreshold - Threshold for the confusion list (default: first threshold)
+ * @param {Object} options.matchOptions - Passed to findBestMatch (includeFlagged, weights...)
+ * @returns {Object} { cases, thresholds: [...], confusion: [...] }
+ */
+function runBenchmark(cases, { thresholds = [0.4, 0.6, 0.8], confusionThreshold = thresholds[0], matchOptions = {} } = {}) {
+  const picks = cases.map(benchmarkCase => {
+    const result = findBestMatch(benchmarkCase.source, benchmarkCase.candidates, matchOptions);
+    return {
+      id: benchmarkCase.id,
+      category: benchmarkCase.category,
+      source: benchmarkCase.source.title,
+      expected: benchmarkCase.expected,
+      picked: result.best ? result.best.site_id : null,
+      score: result.score,
+      candidates: benchmarkCase.candidates,
+      allScores: result.allScores
+    };
+  });
+
+  // Cases the matcher got wrong at the confusion threshold
+  const confusion = picks
+    .filter(({ expected, picked, score }) => {
+      const pick = picked && score >= confusionThreshold ? picked : null;
+      return pick !== expected;
+    })
+    .map(({ id, category, source, expected, picked, score, candidates, allScores }) => {
+      const byId = siteId => candidates.find(candidate => candidate.site_id === siteId);
+      const expectedScore = allScores.find(entry => entry.site_id === expected);
+      const pickedScore = allScores.find(entry => entry.site_id === picked);
+      const pickedInTime = picked && score >= confusionThreshold;
+      return {
+        id,
+        category,
+        source,
+        kind: pickedInTime ? (expected ? 'wrong pick' : 'false match') : 'missed',
+        expected: describe(byId(expected)),
+        expected_score: expectedScore ? expectedScore.score : null,
+        picked: pickedInTime ? describe(byId(picked)) : null,
+        picked_score: picked ? score : null,
+        picked_reason: pickedScore ? pickedScore.reason : null
+      };
+    });
+
+  return {
+    cases: picks.length,
+    thresholds: thresholds.map(threshold => scoreAtThreshold(picks, threshold)),
+    confusion
+  };
+}
+
+module.exports = {
+  BENCHMARK_DIR,
+  loadBenchmark,
+  runBenchmark
+};
@@ -0,0 +1,102 @@
+/**
+ * server/utils/matchWeights.js - Matcher Scoring Weights and Thresholds
+ *
+ * PURPOSE:
+ * The title-stage constants of scoreCandidate (base score, Jaccard weight,
+ * brand and keyword bonuses) and the match / good / excellent thresholds of
+ * /v1/search-crosssite. Defaults are the original hand-tuned values;
+ * scripts/fit-match-weights.js fits new ones from /v1/match-feedback labels
+ * and writes them to MATCH_WEIGHTS_FILE, which the matcher loads at startup.
+ *
+ * FILE FORMAT (every key optional, missing keys keep their default):
+ * {
+ *   "title_base": 0.5, "token_overlap": 0.45, "brand_match": 0.1, "keyword_match": 0.05,
+ *   "thresholds": { "match": 0.4, "good": 0.6, "excellent": 0.8 },
+ *   "fitted_at": "...", "pairs": 120, "metrics": { ... }
+ * }
+ *
+ * USAGE:
+ * ```javascript
+ * const matchWeights = require('./utils/matchWeights');
+ *
+ * const weights = matchWeights.loadMatchWeights(matchWeights.MATCH_WEIGHTS_FILE);
+ * // score = title_base + token_overlap × Jaccard (+ brand_match, + keyword_match × keywords)
+ * ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./jsonStore');
+
+const DEFAULT_MATCH_WEIGHTS = Object.freeze({
+  title_base: 0.5,
+  token_overlap: 0.45,
+  brand_match: 0.1,
+  keyword_match: 0.05,
+  thresholds: Object.freeze({
+    match: 0.4,
+    good: 0.6,
+    excellent: 0.8
+  })
+});
+
+const WEIGHT_KEYS = ['title_base', 'token_overlap', 'brand_match', 'keyword_match'];
+const THRESHOLD_KEYS = ['match', 'good', 'excellent'];
+
+const MATCH_WEIGHTS_FILE = process.env.MATCH_WEIGHTS_FILE || path.join(DATA_DIR, 'match-weights.json');
+
+function isUnitNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+/**
+ * Defaults overridden by the valid values of a (fitted) config
+ * Values outside 0-1 and thresholds out of order are ignored
+ * @param {Object} config
+ * @returns {Object} Complete weights
+ */
+function resolveMatchWeights(config = {}) {
+  const weights = { ...DEFAULT_MATCH_WEIGHTS, thresholds: { ...DEFAULT_MATCH_WEIGHTS.thresholds } };
+
+  WEIGHT_KEYS.forEach(key => {
+    if (isUnitNumber(config[key])) weights[key] = config[key];
+  });
+
+  const thresholds = { ...weights.thresholds };
+  THRESHOLD_KEYS.forEach(key => {
+    if (config.thresholds && isUnitNumber(config.thresholds[key])) thresholds[key] = config.thresholds[key];
+  });
+  if (thresholds.match <= thresholds.good && thresholds.good <= thresholds.excellent) {
+    weights.thresholds = thresholds;
+  }
+
+  return weights;
+}
+
+/**
+ * Load weights from a JSON file, falling back to the defaults
+ * @param {string} filePath
+ * @returns {Object} Complete weights (source: 'default' | file path)
+ */
+function loadMatchWeights(filePath = MATCH_WEIGHTS_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Matcher] Ignoring unreadable weights file ${filePath}:`, err.message);
+    }
+    return { ...resolveMatchWeights(), source: 'default' };
+  }
+
+  console.log(`📐 [Matcher] Using fitted weights from ${filePath}${config.pairs ? ` (${config.pairs} labelled pairs)` : ''}`);
+  return { ...resolveMatchWeights(config), source: filePath };
+}
+
+module.exports = {
+  DEFAULT_MATCH_WEIGHTS,
+  WEIGHT_KEYS,
+  MATCH_WEIGHTS_FILE,
+  resolveMatchWeights,
+  loadMatchWeights
+};
@@ -0,0 +1,210 @@
+/**
+ * server/utils/modelNumbers.js - Model numbers (SKUs) from titles and model fields
+ *
+ * PURPOSE:
+ * An equal model number is the matcher's strongest signal after a GTIN, so
+ * reading one wrongly costs more than missing it. Makers write SKUs in their
+ * own formats, and listings add separators, region codes and colour codes
+ * ("SM-S911B/DS", "MQ9G3HN/A", "WH-1000XM5/B"). This module parses them with
+ * one grammar per brand, plus a strict generic rule for other brands.
+ *
+ * Every model number has two normalized forms (upper case, no separators):
+ * - code    the SKU as listed, minus packaging noise           "S911B"
+ * - family  the code without region / colour / market suffix   "S911"
+ * Two products share a model when their codes are equal (exact) or their
+ * families are (family: the same model sold in another region or colour; the
+ * matcher's colour attribute check still separates colours). Never by
+ * substring: "S911" is not "S9110".
+ *
+ * GRAMMARS (BRAND_GRAMMARS, keyed by shared/brands.js canonical name):
+ * - Apple    part number "MQ9G3HN/A" → MQ9G3HN / MQ9G3; model "A2650"
+ * - Samsung  "SM-S911B/DS" → S911B / S911 ("SM-" and "/DS" dropped)
+ * - Sony     "WH-1000XM5/B" → WH1000XM5B / WH1000XM5; "KD-55X80K"
+ * - Lenovo   machine type model "82XV00ABIN" → 82XV00ABIN / 82XV00AB
+ * - HP       product number "6K7G6PA#ACJ" → 6K7G6PAACJ / 6K7G6
+ * A grammar runs when the product is of that brand, or when the brand is
+ * unknown and the grammar is distinctive enough on its own (anyBrand).
+ * Everything else goes through the generic rule: an upper-case token
+ * starting with a letter, with 2+ digits and 4+ characters ("CPH2449",
+ * "RMX3771", "R510").
+ * Capacities, units and component names ("128GB", "5G", "RTX4060", "IP68")
+ * are never model numbers.
+ *
+ * An explicit model field ("model" from JSON-LD / APIs) is one model number:
+ * it goes through the grammars, else is taken whole ("3089SL01").
+ *
+ * USAGE:
+ * ```javascript
+ * const { extractModelNumbers, matchModelNumbers } = require('./utils/modelNumbers');
+ *
+ * extractModelNumbers('Samsung Galaxy S23 5G (SM-S911B/DS) 128GB', { brand: 'Samsung' });
+ * // → [{ code: 'S911B', family: 'S911', brand: 'Samsung', text: 'SM-S911B/DS' }]
+ * matchModelNumbers(
+ *   extractModelNumbers('SM-S911B', { explicit: true }),
+ *   extractModelNumbers('SM-S911E/DS', { explicit: true })
+ * );
+ * // → { kind: 'family', source: {...}, candidate: {...} }
+ * ```
+ */
+
+const { canonicalBrand } = require('../../shared/brands');
+
+// Per brand: pattern (global, on the original text) and parse(match) → { code, family } or null
+const BRAND_GRAMMARS = {
+  Apple: [
+    {
+      // Part number: 4 characters + digit, region code, "/A"
+      pattern: /\b(M[A-Z0-9]{3}\d)([A-Z]{1,2})\/A\b/g,
+      anyBrand: true,
+      parse: ([, base, region]) => ({ code: base + region, family: base })
+    },
+    {
+      // Hardware model number (the same for every storage and colour)
+      pattern: /\bA(\d{4})\b/g,
+      parse: ([, number]) => ({ code: `A${number}`, family: `A${number}` })
+    }
+  ],
+  Samsung: [
+    {
+      // SM-<category><3-4 digits><region><colour/market...></DS dual SIM>
+      pattern: /\bSM-?([A-Z])(\d{3,4})([A-Z]?)[A-Z0-9]*(?:\/[A-Z]{1,3})?(?![\w/-])/g,
+      anyBrand: true,
+      parse: ([, category, number, region]) => ({ code: category + number + region, family: category + number })
+    }
+  ],
+  Sony: [
+    {
+      // <series>-<model></colour>: "WH-1000XM5/B", "SRS-XB13", "KD-55X80K"
+      pattern: /\b([A-Z]{2,4})-([A-Z0-9]*\d[A-Z0-9]*)(?:\/([A-Z0-9]{1,2}))?(?![\w/-])/g,
+      parse: ([, series, model, colour]) => ({ code: series + model + (colour || ''), family: series + model })
+    }
+  ],
+  Lenovo: [
+    {
+      // Machine type (4) + model (4) + region (2): "82XV00ABIN", "21HD003XIG"
+      pattern: /\b(\d{2}[A-Z0-9]{6})([A-Z]{2})?\b/g,
+      parse: ([, base, region]) => (/[A-Z]/.test(base) ? { code: base + (region || ''), family: base } : null)
+    }
+  ],
+  HP: [
+    {
+      // Product number + region (+ localization option): "6K7G6PA#ACJ", "7K0R9PA"
+      pattern: /\b(\d[A-Z0-9]{4})(PA|UA|UT|UW|AV|EA|AA)(?:#([A-Z0-9]{3}))?\b/g,
+      parse: ([, base, region, option]) => (/[A-Z]/.test(base) ? { code: base + region + (option || ''), family: base } : null)
+    }
+  ]
+};
+
+// Tokens that look like SKUs but name a capacity, unit, standard or component
+const NOT_MODEL_NUMBERS = [
+  /^\d+(GB|TB|MB|MAH|WH|W|V|HZ|MP|G|K|P|X|IN|INCH|INCHES|CM|MM|ML|L|KG)$/, // 128GB, 5G, 1080P, 4K
+  /^(RTX|GTX|RX|MX|DDR|LPDDR|GDDR|USB|HDMI|IPX?|BT|WIFI|PCIE|NVME|UFS|UHD|FHD|QHD|HDR|WIN|GEN|TYPE)\d/,
+  /^(SD|X)\d+$/                                                    // Snapdragon "SD888", "X100" zoom
+];
+
+const GENERIC_MIN_LENGTH = 4;
+const GENERIC_MIN_DIGITS = 2;
+
+// Upper case, no separators
+function compact(text) {
+  return text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function grammarsFor(brand) {
+  const canonical = brand ? canonicalBrand(brand) || brand : null;
+  if (canonical) {
+    return BRAND_GRAMMARS[canonical] ? BRAND_GRAMMARS[canonical].map(grammar => ({ ...grammar, brand: canonical })) : [];
+  }
+  return Object.entries(BRAND_GRAMMARS).flatMap(([name, grammars]) =>
+    grammars.filter(grammar => grammar.anyBrand).map(grammar => ({ ...grammar, brand: name }))
+  );
+}
+
+/**
+ * Generic model number from one title token, or null
+ * @param {string} token - As written ("CPH2449", "ABC-123/B")
+ * @returns {{code: string, family: string}|null}
+ */
+function genericModel(token) {
+  if (/[a-z]/.test(token)) return null;
+  const code = compact(token);
+  if (code.length < GENERIC_MIN_LENGTH || !/^[A-Z]/.test(code)) return null;
+  if ((code.match(/\d/g) || []).length < GENERIC_MIN_DIGITS) return null;
+  if (NOT_MODEL_NUMBERS.some(pattern => pattern.test(code))) return null;
+
+  // A short "/X" suffix is a colour or region code
+  return { code, family: compact(token.replace(/\/[A-Z0-9]{1,3}$/, '')) };
+}
+
+/**
+ * Model numbers in a title or model field
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.brand - Product brand (picks the grammar); unknown: distinctive grammars only
+ * @param {boolean} options.explicit - text is a model field, not a title
+ * @returns {Array<{code: string, family: string, brand: string|null, text: string}>}
+ */
+function extractModelNumbers(text, { brand = null, explicit = false } = {}) {
+  if (!text) return [];
+  let rest = String(text);
+  const models = [];
+  const add = (model, modelBrand, matched) => {
+    if (model && !models.some(existing => existing.code === model.code)) {
+      models.push({ ...model, brand: modelBrand, text: matched });
+    }
+  };
+
+  // 1. Brand grammars; matched spans are blanked so the generic rule skips them
+  grammarsFor(brand).forEach(grammar => {
+    rest = rest.replace(grammar.pattern, (...match) => {
+      const model = grammar.parse(match);
+      if (!model) return match[0];
+      add(model, grammar.brand, match[0]);
+      return ' ';
+    });
+  });
+
+  // 2. A model field is one model number
+  if (explicit) {
+    const whole = rest.trim();
+    const code = compact(whole);
+    if (models.length === 0 && code.length >= 3 && /\d/.test(code) && !NOT_MODEL_NUMBERS.some(pattern => pattern.test(code))) {
+      add({ code, family: compact(whole.replace(/\/[A-Z0-9]{1,3}$/i, '')) }, null, whole);
+    }
+    return models;
+  }
+
+  // 3. Generic tokens
+  rest.split(/[\s,;:()[\]{}|]+/).forEach(token => {
+    const trimmed = token.replace(/^[-/.#]+|[-/.#]+$/g, '');
+    add(genericModel(trimmed), null, trimmed);
+  });
+
+  return models;
+}
+
+/**
+ * Whether two products share a model number
+ * @param {Array} sourceModels - From extractModelNumbers
+ * @param {Array} candidateModels
+ * @returns {{kind: 'exact'|'family', source: Object, candidate: Object}|null}
+ */
+function matchModelNumbers(sourceModels, candidateModels) {
+  let familyMatch = null;
+  for (const source of sourceModels) {
+    for (const candidate of candidateModels) {
+      if (source.code === candidate.code) return { kind: 'exact', source, candidate };
+      if (!familyMatch && source.family === candidate.family) {
+        familyMatch = { kind: 'family', source, candidate };
+      }
+    }
+  }
+  return familyMatch;
+}
+
+module.exports = {
+  BRAND_GRAMMARS,
+  NOT_MODEL_NUMBERS,
+  extractModelNumbers,
+  matchModelNumbers
+};
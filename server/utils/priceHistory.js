@@ -0,0 +1,191 @@
+/**
+ * server/utils/priceHistory.js - Persistent Price History Store
+ *
+ * PURPOSE:
+ * Record every successfully scraped price as a timestamped point, keyed by
+ * the same canonical key the extension extractors produce (`site:id`).
+ * Read by GET /v1/price and POST /api/price-history.
+ *
+ * STORAGE:
+ * Single JSON file (default: server/data/price-history.json, override with
+ * PRICE_HISTORY_DB). Layout:
+ * {
+ *   products: {
+ *     'amazon:B0BN94DM8Z': {
+ *       canonical_key, site, site_id, title, url,
+ *       points: [{ ts, price_cents, currency, source }]
+ *     }
+ *   }
+ * }
+ *
+ * USAGE:
+ * ```javascript
+ * const priceHistory = require('./priceHistory');
+ *
+ * priceHistory.addPricePoint('amazon:B0BN94DM8Z', { price_cents: 12990000, source: 'rapidapi' });
+ * priceHistory.addPricePoints([{ canonical_key: 'flipkart:MOBGHC89GXVKZYXR', price_cents: 12490000 }]);
+ * const points = priceHistory.getHistory('amazon:B0BN94DM8Z', { days: 30 });
+ * ```
+ */
+
+const path = require('path');
+const { createJsonStore, DATA_DIR } = require('./jsonStore');
+const sites = require('../../sites');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Oldest points are dropped beyond this many per product
+const MAX_POINTS_PER_PRODUCT = 1000;
+
+/**
+ * Build canonical key (`site:id`) from a product URL
+ * Uses the shared site adapters (sites/), same as the extension extractors
+ * @param {string} url
+ * @returns {string|null}
+ */
+function canonicalKeyFromUrl(url) {
+  return url ? sites.canonicalKeyFromUrl(url) : null;
+}
+
+/**
+ * Create a price history store backed by a JSON file
+ * @param {string} filePath
+ * @returns {Object} Store API
+ */
+function createPriceHistoryStore(filePath) {
+  const store = createJsonStore(filePath, { products: {} });
+
+  // Validate a point's key and price; returns the price in cents or null
+  function validPriceCents(canonicalKey, point) {
+    if (!canonicalKey || !canonicalKey.includes(':')) {
+      throw new Error('canonicalKey must be in the form site:id');
+    }
+
+    const priceCents = Math.round(Number(point && point.price_cents));
+    return Number.isFinite(priceCents) && priceCents > 0 ? priceCents : null;
+  }
+
+  // Append one validated point to the loaded data
+  function appendPoint(data, canonicalKey, point, priceCents) {
+    const [site, ...idParts] = canonicalKey.split(':');
+    const entry = data.products[canonicalKey] || {
+      canonical_key: canonicalKey,
+      site,
+      site_id: idParts.join(':'),
+      points: []
+    };
+
+    // Keep latest known title/url for display
+    if (point.title) entry.title = point.title;
+    if (point.url) entry.url = point.url;
+
+    const stored = {
+      ts: point.ts || Date.now(),
+      price_cents: priceCents,
+      currency: point.currency || 'INR',
+      source: point.source || 'scraper'
+    };
+
+    entry.points.push(stored);
+    entry.points.sort((a, b) => a.ts - b.ts);
+    if (entry.points.length > MAX_POINTS_PER_PRODUCT) {
+      entry.points = entry.points.slice(-MAX_POINTS_PER_PRODUCT);
+    }
+
+    data.products[canonicalKey] = entry;
+    return stored;
+  }
+
+  /**
+   * Append a price point for a product
+   * @param {string} canonicalKey - `site:id`
+   * @param {Object} point - { price_cents, ts?, currency?, source?, url?, title? }
+   * @returns {Object|null} Stored point, or null if the input was invalid
+   */
+  function addPricePoint(canonicalKey, point) {
+    return addPricePoints([{ ...point, canonical_key: canonicalKey }])[0];
+  }
+
+  /**
+   * Append several price points with a single file write (one scrape's results)
+   * @param {Array} points - [{ canonical_key, price_cents, ts?, currency?, source?, url?, title? }]
+   * @returns {Array} Stored points, null for each invalid price
+   */
+  function addPricePoints(points) {
+    const prices = points.map(point => validPriceCents(point.canonical_key, point));
+    if (!prices.some(Boolean)) return prices;
+
+    return store.update(data => points.map((point, i) => (
+      prices[i] ? appendPoint(data, point.canonical_key, point, prices[i]) : null
+    )));
+  }
+
+  /**
+   * Get price points for a product, oldest first
+   * @param {string} canonicalKey
+   * @param {Object} options - { days?, limit? }
+   * @returns {Array} [{ ts, price_cents, currency, source }]
+   */
+  function getHistory(canonicalKey, { days, limit } = {}) {
+    const entry = store.load().products[canonicalKey];
+    if (!entry) return [];
+
+    let points = entry.points;
+    if (days) {
+      const since = Date.now() - days * DAY_MS;
+      points = points.filter(p => p.ts >= since);
+    }
+    if (limit) {
+      points = points.slice(-limit);
+    }
+
+    return points.map(p => ({ ...p }));
+  }
+
+  /**
+   * Get most recent price point for a product
+   * @param {string} canonicalKey
+   * @returns {Object|null}
+   */
+  function getLatestPrice(canonicalKey) {
+    const points = getHistory(canonicalKey, { limit: 1 });
+    return points.length ? points[0] : null;
+  }
+
+  /**
+   * Get stored product metadata (without points)
+   * @param {string} canonicalKey
+   * @returns {Object|null} { canonical_key, site, site_id, title?, url? }
+   */
+  function getProduct(canonicalKey) {
+    const entry = store.load().products[canonicalKey];
+    if (!entry) return null;
+
+    const { points, ...product } = entry;
+    return product;
+  }
+
+  return {
+    addPricePoint,
+    addPricePoints,
+    getHistory,
+    getLatestPrice,
+    getProduct,
+    filePath: store.filePath
+  };
+}
+
+// Default store shared by the scraper and routes
+const defaultStore = createPriceHistoryStore(
+  process.env.PRICE_HISTORY_DB || path.join(DATA_DIR, 'price-history.json')
+);
+
+module.exports = {
+  createPriceHistoryStore,
+  canonicalKeyFromUrl,
+  addPricePoint: defaultStore.addPricePoint,
+  addPricePoints: defaultStore.addPricePoints,
+  getHistory: defaultStore.getHistory,
+  getLatestPrice: defaultStore.getLatestPrice,
+  getProduct: defaultStore.getProduct
+};
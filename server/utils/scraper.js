@@ -4,9 +4,17 @@ const cheerio = require('cheerio');
 const fetch = require('node-fetch');
 const os = require('os');
 const path = require('path');
+const priceHistory = require('./priceHistory');
+const sites = require('../../sites');
+const identifiers = require('../../shared/identifiers');
+const fixtures = require('./htmlFixtures');
 
-// Load environment variables
-require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+// Load environment variables (dotenv is an optional dependency)
+try {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+} catch (err) {
+  // Fall back to the process environment
+}
 
 // RapidAPI configuration
 const RAPIDAPI_CONFIG = {
@@ -56,89 +64,25 @@ function findChrome() {
   return undefined;
 }
 
-// Site-specific scraping configurations
-const siteConfigs = {
-  amazon: {
-    baseUrl: 'https://www.amazon.in',
-    searchUrl: 'https://www.amazon.in/s?k=',
-    priceSelectors: [
-      '.a-price.aok-align-center.reinventPricePriceToPayMargin.priceToPay span.a-price-whole',
-      '.a-price.reinventPricePriceToPayMargin.priceToPay .a-offscreen',
-      'span.a-price.aok-align-center span.a-offscreen',
-      '.a-price-whole',
-      '#corePrice_feature_div .a-price .a-offscreen',
-      '#priceblock_ourprice',
-      '#priceblock_dealprice',
-      '.priceToPay .a-offscreen'
-    ],
-    nameSelectors: ['#productTitle', 'h1.product-title', 'span#productTitle'],
-    searchResultSelector: '[data-component-type="s-search-result"]',
-    searchPriceSelector: '.a-price .a-offscreen',
-    searchNameSelector: 'h2 span',
-    searchLinkSelector: 'h2 a.a-link-normal'
-  },
-  flipkart: {
-    baseUrl: 'https://www.flipkart.com',
-    searchUrl: 'https://www.flipkart.com/search?q=',
-    priceSelectors: [
-      'div._30jeq3._16Jk6d',
-      'div._30jeq3',
-      '._25b18c ._16Jk6d',
-      '.CEmiEU div._16Jk6d',
-      'div.Nx9bqj.CxhGGd',
-      'div._16Jk6d'
-    ],
-    nameSelectors: [
-      'span.VU-ZEz',
-      'h1.yhB1nd',
-      'span.B_NuCI',
-      'h1._6EBuvT'
-    ],
-    searchResultSelector: 'div._1AtVbE, div._13oc-S, div._2kHMtA',
-    searchPriceSelector: 'div._30jeq3, div._3I9_wc',
-    searchNameSelector: 'div._4rR01T, a.s1Q9rs',
-    searchLinkSelector: 'a._1fQZEK'
-  },
-  myntra: {
-    baseUrl: 'https://www.myntra.com',
-    searchUrl: 'https://www.myntra.com/search?q=',
-    priceSelectors: [
-      '.pdp-price strong',
-      '.pdp-price',
-      '.product-discountedPrice'
-    ],
-    nameSelectors: [
-      '.pdp-title',
-      'h1.pdp-name',
-      '.product-product'
-    ],
-    searchResultSelector: '.product-base',
-    searchPriceSelector: '.product-discountedPrice, .product-price',
-    searchNameSelector: '.product-product, .product-brand',
-    searchLinkSelector: 'a.product-base'
-  },
-  meesho: {
-    baseUrl: 'https://www.meesho.com',
-    searchUrl: 'https://www.meesho.com/search?q=',
-    priceSelectors: [
-      '.price',
-      '.product-price',
-      '[class*="ProductPrice"]'
-    ],
-    nameSelectors: [
-      '.product-title',
-      'h1[class*="ProductTitle"]'
-    ],
-    searchResultSelector: '[class*="ProductCard"]',
-    searchPriceSelector: '[class*="Price"]',
-    searchNameSelector: '[class*="ProductTitle"]',
-    searchLinkSelector: 'a[class*="ProductCard"]'
-  }
-};
-
 // Shared browser instance for better performance
 let browserInstance = null;
 
+// Upstream statuses that mean the site is blocking or rate limiting us
+const BLOCKED_STATUSES = [403, 429];
+
+/**
+ * Error for a failed upstream response
+ * err.status = HTTP status, err.code = 'SITE_BLOCKED' for BLOCKED_STATUSES
+ */
+function upstreamError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  if (BLOCKED_STATUSES.includes(status)) {
+    err.code = 'SITE_BLOCKED';
+  }
+  return err;
+}
+
 async function getBrowser() {
   if (!browserInstance || !browserInstance.isConnected()) {
     const chromePath = findChrome();
@@ -210,62 +154,111 @@ function extractPrice(text) {
   return null;
 }
 
-// Scrape product details from direct URL
-async function scrapeProductUrl(url) {
+// Persist one scrape's successful results as price points (keyed by
+// canonical site:id) with a single history write
+function recordPricePoints(results) {
+  const points = [];
+  results.forEach(result => {
+    if (!result || !result.numericPrice || !result.url) return;
+    
+    const canonicalKey = priceHistory.canonicalKeyFromUrl(result.url);
+    if (!canonicalKey) return;
+    
+    points.push({
+      canonical_key: canonicalKey,
+      price_cents: Math.round(result.numericPrice * 100),
+      ts: Date.parse(result.scrapedAt) || Date.now(),
+      source: result.source || 'puppeteer',
+      url: result.url,
+      title: result.productName
+    });
+  });
+  if (points.length === 0) return;
+  
+  try {
+    priceHistory.addPricePoints(points);
+  } catch (err) {
+    console.error('[Scraper] Failed to record price points:', err.message);
+  }
+}
+
+// Rendered page HTML via Puppeteer (served from fixtures in replay mode);
+// aborting `signal` closes the page, which ends a pending goto/wait
+async function loadRenderedPage(url, { waitForSelector, signal } = {}) {
+  if (fixtures.isReplaying()) {
+    return fixtures.read(url);
+  }
+  
   const browser = await getBrowser();
+  if (signal) signal.throwIfAborted();
   const page = await browser.newPage();
+  const closePage = () => page.close().catch(() => {});
+  if (signal) signal.addEventListener('abort', closePage, { once: true });
   
   try {
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
     
-    // Determine site from URL
-    let site = null;
-    let config = null;
-    
-    for (const [siteName, siteConfig] of Object.entries(siteConfigs)) {
-      if (url.includes(siteConfig.baseUrl.replace('https://', ''))) {
-        site = siteName;
-        config = siteConfig;
-        break;
-      }
+    if (response && BLOCKED_STATUSES.includes(response.status())) {
+      throw upstreamError(`HTTP ${response.status()}`, response.status());
     }
     
-    if (!config) {
-      throw new Error('Unsupported site');
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout: 10000 });
     }
     
-    // Extract price
-    let price = null;
-    for (const selector of config.priceSelectors) {
-      try {
-        const priceText = await page.$eval(selector, el => el.textContent.trim());
-        price = extractPrice(priceText);
-        if (price) break;
-      } catch (err) {
-        // Selector not found, try next one
-        continue;
-      }
+    const html = await page.content();
+    fixtures.record(url, html);
+    return html;
+  } finally {
+    if (signal) signal.removeEventListener('abort', closePage);
+    if (!page.isClosed()) await page.close();
+  }
+}
+
+// Raw page HTML via fetch (served from fixtures in replay mode)
+async function fetchPageHtml(url) {
+  if (fixtures.isReplaying()) {
+    return fixtures.read(url);
+  }
+  
+  const res = await fetch(url, { 
+    headers: { 
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    },
+    timeout: 10000
+  });
+  
+  if (!res.ok) {
+    throw upstreamError(`HTTP ${res.status}`, res.status);
+  }
+  
+  const html = await res.text();
+  fixtures.record(url, html);
+  return html;
+}
+
+// Scrape product details from direct URL
+async function scrapeProductUrl(url) {
+  try {
+    // Determine site from URL
+    const adapter = sites.detect(url);
+    if (!adapter) {
+      throw new Error('Unsupported site');
     }
     
-    // Extract product name
-    let productName = null;
-    for (const selector of config.nameSelectors) {
-      try {
-        productName = await page.$eval(selector, el => el.textContent.trim());
-        if (productName) break;
-      } catch (err) {
-        continue;
-      }
-    }
+    const html = await loadRenderedPage(url);
+    const parsed = adapter.parseProductPage(sites.fromCheerio(cheerio.load(html)), { url });
+    const price = extractPrice(parsed.priceText);
     
-    // Check availability
-    const html = await page.content();
-    const availability = html.toLowerCase().includes('out of stock') ? 'Out of Stock' : 'In Stock';
+    // Check availability (adapter selectors first, then page text)
+    const availability = parsed.availability === 'Out of Stock' || html.toLowerCase().includes('out of stock')
+      ? 'Out of Stock'
+      : 'In Stock';
     
-    return {
-      site: site.charAt(0).toUpperCase() + site.slice(1),
-      productName,
+    const result = {
+      site: adapter.name,
+      productName: parsed.productName,
       price: price ? price.formatted : null,
       numericPrice: price ? price.numeric : null,
       url,
@@ -273,91 +266,60 @@ async function scrapeProductUrl(url) {
       scrapedAt: new Date().toISOString()
     };
     
+    recordPricePoints([result]);
+    return result;
+    
   } catch (err) {
     console.error(`Error scraping product URL ${url}:`, err.message);
     return null;
-  } finally {
-    await page.close();
   }
 }
 
 // Search for product and scrape results
-async function scrapeSearchResults(site, productName, maxResults = 5) {
-  const config = siteConfigs[site.toLowerCase()];
-  if (!config) {
+// options.throwOnError: rethrow instead of returning [] (callers that retry)
+// options.signal: AbortSignal that closes the search page
+async function scrapeSearchResults(site, productName, maxResults = 5, options = {}) {
+  const adapter = sites.get(site);
+  if (!adapter) {
     throw new Error(`Unknown site: ${site}`);
   }
   
-  const browser = await getBrowser();
-  const page = await browser.newPage();
+  const searchUrl = adapter.searchUrl(productName);
   
   try {
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    const searchUrl = config.searchUrl + encodeURIComponent(productName);
-    await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-    
-    // Wait for search results to load
-    await page.waitForSelector(config.searchResultSelector, { timeout: 10000 });
-    
-    const html = await page.content();
-    const $ = cheerio.load(html);
+    // Render the search page once result containers have loaded
+    const html = await loadRenderedPage(searchUrl, { waitForSelector: adapter.selectors.search.result, signal: options.signal });
+    const parsed = adapter.parseSearchResults(sites.fromCheerio(cheerio.load(html)), { maxResults });
     
     const results = [];
-    $(config.searchResultSelector).slice(0, maxResults).each((index, element) => {
-      try {
-        // Extract price
-        let price = null;
-        const priceSelectors = config.searchPriceSelector.split(',').map(s => s.trim());
-        for (const selector of priceSelectors) {
-          const priceText = $(element).find(selector).first().text().trim();
-          if (priceText) {
-            price = extractPrice(priceText);
-            if (price) break;
-          }
-        }
-        
-        // Extract name
-        let name = null;
-        const nameSelectors = config.searchNameSelector.split(',').map(s => s.trim());
-        for (const selector of nameSelectors) {
-          name = $(element).find(selector).first().text().trim();
-          if (name) break;
-        }
-        
-        // Extract link
-        let link = null;
-        const linkElem = $(element).find(config.searchLinkSelector).first();
-        if (linkElem.length > 0) {
-          link = linkElem.attr('href');
-          if (link && !link.startsWith('http')) {
-            link = config.baseUrl + (link.startsWith('/') ? '' : '/') + link;
-          }
-        }
-        
-        if (price && name) {
-          results.push({
-            site: site.charAt(0).toUpperCase() + site.slice(1),
-            productName: name,
-            price: price.formatted,
-            numericPrice: price.numeric,
-            url: link || searchUrl,
-            availability: 'In Stock',
-            scrapedAt: new Date().toISOString()
-          });
-        }
-      } catch (err) {
-        console.error(`Error parsing result ${index}:`, err.message);
-      }
+    const linked = [];
+    parsed.forEach(item => {
+      const price = extractPrice(item.priceText);
+      if (!price) return;
+      
+      const result = {
+        site: adapter.name,
+        productName: item.productName,
+        price: price.formatted,
+        numericPrice: price.numeric,
+        url: item.url || searchUrl,
+        image: item.image || null,
+        availability: 'In Stock',
+        scrapedAt: new Date().toISOString()
+      };
+      results.push(result);
+      
+      // Only a result with its own product link is a price point
+      if (item.url) linked.push(result);
     });
     
+    recordPricePoints(linked);
     return results;
     
   } catch (err) {
     console.error(`Error scraping search results for ${site}:`, err.message);
+    if (options.throwOnError) throw err;
     return [];
-  } finally {
-    await page.close();
   }
 }
 
@@ -389,39 +351,14 @@ async function scrapeSite(site, productName, productUrl = null) {
 // Legacy function - kept for backwards compatibility with fast fetch approach
 async function scrapePrice(url) {
   try {
-    const res = await fetch(url, { 
-      headers: { 
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 10000
-    });
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
-    }
+    // Determine site and use its product page parser
+    const adapter = sites.detect(url);
+    if (!adapter) return null;
     
-    const html = await res.text();
-    const $ = cheerio.load(html);
-    
-    // Determine site and use appropriate selectors
-    let price = null;
-    
-    for (const [siteName, config] of Object.entries(siteConfigs)) {
-      if (url.includes(config.baseUrl.replace('https://', ''))) {
-        // Try each price selector
-        for (const selector of config.priceSelectors) {
-          const priceText = $(selector).first().text().trim();
-          if (priceText) {
-            const extracted = extractPrice(priceText);
-            if (extracted) {
-              price = extracted.formatted;
-              break;
-            }
-          }
-        }
-        break;
-      }
-    }
+    const html = await fetchPageHtml(url);
+    const parsed = adapter.parseProductPage(sites.fromCheerio(cheerio.load(html)), { url });
+    const extracted = extractPrice(parsed.priceText);
+    const price = extracted ? extracted.formatted : null;
     
     return price;
     
@@ -431,43 +368,48 @@ async function scrapePrice(url) {
   }
 }
 
+// Trend of a product's stored history over this many days
+const TREND_DAYS = 30;
+// Current price this far from the average counts as a move
+const TREND_THRESHOLD = 0.05;
+
+// Compare a price (cents) to the average of earlier points
+function trendFromPoints(points, currentCents) {
+  if (points.length === 0 || !currentCents) return 'Unknown';
+  
+  const average = points.reduce((sum, p) => sum + p.price_cents, 0) / points.length;
+  if (currentCents > average * (1 + TREND_THRESHOLD)) return 'Rising';
+  if (currentCents < average * (1 - TREND_THRESHOLD)) return 'Falling';
+  return 'Stable';
+}
+
+// Trend of a product URL from its recorded price history
 async function estimateTrend(url) {
-  // Analyze price history from storage or database
-  // For now, use simple heuristic based on current price vs average
-  try {
-    const currentPrice = await scrapePrice(url);
-    if (!currentPrice) {
-      return 'Unknown';
-    }
-    
-    // TODO: Fetch historical prices from database
-    // const history = await db.getPriceHistory(url);
-    // const average = history.reduce((a, b) => a + b, 0) / history.length;
-    // const current = parseFloat(currentPrice.replace(/[^0-9.]/g, ''));
-    
-    // For now, return random trend
-    // In production, compare current vs historical average
-    const trends = ['Rising', 'Falling', 'Stable'];
-    return trends[Math.floor(Math.random() * trends.length)];
-    
-  } catch (err) {
-    console.error('estimateTrend error:', err.message);
-    return 'Unknown';
-  }
+  const canonicalKey = priceHistory.canonicalKeyFromUrl(url);
+  if (!canonicalKey) return 'Unknown';
+  
+  const points = priceHistory.getHistory(canonicalKey, { days: TREND_DAYS });
+  if (points.length < 2) return 'Unknown';
+  
+  const latest = points[points.length - 1];
+  return trendFromPoints(points.slice(0, -1), latest.price_cents);
 }
 
 // Get price history analysis
+// productId: canonical key (`site:id`); currentPrice in rupees
 async function analyzePriceHistory(productId, currentPrice) {
-  // TODO: Implement with database
-  // const history = await db.getPriceHistory(productId);
+  const points = productId ? priceHistory.getHistory(productId, { days: TREND_DAYS }) : [];
+  const currentCents = Math.round(currentPrice * 100);
+  const prices = points.map(p => p.price_cents).concat(currentCents);
+  const lowest = Math.min(...prices);
+  const average = prices.reduce((sum, cents) => sum + cents, 0) / prices.length;
   
-  // Mock analysis for now
   return {
-    lowestPrice: currentPrice * 0.85,
-    highestPrice: currentPrice * 1.15,
-    averagePrice: currentPrice,
-    trend: await estimateTrend(null),
-    recommendation: currentPrice < (currentPrice * 1.05) ? 'Buy Now' : 'Wait for discount'
+    lowestPrice: lowest / 100,
+    highestPrice: Math.max(...prices) / 100,
+    averagePrice: Math.round(average) / 100,
+    trend: trendFromPoints(points, currentCents),
+    recommendation: currentCents <= lowest * (1 + TREND_THRESHOLD) ? 'Buy Now' : 'Wait for discount'
   };
 }
 
@@ -512,7 +454,7 @@ async function scrapeFlipkartRapidAPI(productUrl) {
       price = extractPrice(priceStr);
     }
     
-    return {
+    const result = {
       site: 'Flipkart',
       productName: product.title || product.name || 'Unknown Product',
       price: price ? price.formatted : null,
@@ -522,10 +464,15 @@ async function scrapeFlipkartRapidAPI(productUrl) {
       rating: product.rating || null,
       reviews: product.reviews_count || null,
       image: product.image || product.images?.[0] || null,
+      gtin: identifiers.normalizeGtin(product.gtin || product.ean || product.upc),
+      brand: product.brand || null,
       scrapedAt: new Date().toISOString(),
       source: 'rapidapi'
     };
     
+    recordPricePoints([result]);
+    return result;
+    
   } catch (err) {
     console.error(`[RapidAPI] Error scraping Flipkart:`, err.message);
     throw err;
@@ -536,30 +483,23 @@ async function scrapeFlipkartRapidAPI(productUrl) {
  * Search Flipkart using RapidAPI
  * @param {string} query - Search query
  * @param {number} maxResults - Maximum number of results
+ * @param {Object} options - { throwOnError } rethrow instead of returning [],
+ *   { signal } AbortSignal that cancels the requests
  * @returns {Promise<Array>} Array of product results
  */
-async function searchFlipkartRapidAPI(query, maxResults = 5) {
+async function searchFlipkartRapidAPI(query, maxResults = 5, options = {}) {
   try {
     console.log(`[RapidAPI] Searching Flipkart for: "${query}"`);
     
     // First, search on Flipkart to get product URLs
-    const searchUrl = `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`;
-    const browser = await getBrowser();
-    const page = await browser.newPage();
-    
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    const adapter = sites.get('flipkart');
+    const html = await loadRenderedPage(adapter.searchUrl(query), { signal: options.signal });
+    const $ = cheerio.load(html);
     
     // Extract product URLs from search results
-    const productUrls = await page.evaluate(() => {
-      const links = Array.from(document.querySelectorAll('a[href*="/p/"]'));
-      return links
-        .map(link => link.href)
-        .filter(url => url.includes('/p/'))
-        .slice(0, 3); // Get top 3 URLs
-    });
-    
-    await page.close();
+    const productUrls = [...new Set($('a[href*="/p/"]').toArray()
+      .map(link => adapter.absoluteUrl($(link).attr('href'))))]
+      .slice(0, 3); // Get top 3 URLs
     
     if (!productUrls.length) {
       console.log('[RapidAPI] No product URLs found in search');
@@ -576,17 +516,19 @@ async function searchFlipkartRapidAPI(query, maxResults = 5) {
       },
       body: JSON.stringify({
         urls: productUrls
-      })
+      }),
+      signal: options.signal
     });
     
     if (!response.ok) {
-      throw new Error(`RapidAPI error: ${response.status}`);
+      throw upstreamError(`RapidAPI error: ${response.status}`, response.status);
     }
     
     const data = await response.json();
     
     // Convert RapidAPI format to our format
-    return data.filter(p => p && p.title).map(product => {
+    const products = data.filter(p => p && p.title).slice(0, maxResults);
+    const results = products.map(product => {
       const price = extractPrice(String(product.price || '0'));
       
       return {
@@ -599,13 +541,20 @@ async function searchFlipkartRapidAPI(query, maxResults = 5) {
         rating: product.rating || null,
         reviews: product.reviews_count || null,
         image: product.image || product.images?.[0] || null,
+        gtin: identifiers.normalizeGtin(product.gtin || product.ean || product.upc),
+        brand: product.brand || null,
         scrapedAt: new Date().toISOString(),
         source: 'rapidapi'
       };
-    }).slice(0, maxResults);
+    });
+    
+    // Without its own URL a result borrows the first search hit's: no price point for it
+    recordPricePoints(results.filter((result, i) => products[i].url));
+    return results;
     
   } catch (err) {
     console.error(`[RapidAPI] Error searching Flipkart:`, err.message);
+    if (options.throwOnError) throw err;
     return []; // Return empty array on error
   }
 }
@@ -614,9 +563,11 @@ async function searchFlipkartRapidAPI(query, maxResults = 5) {
  * Search Amazon using RapidAPI (real-time-amazon-data)
  * @param {string} query - Search query
  * @param {number} maxResults - Maximum number of results to return (default 5)
+ * @param {Object} options - { throwOnError } rethrow instead of returning [],
+ *   { signal } AbortSignal that cancels the requests
  * @returns {Promise<Array>} Array of product objects
  */
-async function searchAmazonRapidAPI(query, maxResults = 5) {
+async function searchAmazonRapidAPI(query, maxResults = 5, options = {}) {
   try {
     if (!RAPIDAPI_CONFIG.amazon.key) {
       console.warn('[RapidAPI] Amazon API key not configured, skipping...');
@@ -632,12 +583,12 @@ async function searchAmazonRapidAPI(query, maxResults = 5) {
       headers: {
         'x-rapidapi-key': RAPIDAPI_CONFIG.amazon.key,
         'x-rapidapi-host': RAPIDAPI_CONFIG.amazon.host
-      }
+      },
+      signal: options.signal
     });
     
     if (!response.ok) {
-      console.error(`[RapidAPI] Amazon API error: ${response.status} ${response.statusText}`);
-      return [];
+      throw upstreamError(`Amazon API error: ${response.status} ${response.statusText}`, response.status);
     }
     
     const data = await response.json();
@@ -649,7 +600,7 @@ async function searchAmazonRapidAPI(query, maxResults = 5) {
     }
     
     // Convert Amazon API format to standard format
-    return data.data.products.map(product => {
+    const results = data.data.products.map(product => {
       // Try multiple price fields from Amazon API
       const priceText = product.product_price || 
                        product.product_minimum_offer_price || 
@@ -683,14 +634,20 @@ async function searchAmazonRapidAPI(query, maxResults = 5) {
         rating: product.product_star_rating || null,
         reviews: product.product_num_ratings || null,
         image: product.product_photo || null,
+        gtin: identifiers.normalizeGtin(product.gtin || product.ean || product.upc),
+        brand: product.brand || null,
         asin: product.asin || null,
         scrapedAt: new Date().toISOString(),
         source: 'rapidapi'
       };
     }).slice(0, maxResults);
     
+    recordPricePoints(results);
+    return results;
+    
   } catch (err) {
     console.error(`[RapidAPI] Error searching Amazon:`, err.message);
+    if (options.throwOnError) throw err;
     return []; // Return empty array on error
   }
 }
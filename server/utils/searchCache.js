@@ -0,0 +1,203 @@
+/**
+ * server/utils/searchCache.js - TTL cache for cross-site search candidates
+ *
+ * PURPOSE:
+ * Reopening the popup on the same product should not relaunch Puppeteer
+ * pages and RapidAPI calls. Candidates from loadCandidates() are cached by
+ * normalized query + excluded site, and expire after the shortest TTL of
+ * the sources they came from (scraped pages go stale faster than API data,
+ * mock fallback data is only kept briefly). Results missing a site that
+ * timed out, failed or was skipped are kept as briefly as mock data.
+ *
+ * CONFIG (env, mirrors `features.cacheResults` / `features.cacheDuration`
+ * in config.example.js):
+ * - CACHE_RESULTS=false          disable caching
+ * - CACHE_DURATION=3600000       upper bound for any entry (ms)
+ * - CACHE_TTL_RAPIDAPI_MS        default 1 hour
+ * - CACHE_TTL_PUPPETEER_MS       default 30 minutes
+ * - CACHE_TTL_MOCK_MS            default 1 minute
+ * - CACHE_TTL_PARTIAL_MS         default 1 minute (some site not ok)
+ *
+ * USAGE:
+ * ```javascript
+ * const searchCache = require('../utils/searchCache');
+ *
+ * const cached = searchCache.get(title, site, { maxAgeMs });
+ * if (!cached) searchCache.set(title, site, await loadCandidates(title, site));
+ * ```
+ */
+
+const { normalizeText } = require('../matcher');
+
+const DEFAULT_SOURCE_TTL_MS = {
+  rapidapi: 60 * 60 * 1000,
+  puppeteer: 30 * 60 * 1000,
+  mock: 60 * 1000,
+  partial: 60 * 1000
+};
+
+// Sources without their own TTL use the puppeteer one
+const FALLBACK_SOURCE = 'puppeteer';
+
+/**
+ * Cache key for a query on all sites except `excludeSite`
+ * @param {string} query
+ * @param {string} excludeSite
+ * @returns {string}
+ */
+function cacheKey(query, excludeSite) {
+  return `${String(excludeSite || '').toLowerCase()}|${normalizeText(query)}`;
+}
+
+// Source label of a candidate (mock fallback entries carry `mock: true`)
+function candidateSource(candidate) {
+  if (candidate.mock) return 'mock';
+  return candidate.source || FALLBACK_SOURCE;
+}
+
+/**
+ * Create a search cache
+ * @param {Object} options
+ * @param {boolean} options.enabled
+ * @param {number} options.durationMs - Upper bound for any entry
+ * @param {Object} options.sourceTtlMs - TTL per candidate source
+ * @param {number} options.maxEntries - Oldest entries are evicted beyond this
+ * @param {Function} options.now - Clock (tests)
+ * @returns {Object} Cache API
+ */
+function createSearchCache(options = {}) {
+  const {
+    enabled = true,
+    durationMs = 60 * 60 * 1000,
+    sourceTtlMs = {},
+    maxEntries = 200,
+    now = Date.now
+  } = options;
+
+  const ttls = { ...DEFAULT_SOURCE_TTL_MS, ...sourceTtlMs };
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  /**
+   * TTL for a candidate list: shortest TTL among its sources, capped by durationMs
+   * (and by the partial TTL when a site did not answer ok)
+   * @param {Object[]} candidates
+   * @param {Object} siteStatus - site → { status } from loadCandidates
+   * @returns {number} ms
+   */
+  function ttlFor(candidates, siteStatus = {}) {
+    const sources = new Set(candidates.map(candidateSource));
+    if (sources.size === 0) sources.add('mock');
+
+    let ttl = Math.min(...[...sources].map(source => ttls[source] || ttls[FALLBACK_SOURCE]));
+    if (Object.values(siteStatus).some(site => site.status !== 'ok')) {
+      ttl = Math.min(ttl, ttls.partial);
+    }
+    return Math.min(ttl, durationMs);
+  }
+
+  /**
+   * Cached candidates, or null on miss/expiry
+   * @param {string} query
+   * @param {string} excludeSite
+   * @param {Object} opts
+   * @param {number} opts.maxAgeMs - Treat older entries as a miss
+   * @returns {{candidates, siteStatus, key, storedAt, expiresAt, ageMs, ttlMs, sources}|null}
+   */
+  function get(query, excludeSite, { maxAgeMs } = {}) {
+    if (!enabled) return null;
+
+    const key = cacheKey(query, excludeSite);
+    const entry = entries.get(key);
+    const time = now();
+
+    if (!entry || entry.expiresAt <= time) {
+      if (entry) entries.delete(key);
+      stats.misses++;
+      return null;
+    }
+
+    const ageMs = time - entry.storedAt;
+    if (maxAgeMs !== undefined && ageMs > maxAgeMs) {
+      stats.misses++;
+      return null;
+    }
+
+    stats.hits++;
+    return { ...entry, ageMs };
+  }
+
+  /**
+   * Store candidates (no-op when disabled)
+   * @param {string} query
+   * @param {string} excludeSite
+   * @param {Object[]} candidates
+   * @param {Object} siteStatus - Per-site status, returned again on hits
+   * @returns {Object|null} The stored entry
+   */
+  function set(query, excludeSite, candidates, siteStatus = {}) {
+    if (!enabled) return null;
+
+    const key = cacheKey(query, excludeSite);
+    const storedAt = now();
+    const ttlMs = ttlFor(candidates, siteStatus);
+    const entry = {
+      key,
+      candidates,
+      siteStatus,
+      storedAt,
+      expiresAt: storedAt + ttlMs,
+      ttlMs,
+      sources: [...new Set(candidates.map(candidateSource))]
+    };
+
+    // Re-insert so Map order stays oldest-first for eviction
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    return { ...entry, ageMs: 0 };
+  }
+
+  function clear() {
+    entries.clear();
+    stats.hits = 0;
+    stats.misses = 0;
+  }
+
+  return {
+    enabled,
+    get,
+    set,
+    ttlFor,
+    clear,
+    size: () => entries.size,
+    stats: () => ({ ...stats, size: entries.size })
+  };
+}
+
+function envMs(name) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : undefined;
+}
+
+const defaultCache = createSearchCache({
+  enabled: process.env.CACHE_RESULTS !== 'false',
+  durationMs: envMs('CACHE_DURATION'),
+  sourceTtlMs: Object.fromEntries(
+    Object.entries({
+      rapidapi: envMs('CACHE_TTL_RAPIDAPI_MS'),
+      puppeteer: envMs('CACHE_TTL_PUPPETEER_MS'),
+      mock: envMs('CACHE_TTL_MOCK_MS'),
+      partial: envMs('CACHE_TTL_PARTIAL_MS')
+    }).filter(([, ttl]) => ttl)
+  )
+});
+
+module.exports = {
+  createSearchCache,
+  cacheKey,
+  ...defaultCache
+};
@@ -0,0 +1,210 @@
+/**
+ * server/utils/siteGuard.js - Per-site deadlines, retries and circuit breaker
+ *
+ * PURPOSE:
+ * One slow or blocking retailer should not hold up /v1/search-crosssite.
+ * Every source call runs under a deadline with bounded retries, and a site
+ * that keeps failing is skipped for a cooldown instead of being hit again.
+ *
+ * STATUSES (result.status):
+ * - ok            call succeeded (possibly with no products)
+ * - timeout       every attempt exceeded the deadline (each timed-out attempt's
+ *                 AbortSignal is aborted before the next one starts)
+ * - blocked       site answered 403/429 (err.code 'SITE_BLOCKED'), not retried
+ * - error         every attempt failed
+ * - circuit-open  skipped, site failed `failureThreshold` runs in a row;
+ *                 one trial call is let through once `cooldownMs` has passed
+ *
+ * CONFIG (env):
+ * - SITE_TIMEOUT_MS=15000          deadline per attempt
+ * - SITE_RETRIES=1                 extra attempts after a timeout/error
+ * - SITE_RETRY_BACKOFF_MS=500      doubled after every attempt
+ * - SITE_BREAKER_THRESHOLD=3       failed runs before the circuit opens
+ * - SITE_BREAKER_COOLDOWN_MS=300000
+ *
+ * USAGE:
+ * ```javascript
+ * const siteGuard = require('../utils/siteGuard');
+ *
+ * const { status, value } = await siteGuard.run('flipkart', signal => searchFlipkartRapidAPI(q, 3, { throwOnError: true, signal }));
+ * ```
+ */
+
+/**
+ * Reject with err.code 'TIMEOUT' when `promise` is not settled within `ms`
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${ms}ms`);
+      err.code = 'TIMEOUT';
+      reject(err);
+    }, ms);
+  });
+
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+// Status for a failed attempt
+function failureStatus(err) {
+  if (err.code === 'TIMEOUT') return 'timeout';
+  if (err.code === 'SITE_BLOCKED') return 'blocked';
+  return 'error';
+}
+
+/**
+ * Create a site guard
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Deadline per attempt
+ * @param {number} options.retries - Extra attempts after a timeout/error
+ * @param {number} options.backoffMs - Delay before the first retry (doubles)
+ * @param {number} options.failureThreshold - Failed runs that open the circuit
+ * @param {number} options.cooldownMs - How long an open circuit skips the site
+ * @param {Function} options.now - Clock (tests)
+ * @param {Function} options.sleep - Delay function (tests)
+ * @returns {Object} Guard API
+ */
+function createSiteGuard(options = {}) {
+  const {
+    timeoutMs = 15000,
+    retries = 1,
+    backoffMs = 500,
+    failureThreshold = 3,
+    cooldownMs = 5 * 60 * 1000,
+    now = Date.now,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  // site → { failures, openUntil }
+  const circuits = new Map();
+
+  function circuitFor(site) {
+    if (!circuits.has(site)) {
+      circuits.set(site, { failures: 0, openUntil: 0 });
+    }
+    return circuits.get(site);
+  }
+
+  function isOpen(site) {
+    return circuitFor(site).openUntil > now();
+  }
+
+  /**
+   * Run a source call for a site
+   * @param {string} site
+   * @param {Function} fn - Called with an AbortSignal per attempt, aborted when the
+   *   attempt times out (stop requests, close pages); returns a promise, rejects on failure
+   * @returns {Promise<{status, value, attempts, elapsed_ms, error, retry_at}>}
+   */
+  async function run(site, fn) {
+    const circuit = circuitFor(site);
+    const startedAt = now();
+
+    if (isOpen(site)) {
+      return {
+        status: 'circuit-open',
+        value: null,
+        attempts: 0,
+        elapsed_ms: 0,
+        error: `Skipped after ${circuit.failures} failed attempts`,
+        retry_at: new Date(circuit.openUntil).toISOString()
+      };
+    }
+
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts <= retries) {
+      if (attempts > 0) {
+        await sleep(backoffMs * 2 ** (attempts - 1));
+      }
+      attempts++;
+
+      const controller = new AbortController();
+      try {
+        const value = await withTimeout(Promise.resolve().then(() => fn(controller.signal)), timeoutMs);
+        circuit.failures = 0;
+        circuit.openUntil = 0;
+        return { status: 'ok', value, attempts, elapsed_ms: now() - startedAt };
+      } catch (err) {
+        lastError = err;
+        // A timed-out attempt would otherwise keep running next to the retry
+        controller.abort(err);
+        // Retrying a blocked site only makes the block last longer
+        if (failureStatus(err) === 'blocked') break;
+      }
+    }
+
+    circuit.failures++;
+    const result = {
+      status: failureStatus(lastError),
+      value: null,
+      attempts,
+      elapsed_ms: now() - startedAt,
+      error: lastError.message
+    };
+
+    if (circuit.failures >= failureThreshold) {
+      circuit.openUntil = now() + cooldownMs;
+      result.retry_at = new Date(circuit.openUntil).toISOString();
+      console.warn(`[SiteGuard] ⚡ Circuit open for ${site} until ${result.retry_at}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Circuit state per site
+   * @returns {Object} site → { failures, open, retry_at }
+   */
+  function state() {
+    const snapshot = {};
+    circuits.forEach((circuit, site) => {
+      snapshot[site] = {
+        failures: circuit.failures,
+        open: isOpen(site),
+        retry_at: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null
+      };
+    });
+    return snapshot;
+  }
+
+  // Close one site's circuit, or all of them
+  function reset(site) {
+    if (site) {
+      circuits.delete(site);
+    } else {
+      circuits.clear();
+    }
+  }
+
+  return {
+    run,
+    isOpen,
+    state,
+    reset
+  };
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && value >= 0 ? value : fallback;
+}
+
+const defaultGuard = createSiteGuard({
+  timeoutMs: envNumber('SITE_TIMEOUT_MS', 15000),
+  retries: envNumber('SITE_RETRIES', 1),
+  backoffMs: envNumber('SITE_RETRY_BACKOFF_MS', 500),
+  failureThreshold: envNumber('SITE_BREAKER_THRESHOLD', 3),
+  cooldownMs: envNumber('SITE_BREAKER_COOLDOWN_MS', 5 * 60 * 1000)
+});
+
+module.exports = {
+  createSiteGuard,
+  withTimeout,
+  ...defaultGuard
+};
@@ -0,0 +1,217 @@
+/**
+ * server/utils/textNormalizer.js - Unicode title normalization, Devanagari transliteration, synonyms
+ *
+ * PURPOSE:
+ * Meesho and Flipkart titles mix Hindi in Devanagari ("लाल कुर्ती"),
+ * Hinglish spellings ("saree", "sari", "saaree") and English ("red kurta")
+ * for the same product. The matcher's token overlap only sees these as equal
+ * after three steps:
+ *
+ * 1. normalizeText: NFKC, lower case, Devanagari → Latin, diacritics removed,
+ *    punctuation → space. Letters and digits of every script are kept
+ *    (the old ASCII-only [^\w\s] deleted non-Latin words).
+ * 2. transliterateDevanagari: a simple Hinglish-style romanization (long
+ *    vowels written short: "साड़ी" → "sari", "कुर्ती" → "kurti"); the
+ *    inherent "a" is dropped at the end of a word ("लाल" → "lal").
+ *    Very common words that the letter rules get wrong are in DEVANAGARI_WORDS.
+ * 3. canonicalToken: SYNONYMS maps spellings, plurals, Hindi words and
+ *    regional terms to one token ("sari" → "saree", "lal" → "red").
+ *
+ * MAINTENANCE:
+ * Add vocabulary to SYNONYMS as [canonical, ...variants]; variants are
+ * single normalized words. Keep words that separate products apart
+ * ("dupatta" and "saree" are not synonyms).
+ *
+ * USAGE:
+ * ```javascript
+ * const { normalizeText, canonicalToken } = require('./utils/textNormalizer');
+ *
+ * normalizeText('लाल कुर्ती (Cotton)');   // → 'lal kurti cotton'
+ * canonicalToken('kurti');               // → 'kurta'
+ * ```
+ */
+
+// [canonical, ...variants]
+const SYNONYMS = [
+  // Ethnic wear
+  ['saree', 'sarees', 'sari', 'saris', 'saaree', 'saadi', 'sadi'],
+  ['kurta', 'kurtas', 'kurti', 'kurtis', 'kurtee', 'kurtha'],
+  ['lehenga', 'lehengas', 'lehnga', 'lehanga', 'lahenga', 'ghagra', 'ghaghra'],
+  ['salwar', 'salwars', 'shalwar', 'salwaar', 'salvar'],
+  ['churidar', 'churidars', 'churidaar', 'chudidar'],
+  ['dupatta', 'dupattas', 'duppata', 'chunni', 'chunri', 'chunari', 'odhni'],
+  ['pyjama', 'pyjamas', 'pajama', 'pajamas', 'payjama', 'payajama'],
+  ['sherwani', 'sherwanis', 'shervani'],
+  ['dhoti', 'dhotis', 'dhothi', 'veshti', 'vesti'],
+  ['mojari', 'mojaris', 'jutti', 'juttis', 'juti', 'jooti'],
+  ['chappal', 'chappals', 'chapal'],
+  ['cotton', 'koton', 'kotan', 'suti', 'sooti'],
+  ['silk', 'resham', 'reshmi'],
+  ['blouse', 'blouses', 'blauz', 'blauj'],
+  ['piece', 'pieces', 'pis', 'pees'],
+  // Jewellery
+  ['jhumka', 'jhumkas', 'jhumki', 'jhumkis'],
+  ['bangle', 'bangles', 'chudi', 'choodi', 'chudiyan', 'churi'],
+  ['anklet', 'anklets', 'payal', 'payals', 'pajeb'],
+  ['mangalsutra', 'mangalsutras', 'mangalsootra'],
+  // Kitchen, grocery
+  ['atta', 'aata'],
+  ['dal', 'daal', 'dhal'],
+  ['rice', 'chawal', 'chaval'],
+  ['turmeric', 'haldi'],
+  ['cumin', 'jeera', 'jira', 'zeera'],
+  ['cardamom', 'elaichi', 'ilaichi'],
+  ['chilli', 'chillies', 'chili', 'chilies', 'mirch', 'mirchi'],
+  ['tea', 'chai'],
+  ['milk', 'doodh', 'dudh'],
+  ['ghee', 'ghi'],
+  ['kadai', 'kadhai', 'karahi'],
+  ['tawa', 'tava', 'tavva'],
+  ['incense', 'agarbatti', 'agarbathi'],
+  ['henna', 'mehndi', 'mehendi', 'mehandi'],
+  ['powder', 'paudar', 'pawdar'],
+  // Colours and audiences (Hindi)
+  ['colour', 'color', 'rang'],
+  ['red', 'lal', 'laal'],
+  ['blue', 'neela', 'nila'],
+  ['green', 'hara'],
+  ['black', 'kala', 'kaala'],
+  ['white', 'safed', 'safaid', 'sufed'],
+  ['yellow', 'peela', 'pila'],
+  ['pink', 'gulabi'],
+  ['women', 'womens', 'mahila', 'mahilaon', 'aurat', 'auraton'],
+  ['men', 'mens', 'purush', 'aadmi'],
+  ['kids', 'bachche', 'bachcho', 'bacchon', 'bachchon']
+];
+
+// Hindi function words, dropped by the matcher's tokenizer like English stopwords
+const HINDI_STOPWORDS = ['aur', 'ka', 'ke', 'ki', 'ko', 'se', 'mein', 'par', 'liye', 'sath', 'saath', 'hai', 'wala', 'wali', 'vala', 'vali'];
+
+// Common words the letter rules romanize badly ("में" would become "men")
+const DEVANAGARI_WORDS = { 'में': 'mein', 'लिए': 'liye', 'लिये': 'liye', 'और': 'aur', 'है': 'hai' };
+
+// Devanagari → Latin
+const DEVANAGARI_VOWELS = {
+  'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+const DEVANAGARI_MATRAS = {
+  'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+// Consonant + nukta (NFC keeps these decomposed)
+const DEVANAGARI_NUKTA = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' };
+const DEVANAGARI_SIGNS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const VIRAMA = '्';
+const NUKTA = '़';
+const DEVANAGARI_DIGIT_ZERO = 0x0966;
+
+const DEVANAGARI_RUN = /[ऀ-ॿ]+/g;
+
+const SYNONYM_MAP = new Map();
+SYNONYMS.forEach(([canonical, ...variants]) => {
+  variants.forEach(variant => SYNONYM_MAP.set(variant, canonical));
+});
+
+/**
+ * Romanize one run of Devanagari
+ * @param {string} word
+ * @returns {string}
+ */
+function transliterateWord(word) {
+  if (DEVANAGARI_WORDS[word]) return DEVANAGARI_WORDS[word];
+  const chars = Array.from(word.normalize('NFD'));
+  let out = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const code = char.charCodeAt(0);
+
+    if (DEVANAGARI_CONSONANTS[char]) {
+      let next = chars[i + 1];
+      let latin = DEVANAGARI_CONSONANTS[char];
+      if (next === NUKTA) {
+        latin = DEVANAGARI_NUKTA[char] || latin;
+        i++;
+        next = chars[i + 1];
+      }
+      out += latin;
+
+      if (next === VIRAMA) {
+        i++;
+      } else if (DEVANAGARI_MATRAS[next]) {
+        out += DEVANAGARI_MATRAS[next];
+        i++;
+      } else if (i + 1 < chars.length) {
+        // Inherent vowel, dropped at the end of the word
+        out += 'a';
+      } else if (out.length === latin.length) {
+        // One-letter word keeps it ("न" → "na")
+        out += 'a';
+      }
+    } else if (DEVANAGARI_VOWELS[char]) {
+      out += DEVANAGARI_VOWELS[char];
+    } else if (DEVANAGARI_SIGNS[char]) {
+      out += DEVANAGARI_SIGNS[char];
+    } else if (code >= DEVANAGARI_DIGIT_ZERO && code <= DEVANAGARI_DIGIT_ZERO + 9) {
+      out += String(code - DEVANAGARI_DIGIT_ZERO);
+    } else if (char === '।' || char === '॥') {
+      out += ' ';
+    }
+    // Other marks (stray matras, nukta, om, abbreviation sign) are dropped
+  }
+
+  return out;
+}
+
+/**
+ * Replace Devanagari in text with Latin letters
+ * @param {string} text
+ * @returns {string}
+ */
+function transliterateDevanagari(text) {
+  return String(text || '').replace(DEVANAGARI_RUN, transliterateWord);
+}
+
+/**
+ * Normalize text for comparison (any script)
+ * @param {string} text
+ * @returns {string} Lower case, Devanagari romanized, no diacritics or punctuation
+ */
+function normalizeText(text) {
+  if (!text) return '';
+
+  return transliterateDevanagari(String(text).normalize('NFKC'))
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1') // "café" → "cafe"; marks of other scripts stay
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}\p{M}\s]/gu, ' ')       // Punctuation, symbols, underscores
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * One spelling for a normalized word
+ * @param {string} token
+ * @returns {string}
+ */
+function canonicalToken(token) {
+  return SYNONYM_MAP.get(token) || token;
+}
+
+module.exports = {
+  SYNONYMS,
+  HINDI_STOPWORDS,
+  normalizeText,
+  transliterateDevanagari,
+  canonicalToken
+};
@@ -0,0 +1,155 @@
+/**
+ * server/utils/trackStore.js - Persistent Tracked-Product Store
+ *
+ * PURPOSE:
+ * Keep /api/track trackings on disk so they survive server restarts.
+ * Used by routes/trackRoutes.js and the scheduled alert evaluator.
+ *
+ * STORAGE:
+ * Single JSON file (default: server/data/trackings.json, override with
+ * TRACKINGS_DB). Layout: { trackings: { [id]: trackingData } }
+ *
+ * TRACKING SHAPE:
+ * {
+ *   id, productName, url, canonical_key, currentPrice, targetPrice, email,
+ *   createdAt, updatedAt, lastCheckedAt, lastError, active,
+ *   alerts: [{ ts, type, oldPrice, newPrice, targetPrice }]
+ * }
+ */
+
+const path = require('path');
+const { createJsonStore, DATA_DIR } = require('./jsonStore');
+const { canonicalKeyFromUrl } = require('./priceHistory');
+
+// Oldest alerts are dropped beyond this many per tracking
+const MAX_ALERTS_PER_TRACKING = 100;
+
+/**
+ * Create a tracking store backed by a JSON file
+ * @param {string} filePath
+ * @returns {Object} Store API
+ */
+function createTrackStore(filePath) {
+  const store = createJsonStore(filePath, { trackings: {} });
+
+  /**
+   * Create a new tracking
+   * @param {Object} input - { productName?, url, currentPrice?, targetPrice?, email? }
+   * @returns {Object} Stored tracking
+   */
+  function createTracking({ productName, url, currentPrice, targetPrice, email }) {
+    const now = new Date().toISOString();
+    const tracking = {
+      id: `track_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      productName: productName || 'Unknown Product',
+      url,
+      canonical_key: canonicalKeyFromUrl(url),
+      currentPrice: currentPrice || 0,
+      targetPrice: targetPrice || null,
+      email: email || null,
+      createdAt: now,
+      updatedAt: now,
+      lastCheckedAt: null,
+      lastError: null,
+      alerts: [],
+      active: true
+    };
+
+    store.update(data => {
+      data.trackings[tracking.id] = tracking;
+    });
+
+    return { ...tracking };
+  }
+
+  /**
+   * Get a tracking by ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  function getTracking(id) {
+    const tracking = store.load().trackings[id];
+    return tracking ? { ...tracking } : null;
+  }
+
+  /**
+   * List trackings, newest first
+   * @param {Object} filter - { active? }
+   * @returns {Array}
+   */
+  function listTrackings({ active } = {}) {
+    return Object.values(store.load().trackings)
+      .filter(t => active === undefined || t.active === active)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(t => ({ ...t }));
+  }
+
+  /**
+   * Apply partial changes to a tracking
+   * @param {string} id
+   * @param {Object} changes
+   * @returns {Object|null} Updated tracking, or null if not found
+   */
+  function updateTracking(id, changes) {
+    return store.update(data => {
+      const tracking = data.trackings[id];
+      if (!tracking) return null;
+
+      Object.assign(tracking, changes, { updatedAt: new Date().toISOString() });
+      return { ...tracking };
+    });
+  }
+
+  /**
+   * Append an alert record to a tracking
+   * @param {string} id
+   * @param {Object} alert - { type, oldPrice, newPrice, targetPrice }
+   * @returns {Object|null} Stored alert, or null if tracking not found
+   */
+  function appendAlert(id, alert) {
+    return store.update(data => {
+      const tracking = data.trackings[id];
+      if (!tracking) return null;
+
+      const stored = { ts: new Date().toISOString(), ...alert };
+      tracking.alerts.push(stored);
+      if (tracking.alerts.length > MAX_ALERTS_PER_TRACKING) {
+        tracking.alerts = tracking.alerts.slice(-MAX_ALERTS_PER_TRACKING);
+      }
+      return stored;
+    });
+  }
+
+  /**
+   * Delete a tracking
+   * @param {string} id
+   * @returns {boolean} True if it existed
+   */
+  function removeTracking(id) {
+    return store.update(data => {
+      if (!data.trackings[id]) return false;
+      delete data.trackings[id];
+      return true;
+    });
+  }
+
+  return {
+    createTracking,
+    getTracking,
+    listTrackings,
+    updateTracking,
+    appendAlert,
+    removeTracking,
+    filePath: store.filePath
+  };
+}
+
+// Default store shared by routes and the alert evaluator
+const defaultStore = createTrackStore(
+  process.env.TRACKINGS_DB || path.join(DATA_DIR, 'trackings.json')
+);
+
+module.exports = {
+  createTrackStore,
+  ...defaultStore
+};
@@ -0,0 +1,198 @@
+/**
+ * server/utils/weightFitter.js - Fit Matcher Weights from Labelled Pairs
+ *
+ * PURPOSE:
+ * Turns /v1/match-feedback labels into matcher weights and thresholds
+ * (see utils/matchWeights.js). Used by scripts/fit-match-weights.js.
+ *
+ * METHOD:
+ * 1. Weights: coordinate descent over a grid per weight. Each step rescores
+ *    every pair with scoreCandidate and keeps the value with the best F1 at
+ *    the match threshold (ties: larger mean margin from the threshold, then
+ *    the current value), until a full round changes nothing.
+ * 2. Match threshold: the cut between two adjacent scores with the best F1
+ *    (the default when it lies in that gap, else halfway; ties: closest to
+ *    the default).
+ * 3. Good / excellent: the lowest threshold at or above the match threshold
+ *    whose precision reaches GOOD_PRECISION / EXCELLENT_PRECISION; the
+ *    default when the labels never reach it.
+ *
+ * Fitting is in-sample: with few labels, prefer the defaults.
+ *
+ * USAGE:
+ * ```javascript
+ * const { fitMatchWeights } = require('./utils/weightFitter');
+ *
+ * const fit = fitMatchWeights(feedbackStore.listFeedback());
+ * // → { weights: { title_base, ..., thresholds }, metrics: { before, after } }
+ * ```
+ */
+
+const { scoreCandidate } = require('../matcher');
+const { DEFAULT_MATCH_WEIGHTS, WEIGHT_KEYS, resolveMatchWeights } = require('./matchWeights');
+
+// Fewer labels than this fit noise rather than weights
+const MIN_PAIRS = 20;
+const MIN_PER_LABEL = 5;
+
+const MAX_ROUNDS = 10;
+
+// Candidate values per weight
+const WEIGHT_GRID = {
+  title_base: range(0.3, 0.7, 0.025),
+  token_overlap: range(0.2, 0.7, 0.025),
+  brand_match: range(0, 0.2, 0.025),
+  keyword_match: range(0, 0.1, 0.0125)
+};
+
+const GOOD_PRECISION = 0.9;
+const EXCELLENT_PRECISION = 0.97;
+
+function range(from, to, step) {
+  const values = [];
+  for (let value = from; value <= to + 1e-9; value += step) {
+    values.push(parseFloat(value.toFixed(4)));
+  }
+  return values;
+}
+
+/**
+ * Precision / recall / F1 of "score >= threshold" against the labels
+ * @param {Array<{score: number, match: boolean}>} scored
+ * @param {number} threshold
+ * @returns {{threshold, precision, recall, f1, tp, fp, fn, tn}}
+ */
+function evaluate(scored, threshold) {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  scored.forEach(({ score, match }) => {
+    const predicted = score >= threshold;
+    if (predicted && match) tp++;
+    else if (predicted) fp++;
+    else if (match) fn++;
+    else tn++;
+  });
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  const round = value => parseFloat(value.toFixed(4));
+
+  return { threshold: round(threshold), precision: round(precision), recall: round(recall), f1: round(f1), tp, fp, fn, tn };
+}
+
+function scorePairs(pairs, weights) {
+  return pairs.map(pair => ({
+    score: scoreCandidate(pair.source, pair.candidate, { weights }).score,
+    match: pair.label === 'match'
+  }));
+}
+
+// Mean distance on the right side of the threshold (negative when on the wrong side)
+function margin(scored, threshold) {
+  const total = scored.reduce((sum, { score, match }) => sum + (match ? score - threshold : threshold - score), 0);
+  return total / scored.length;
+}
+
+// One cut between each pair of adjacent distinct scores: the preferred
+// threshold when it falls between them, else halfway
+function cutPoints(scored, preferred = -1) {
+  const scores = Array.from(new Set(scored.map(entry => entry.score))).sort((a, b) => a - b);
+  return scores.slice(1).map((score, i) => (
+    preferred > scores[i] && preferred <= score ? preferred : (scores[i] + score) / 2
+  ));
+}
+
+function bestMatchThreshold(scored, fallback) {
+  let best = { ...evaluate(scored, fallback) };
+  cutPoints(scored, fallback).forEach(threshold => {
+    const metrics = evaluate(scored, threshold);
+    const closer = Math.abs(threshold - fallback) < Math.abs(best.threshold - fallback);
+    if (metrics.f1 > best.f1 || (metrics.f1 === best.f1 && closer)) {
+      best = metrics;
+    }
+  });
+  return best.threshold;
+}
+
+function precisionThreshold(scored, minimum, target, fallback) {
+  const cut = [minimum, ...cutPoints(scored).filter(threshold => threshold >= minimum)]
+    .find(threshold => {
+      const metrics = evaluate(scored, threshold);
+      return metrics.tp > 0 && metrics.precision >= target;
+    });
+  return parseFloat((cut !== undefined ? cut : Math.max(fallback, minimum)).toFixed(4));
+}
+
+/**
+ * Fit title-stage weights and thresholds to labelled pairs
+ * @param {Array} pairs - Feedback pairs { source, candidate, label: 'match' | 'mismatch' }
+ * @param {Object} options
+ * @param {Object} options.initial - Starting weights (default DEFAULT_MATCH_WEIGHTS)
+ * @returns {Object} { weights, metrics: { before, after }, pairs, rounds }
+ * @throws {Error} err.code = 'NOT_ENOUGH_FEEDBACK' below MIN_PAIRS / MIN_PER_LABEL
+ */
+function fitMatchWeights(pairs, { initial = DEFAULT_MATCH_WEIGHTS } = {}) {
+  const matches = pairs.filter(pair => pair.label === 'match').length;
+  const mismatches = pairs.filter(pair => pair.label === 'mismatch').length;
+  if (pairs.length < MIN_PAIRS || matches < MIN_PER_LABEL || mismatches < MIN_PER_LABEL) {
+    const err = new Error(`Need at least ${MIN_PAIRS} labelled pairs with ${MIN_PER_LABEL} of each label (have ${matches} match, ${mismatches} mismatch)`);
+    err.code = 'NOT_ENOUGH_FEEDBACK';
+    throw err;
+  }
+
+  const start = resolveMatchWeights(initial);
+  const threshold = start.thresholds.match;
+  const objective = weights => {
+    const scored = scorePairs(pairs, weights);
+    return { f1: evaluate(scored, threshold).f1, margin: margin(scored, threshold) };
+  };
+  const better = (a, b) => a.f1 > b.f1 || (a.f1 === b.f1 && a.margin > b.margin + 1e-9);
+
+  // 1. Weights
+  const weights = { ...start };
+  let current = objective(weights);
+  let rounds = 0;
+  let changed = true;
+  while (changed && rounds < MAX_ROUNDS) {
+    changed = false;
+    rounds++;
+    WEIGHT_KEYS.forEach(key => {
+      WEIGHT_GRID[key].forEach(value => {
+        if (value === weights[key]) return;
+        const trial = objective({ ...weights, [key]: value });
+        if (better(trial, current)) {
+          weights[key] = value;
+          current = trial;
+          changed = true;
+        }
+      });
+    });
+  }
+
+  // 2-3. Thresholds
+  const scored = scorePairs(pairs, weights);
+  const match = bestMatchThreshold(scored, threshold);
+  const good = precisionThreshold(scored, match, GOOD_PRECISION, start.thresholds.good);
+  const excellent = precisionThreshold(scored, good, EXCELLENT_PRECISION, start.thresholds.excellent);
+  weights.thresholds = { match, good, excellent };
+
+  return {
+    weights,
+    metrics: {
+      before: evaluate(scorePairs(pairs, start), threshold),
+      after: evaluate(scored, match)
+    },
+    pairs: pairs.length,
+    rounds
+  };
+}
+
+module.exports = {
+  MIN_PAIRS,
+  MIN_PER_LABEL,
+  WEIGHT_GRID,
+  GOOD_PRECISION,
+  EXCELLENT_PRECISION,
+  evaluate,
+  fitMatchWeights
+};
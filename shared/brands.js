@@ -0,0 +1,205 @@
+/**
+ * shared/brands.js - Brand lexicon and brand inference
+ *
+ * PURPOSE:
+ * Titles name brands inconsistently ("Mi", "Xiaomi" and "Redmi" are one
+ * maker; "HP" is "Hewlett Packard"), and product lines often stand in for
+ * the brand ("iPhone 14 Pro"). This lexicon maps every alias to one
+ * canonical brand so the matcher can reward equal brands and penalise
+ * different ones. Shared by the server (matcher) and the popup (script tag,
+ * `window.SmartShopperBrands`), like sites/registry.js.
+ *
+ * MAINTENANCE:
+ * Add brands to BRANDS as [canonical name, ...aliases]. Aliases are matched
+ * as whole words, case-insensitively. Short or ambiguous aliases ("hp" is
+ * also horsepower, "mi" is a word in many languages) go in LEADING_ONLY and
+ * only count as the first word of a title.
+ *
+ * USAGE:
+ * ```javascript
+ * const brands = require('../shared/brands');
+ *
+ * brands.inferBrand('Redmi Note 13 5G (8GB RAM, 256GB)');  // → 'Xiaomi'
+ * brands.canonicalBrand('Hewlett-Packard');                // → 'HP'
+ * brands.sameBrand('Mi', 'Xiaomi');                        // → true
+ * ```
+ */
+
+(function (root) {
+  // [canonical, ...aliases] - product lines count as aliases of their maker
+  const BRANDS = [
+    // Phones, electronics, computers
+    ['Apple', 'apple', 'iphone', 'ipad', 'macbook', 'imac', 'airpods', 'apple watch'],
+    ['Samsung', 'samsung', 'galaxy'],
+    ['Xiaomi', 'xiaomi', 'mi', 'redmi', 'poco'],
+    ['OnePlus', 'oneplus', 'one plus'],
+    ['Realme', 'realme'],
+    ['Oppo', 'oppo'],
+    ['Vivo', 'vivo', 'iqoo'],
+    ['Motorola', 'motorola', 'moto'],
+    ['Nokia', 'nokia'],
+    ['Google', 'google', 'pixel'],
+    ['Nothing', 'nothing phone', 'cmf by nothing'],
+    ['HP', 'hp', 'hewlett packard', 'omen', 'pavilion'],
+    ['Dell', 'dell', 'alienware', 'inspiron'],
+    ['Lenovo', 'lenovo', 'thinkpad', 'ideapad', 'legion'],
+    ['Asus', 'asus', 'rog', 'vivobook', 'zenbook'],
+    ['Acer', 'acer', 'predator', 'aspire'],
+    ['MSI', 'msi'],
+    ['Sony', 'sony', 'playstation'],
+    ['LG', 'lg'],
+    ['Panasonic', 'panasonic'],
+    ['Philips', 'philips'],
+    ['Canon', 'canon'],
+    ['Nikon', 'nikon'],
+    ['JBL', 'jbl'],
+    ['boAt', 'boat'],
+    ['Noise', 'noise'],
+    ['Fire-Boltt', 'fire boltt', 'fireboltt'],
+    ['Sennheiser', 'sennheiser'],
+    ['Bose', 'bose'],
+    ['Logitech', 'logitech'],
+    ['SanDisk', 'sandisk'],
+    ['Western Digital', 'western digital', 'wd'],
+    ['Seagate', 'seagate'],
+    ['Spigen', 'spigen'],
+    // Appliances, kitchen
+    ['Bajaj', 'bajaj'],
+    ['Havells', 'havells'],
+    ['Prestige', 'prestige'],
+    ['Pigeon', 'pigeon'],
+    ['Butterfly', 'butterfly'],
+    ['Whirlpool', 'whirlpool'],
+    ['Voltas', 'voltas'],
+    ['Kent', 'kent'],
+    // Fashion, footwear, watches
+    ['Nike', 'nike'],
+    ['Adidas', 'adidas'],
+    ['Puma', 'puma'],
+    ['Reebok', 'reebok'],
+    ['Skechers', 'skechers'],
+    ['Bata', 'bata'],
+    ['Campus', 'campus'],
+    ["Levi's", 'levis', 'levi strauss'],
+    ['Roadster', 'roadster'],
+    ['HRX', 'hrx', 'hrx by hrithik roshan'],
+    ['Allen Solly', 'allen solly'],
+    ['Peter England', 'peter england'],
+    ['Van Heusen', 'van heusen'],
+    ['U.S. Polo Assn.', 'us polo', 'us polo assn'],
+    ['Titan', 'titan'],
+    ['Fastrack', 'fastrack'],
+    ['Casio', 'casio'],
+    // Personal care, grocery
+    ['Dove', 'dove'],
+    ['Nivea', 'nivea'],
+    ["L'Oreal", 'loreal', 'l oreal'],
+    ['Mamaearth', 'mamaearth'],
+    ['Himalaya', 'himalaya'],
+    ['Colgate', 'colgate'],
+    ['Amul', 'amul'],
+    ['Tata', 'tata']
+  ];
+
+  // Aliases that only count as the first word of a title
+  const LEADING_ONLY = new Set(['mi', 'hp', 'lg', 'wd', 'moto', 'rog', 'omen', 'legion', 'predator', 'aspire', 'noise', 'campus', 'nothing phone', 'pixel', 'galaxy', 'pavilion']);
+
+  // Titles name the brand early; aliases further in are usually "for <brand>"
+  const MAX_BRAND_POSITION = 4;
+  const COMPATIBILITY_WORDS = new Set(['for', 'with', 'fits', 'compatible']);
+
+  // "Levi's" → "levis", "U.S. Polo" → "us polo", "Hewlett-Packard" → "hewlett packard"
+  function normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’`.]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // alias → canonical
+  const ALIASES = new Map();
+  BRANDS.forEach(([canonical, ...aliases]) => {
+    [canonical, ...aliases].forEach(alias => ALIASES.set(normalize(alias), canonical));
+  });
+
+  // Longest aliases first so "apple watch" wins over "apple"
+  const ALIAS_LIST = Array.from(ALIASES.keys()).sort((a, b) => b.length - a.length);
+
+  /**
+   * Canonical brand for a brand name or alias
+   * @param {string} name - "Mi", "Hewlett-Packard", JSON-LD brand name...
+   * @returns {string|null} null when the lexicon does not know it
+   */
+  function canonicalBrand(name) {
+    const key = normalize(name);
+    if (!key) return null;
+    if (ALIASES.has(key)) return ALIASES.get(key);
+    // "Xiaomi India", "Samsung Electronics"
+    const first = ALIAS_LIST.find(alias => !LEADING_ONLY.has(alias) && key.startsWith(`${alias} `));
+    return first ? ALIASES.get(first) : null;
+  }
+
+  /**
+   * Brand named in a product title
+   * @param {string} title
+   * @returns {string|null} Canonical brand, or null
+   */
+  function inferBrand(title) {
+    const words = normalize(title).split(' ').filter(Boolean);
+
+    for (let position = 0; position < Math.min(words.length, MAX_BRAND_POSITION); position++) {
+      // "Case for iPhone 14" is not an Apple product
+      if (COMPATIBILITY_WORDS.has(words[position])) return null;
+      const rest = words.slice(position).join(' ');
+      const alias = ALIAS_LIST.find(candidate =>
+        (rest === candidate || rest.startsWith(`${candidate} `)) &&
+        (position === 0 || !LEADING_ONLY.has(candidate))
+      );
+      if (alias) return ALIASES.get(alias);
+    }
+
+    return null;
+  }
+
+  /**
+   * Brand of a product: explicit brand (JSON-LD, API) first, then the title
+   * Unknown explicit brands are returned as given, so they still compare
+   * @param {Object} product - { brand?, title? }
+   * @returns {string|null}
+   */
+  function brandOf(product) {
+    if (!product) return null;
+    if (product.brand) {
+      return canonicalBrand(product.brand) || String(product.brand).trim();
+    }
+    return inferBrand(product.title);
+  }
+
+  /**
+   * Whether two brand names (or aliases) are the same brand
+   * @returns {boolean|null} null when either is missing
+   */
+  function sameBrand(a, b) {
+    if (!a || !b) return null;
+    const brandA = canonicalBrand(a) || normalize(a);
+    const brandB = canonicalBrand(b) || normalize(b);
+    return normalize(brandA) === normalize(brandB);
+  }
+
+  const api = {
+    BRANDS,
+    canonicalBrand,
+    inferBrand,
+    brandOf,
+    sameBrand
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.SmartShopperBrands = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,185 @@
+/**
+ * shared/identifiers.js - GTIN / MPN / brand identifiers
+ *
+ * PURPOSE:
+ * A barcode identifies the exact product variant, which title matching can
+ * only guess at. This module reads GTINs (EAN-8, UPC-A, EAN-13, GTIN-14),
+ * the manufacturer part number (MPN) and the brand from a product page's
+ * JSON-LD and meta tags, and validates GTIN check digits so a mistyped or
+ * placeholder code never counts as a match. Shared by the extension
+ * (extension/content/extractors.js, the popup's page script) and the server
+ * (matcher), like sites/registry.js.
+ *
+ * GTINs are compared in their 14-digit form: UPC-A '012345678905', EAN-13
+ * '0012345678905' and GTIN-14 '00012345678905' are the same product.
+ *
+ * USAGE:
+ * ```javascript
+ * const identifiers = require('../shared/identifiers');
+ *
+ * identifiers.normalizeGtin('0 12345 67890 5');   // → '00012345678905'
+ * identifiers.normalizeGtin('0012345678906');     // → null (bad check digit)
+ * identifiers.extractIdentifiers(document);
+ * // → { gtin: '00012345678905', gtins: ['00012345678905'], mpn: 'MLPF3HN/A', brand: 'Apple' }
+ * ```
+ */
+
+(function (root) {
+  const GTIN_LENGTHS = [8, 12, 13, 14];
+  const JSON_LD_GTIN_FIELDS = ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'isbn'];
+
+  // Meta tags / microdata that carry identifiers on product pages
+  const GTIN_SELECTORS = [
+    'meta[property="product:ean"]',
+    'meta[property="product:upc"]',
+    'meta[property="product:gtin"]',
+    'meta[property="og:upc"]',
+    'meta[property="og:ean"]',
+    '[itemprop="gtin"]',
+    '[itemprop="gtin8"]',
+    '[itemprop="gtin12"]',
+    '[itemprop="gtin13"]',
+    '[itemprop="gtin14"]'
+  ];
+  const MPN_SELECTORS = ['meta[property="product:mfr_part_no"]', 'meta[property="product:mpn"]', '[itemprop="mpn"]'];
+  const BRAND_SELECTORS = ['meta[property="product:brand"]', 'meta[property="og:brand"]', '[itemprop="brand"] [itemprop="name"]', '[itemprop="brand"]'];
+
+  // Codes that pass the check digit but are used as "no barcode"
+  const PLACEHOLDER_GTIN = /^0+$/;
+
+  /**
+   * GS1 check digit for the digits before it
+   * @param {string} body - GTIN without its last digit
+   * @returns {number}
+   */
+  function gtinCheckDigit(body) {
+    let sum = 0;
+    // Weights 3,1,3,1... from the rightmost body digit
+    for (let i = 0; i < body.length; i++) {
+      const digit = Number(body[body.length - 1 - i]);
+      sum += digit * (i % 2 === 0 ? 3 : 1);
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Whether a code is a GTIN-8/12/13/14 with a correct check digit
+   * @param {string|number} code - Spaces and hyphens are ignored
+   * @returns {boolean}
+   */
+  function isValidGtin(code) {
+    const digits = String(code == null ? '' : code).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return false;
+    if (PLACEHOLDER_GTIN.test(digits)) return false;
+    return gtinCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+  }
+
+  /**
+   * Validated GTIN in 14-digit form
+   * @param {string|number} code
+   * @returns {string|null}
+   */
+  function normalizeGtin(code) {
+    if (!isValidGtin(code)) return null;
+    return String(code).replace(/[\s-]/g, '').padStart(14, '0');
+  }
+
+  /**
+   * Whether two codes are the same validated GTIN
+   * @returns {boolean}
+   */
+  function sameGtin(a, b) {
+    const gtinA = normalizeGtin(a);
+    return Boolean(gtinA) && gtinA === normalizeGtin(b);
+  }
+
+  function text(value) {
+    if (value == null) return null;
+    if (typeof value === 'object') return text(value.name || value['@value']);
+    const trimmed = String(value).trim();
+    return trimmed || null;
+  }
+
+  function uniq(values) {
+    return Array.from(new Set(values));
+  }
+
+  /**
+   * First schema.org Product in the page's JSON-LD blocks
+   * @param {Document} doc
+   * @returns {Object|null}
+   */
+  function findJsonLdProduct(doc) {
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of Array.from(scripts)) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (e) {
+        continue;
+      }
+
+      const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+      for (const item of items) {
+        if (!item) continue;
+        const type = item['@type'];
+        if (type === 'Product' || (Array.isArray(type) && type.includes('Product'))) return item;
+        if (item.product && item.product['@type'] === 'Product') return item.product;
+      }
+    }
+
+    return null;
+  }
+
+  function fromSelectors(doc, selectors) {
+    return selectors
+      .map(selector => doc.querySelector(selector))
+      .filter(Boolean)
+      .map(el => text(el.getAttribute('content') || el.textContent));
+  }
+
+  /**
+   * Identifiers from a product page (JSON-LD first, then meta tags / microdata)
+   * @param {Document} doc
+   * @param {Object} jsonLd - Already parsed Product schema (optional)
+   * @returns {{gtin: string|null, gtins: string[], mpn: string|null, brand: string|null}}
+   */
+  function extractIdentifiers(doc, jsonLd) {
+    const product = jsonLd || findJsonLdProduct(doc) || {};
+    const offers = [].concat(product.offers || []);
+
+    const candidates = [
+      ...JSON_LD_GTIN_FIELDS.map(field => product[field]),
+      ...offers.flatMap(offer => JSON_LD_GTIN_FIELDS.map(field => offer && offer[field])),
+      ...fromSelectors(doc, GTIN_SELECTORS)
+    ];
+    const gtins = uniq(candidates.map(normalizeGtin).filter(Boolean));
+
+    const mpn = text(product.mpn) || fromSelectors(doc, MPN_SELECTORS).find(Boolean) || null;
+    const brand = text(product.brand) || fromSelectors(doc, BRAND_SELECTORS).find(Boolean) || null;
+
+    return {
+      gtin: gtins[0] || null,
+      gtins,
+      mpn,
+      brand
+    };
+  }
+
+  const api = {
+    GTIN_LENGTHS,
+    gtinCheckDigit,
+    isValidGtin,
+    normalizeGtin,
+    sameGtin,
+    findJsonLdProduct,
+    extractIdentifiers
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.SmartShopperIdentifiers = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
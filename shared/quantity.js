@@ -0,0 +1,212 @@
+/**
+ * shared/quantity.js - Quantity parsing and per-unit prices
+ *
+ * PURPOSE:
+ * "500 ml", "2 x 250ml" and "250 ml (Pack of 2)" are the same amount of
+ * product, "1 L" is not. This parser turns pack sizes in titles into a
+ * canonical total so the matcher can compare them and prices can be ranked
+ * per unit. Shared by the server (require) and the popup (script tag,
+ * `window.SmartShopperQuantity`), like sites/registry.js.
+ *
+ * CANONICAL UNITS:
+ * - volume → ml  (l, ltr, cl, fl oz)
+ * - mass   → g   (kg, mg, oz, lb)
+ * - count  → count (pcs, tablets, capsules, sheets, ...)
+ * Unit prices are per 100 ml, per 100 g or per 1 count (UNIT_BASIS).
+ *
+ * USAGE:
+ * ```javascript
+ * const quantity = require('../shared/quantity');
+ *
+ * const q = quantity.parseQuantity('Dove Shampoo 2 x 250ml');
+ * // → { dimension: 'volume', unit: 'ml', amount: 500, count: 2, perItem: 250 }
+ * quantity.unitPriceCents(39900, q); // → 7980 (₹79.80 per 100 ml)
+ * ```
+ */
+
+(function (root) {
+  // Unit → [canonical unit, factor]
+  const UNITS = {
+    ml: ['ml', 1],
+    millilitre: ['ml', 1],
+    milliliter: ['ml', 1],
+    cl: ['ml', 10],
+    l: ['ml', 1000],
+    ltr: ['ml', 1000],
+    litre: ['ml', 1000],
+    liter: ['ml', 1000],
+    'fl oz': ['ml', 29.5735],
+    floz: ['ml', 29.5735],
+    mg: ['g', 0.001],
+    g: ['g', 1],
+    gm: ['g', 1],
+    gms: ['g', 1],
+    gram: ['g', 1],
+    grams: ['g', 1],
+    kg: ['g', 1000],
+    kilogram: ['g', 1000],
+    oz: ['g', 28.3495],
+    lb: ['g', 453.592],
+    lbs: ['g', 453.592]
+  };
+
+  const DIMENSIONS = { ml: 'volume', g: 'mass', count: 'count' };
+
+  // Per-unit price basis by canonical unit
+  const UNIT_BASIS = { ml: 100, g: 100, count: 1 };
+
+  const COUNT_WORDS = 'pcs|pc|pieces|piece|tablets|tablet|capsules|capsule|sheets|sheet|units|count|ct|sachets|sachet|bars|bar|rolls|roll|pads|wipes';
+
+  // "5G" / "4G" in phone and network titles is the network generation, not 5 grams
+  const NETWORK_GENERATION = /\b[2-5]g\b/g;
+  const NETWORK_CONTEXT = new RegExp('\\b(?:' + [
+    'phone', 'smartphone', 'mobile', 'tablet', 'sim', 'volte', 'lte', 'wi-?fi', 'router', 'hotspot', 'dongle',
+    'network', 'ram', 'storage', '\\d+\\s*(?:gb|tb)', 'galaxy', 'iphone', 'ipad', 'redmi', 'realme', 'narzo',
+    'oneplus', 'nord', 'poco', 'vivo', 'oppo', 'iqoo', 'moto', 'motorola', 'pixel', 'nokia', 'infinix', 'tecno', 'lava'
+  ].join('|') + ')\\b');
+
+  // Longest unit names first so "fl oz" wins over "oz" and "ltr" over "l"
+  const UNIT_PATTERN = Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(unit => unit.replace(' ', '\\s*'))
+    .join('|');
+
+  const MEASURE = `(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})\\b`;
+
+  function round(value) {
+    return Number(value.toPrecision(4));
+  }
+
+  function measure(value, unitText) {
+    const key = unitText.toLowerCase().replace(/\s+/g, ' ');
+    const unit = UNITS[key] || UNITS[key.replace(' ', '')];
+    if (!unit) return null;
+    return { unit: unit[0], value: parseFloat(value) * unit[1] };
+  }
+
+  function build(unit, perItem, count) {
+    if (!(perItem > 0) || !(count > 0)) return null;
+    return {
+      dimension: DIMENSIONS[unit],
+      unit,
+      amount: round(perItem * count),
+      count,
+      perItem: round(perItem)
+    };
+  }
+
+  /**
+   * Parse the pack size from a title
+   * @param {string} title
+   * @returns {{dimension, unit, amount, count, perItem}|null} amount = total in canonical unit
+   */
+  function parseQuantity(title) {
+    let text = String(title || '').toLowerCase();
+    let match;
+
+    if (NETWORK_CONTEXT.test(text)) {
+      text = text.replace(NETWORK_GENERATION, ' ');
+    }
+
+    // "2 x 250ml", "2 * 250 ml"
+    match = text.match(new RegExp(`\\b(\\d{1,3})\\s*[x×*]\\s*${MEASURE}`));
+    if (match) {
+      const m = measure(match[2], match[3]);
+      if (m) return build(m.unit, m.value, Number(match[1]));
+    }
+
+    // "250ml x 2"
+    match = text.match(new RegExp(`${MEASURE}\\s*[x×*]\\s*(\\d{1,3})\\b`));
+    if (match) {
+      const m = measure(match[1], match[2]);
+      if (m) return build(m.unit, m.value, Number(match[3]));
+    }
+
+    // "250 ml (Pack of 2)", "Pack of 3, 100g each", "Pack of 2, 500ml total"
+    const measures = [];
+    const measurePattern = new RegExp(`${MEASURE}(?:\\s*(each|per\\b|x\\b|total|in total))?`, 'g');
+    while ((match = measurePattern.exec(text))) {
+      const m = measure(match[1], match[2]);
+      if (m) measures.push({ ...m, tag: match[3] === 'total' || match[3] === 'in total' ? 'total' : match[3] ? 'each' : null });
+    }
+    if (measures.length > 0) {
+      const pack = text.match(/\b(?:pack|set|combo)\s+of\s+(\d{1,3})\b/) || text.match(/\b(\d{1,3})\s*[-\s]?pack\b/);
+      const count = pack ? Number(pack[1]) : 1;
+      // A measure tagged "each" is per item; only one tagged "total" is divided by the count
+      const each = measures.find(m => m.tag === 'each');
+      const total = measures.find(m => m.tag === 'total');
+      if (each) return build(each.unit, each.value, count);
+      if (total) return build(total.unit, total.value / count, count);
+      return build(measures[0].unit, measures[0].value, count);
+    }
+
+    // Counts: "60 tablets", "Pack of 100 wipes"
+    match = text.match(new RegExp(`\\b(\\d{1,4})\\s*(?:${COUNT_WORDS})\\b`));
+    if (match) {
+      return build('count', 1, Number(match[1]));
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether two quantities are the same amount (within 2%)
+   * @param {Object|null} a - parseQuantity result
+   * @param {Object|null} b
+   * @returns {boolean|null} null when either side has no quantity or units differ
+   */
+  function sameQuantity(a, b) {
+    if (!a || !b || a.unit !== b.unit) return null;
+    return Math.abs(a.amount - b.amount) <= Math.max(a.amount, b.amount) * 0.02;
+  }
+
+  /**
+   * Price per basis unit (100 ml, 100 g or 1 count), in cents
+   * @param {number} priceCents
+   * @param {Object|null} quantity - parseQuantity result
+   * @returns {number|null}
+   */
+  function unitPriceCents(priceCents, quantity) {
+    if (!quantity || !(priceCents > 0)) return null;
+    return Math.round(priceCents * UNIT_BASIS[quantity.unit] / quantity.amount);
+  }
+
+  /**
+   * Label for the per-unit basis ('100 ml', '100 g', 'unit')
+   * @param {Object|null} quantity
+   * @returns {string|null}
+   */
+  function unitBasisLabel(quantity) {
+    if (!quantity) return null;
+    return quantity.unit === 'count' ? 'unit' : `${UNIT_BASIS[quantity.unit]} ${quantity.unit}`;
+  }
+
+  /**
+   * Short display text ('2 × 250 ml', '1 kg', '60 count')
+   * @param {Object|null} quantity
+   * @returns {string}
+   */
+  function formatQuantity(quantity) {
+    if (!quantity) return '';
+    if (quantity.unit === 'count') return `${quantity.amount} count`;
+
+    const big = quantity.unit === 'ml' ? 'l' : 'kg';
+    const show = value => (value >= 1000 ? `${round(value / 1000)} ${big}` : `${round(value)} ${quantity.unit}`);
+    return quantity.count > 1 ? `${quantity.count} × ${show(quantity.perItem)}` : show(quantity.amount);
+  }
+
+  const api = {
+    UNIT_BASIS,
+    parseQuantity,
+    sameQuantity,
+    unitPriceCents,
+    unitBasisLabel,
+    formatQuantity
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.SmartShopperQuantity = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,26 @@
+/**
+ * sites/adapters.js - Site adapter manifest for the extension
+ *
+ * PURPOSE:
+ * Loads the registry and every built-in adapter, in SITE_FILES order, for
+ * the extension's entry points: background.js and
+ * extension/content/content_script.js import it, popup/popup.html loads it
+ * as a module script. The adapters register themselves on
+ * globalThis.SmartShopperSites.
+ *
+ * Node (sites/index.js) and the popup's tab injection read SITE_FILES
+ * instead, since ES modules cannot load a list of files dynamically;
+ * tests/sites.test.js checks that both lists agree.
+ *
+ * USAGE:
+ * ```javascript
+ * import './sites/adapters.js';
+ * const sites = globalThis.SmartShopperSites;
+ * ```
+ */
+
+import './registry.js';
+import './amazon.js';
+import './flipkart.js';
+import './myntra.js';
+import './meesho.js';
@@ -0,0 +1,71 @@
+/**
+ * sites/amazon.js - Amazon India site adapter
+ *
+ * Product IDs are 10-character ASINs (/dp/ASIN, /gp/product/ASIN, ?asin=).
+ * See sites/registry.js for the adapter spec.
+ */
+
+(function (sites) {
+  const adapter = sites.register(sites.defineAdapter({
+    id: 'amazon',
+    name: 'Amazon',
+    baseUrl: 'https://www.amazon.in',
+    hosts: ['amazon.'],
+    searchPath: '/s?k=',
+    idPatterns: [
+      /\/dp\/([A-Z0-9]{10})/,
+      /\/gp\/product\/([A-Z0-9]{10})/,
+      /\/product\/([A-Z0-9]{10})/,
+      /[?&]asin=([A-Z0-9]{10})/i
+    ],
+    idFormat: /^[A-Z0-9]{10}$/,
+    jsonLdIdFields: ['sku', 'productID', 'gtin13'],
+    dataIdAttributes: ['data-asin'],
+
+    // ASIN is often listed in the keywords meta tag
+    extractIdFromPage(q) {
+      const keywords = q.attr(q.first('meta[name="keywords"]'), 'content') || '';
+      const match = keywords.match(/\b[A-Z0-9]{10}\b/);
+      return match ? match[0] : null;
+    },
+
+    selectors: {
+      product: {
+        price: [
+          // Main price display (most common)
+          '.a-price.aok-align-center.reinventPricePriceToPayMargin.priceToPay span.a-price-whole',
+          '.a-price.reinventPricePriceToPayMargin.priceToPay .a-offscreen',
+          'span.a-price.aok-align-center span.a-offscreen',
+          '.a-price-whole',
+          // Alternative locations
+          '.apexPriceToPay span.a-offscreen',
+          '#corePrice_feature_div .a-price .a-offscreen',
+          '#priceblock_ourprice',
+          '#priceblock_dealprice',
+          '.a-price.a-text-price.a-size-medium.apexPriceToPay .a-offscreen',
+          // Deal/offer prices
+          '#priceblock_saleprice',
+          '.priceToPay .a-offscreen'
+        ],
+        name: ['#productTitle', 'h1.product-title', 'span#productTitle', '#title'],
+        mrp: [
+          '.a-price.a-text-price .a-offscreen',
+          '.basisPrice .a-offscreen',
+          'span.a-price.a-text-price span.a-offscreen'
+        ],
+        outOfStock: ['#availability span', '#availability']
+      },
+      search: {
+        result: '[data-component-type="s-search-result"]',
+        price: ['.a-price .a-offscreen', '.a-price-whole'],
+        name: ['h2 span', '.a-text-normal'],
+        link: ['h2 a.a-link-normal', 'h2 a', '.a-link-normal.s-no-outline'],
+        image: ['img.s-image']
+      }
+    }
+  }));
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = adapter;
+  }
+})(typeof module !== 'undefined' && module.exports ? require('./registry') : globalThis.SmartShopperSites);
@@ -0,0 +1,102 @@
+/**
+ * sites/flipkart.js - Flipkart site adapter
+ *
+ * Product IDs are the `pid` query parameter, falling back to the
+ * `/p/itm...` path segment. See sites/registry.js for the adapter spec.
+ */
+
+(function (sites) {
+  const adapter = sites.register(sites.defineAdapter({
+    id: 'flipkart',
+    name: 'Flipkart',
+    baseUrl: 'https://www.flipkart.com',
+    hosts: ['flipkart.com'],
+    searchPath: '/search?q=',
+    idPatterns: [
+      /[?&]pid=([A-Z0-9]+)/i,
+      /\/p\/(itm[a-z0-9]+)/i
+    ],
+    idFormat: /^[A-Za-z0-9]+$/,
+    dataIdAttributes: ['data-pid'],
+
+    selectors: {
+      product: {
+        price: [
+          // December 2024 structure (most common)
+          'div.Nx9bqj.CxhGGd',
+          'div.hl05eU div.Nx9bqj',
+          // Common class patterns
+          'div.Nx9bqj',
+          'div.CxhGGd',
+          // Alternative current structures
+          'div._30jeq3._16Jk6d',
+          'div._30jeq3',
+          '._25b18c ._16Jk6d',
+          '._25b18c div',
+          '.CEmiEU div._16Jk6d',
+          'div._16Jk6d',
+          // Price container patterns
+          '[data-test-id="selling-price"]',
+          '.pPAw9M',
+          '._2Tpdn3',
+          // Generic price patterns (broader search)
+          'div[class*="Nx9bqj"]',
+          'div[class*="CxhGGd"]',
+          'div[class*="30jeq3"]',
+          'div[class*="16Jk6d"]',
+          // Older patterns (fallback)
+          'div._3I9_wc._2p6lqe',
+          'div._1vC4OE._3qQ9m1'
+        ],
+        name: [
+          // December 2024 structure
+          'span.VU-ZEz',
+          'h1 span.VU-ZEz',
+          // Alternative structures
+          'h1.yhB1nd',
+          'span.B_NuCI',
+          'h1._6EBuvT',
+          'span._35KyD6',
+          'h1 span',
+          // Data attributes
+          '[data-test-id="product-title"]',
+          // Generic fallback
+          'h1[class*="VU-ZEz"]',
+          'h1[class*="yhB1nd"]',
+          'span[class*="B_NuCI"]',
+          // Broadest fallback - first h1 on page
+          'h1'
+        ],
+        outOfStock: ['._16FRp0', '.availability', '._2aK_ub', 'div._2J33Rc']
+      },
+      search: {
+        result: 'div._1AtVbE, div._13oc-S, div._2kHMtA',
+        price: ['div._30jeq3', 'div._3I9_wc', 'div.Nx9bqj'],
+        name: ['div._4rR01T', 'a.s1Q9rs', 'div.IRpwTa'],
+        link: ['a._1fQZEK', 'a[href*="/p/"]'],
+        image: ['img']
+      }
+    },
+
+    // Class names rotate often: fall back to page text and URL slug
+    parseProductPage(q, { url } = {}) {
+      const page = sites.parseProductPageDefault(this, q);
+
+      if (!page.priceText) {
+        const bodyMatch = q.text(q.first('body')).match(/₹\s*[\d,]+/);
+        if (bodyMatch) page.priceText = bodyMatch[0];
+      }
+
+      if (!page.productName && url) {
+        const slugPart = url.split('/').find(part => part.includes('-') && part.length > 10);
+        if (slugPart) page.productName = slugPart.replace(/-/g, ' ');
+      }
+
+      return page;
+    }
+  }));
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = adapter;
+  }
+})(typeof module !== 'undefined' && module.exports ? require('./registry') : globalThis.SmartShopperSites);
@@ -0,0 +1,17 @@
+/**
+ * sites/index.js - Node entry point for the site adapter registry
+ *
+ * Loads every adapter listed in registry.SITE_FILES and returns the registry.
+ *
+ * USAGE:
+ * ```javascript
+ * const sites = require('../../sites');
+ * sites.get('amazon').searchUrl('iphone 15');
+ * ```
+ */
+
+const registry = require('./registry');
+
+registry.SITE_FILES.forEach(file => require(`./${file}`));
+
+module.exports = registry;
@@ -0,0 +1,40 @@
+/**
+ * sites/meesho.js - Meesho site adapter
+ *
+ * Product IDs follow /p/ in the path (/product-slug/p/2ab3cd).
+ * See sites/registry.js for the adapter spec.
+ */
+
+(function (sites) {
+  const adapter = sites.register(sites.defineAdapter({
+    id: 'meesho',
+    name: 'Meesho',
+    baseUrl: 'https://www.meesho.com',
+    hosts: ['meesho.com'],
+    searchPath: '/search?q=',
+    idPatterns: [
+      /\/(?:product|p)\/[^\/]+\/(\d+)/,
+      /\/p\/([a-zA-Z0-9]+)/
+    ],
+    idFormat: /^[A-Za-z0-9]+$/,
+    dataIdAttributes: ['data-product-id'],
+
+    selectors: {
+      product: {
+        price: ['.price', '.product-price', '[class*="ProductPrice"]'],
+        name: ['.product-title', 'h1[class*="ProductTitle"]']
+      },
+      search: {
+        result: '[class*="ProductCard"]',
+        price: ['[class*="Price"]'],
+        name: ['[class*="ProductTitle"]'],
+        link: ['a[class*="ProductCard"]', 'a'],
+        image: ['img']
+      }
+    }
+  }));
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = adapter;
+  }
+})(typeof module !== 'undefined' && module.exports ? require('./registry') : globalThis.SmartShopperSites);
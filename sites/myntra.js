@@ -0,0 +1,39 @@
+/**
+ * sites/myntra.js - Myntra site adapter
+ *
+ * Product IDs are the numeric style ID in the path (/.../12345678/buy).
+ * See sites/registry.js for the adapter spec.
+ */
+
+(function (sites) {
+  const adapter = sites.register(sites.defineAdapter({
+    id: 'myntra',
+    name: 'Myntra',
+    baseUrl: 'https://www.myntra.com',
+    hosts: ['myntra.com'],
+    searchPath: '/search?q=',
+    idPatterns: [/\/(\d{6,10})(?:\/|$|\?)/],
+    idFormat: /^\d{6,10}$/,
+    dataIdAttributes: ['data-product-id', 'data-style-id'],
+
+    selectors: {
+      product: {
+        price: ['.pdp-price strong', '.pdp-price', '.product-discountedPrice'],
+        name: ['.pdp-title', 'h1.pdp-name', '.product-product'],
+        mrp: ['.pdp-mrp s', '.pdp-mrp'],
+        outOfStock: ['.sold-out-title', '.inventory-availabilityStatus']
+      },
+      search: {
+        result: '.product-base',
+        price: ['.product-discountedPrice', '.product-price'],
+        name: ['.product-product', '.product-brand', 'h3', 'h4'],
+        link: ['a.product-base', 'a'],
+        image: ['img']
+      }
+    }
+  }));
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = adapter;
+  }
+})(typeof module !== 'undefined' && module.exports ? require('./registry') : globalThis.SmartShopperSites);
@@ -0,0 +1,299 @@
+/**
+ * sites/registry.js - Site Adapter Registry
+ *
+ * PURPOSE:
+ * Single source of site knowledge (URL detection, product ID extraction,
+ * search URLs, search-result and product-page parsing) shared by the server
+ * scraper, the background worker, the popup and the content extractors.
+ *
+ * ADDING A RETAILER:
+ * 1. Create sites/<id>.js that calls `sites.register(sites.defineAdapter({...}))`
+ * 2. Add '<id>.js' to SITE_FILES below (read by Node via sites/index.js and by
+ *    the popup, which injects the adapters into tabs)
+ * 3. Add `import './<id>.js'` to sites/adapters.js, the manifest background.js,
+ *    extension/content/content_script.js and popup/popup.html load (ES modules
+ *    cannot load a list of files dynamically); tests/sites.test.js fails while
+ *    it and SITE_FILES disagree
+ * 4. Add the site's origin to host_permissions in manifest.json
+ *
+ * ADAPTER SPEC (passed to defineAdapter):
+ * {
+ *   id: 'amazon',                      // Site key used in canonical_key
+ *   name: 'Amazon',                    // Display name
+ *   baseUrl: 'https://www.amazon.in',
+ *   hosts: ['amazon.'],                // Hostname fragments for detection
+ *   searchPath: '/s?k=',               // Appended to baseUrl + encoded query
+ *   idPatterns: [/\/dp\/([A-Z0-9]{10})/], // URL patterns, first group = ID
+ *   idFormat: /^[A-Z0-9]{10}$/,        // Validates IDs from JSON-LD/attributes
+ *   jsonLdIdFields: ['sku', 'productID'], // JSON-LD fields tried in order for a valid ID
+ *   dataIdAttributes: ['data-asin'],
+ *   selectors: {
+ *     product: { price: [], name: [], mrp: [], outOfStock: [] },
+ *     search: { result: '', price: [], name: [], link: [], image: [] }
+ *   }
+ * }
+ * Any of matchesUrl/extractId/idFromJsonLd/searchUrl/parseSearchResults/parseProductPage
+ * can be overridden in the spec.
+ *
+ * PARSING:
+ * Parsers take a query wrapper so the same adapter works on a live DOM
+ * (popup, background) and on cheerio (server):
+ * ```javascript
+ * const sites = require('./sites');
+ * const adapter = sites.detect(url);
+ * const page = adapter.parseProductPage(sites.fromCheerio(cheerio.load(html)), { url });
+ * // → { productName, priceText, mrpText, availability }
+ * ```
+ */
+
+(function (root) {
+  // Adapter files in load order, for Node and tab injection (sites/adapters.js imports the same list)
+  const SITE_FILES = ['amazon.js', 'flipkart.js', 'myntra.js', 'meesho.js'];
+
+  const OUT_OF_STOCK_PATTERN = /out of stock|sold out|currently unavailable/i;
+
+  /**
+   * Parse a numeric price from display text ('₹1,499.00' → 1499)
+   * @param {string} text
+   * @returns {number|null}
+   */
+  function parsePrice(text) {
+    if (!text) return null;
+    const match = String(text).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    const value = match ? parseFloat(match[0]) : NaN;
+    return value > 0 ? value : null;
+  }
+
+  /**
+   * Query wrapper for a DOM document or element
+   * @param {Document|Element} doc
+   */
+  function fromDom(doc) {
+    return {
+      all: (selector, scope) => Array.from((scope || doc).querySelectorAll(selector)),
+      first: (selector, scope) => (scope || doc).querySelector(selector),
+      text: el => (el && el.textContent ? el.textContent.trim() : ''),
+      attr: (el, name) => (el && el.getAttribute ? el.getAttribute(name) : null)
+    };
+  }
+
+  /**
+   * Query wrapper for a cheerio root ($ = cheerio.load(html))
+   * @param {Function} $
+   */
+  function fromCheerio($) {
+    const find = (selector, scope) => (scope ? $(scope).find(selector) : $(selector));
+    return {
+      all: (selector, scope) => find(selector, scope).toArray(),
+      first: (selector, scope) => find(selector, scope).get(0) || null,
+      text: el => (el ? $(el).text().trim() : ''),
+      attr: (el, name) => (el ? $(el).attr(name) || null : null)
+    };
+  }
+
+  // First non-empty text across fallback selectors
+  function firstText(q, selectors, scope) {
+    for (const selector of selectors || []) {
+      const text = q.text(q.first(selector, scope));
+      if (text) return text;
+    }
+    return null;
+  }
+
+  // First text across fallback selectors that contains a valid price
+  function firstPriceText(q, selectors, scope) {
+    for (const selector of selectors || []) {
+      const text = q.text(q.first(selector, scope));
+      if (parsePrice(text)) return text;
+    }
+    return null;
+  }
+
+  // First attribute value across fallback selectors
+  function firstAttr(q, selectors, name, scope) {
+    for (const selector of selectors || []) {
+      const value = q.attr(q.first(selector, scope), name);
+      if (value) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Fill in default behaviour for an adapter spec
+   * @param {Object} spec - See header
+   * @returns {Object} Adapter
+   */
+  function defineAdapter(spec) {
+    const adapter = {
+      jsonLdIdFields: ['sku', 'productID'],
+      dataIdAttributes: [],
+      idFormat: /^[A-Za-z0-9_-]+$/,
+      ...spec,
+      selectors: {
+        product: { price: [], name: [], mrp: [], outOfStock: [], ...(spec.selectors && spec.selectors.product) },
+        search: { result: '', price: [], name: [], link: [], image: [], ...(spec.selectors && spec.selectors.search) }
+      }
+    };
+
+    adapter.matchesUrl = spec.matchesUrl || function (url) {
+      try {
+        const hostname = new URL(url).hostname;
+        return adapter.hosts.some(host => hostname.includes(host));
+      } catch (err) {
+        return false;
+      }
+    };
+
+    adapter.extractId = spec.extractId || function (url) {
+      if (!url) return null;
+      for (const pattern of adapter.idPatterns) {
+        const match = url.match(pattern);
+        if (match) return match.slice(1).find(Boolean) || null;
+      }
+      return null;
+    };
+
+    adapter.isValidId = spec.isValidId || function (id) {
+      return Boolean(id) && adapter.idFormat.test(String(id));
+    };
+
+    // First jsonLdIdFields value that is a valid ID (an invalid sku falls through to productID, ...)
+    adapter.idFromJsonLd = spec.idFromJsonLd || function (jsonLd) {
+      if (!jsonLd) return null;
+      const id = adapter.jsonLdIdFields.map(field => jsonLd[field]).find(adapter.isValidId);
+      return id ? String(id) : null;
+    };
+
+    adapter.searchUrl = spec.searchUrl || function (query) {
+      return adapter.baseUrl + adapter.searchPath + encodeURIComponent(query);
+    };
+
+    adapter.absoluteUrl = spec.absoluteUrl || function (href) {
+      if (!href) return null;
+      if (href.startsWith('http')) return href;
+      return adapter.baseUrl + (href.startsWith('/') ? '' : '/') + href;
+    };
+
+    adapter.parseSearchResults = spec.parseSearchResults || function (q, { maxResults = 5 } = {}) {
+      const s = adapter.selectors.search;
+      if (!s.result) return [];
+
+      return q.all(s.result).slice(0, maxResults).map(el => {
+        // Result container may itself be the product link
+        const href = firstAttr(q, s.link, 'href', el) || q.attr(el, 'href');
+        return {
+          productName: firstText(q, s.name, el),
+          priceText: firstPriceText(q, s.price, el),
+          url: adapter.absoluteUrl(href),
+          image: firstAttr(q, s.image, 'src', el)
+        };
+      }).filter(result => result.productName && result.priceText);
+    };
+
+    adapter.parseProductPage = spec.parseProductPage || function (q) {
+      return parseProductPageDefault(adapter, q);
+    };
+
+    return adapter;
+  }
+
+  /**
+   * Selector-based product page parser (for overrides that add fallbacks)
+   * @param {Object} adapter
+   * @param {Object} q - Query wrapper
+   * @returns {{productName, priceText, mrpText, availability}}
+   */
+  function parseProductPageDefault(adapter, q) {
+    const p = adapter.selectors.product;
+    const outOfStock = p.outOfStock.some(selector => OUT_OF_STOCK_PATTERN.test(q.text(q.first(selector))));
+
+    return {
+      productName: firstText(q, p.name),
+      priceText: firstPriceText(q, p.price),
+      mrpText: firstPriceText(q, p.mrp),
+      availability: outOfStock ? 'Out of Stock' : 'In Stock'
+    };
+  }
+
+  const adapters = new Map();
+
+  /**
+   * Register (or replace) a site adapter
+   * @param {Object} adapter - Result of defineAdapter()
+   * @returns {Object} The adapter
+   */
+  function register(adapter) {
+    if (!adapter || !adapter.id) {
+      throw new Error('Site adapter must have an id');
+    }
+    adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  /**
+   * Get adapter by site key or display name ('amazon' or 'Amazon')
+   * @param {string} site
+   * @returns {Object|null}
+   */
+  function get(site) {
+    return site ? adapters.get(String(site).toLowerCase()) || null : null;
+  }
+
+  /**
+   * Find the adapter for a URL
+   * @param {string} url
+   * @returns {Object|null}
+   */
+  function detect(url) {
+    for (const adapter of adapters.values()) {
+      if (adapter.matchesUrl(url)) return adapter;
+    }
+    return null;
+  }
+
+  // All registered adapters, in registration order
+  function list() {
+    return Array.from(adapters.values());
+  }
+
+  // All registered site keys
+  function ids() {
+    return Array.from(adapters.keys());
+  }
+
+  /**
+   * Canonical product key for a URL ('amazon:B0BN94DM8Z')
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function canonicalKeyFromUrl(url) {
+    const adapter = detect(url);
+    const id = adapter ? adapter.extractId(url) : null;
+    return id ? `${adapter.id}:${id}` : null;
+  }
+
+  const registry = {
+    SITE_FILES,
+    register,
+    get,
+    detect,
+    list,
+    ids,
+    canonicalKeyFromUrl,
+    defineAdapter,
+    parseProductPageDefault,
+    parsePrice,
+    fromDom,
+    fromCheerio,
+    firstText,
+    firstPriceText,
+    firstAttr
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = registry;
+  } else {
+    // Keep existing registrations if this file is injected twice
+    root.SmartShopperSites = root.SmartShopperSites || registry;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
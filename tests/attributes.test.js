@@ -0,0 +1,119 @@
+/**
+ * tests/attributes.test.js - Unit Tests for Variant Attribute Extraction
+ *
+ * Tests server/utils/attributes.js (storage, RAM, colour, size, pack, year)
+ * and how conflicts affect matcher scores
+ *
+ * RUN: npm test
+ */
+
+const { extractAttributes, compareAttributes } = require('../server/utils/attributes');
+const { scoreCandidate, findBestMatch } = require('../server/matcher');
+
+describe('Attribute Extraction', () => {
+  test('should separate storage from RAM', () => {
+    expect(extractAttributes('Samsung Galaxy S23 5G (Phantom Black, 8GB, 256GB)')).toMatchObject({ storage: [256], ram: [8] });
+    expect(extractAttributes('Redmi Note 13 (8GB RAM, 128GB Storage)')).toMatchObject({ storage: [128], ram: [8] });
+    expect(extractAttributes('Vivo T2 8+128GB')).toMatchObject({ storage: [128], ram: [8] });
+    expect(extractAttributes('SanDisk 64GB Pendrive')).toMatchObject({ storage: [64], ram: null });
+    expect(extractAttributes('Samsung 1 TB SSD').storage).toEqual([1024]);
+  });
+
+  test('should map colours to families', () => {
+    expect(extractAttributes('Apple iPhone 14 Pro (256 GB) - Deep Purple').colour).toEqual(['purple']);
+    expect(extractAttributes('Apple iPhone 15 Midnight').colour).toEqual(['black']);
+    expect(extractAttributes('Roadster Men Navy Blue T-shirt').colour).toEqual(['blue']);
+    expect(extractAttributes('Boat Airdopes 141').colour).toBeNull();
+  });
+
+  test('should read sizes, pack counts and model years', () => {
+    expect(extractAttributes("Men's T-Shirt (Pack of 2) - Size: L/XL")).toMatchObject({ size: ['l', 'xl'], pack: [2] });
+    expect(extractAttributes('Women Kurta - M').size).toEqual(['m']);
+    expect(extractAttributes('Nike Running Shoes UK 9').size).toEqual(['uk9']);
+    expect(extractAttributes('Boys Cotton Shirt size 32').size).toEqual(['32']);
+    expect(extractAttributes('Cotton Socks 3 Pack').pack).toEqual([3]);
+    expect(extractAttributes('MacBook Air M2 (2023) 8GB 512GB').year).toEqual([2023]);
+    expect(extractAttributes('Powerbank 20000 mAh 2020 mAh').year).toBeNull();
+  });
+
+  test('should not read screen and display sizes as clothing sizes', () => {
+    expect(extractAttributes('Samsung Crystal 4K Smart TV screen size 65 inch').size).toBeNull();
+    expect(extractAttributes('Redmi Note 13 display size: 6.7').size).toBeNull();
+    expect(extractAttributes('LG UltraGear Monitor size 27 inch').size).toBeNull();
+  });
+
+  test('should only conflict when both titles name an attribute', () => {
+    const result = compareAttributes(
+      extractAttributes('Apple iPhone 15 (128 GB) - Black'),
+      extractAttributes('Apple iPhone 15 256GB Midnight')
+    );
+
+    expect(result.matched).toEqual(['colour']);
+    expect(result.conflicts).toEqual([{ attribute: 'storage', source: [128], candidate: [256] }]);
+    expect(compareAttributes(extractAttributes('iPhone 15'), extractAttributes('iPhone 15 256GB'))).toEqual({ matched: [], conflicts: [] });
+  });
+});
+
+describe('Variant-Aware Matching', () => {
+  test('should not match a different storage variant', () => {
+    const source = { title: 'Apple iPhone 15 (128 GB) - Black' };
+    const same = scoreCandidate(source, { title: 'Apple iPhone 15 128GB Black' });
+    const bigger = scoreCandidate(source, { title: 'Apple iPhone 15 256GB Black' });
+
+    expect(same.score).toBeGreaterThan(0.8);
+    expect(bigger.score).toBeLessThan(0.4);
+    expect(bigger.reason.attributes.conflicts[0].attribute).toBe('storage');
+    expect(bigger.reason.breakdown).toContain('Conflict: storage 128GB vs 256GB');
+  });
+
+  test('should not match a different apparel size', () => {
+    const result = findBestMatch({ title: 'Roadster Men Black Cotton T-shirt Size M' }, [
+      { site: 'flipkart', title: 'Roadster Men Black Cotton T-shirt Size XL' },
+      { site: 'amazon', title: 'Roadster Men Black Cotton T-shirt (M)' }
+    ]);
+
+    expect(result.best.site).toBe('amazon');
+    expect(result.allScores.find(s => s.site === 'flipkart').score).toBeLessThan(0.4);
+  });
+
+  test('should list matched attributes in the reason', () => {
+    const { reason } = scoreCandidate(
+      { title: 'Samsung Galaxy S23 (8GB, 256GB) Phantom Black' },
+      { title: 'Samsung Galaxy S23 5G 8GB RAM 256GB Black' }
+    );
+
+    expect(reason.attributes.matched).toEqual(['storage', 'ram', 'colour']);
+    expect(reason.attributes.conflicts).toEqual([]);
+  });
+
+  test('should treat equal totals as the same pack size', () => {
+    const source = { title: 'Dove Intense Repair Shampoo 500 ml' };
+    const multipack = scoreCandidate(source, { title: 'Dove Intense Repair Shampoo 250ml (Pack of 2)' });
+    const litre = scoreCandidate(source, { title: 'Dove Intense Repair Shampoo 1 L' });
+
+    expect(multipack.reason.attributes.matched).toContain('quantity');
+    expect(multipack.reason.attributes.conflicts).toEqual([]);
+    expect(litre.score).toBeLessThan(0.4);
+    expect(litre.reason.breakdown).toContain('Conflict: quantity 500ml vs 1000ml');
+  });
+
+  test('should not see a quantity conflict between 5G and 4G phones', () => {
+    const { reason } = scoreCandidate(
+      { title: 'Samsung Galaxy A14 5G (Black, 4GB, 64GB Storage)' },
+      { title: 'Samsung Galaxy A14 4G (Black, 4GB, 64GB Storage)' }
+    );
+
+    expect(extractAttributes('Samsung Galaxy A14 5G (Black, 4GB, 64GB Storage)').quantity).toBeNull();
+    expect(reason.attributes.conflicts.map(conflict => conflict.attribute)).not.toContain('quantity');
+  });
+
+  test('should ignore a shared model code when variants conflict', () => {
+    const result = scoreCandidate(
+      { title: 'Samsung Galaxy S23 5G 256GB', model: 'SM-S911B' },
+      { title: 'Samsung Galaxy S23 5G 128GB', model: 'SM-S911B' }
+    );
+
+    expect(result.reason.model_match).toBe(false);
+    expect(result.score).toBeLessThan(0.4);
+  });
+});
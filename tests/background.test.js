@@ -0,0 +1,138 @@
+/**
+ * tests/background.test.js - Unit Tests for Watchlist Price Checks
+ *
+ * Tests alarm scheduling and the CHECK_PRICES_NOW handler in background.js,
+ * and recordPriceCheckError in scripts/storage.js, with stubbed
+ * chrome.* APIs and fetch
+ *
+ * RUN: npm test
+ */
+
+const PRICE_CHECK_ALARM = 'smartshopper-price-check';
+const WATCHLIST_KEY = 'smartshopper_watchlist';
+
+// In-memory chrome.storage.local, alarms and listener registries
+function createChromeStub() {
+  const data = {};
+  const alarms = {};
+  const listeners = {};
+  const listen = name => ({ addListener: jest.fn(fn => { listeners[name] = fn; }) });
+
+  return {
+    data,
+    listeners,
+    storage: {
+      local: {
+        get: jest.fn((keys, callback) => callback(Object.fromEntries(keys.map(key => [key, data[key]])))),
+        set: jest.fn((items, callback) => {
+          Object.assign(data, JSON.parse(JSON.stringify(items)));
+          callback();
+        })
+      }
+    },
+    alarms: {
+      get: jest.fn(async name => alarms[name]),
+      create: jest.fn(async (name, info) => { alarms[name] = { name, ...info }; }),
+      onAlarm: listen('onAlarm')
+    },
+    runtime: {
+      onMessage: listen('onMessage'),
+      onInstalled: listen('onInstalled'),
+      onStartup: listen('onStartup')
+    },
+    notifications: {
+      create: jest.fn(async () => {}),
+      onClicked: listen('onClicked')
+    }
+  };
+}
+
+function watchlistItem(id, price) {
+  return {
+    id,
+    name: `Product ${id}`,
+    url: `https://www.amazon.in/dp/${id}`,
+    site: 'Amazon',
+    initialPrice: price,
+    currentPrice: price,
+    lowestPrice: price,
+    priceHistory: [],
+    active: true
+  };
+}
+
+let chromeStub;
+
+beforeEach(() => {
+  chromeStub = createChromeStub();
+  global.chrome = chromeStub;
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.chrome;
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+// Load a fresh service worker against the current stubs
+function loadBackground() {
+  jest.isolateModules(() => {
+    require('../background.js');
+  });
+}
+
+// Send a runtime message and wait for the async sendResponse
+function sendMessage(request) {
+  return new Promise(resolve => {
+    const keepOpen = chromeStub.listeners.onMessage(request, {}, resolve);
+    expect(keepOpen).toBe(true);
+  });
+}
+
+describe('Background Price Checks', () => {
+  test('should create the price check alarm once', async () => {
+    loadBackground();
+
+    await chromeStub.listeners.onInstalled();
+    await chromeStub.listeners.onStartup();
+
+    const priceAlarms = chromeStub.alarms.create.mock.calls.filter(([name]) => name === PRICE_CHECK_ALARM);
+    expect(priceAlarms).toEqual([[PRICE_CHECK_ALARM, { delayInMinutes: 1, periodInMinutes: 360 }]]);
+  });
+
+  test('should keep a failed item and record its error on CHECK_PRICES_NOW', async () => {
+    chromeStub.data[WATCHLIST_KEY] = [watchlistItem('B0AAAAAAAA', 1299), watchlistItem('B0BBBBBBBB', 599)];
+    global.fetch.mockImplementation(async (url, options) => {
+      const { productUrl } = JSON.parse(options.body);
+      return productUrl.endsWith('B0AAAAAAAA')
+        ? { ok: true, json: async () => ({ prices: [{ numericPrice: 1199 }] }) }
+        : { ok: false, status: 503 };
+    });
+    loadBackground();
+
+    const response = await sendMessage({ type: 'CHECK_PRICES_NOW' });
+
+    expect(response).toEqual({ ok: true, checked: 2, updated: 1, failed: 1 });
+    const [updated, failed] = chromeStub.data[WATCHLIST_KEY];
+    expect(updated).toMatchObject({ currentPrice: 1199, lastError: null });
+    expect(failed).toMatchObject({ id: 'B0BBBBBBBB', currentPrice: 599, lastError: 'Backend error: HTTP 503', failedChecks: 1 });
+  });
+});
+
+describe('Record Price Check Error', () => {
+  test('should count failures without dropping the item', async () => {
+    const { recordPriceCheckError, getWatchlist } = require('../scripts/storage.js');
+    chromeStub.data[WATCHLIST_KEY] = [watchlistItem('B0CCCCCCCC', 899)];
+
+    await expect(recordPriceCheckError('B0CCCCCCCC', 'No price found')).resolves.toBe(true);
+    await expect(recordPriceCheckError('https://www.amazon.in/dp/B0CCCCCCCC', 'Timeout')).resolves.toBe(true);
+    await expect(recordPriceCheckError('missing', 'No price found')).resolves.toBe(false);
+
+    const watchlist = await getWatchlist();
+    expect(watchlist).toHaveLength(1);
+    expect(watchlist[0]).toMatchObject({ currentPrice: 899, lastError: 'Timeout', failedChecks: 2 });
+  });
+});
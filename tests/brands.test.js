@@ -0,0 +1,104 @@
+/**
+ * tests/brands.test.js - Unit Tests for the Brand Lexicon
+ *
+ * Tests shared/brands.js (aliases, title inference) and the brand stage of
+ * the matcher
+ *
+ * RUN: npm test
+ */
+
+const brands = require('../shared/brands');
+const { scoreCandidate, findBestMatch } = require('../server/matcher');
+
+describe('Brand Lexicon', () => {
+  test('should map aliases and spellings to one canonical brand', () => {
+    expect(brands.canonicalBrand('Mi')).toBe('Xiaomi');
+    expect(brands.canonicalBrand('REDMI')).toBe('Xiaomi');
+    expect(brands.canonicalBrand('Hewlett-Packard')).toBe('HP');
+    expect(brands.canonicalBrand('Hewlett Packard')).toBe('HP');
+    expect(brands.canonicalBrand('Levis')).toBe("Levi's");
+    expect(brands.canonicalBrand('L’Oréal Paris')).toBe("L'Oreal");
+    expect(brands.canonicalBrand('Samsung Electronics')).toBe('Samsung');
+    expect(brands.canonicalBrand('Acme')).toBeNull();
+  });
+
+  test('should compare brands through their aliases', () => {
+    expect(brands.sameBrand('Mi', 'Xiaomi')).toBe(true);
+    expect(brands.sameBrand('Acme', 'ACME')).toBe(true);
+    expect(brands.sameBrand('Apple', 'Samsung')).toBe(false);
+    expect(brands.sameBrand('Apple', null)).toBeNull();
+  });
+});
+
+describe('Brand Inference', () => {
+  test('should infer brands from titles and product lines', () => {
+    expect(brands.inferBrand('Redmi Note 13 5G (8GB RAM, 256GB)')).toBe('Xiaomi');
+    expect(brands.inferBrand('Apple iPhone 14 Pro (256 GB) - Deep Purple')).toBe('Apple');
+    expect(brands.inferBrand('iPhone 14 Pro 256GB')).toBe('Apple');
+    expect(brands.inferBrand('HP Pavilion 15 Laptop')).toBe('HP');
+    expect(brands.inferBrand('U.S. Polo Assn. Men Polo T-Shirt')).toBe('U.S. Polo Assn.');
+    expect(brands.inferBrand('Mens Cotton T-Shirt')).toBeNull();
+  });
+
+  test('should only trust short aliases as the first word', () => {
+    expect(brands.inferBrand('Mi Smart Band 7')).toBe('Xiaomi');
+    expect(brands.inferBrand('Crompton 1 HP Water Pump')).toBeNull();
+  });
+
+  test('should not take the brand from "for <brand>"', () => {
+    expect(brands.inferBrand('Spigen Ultra Hybrid Case for iPhone 14 Pro')).toBe('Spigen');
+    expect(brands.inferBrand('Tempered Glass for Samsung Galaxy S23')).toBeNull();
+  });
+
+  test('should prefer the explicit brand over the title', () => {
+    expect(brands.brandOf({ brand: 'Mi', title: 'Smart Band 7' })).toBe('Xiaomi');
+    expect(brands.brandOf({ brand: 'Acme Corp', title: 'Apple-style charger' })).toBe('Acme Corp');
+    expect(brands.brandOf({ title: 'POCO X6 Pro 5G' })).toBe('Xiaomi');
+  });
+});
+
+describe('Brand Matching', () => {
+  test('should reward aliases of the same brand', () => {
+    const result = scoreCandidate(
+      { title: 'Redmi Note 13 5G Arctic White 8GB 256GB' },
+      { title: 'Xiaomi Redmi Note 13 5G (Arctic White, 8GB RAM, 256GB Storage)' }
+    );
+
+    expect(result.reason.brand).toEqual({ source: 'Xiaomi', candidate: 'Xiaomi', match: true });
+    expect(result.reason.breakdown).toContain('Brand match: Xiaomi');
+  });
+
+  test('should push another brand with a similar title below the threshold', () => {
+    const result = scoreCandidate(
+      { title: 'Noise ColorFit Pro 4 Smart Watch Black' },
+      { title: 'Fire-Boltt ColorFit Pro 4 Smart Watch Black' }
+    );
+
+    expect(result.reason.brand.match).toBe(false);
+    expect(result.reason.breakdown).toContain('Brand conflict: Noise vs Fire-Boltt');
+    expect(result.score).toBeLessThan(0.4);
+  });
+
+  test('should not trust a model number shared across brands', () => {
+    const result = scoreCandidate(
+      { title: 'Samsung Galaxy Buds2 Pro TWS Earbuds', model: 'SM-R510' },
+      { title: 'Noise Buds R510 TWS Earbuds', brand: 'Noise' }
+    );
+
+    expect(result.reason.model_match).toBe(false);
+    expect(result.reason.breakdown).toContain('Model number match ignored: brand conflict');
+    expect(result.score).toBeLessThan(0.4);
+  });
+
+  test('should pick the same-brand candidate', () => {
+    const { best } = findBestMatch(
+      { title: 'Samsung Galaxy Buds 2 Pro Graphite' },
+      [
+        { title: 'OnePlus Buds 2 Pro Graphite', site: 'amazon' },
+        { title: 'Samsung Galaxy Buds2 Pro (Graphite)', site: 'flipkart' }
+      ]
+    );
+
+    expect(best.site).toBe('flipkart');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * tests/bundle-detector.test.js - Bundle and Combo Detection Tests
+ *
+ * Tests server/utils/bundleDetector.js (packs, combos, spec "+" that is not
+ * a combo, per-item prices relative to the source) and the bundle flag of
+ * the listing classifier / findBestMatch
+ *
+ * RUN: npm test
+ */
+
+const { detectBundle, bundleDescriptor } = require('../server/utils/bundleDetector');
+const { classifyListing } = require('../server/utils/listingClassifier');
+const { findBestMatch } = require('../server/matcher');
+
+describe('detectBundle', () => {
+  test.each([
+    ['Roadster Men Cotton T-shirt (Pack of 3)', 3],
+    ['Jockey Men Vest 3-Pack', 3],
+    ['Classmate Notebook Set of 6', 6],
+    ['Cello Ball Pen 10 pcs Blue', 10],
+    ['Dove Shampoo 2 x 250ml', 2]
+  ])('should read "%s" as a pack of %i', (title, items) => {
+    expect(detectBundle(title)).toMatchObject({ kind: 'pack', items, label: `Pack of ${items}` });
+  });
+
+  test('should name the item of a pack', () => {
+    expect(detectBundle('Roadster Men Cotton T-shirt (Pack of 3)').components).toEqual([
+      { name: 'roadster men cotton t-shirt', count: 3 }
+    ]);
+  });
+
+  test('should split combos into components', () => {
+    expect(detectBundle('Samsung Galaxy M14 5G + 25W Charger Combo')).toEqual({
+      kind: 'combo',
+      items: 2,
+      components: [{ name: 'samsung galaxy m14', count: 1 }, { name: 'charger', count: 1 }],
+      label: 'Combo: samsung galaxy m14 + charger'
+    });
+    expect(detectBundle('Shampoo 200ml + 2 x Conditioner 100ml')).toMatchObject({
+      items: 3,
+      components: [{ name: 'shampoo', count: 1 }, { name: 'conditioner', count: 2 }]
+    });
+  });
+
+  test('should leave spec and service parts out of a combo', () => {
+    expect(detectBundle('Samsung Galaxy M14 5G + 25W Charger + 1 Year Warranty Combo').components).toEqual([
+      { name: 'samsung galaxy m14', count: 1 },
+      { name: 'charger', count: 1 }
+    ]);
+  });
+
+  test('should price spec "+" listings one-to-one', () => {
+    const result = classifyListing(
+      { title: 'Lenovo IdeaPad Slim 3 Laptop' },
+      { title: 'Lenovo IdeaPad Slim 3 Laptop 16GB + 512GB SSD', price_cents: 5499000 }
+    );
+
+    expect(result.bundle).toBeNull();
+    expect(result.flags).not.toContain('bundle');
+  });
+
+  test('should mark a combo it cannot split', () => {
+    expect(detectBundle('Kurta Pyjama Combo for Men')).toEqual({ kind: 'combo', items: null, components: [], label: 'Combo' });
+  });
+
+  test.each([
+    'Apple iPad Air (Wi-Fi + Cellular) 64GB',
+    'Redmi 13C 5G 4GB RAM + 128GB Storage',
+    'Realme 11 Pro+ 5G (8GB, 256GB)',
+    'Himalaya Vitamin C 60 Tablets',
+    'Dove Shampoo 500 ml',
+    'Roadster Men Cotton T-shirt (Pack of 1)',
+    'Lenovo Laptop 16GB + 512GB SSD',
+    'boAt Rockerz 450 + 1 Year Warranty'
+  ])('should see a single item in "%s"', title => {
+    expect(detectBundle(title)).toBeNull();
+  });
+});
+
+describe('bundleDescriptor', () => {
+  test('should price a pack per item', () => {
+    const bundle = bundleDescriptor(
+      { title: 'Roadster Men Cotton T-shirt' },
+      { title: 'Roadster Men Cotton T-shirt (Pack of 3)', price_cents: 99900 }
+    );
+
+    expect(bundle).toMatchObject({ kind: 'pack', items: 3, source_items: 1, per_item_price_cents: 33300, effective_price_cents: 33300 });
+  });
+
+  test('should price the source\'s number of items', () => {
+    const bundle = bundleDescriptor(
+      { title: 'Jockey Men Vest (Pack of 2)' },
+      { title: 'Jockey Men Vest (Pack of 5)', price_cents: 125000 }
+    );
+
+    expect(bundle).toMatchObject({ source_items: 2, per_item_price_cents: 25000, effective_price_cents: 50000 });
+  });
+
+  test('should not split a combo\'s price', () => {
+    const bundle = bundleDescriptor(
+      { title: 'Samsung Galaxy M14 5G' },
+      { title: 'Samsung Galaxy M14 5G + 25W Charger Combo', price_cents: 1349000 }
+    );
+
+    expect(bundle).toMatchObject({ kind: 'combo', items: 2, per_item_price_cents: null, effective_price_cents: null });
+  });
+
+  test('should compare like with like one-to-one', () => {
+    expect(bundleDescriptor({ title: 'Jockey Vest Pack of 3' }, { title: 'Jockey Men Vest (Pack of 3)' })).toBeNull();
+    expect(bundleDescriptor({ title: 'Dove Shampoo 500 ml' }, { title: 'Dove Shampoo 2 x 250ml' })).toBeNull();
+    expect(bundleDescriptor({ title: 'Roadster T-shirt' }, { title: 'Roadster T-shirt Navy' })).toBeNull();
+  });
+});
+
+describe('Bundle Flag', () => {
+  test('should mark bundles without excluding them', () => {
+    const result = classifyListing(
+      { title: 'Roadster Men Cotton T-shirt' },
+      { title: 'Roadster Men Cotton T-shirt (Pack of 3)', price_cents: 99900 }
+    );
+
+    expect(result.flags).toEqual(['bundle']);
+    expect(result.excluded).toBe(false);
+    expect(result.bundle.per_item_price_cents).toBe(33300);
+    expect(result.reasons).toContain('Bundle: Pack of 3');
+  });
+
+  test('should not flag a combo led by the source product as an accessory', () => {
+    const source = { title: 'Samsung Galaxy M14 5G (Smoky Teal, 6GB, 128GB Storage)' };
+    const result = classifyListing(source, { title: 'Samsung Galaxy M14 5G + 25W Charger Combo', price_cents: 1349000 });
+    const charger = classifyListing(source, { title: '25W Charger + Cable Combo for Samsung Galaxy M14 5G' });
+
+    expect(result.flags).toEqual(['bundle']);
+    expect(result.excluded).toBe(false);
+    expect(result.bundle).toMatchObject({ kind: 'combo', items: 2 });
+    expect(charger.flags).toContain('accessory');
+    expect(charger.excluded).toBe(true);
+  });
+
+  test('should pick a phone + charger combo as the match', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = findBestMatch({ title: 'Samsung Galaxy M14 5G (Smoky Teal, 6GB, 128GB Storage)' }, [
+      { site: 'amazon', title: 'Samsung Galaxy M14 5G + 25W Charger Combo (Smoky Teal, 6GB, 128GB Storage)', price_cents: 1349000 }
+    ]);
+    jest.restoreAllMocks();
+
+    expect(result.best).not.toBeNull();
+    expect(result.allScores[0].excluded).toBe(false);
+    expect(result.allScores[0].bundle).toMatchObject({ kind: 'combo', items: 2 });
+  });
+
+  test('should report the bundle in allScores', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = findBestMatch({ title: 'Roadster Men Cotton T-shirt' }, [
+      { site: 'amazon', title: 'Roadster Men Cotton T-shirt (Pack of 3)', price_cents: 99900 },
+      { site: 'flipkart', title: 'Roadster Men Cotton T-shirt', price_cents: 39900 }
+    ]);
+    jest.restoreAllMocks();
+
+    const bySite = Object.fromEntries(result.allScores.map(entry => [entry.site, entry]));
+    expect(bySite.amazon.bundle).toMatchObject({ kind: 'pack', items: 3 });
+    expect(bySite.amazon.excluded).toBe(false);
+    expect(bySite.flipkart.bundle).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * tests/candidate-index.test.js - Candidate Blocking Tests
+ *
+ * Tests the blocking index (server/utils/candidateIndex.js), matchInCatalog
+ * and the matcher log levels.
+ *
+ * RUN: npm test
+ */
+
+const {
+  createMatchIndex,
+  matchInCatalog,
+  findBestMatch,
+  productFeatures,
+  setLogLevel,
+  getLogLevel
+} = require('../server/matcher');
+const { createCandidateIndex } = require('../server/utils/candidateIndex');
+
+const CATALOG = [
+  { site: 'amazon', site_id: 'a1', title: 'Apple iPhone 14 Pro 256GB Deep Purple' },
+  { site: 'amazon', site_id: 'a2', title: 'Samsung Galaxy S23 Ultra 5G 256GB Phantom Black SM-S918B' },
+  { site: 'flipkart', site_id: 'f1', title: 'Sony WH-1000XM5 Wireless Noise Cancelling Headphones Black' },
+  { site: 'flipkart', site_id: 'f2', title: 'boAt Rockerz 450 Bluetooth Headphones Black' },
+  { site: 'flipkart', site_id: 'f3', title: 'Amul Butter 500 g' },
+  { site: 'amazon', site_id: 'a3', title: 'Nike Revolution 6 Running Shoes for Men Black', gtin: '4006381333931' },
+  // Filler sharing only common words, so "black" / "headphones" are frequent
+  ...Array.from({ length: 40 }, (_, i) => ({
+    site: 'amazon',
+    site_id: `filler-${i}`,
+    title: `Generic Item ${i} Headphones Black`
+  }))
+];
+
+describe('Candidate Index', () => {
+  let index;
+
+  beforeAll(() => {
+    index = createMatchIndex(CATALOG);
+  });
+
+  test('should need a features function', () => {
+    expect(() => createCandidateIndex()).toThrow(/features/);
+  });
+
+  test('should index every item', () => {
+    expect(index.size()).toBe(CATALOG.length);
+  });
+
+  test('should block on rare title tokens and skip unrelated items', () => {
+    const { candidates, stats } = index.block({ title: 'Samsung Galaxy S23 Ultra (Phantom Black, 256 GB)' });
+    const ids = candidates.map(candidate => candidate.site_id);
+
+    expect(ids[0]).toBe('a2');
+    expect(ids).not.toContain('f3');
+    expect(ids.some(id => id.startsWith('filler-'))).toBe(false);
+    expect(stats.tokens_used).not.toContain('black');
+    expect(stats.catalog).toBe(CATALOG.length);
+  });
+
+  test('should always keep model number and GTIN hits', () => {
+    const byModel = index.block({ title: 'Smartphone', model: 'SM-S918B' });
+    expect(byModel.candidates.map(candidate => candidate.site_id)).toEqual(['a2']);
+    expect(byModel.stats.via.model).toBe(1);
+
+    const byGtin = index.block({ title: 'Running shoes', gtin: '4006381333931' });
+    expect(byGtin.candidates[0].site_id).toBe('a3');
+    expect(byGtin.stats.via.gtin).toBe(1);
+  });
+
+  test('should fall back to the rarest tokens when every token is common', () => {
+    const { candidates } = index.block({ title: 'Headphones Black' }, { limit: 5 });
+    expect(candidates.length).toBe(5);
+  });
+
+  test('should cap token-blocked candidates at the limit', () => {
+    const { candidates } = index.block({ title: 'Generic Item Headphones' }, { limit: 3 });
+    expect(candidates.length).toBe(3);
+  });
+
+  test('should find nothing for an unrelated source', () => {
+    expect(index.block({ title: 'Tata Salt 1 kg' }).candidates).toEqual([]);
+  });
+});
+
+describe('matchInCatalog', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pick the same best match as scoring every item', () => {
+    const index = createMatchIndex(CATALOG);
+    const source = { title: 'Sony WH1000XM5 Wireless Headphones (Black)' };
+
+    const blocked = matchInCatalog(source, index);
+    const brute = findBestMatch(source, CATALOG);
+
+    expect(blocked.best.site_id).toBe('f1');
+    expect(blocked.best).toBe(brute.best);
+    expect(blocked.score).toBe(brute.score);
+    expect(blocked.allScores.length).toBeLessThan(brute.allScores.length);
+    expect(blocked.blocking.candidates).toBe(blocked.allScores.length);
+  });
+
+  test('should return no match when blocking finds no candidates', () => {
+    const result = matchInCatalog({ title: 'Tata Salt 1 kg' }, createMatchIndex(CATALOG));
+    expect(result.best).toBeNull();
+    expect(result.blocking.candidates).toBe(0);
+  });
+
+  test('should recompute cached features when the title changes', () => {
+    const product = { title: 'Amul Butter 500 g' };
+    expect(productFeatures(product)).toBe(productFeatures(product));
+    product.title = 'Amul Cheese Slices';
+    expect(productFeatures(product).tokens.has('cheese')).toBe(true);
+  });
+});
+
+describe('Matcher log level', () => {
+  let logSpy;
+  const candidates = CATALOG.slice(0, 3);
+  const source = { title: 'Apple iPhone 14 Pro 256GB' };
+  const original = getLogLevel();
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setLogLevel(original);
+    jest.restoreAllMocks();
+  });
+
+  test('should log a summary at info and every candidate at debug', () => {
+    setLogLevel('info');
+    findBestMatch(source, candidates);
+    const infoLines = logSpy.mock.calls.length;
+
+    logSpy.mockClear();
+    setLogLevel('debug');
+    findBestMatch(source, candidates);
+
+    expect(infoLines).toBeGreaterThan(0);
+    expect(logSpy.mock.calls.length).toBe(infoLines + candidates.length);
+  });
+
+  test('should log nothing when silent, per call or globally', () => {
+    findBestMatch(source, candidates, { logLevel: 'silent' });
+    setLogLevel('silent');
+    findBestMatch(source, candidates);
+
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown levels', () => {
+    expect(() => setLogLevel('verbose')).toThrow(/Unknown matcher log level/);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/embeddings.test.js - Unit Tests for the Semantic Matching Stage
+ *
+ * Tests server/embeddings.js (providers, http provider against
+ * server/mock/embeddingServer.js on a random port), server/utils/embeddingCache.js
+ * (per-title cache, batching, deadline) and the semantic stage of scoreCandidate
+ *
+ * RUN: npm test
+ */
+
+const { createEmbedder, cosineSimilarity } = require('../server/embeddings');
+const { createEmbeddingCache } = require('../server/utils/embeddingCache');
+const { startMockEmbeddingServer, embedText, DIMENSIONS } = require('../server/mock/embeddingServer');
+const { scoreCandidate, SEMANTIC_CONFIDENT_SCORE } = require('../server/matcher');
+
+// Embedder over the mock's vectors, without HTTP
+function fakeEmbedder(overrides = {}) {
+  return {
+    provider: 'http',
+    available: true,
+    embed: jest.fn(texts => Promise.resolve(texts.map(embedText))),
+    ...overrides
+  };
+}
+
+describe('Embedder', () => {
+  test('should compute cosine similarity', () => {
+    expect(cosineSimilarity([1, 0], [1, 0])).toBe(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 2], [-1, -2])).toBeCloseTo(-1);
+    expect(cosineSimilarity([1, 2], [1, 2, 3])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  test('should reject unknown providers and http without a URL', () => {
+    expect(() => createEmbedder({ provider: 'openai' })).toThrow(expect.objectContaining({ code: 'INVALID_EMBEDDING_PROVIDER' }));
+    expect(() => createEmbedder({ provider: 'http' })).toThrow(expect.objectContaining({ code: 'INVALID_EMBEDDING_PROVIDER' }));
+  });
+
+  test('should be unavailable by default', async () => {
+    const embedder = createEmbedder();
+
+    expect(embedder.available).toBe(false);
+    await expect(embedder.embed(['title'])).rejects.toThrow(/disabled/);
+  });
+
+  test('should report when the local model package is missing', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    let installed = true;
+    try {
+      require.resolve('@xenova/transformers');
+    } catch (e) {
+      installed = false;
+    }
+
+    const embedder = createEmbedder({ provider: 'local' });
+
+    expect(embedder.model).toBe('Xenova/all-MiniLM-L6-v2');
+    expect(embedder.available).toBe(installed);
+    expect(warn).toHaveBeenCalledTimes(installed ? 0 : 1);
+    warn.mockRestore();
+  });
+
+  test('should reject an endpoint answering with the wrong number of vectors', async () => {
+    const fetchImpl = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ data: [{ embedding: [1, 0] }] }) }));
+    const embedder = createEmbedder({ provider: 'http', url: 'http://embeddings.test/v1/embeddings', fetchImpl });
+
+    await expect(embedder.embed(['a', 'b'])).rejects.toThrow('1 vectors for 2 texts');
+  });
+
+  describe('http provider against the mock endpoint', () => {
+    let mock;
+
+    beforeAll(async () => {
+      mock = await startMockEmbeddingServer({ port: 0 });
+    });
+
+    afterAll(done => {
+      mock.server.close(done);
+    });
+
+    test('should embed a batch of titles', async () => {
+      const embedder = createEmbedder({ provider: 'http', url: `${mock.url}/v1/embeddings` });
+
+      const vectors = await embedder.embed([
+        'boAt Airdopes 141 TWS Earbuds',
+        'boAt Airdopes 141 Bluetooth Earphones',
+        'Prestige Pressure Cooker 5 Litre'
+      ]);
+
+      expect(vectors).toHaveLength(3);
+      expect(vectors[0]).toHaveLength(DIMENSIONS);
+      expect(cosineSimilarity(vectors[0], vectors[1])).toBeGreaterThan(0.6);
+      expect(cosineSimilarity(vectors[0], vectors[2])).toBeLessThan(0.2);
+    });
+
+    test('should return the same vector for the same title', async () => {
+      const embedder = createEmbedder({ provider: 'http', url: `${mock.url}/v1/embeddings` });
+
+      const [first] = await embedder.embed(['Nike Running Shoes']);
+      const [second] = await embedder.embed(['Nike Running Shoes']);
+
+      expect(first).toEqual(second);
+    });
+
+    test('should answer 400 for a bad body', async () => {
+      const response = await fetch(`${mock.url}/v1/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ input: [42] })
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
+
+describe('Embedding Cache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 1_000_000;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should embed each title once, in batches', async () => {
+    const embedder = fakeEmbedder();
+    const cache = createEmbeddingCache({ embedder, batchSize: 2, now });
+
+    const first = await cache.embedAll(['a b', 'c d', 'e f', 'a b', '']);
+    const second = await cache.embedAll(['c d']);
+
+    expect(first.size).toBe(3);
+    expect(second.get('c d')).toEqual(embedText('c d'));
+    expect(embedder.embed).toHaveBeenCalledTimes(2);
+    expect(embedder.embed.mock.calls.map(([texts]) => texts)).toEqual([['a b', 'c d'], ['e f']]);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 3, size: 3 });
+  });
+
+  test('should share an in-flight batch', async () => {
+    const embedder = fakeEmbedder();
+    const cache = createEmbeddingCache({ embedder, now });
+
+    await Promise.all([cache.embedAll(['a b']), cache.embedAll(['a b'])]);
+
+    expect(embedder.embed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should remember failures for a while', async () => {
+    const embedder = fakeEmbedder({ embed: jest.fn(() => Promise.reject(new Error('HTTP 503'))) });
+    const cache = createEmbeddingCache({ embedder, now });
+
+    await expect(cache.embed('a b')).resolves.toBeNull();
+    await expect(cache.embed('a b')).resolves.toBeNull();
+    expect(embedder.embed).toHaveBeenCalledTimes(1);
+
+    time += 2 * 60 * 1000;
+    await cache.embed('a b');
+    expect(embedder.embed).toHaveBeenCalledTimes(2);
+  });
+
+  test('should leave out titles still embedding at the deadline', async () => {
+    const embedder = fakeEmbedder({
+      embed: jest.fn(texts => (texts[0] === 'slow' ? new Promise(() => {}) : Promise.resolve(texts.map(embedText))))
+    });
+    const cache = createEmbeddingCache({ embedder, batchSize: 1, timeoutMs: 20 });
+
+    const embeddings = await cache.embedAll(['fast', 'slow']);
+
+    expect([...embeddings.keys()]).toEqual(['fast']);
+  });
+
+  test('should be disabled without an available embedder', async () => {
+    const embedder = fakeEmbedder({ available: false });
+    const cache = createEmbeddingCache({ embedder });
+
+    expect(cache.enabled).toBe(false);
+    await expect(cache.embedAll(['a b'])).resolves.toEqual(new Map());
+    expect(embedder.embed).not.toHaveBeenCalled();
+  });
+});
+
+describe('Semantic Matching', () => {
+  const source = { title: 'boAt Airdopes 141 TWS Earbuds with 42H Playtime' };
+  const same = { title: 'boAt Airdopes 141 Bluetooth Earphones, Active Black' };
+  const other = { title: 'boAt Airdopes 141 Silicone Case Cover' };
+
+  function embeddingsFor(...products) {
+    return new Map(products.map(product => [product.title, embedText(product.title)]));
+  }
+
+  test('should blend title similarity into an ambiguous score', () => {
+    const embeddings = embeddingsFor(source, same, other);
+
+    const lexicalSame = scoreCandidate(source, same);
+    const lexicalOther = scoreCandidate(source, other);
+    const semanticSame = scoreCandidate(source, same, { embeddings });
+    const semanticOther = scoreCandidate(source, other, { embeddings });
+
+    expect(lexicalSame.score).toBeLessThan(SEMANTIC_CONFIDENT_SCORE);
+    expect(lexicalSame.reason.semantic).toBeUndefined();
+    expect(semanticSame.reason.semantic.similarity).toBeGreaterThan(semanticOther.reason.semantic.similarity);
+    expect(semanticSame.score - semanticOther.score).toBeGreaterThan(lexicalSame.score - lexicalOther.score);
+    expect(semanticSame.reason.breakdown).toContainEqual(expect.stringMatching(/^Semantic: 0\.\d\d \([+-]0\.\d{3}\)$/));
+  });
+
+  test('should leave confident lexical scores alone', () => {
+    const twin = { title: 'boAt Airdopes 141 TWS Earbuds with 42H Playtime (Black)' };
+    const embeddings = embeddingsFor(source, twin);
+
+    const lexical = scoreCandidate(source, twin);
+    const result = scoreCandidate(source, twin, { embeddings });
+
+    expect(lexical.score).toBeGreaterThanOrEqual(SEMANTIC_CONFIDENT_SCORE);
+    expect(result).toEqual(lexical);
+  });
+
+  test('should skip the stage when a title is not embedded', () => {
+    const embeddings = embeddingsFor(source);
+
+    expect(scoreCandidate(source, same, { embeddings })).toEqual(scoreCandidate(source, same));
+  });
+
+  test('should not lift a variant conflict over the threshold', () => {
+    const phone = { title: 'Samsung Galaxy S23 5G 128GB Phantom Black' };
+    const variant = { title: 'Samsung Galaxy S23 5G 256GB Phantom Black' };
+    const embeddings = new Map([[phone.title, [1, 0]], [variant.title, [1, 0]]]);
+
+    const result = scoreCandidate(phone, variant, { embeddings });
+
+    expect(result.score).toBeLessThan(0.4);
+  });
+});
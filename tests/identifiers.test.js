@@ -0,0 +1,123 @@
+/**
+ * tests/identifiers.test.js - Unit Tests for GTIN / MPN / Brand Identifiers
+ *
+ * Tests shared/identifiers.js (check digits, page extraction) and the GTIN
+ * stage of the matcher
+ *
+ * RUN: npm test
+ */
+
+const identifiers = require('../shared/identifiers');
+const { scoreCandidate } = require('../server/matcher');
+
+function page(head, body = '') {
+  return new DOMParser().parseFromString(`<html><head>${head}</head><body>${body}</body></html>`, 'text/html');
+}
+
+describe('GTIN Validation', () => {
+  test('should accept GTIN-8/12/13/14 with correct check digits', () => {
+    expect(identifiers.isValidGtin('96385074')).toBe(true);
+    expect(identifiers.isValidGtin('012345678905')).toBe(true);
+    expect(identifiers.isValidGtin('4006381333931')).toBe(true);
+    expect(identifiers.isValidGtin('10012345678902')).toBe(true);
+    expect(identifiers.isValidGtin('978-0-306-40615-7')).toBe(true);
+  });
+
+  test('should reject bad check digits, lengths and placeholders', () => {
+    expect(identifiers.isValidGtin('4006381333932')).toBe(false);
+    expect(identifiers.isValidGtin('40063813339')).toBe(false);
+    expect(identifiers.isValidGtin('0000000000000')).toBe(false);
+    expect(identifiers.isValidGtin('B0BN94DM8Z')).toBe(false);
+    expect(identifiers.isValidGtin(null)).toBe(false);
+  });
+
+  test('should compare UPC, EAN-13 and GTIN-14 spellings as one code', () => {
+    expect(identifiers.normalizeGtin('012345678905')).toBe('00012345678905');
+    expect(identifiers.sameGtin('012345678905', '0012345678905')).toBe(true);
+    expect(identifiers.sameGtin('012345678905', '4006381333931')).toBe(false);
+    expect(identifiers.sameGtin('4006381333932', '4006381333932')).toBe(false);
+  });
+});
+
+describe('Identifier Extraction', () => {
+  test('should read GTINs, MPN and brand from JSON-LD', () => {
+    const doc = page(`
+      <script type="application/ld+json">
+      {
+        "@context": "https://schema.org",
+        "@type": "Product",
+        "name": "Apple iPhone 14 Pro (256 GB) - Deep Purple",
+        "gtin13": "0194253401155",
+        "mpn": "MQ1F3HN/A",
+        "brand": { "@type": "Brand", "name": "Apple" },
+        "offers": { "@type": "Offer", "gtin12": "194253401155" }
+      }
+      </script>
+    `);
+
+    expect(identifiers.extractIdentifiers(doc)).toEqual({
+      gtin: '00194253401155',
+      gtins: ['00194253401155'],
+      mpn: 'MQ1F3HN/A',
+      brand: 'Apple'
+    });
+  });
+
+  test('should fall back to meta tags and microdata, skipping invalid codes', () => {
+    const doc = page(`
+      <meta property="product:ean" content="4006381333932">
+      <meta property="product:upc" content="012345678905">
+      <meta property="product:brand" content="Staedtler">
+    `, '<span itemprop="mpn">STA-123</span>');
+
+    expect(identifiers.extractIdentifiers(doc)).toEqual({
+      gtin: '00012345678905',
+      gtins: ['00012345678905'],
+      mpn: 'STA-123',
+      brand: 'Staedtler'
+    });
+  });
+
+  test('should return empty identifiers for pages without any', () => {
+    expect(identifiers.extractIdentifiers(page('<title>Help</title>'))).toEqual({ gtin: null, gtins: [], mpn: null, brand: null });
+  });
+});
+
+describe('GTIN Matching', () => {
+  test('should treat equal GTINs as a definitive match', () => {
+    const result = scoreCandidate(
+      { title: 'Apple iPhone 14 Pro 256GB', gtin: '0194253401155', model: 'MQ1F3HN/A' },
+      { title: 'iPhone 14 Pro Deep Purple', gtin: '00194253401155', model: 'XYZ999' }
+    );
+
+    expect(result.score).toBe(1);
+    expect(result.reason).toMatchObject({ gtin_match: true, model_match: false });
+    expect(result.reason.breakdown).toEqual(['GTIN match: 00194253401155']);
+  });
+
+  test('should win over a storage conflict in the title', () => {
+    // The barcode names the variant; titles are often wrong about it
+    const result = scoreCandidate(
+      { title: 'Apple iPhone 14 Pro 256GB', gtin: '0194253401155' },
+      { title: 'Apple iPhone 14 Pro 128GB', gtin: '0194253401155' }
+    );
+
+    expect(result.score).toBe(1);
+  });
+
+  test('should fall through to title matching for different or invalid GTINs', () => {
+    const different = scoreCandidate(
+      { title: 'Apple iPhone 14 Pro 256GB', gtin: '0194253401155' },
+      { title: 'Apple iPhone 14 Pro 256GB', gtin: '4006381333931' }
+    );
+    const invalid = scoreCandidate(
+      { title: 'Apple iPhone 14 Pro 256GB', gtin: '0194253401156' },
+      { title: 'Samsung Galaxy S23', gtin: '0194253401156' }
+    );
+
+    expect(different.reason.gtin_match).toBe(false);
+    expect(different.reason.breakdown).toContain('GTIN differs');
+    expect(different.score).toBeGreaterThan(0.8);
+    expect(invalid.score).toBeLessThan(0.6);
+  });
+});
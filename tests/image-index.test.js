@@ -0,0 +1,258 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/image-index.test.js - Unit Tests for the Near-Duplicate Image Index
+ *
+ * Tests server/utils/bkTree.js against a linear scan, the persistent
+ * server/utils/imageIndex.js, GET /v1/similar-images and which search
+ * results the search route adds to the index
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createBkTree } = require('../server/utils/bkTree');
+const { createImageIndex } = require('../server/utils/imageIndex');
+const { hammingDistance } = require('../server/phash');
+
+// Deterministic 64-bit hex hashes
+function randomHashes(count, seed = 42) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state;
+  };
+  return Array.from({ length: count }, () =>
+    Array.from({ length: 16 }, () => (next() >> 8) % 16).map(n => n.toString(16)).join('')
+  );
+}
+
+// Flip the first `bits` bits of a hash
+function flipBits(hash, bits) {
+  const digits = hash.split('').map(d => parseInt(d, 16));
+  for (let i = 0; i < bits; i++) {
+    digits[Math.floor(i / 4)] ^= 8 >> (i % 4);
+  }
+  return digits.map(d => d.toString(16)).join('');
+}
+
+describe('BK-Tree', () => {
+  const hashes = randomHashes(500);
+
+  test('should return exactly what a linear scan finds', () => {
+    const tree = createBkTree(hammingDistance);
+    hashes.forEach((hash, i) => tree.insert(hash, `p${i}`));
+    const query = flipBits(hashes[7], 3);
+
+    [0, 3, 8, 20].forEach(radius => {
+      const expected = hashes
+        .map((hash, i) => ({ id: `p${i}`, distance: hammingDistance(query, hash) }))
+        .filter(entry => entry.distance <= radius)
+        .map(entry => entry.id)
+        .sort();
+      const { matches } = tree.query(query, radius);
+
+      expect(matches.flatMap(match => match.ids).sort()).toEqual(expected);
+    });
+
+    // Small radius should not compare against everything
+    expect(tree.query(query, 3).visited).toBeLessThan(hashes.length / 2);
+  });
+
+  test('should keep several ids per hash and remove them', () => {
+    const tree = createBkTree(hammingDistance);
+    tree.insert(hashes[0], 'amazon:1');
+    tree.insert(hashes[0], 'flipkart:1');
+    expect(tree.insert(hashes[0], 'amazon:1')).toBe(false);
+    tree.insert(hashes[1], 'myntra:1');
+
+    expect(tree.query(hashes[0], 0).matches).toEqual([{ key: hashes[0], distance: 0, ids: ['amazon:1', 'flipkart:1'] }]);
+    expect(tree.remove(hashes[0], 'amazon:1')).toBe(true);
+    expect(tree.remove(hashes[0], 'amazon:1')).toBe(false);
+    expect(tree.size()).toBe(2);
+
+    tree.remove(hashes[0], 'flipkart:1');
+    expect(tree.query(hashes[0], 0).matches).toEqual([]);
+    expect(tree.has(hashes[1], 'myntra:1')).toBe(true);
+  });
+
+  test('should rebuild once most nodes are empty', () => {
+    const tree = createBkTree(hammingDistance);
+    hashes.slice(0, 100).forEach((hash, i) => tree.insert(hash, `p${i}`));
+    hashes.slice(0, 60).forEach((hash, i) => tree.remove(hash, `p${i}`));
+
+    expect(tree.size()).toBe(40);
+    expect(tree.nodeCount()).toBeLessThan(100);
+    expect(tree.entries().map(entry => entry.key).sort()).toEqual(hashes.slice(60, 100).sort());
+  });
+});
+
+describe('Image Index', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-images-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should persist hashes and find them after a restart', () => {
+    const filePath = path.join(tmpDir, 'image-index.json');
+    const index = createImageIndex(filePath);
+
+    expect(index.addImages([
+      { canonical_key: 'amazon:B0BN94DM8Z', hash: 'F9B2E68A86649A61', title: 'Apple iPhone 14 Pro' },
+      { canonical_key: 'flipkart:MOBGHC89GXVKZYXR', hash: 'f9b2e68a86649a60' },
+      { canonical_key: 'myntra:1', hash: 'not-a-hash' }
+    ])).toBe(2);
+
+    const reopened = createImageIndex(filePath);
+    const { results } = reopened.findSimilar('f9b2e68a86649a61', { radius: 2 });
+
+    expect(results.map(result => [result.canonical_key, result.distance])).toEqual([
+      ['amazon:B0BN94DM8Z', 0],
+      ['flipkart:MOBGHC89GXVKZYXR', 1]
+    ]);
+    expect(results[0]).toMatchObject({ site: 'amazon', site_id: 'B0BN94DM8Z', title: 'Apple iPhone 14 Pro' });
+  });
+
+  test('should move a product when its hash changes and remove it', () => {
+    const index = createImageIndex(path.join(tmpDir, 'image-index.json'));
+    index.addImages([{ canonical_key: 'amazon:1', hash: '0000000000000000' }]);
+    index.addImages([{ canonical_key: 'amazon:1', hash: 'ffffffffffffffff' }]);
+
+    expect(index.findSimilar('0000000000000000', { radius: 4 }).results).toEqual([]);
+    expect(index.findSimilar('ffffffffffffffff', { radius: 0 }).results).toHaveLength(1);
+    expect(index.size()).toBe(1);
+
+    expect(index.removeImage('amazon:1')).toBe(true);
+    expect(index.removeImage('amazon:1')).toBe(false);
+    expect(index.findSimilar('ffffffffffffffff', { radius: 0 }).results).toEqual([]);
+  });
+});
+
+describe('GET /v1/similar-images', () => {
+  const savedEnv = { ...process.env };
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-similar-'));
+    process.env.IMAGE_INDEX_DB = path.join(tmpDir, 'image-index.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Seed the file the route's default index reads
+    createImageIndex(process.env.IMAGE_INDEX_DB).addImages([
+      { canonical_key: 'amazon:B0BN94DM8Z', hash: 'f9b2e68a86649a61' },
+      { canonical_key: 'meesho:123', hash: '80803f3fd878b8c7' }
+    ]);
+
+    let routes;
+    jest.isolateModules(() => {
+      routes = require('../server/routes/similar-images');
+    });
+
+    const app = express();
+    app.use('/v1', routes);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/v1/similar-images`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return products within the radius', async () => {
+    const res = await fetch(`${baseUrl}?hash=f9b2e68a86649a63&radius=4`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.results).toEqual([expect.objectContaining({ canonical_key: 'amazon:B0BN94DM8Z', distance: 1 })]);
+    expect(body._meta.indexed).toBe(2);
+  });
+
+  test('should reject bad hashes and radii', async () => {
+    expect((await fetch(`${baseUrl}?hash=xyz`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}?hash=f9b2e68a86649a61&radius=40`)).status).toBe(400);
+  });
+});
+
+describe('Indexing search results', () => {
+  const savedEnv = { ...process.env };
+  const HASH = 'f9b2e68a86649a61';
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  const result = (productName, url, image) => ({ productName, numericPrice: 1099, url, image, scrapedAt: new Date().toISOString() });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-indexing-'));
+    Object.assign(process.env, {
+      IMAGE_INDEX_DB: path.join(tmpDir, 'image-index.json'),
+      SMARTSHOPPER_DATA_DIR: tmpDir
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    let routes;
+    jest.isolateModules(() => {
+      jest.doMock('../server/utils/imageHashCache', () => ({
+        hashAll: jest.fn(urls => Promise.resolve(new Map(urls.map(url => [url, HASH]))))
+      }));
+      jest.doMock('../server/utils/scraper', () => ({
+        // Product URL and photo: indexed
+        searchAmazonRapidAPI: () => Promise.resolve([
+          result('boAt Airdopes 141 TWS Earbuds', 'https://www.amazon.in/dp/B09N3ZNHTY', 'https://m.media-amazon.com/images/I/a.jpg')
+        ]),
+        // No product id in the URL
+        searchFlipkartRapidAPI: () => Promise.resolve([
+          result('boAt Airdopes 141 Earbuds', 'https://www.flipkart.com/search?q=boat%20airdopes%20141', 'https://rukminim2.flixcart.com/image/a.jpeg')
+        ]),
+        // Placeholder image
+        scrapeSearchResults: () => Promise.resolve([
+          result('boAt Airdopes 141 Earbuds', 'https://www.meesho.com/boat-airdopes/p/2ab3cd', 'https://via.placeholder.com/300')
+        ])
+      }));
+      routes = require('../server/routes/search-crosssite');
+    });
+
+    const app = express();
+    app.use('/v1', routes);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/v1/search-crosssite`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should index only products with their own id and a real photo', async () => {
+    const params = new URLSearchParams({
+      site: 'myntra',
+      id: '2314271',
+      title: 'boAt Airdopes 141 TWS Earbuds',
+      image: 'https://assets.myntassets.com/2314271.jpg'
+    });
+
+    const res = await fetch(`${baseUrl}?${params}`);
+    expect(res.status).toBe(200);
+
+    const { results } = createImageIndex(process.env.IMAGE_INDEX_DB).findSimilar(HASH, { radius: 0 });
+    expect(results.map(r => r.canonical_key)).toEqual(['amazon:B09N3ZNHTY']);
+  });
+});
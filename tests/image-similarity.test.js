@@ -0,0 +1,155 @@
+/**
+ * tests/image-similarity.test.js - Unit Tests for the pHash Matching Signal
+ *
+ * Tests server/utils/imageHashCache.js (per-URL cache, deadline, no sharp)
+ * and the image stage of scoreCandidate / findBestMatch
+ *
+ * RUN: npm test
+ */
+
+const { createImageHashCache } = require('../server/utils/imageHashCache');
+const { scoreCandidate, findBestMatch, setLogLevel, getLogLevel } = require('../server/matcher');
+const { phashHammingDistance, isProductImage } = require('../server/phash');
+
+const SOURCE = { title: 'Apple iPhone 14 Pro 256GB Deep Purple', image: 'https://img.example/source.jpg' };
+
+describe('Image Hash Cache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 1_000_000;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should hash each URL once', async () => {
+    const computeHash = jest.fn(url => Promise.resolve(url.endsWith('a.jpg') ? 'ffff000000000000' : '0000ffff00000000'));
+    const cache = createImageHashCache({ available: true, computeHash, now });
+
+    const first = await cache.hashAll(['https://x/a.jpg', 'https://x/b.jpg', 'https://x/a.jpg', null]);
+    const second = await cache.hashAll(['https://x/a.jpg']);
+
+    expect(first.get('https://x/a.jpg')).toBe('ffff000000000000');
+    expect(first.size).toBe(2);
+    expect(second.get('https://x/a.jpg')).toBe('ffff000000000000');
+    expect(computeHash).toHaveBeenCalledTimes(2);
+  });
+
+  test('should log newly hashed images only at debug level', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const computeHash = jest.fn(() => Promise.resolve('ffff000000000000'));
+    const cache = createImageHashCache({ available: true, computeHash, now });
+    const level = getLogLevel();
+
+    try {
+      setLogLevel('info');
+      await cache.hashAll(['https://x/a.jpg', 'https://x/b.jpg']);
+      expect(log).not.toHaveBeenCalled();
+
+      setLogLevel('debug');
+      await cache.hashAll(['https://x/a.jpg', 'https://x/c.jpg']);
+      expect(log).toHaveBeenCalledTimes(1);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('https://x/c.jpg'));
+    } finally {
+      setLogLevel(level);
+    }
+  });
+
+  test('should remember failures for a while', async () => {
+    const computeHash = jest.fn(() => Promise.reject(new Error('HTTP 404')));
+    const cache = createImageHashCache({ available: true, computeHash, now });
+
+    await expect(cache.hash('https://x/missing.jpg')).resolves.toBeNull();
+    await expect(cache.hash('https://x/missing.jpg')).resolves.toBeNull();
+    expect(computeHash).toHaveBeenCalledTimes(1);
+
+    time += 10 * 60 * 1000;
+    await cache.hash('https://x/missing.jpg');
+    expect(computeHash).toHaveBeenCalledTimes(2);
+  });
+
+  test('should leave out images still hashing at the deadline', async () => {
+    const computeHash = jest.fn(url => (url.includes('slow') ? new Promise(() => {}) : Promise.resolve('ffffffffffffffff')));
+    const cache = createImageHashCache({ available: true, computeHash, timeoutMs: 20 });
+
+    const hashes = await cache.hashAll(['https://x/fast.jpg', 'https://x/slow.jpg']);
+
+    expect([...hashes.keys()]).toEqual(['https://x/fast.jpg']);
+  });
+
+  test('should be disabled without sharp', async () => {
+    const computeHash = jest.fn();
+    const cache = createImageHashCache({ available: false, computeHash });
+
+    expect(cache.enabled).toBe(false);
+    await expect(cache.hashAll(['https://x/a.jpg'])).resolves.toEqual(new Map());
+    expect(computeHash).not.toHaveBeenCalled();
+  });
+});
+
+describe('Image-Aware Matching', () => {
+  const candidate = { site: 'flipkart', title: 'Apple iPhone 14 Pro (256 GB) - Purple', image: 'https://img.example/fk.jpg' };
+
+  test('should compare 64-bit hashes exactly', () => {
+    expect(phashHammingDistance('ffffffffffffffff', 'fffffffffffffffe')).toBe(1);
+    expect(phashHammingDistance('0f0f0f0f0f0f0f0f', 'f0f0f0f0f0f0f0f0')).toBe(64);
+  });
+
+  test('should blend image similarity into the score', () => {
+    const titleOnly = scoreCandidate(SOURCE, candidate);
+    const same = scoreCandidate(SOURCE, candidate, {
+      imageHashes: new Map([[SOURCE.image, 'ffff0000ffff0000'], [candidate.image, 'ffff0000ffff0001']])
+    });
+    const different = scoreCandidate(SOURCE, candidate, {
+      imageHashes: new Map([[SOURCE.image, 'ffff0000ffff0000'], [candidate.image, '0000ffff0000ffff']])
+    });
+
+    expect(titleOnly.reason.image).toBeUndefined();
+    expect(same.score).toBeGreaterThan(titleOnly.score);
+    expect(same.reason.image).toMatchObject({ distance: 1, similarity: 0.969 });
+    expect(same.reason.breakdown).toContain(`Image: distance 1/64 (+${same.reason.image.contribution.toFixed(3)})`);
+    expect(different.score).toBeLessThan(titleOnly.score);
+    expect(different.reason.image.similarity).toBe(0);
+  });
+
+  test('should skip the image stage when a hash is missing', () => {
+    const result = scoreCandidate(SOURCE, candidate, { imageHashes: new Map([[SOURCE.image, 'ffff0000ffff0000']]) });
+
+    expect(result).toEqual(scoreCandidate(SOURCE, candidate));
+  });
+
+  test('should tell product photos from placeholders', () => {
+    expect(isProductImage('https://m.media-amazon.com/images/I/71d7rfSl0wL.jpg')).toBe(true);
+    expect(isProductImage('https://via.placeholder.com/300')).toBe(false);
+    expect(isProductImage('https://via.placeholder.com/300x300.png?text=amazon+B0')).toBe(false);
+    expect(isProductImage('https://rukminim2.flixcart.com/www/promos/no-image.png')).toBe(false);
+    expect(isProductImage('data:image/gif;base64,R0lGOD')).toBe(false);
+    expect(isProductImage(null)).toBe(false);
+  });
+
+  test('should skip the image stage for placeholder images', () => {
+    const placeholder = 'https://via.placeholder.com/300';
+    const source = { ...SOURCE, image: placeholder };
+    const result = scoreCandidate(source, { ...candidate, image: placeholder }, {
+      imageHashes: new Map([[placeholder, 'ffff0000ffff0000']])
+    });
+
+    expect(result).toEqual(scoreCandidate(source, candidate));
+  });
+
+  test('should keep variant conflicts below the threshold with identical images', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const other = { site: 'amazon', title: 'Apple iPhone 14 Pro 512GB Deep Purple', image: 'https://img.example/amz.jpg' };
+    const imageHashes = new Map([[SOURCE.image, 'ffff0000ffff0000'], [other.image, 'ffff0000ffff0000']]);
+
+    const result = findBestMatch(SOURCE, [other], { imageHashes });
+
+    expect(result.score).toBeLessThan(0.4);
+    expect(result.reason.image.distance).toBe(0);
+    jest.restoreAllMocks();
+  });
+});
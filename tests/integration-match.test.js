@@ -6,7 +6,7 @@
  * RUN: npm test
  */
 
-const { findBestMatch, scoreCandidate } = require('../server/matcher');
+const { findBestMatch, scoreCandidate, productFeatures } = require('../server/matcher');
 
 describe('Product Matcher Integration', () => {
   
@@ -181,6 +181,12 @@ describe('Product Matcher Integration', () => {
     
     expect(score1.score).toBeGreaterThan(score2.score);
   });
+
+  test('should only count keywords that are whole words', () => {
+    expect(productFeatures({ title: 'Philips Trimmer with Improved Maximum Battery Life' }).keywords).toEqual([]);
+    expect(productFeatures({ title: 'Dyson Supersonic Professional Hair Dryer' }).keywords).toEqual([]);
+    expect(productFeatures({ title: 'Samsung Galaxy S24 Ultra' }).keywords).toEqual(['ultra']);
+  });
 });
 
 describe('Matcher Edge Cases', () => {
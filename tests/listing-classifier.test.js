@@ -0,0 +1,138 @@
+/**
+ * tests/listing-classifier.test.js - Unit Tests for Accessory / Refurbished Listing Flags
+ *
+ * Tests server/utils/listingClassifier.js and how findBestMatch skips
+ * flagged candidates while reporting them in allScores
+ *
+ * RUN: npm test
+ */
+
+const { classifyListing, detectCondition, accessoryCue, referencePrice } = require('../server/utils/listingClassifier');
+const { findBestMatch } = require('../server/matcher');
+
+const IPHONE = { title: 'Apple iPhone 14 Pro 256GB Deep Purple', price_cents: 12990000 };
+
+describe('Listing Classifier', () => {
+  test('should flag cases, screen guards and "for <product>" listings', () => {
+    expect(accessoryCue('Spigen Ultra Hybrid Case for iPhone 14 Pro')).toBe('accessory term "case"');
+    expect(accessoryCue('Tempered Glass Screen Guard compatible with iPhone 14 Pro')).toMatch(/tempered glass/);
+    expect(accessoryCue('Ringke Fusion for Apple iPhone 14 Pro', IPHONE.title)).toMatch(/^made for/);
+    expect(accessoryCue('Apple iPhone 14 Pro (256 GB) - Deep Purple', IPHONE.title)).toBeNull();
+    // Included parts are not accessories
+    expect(accessoryCue('Fastrack Analog Watch with Leather Strap')).toBeNull();
+  });
+
+  test('should not read audiences or shared purposes as "for <product>"', () => {
+    expect(accessoryCue('CAMPUS NORTH PLUS Running Shoes For Men (Grey)', "Campus Men's North Plus Running Shoes, Grey")).toBeNull();
+    expect(accessoryCue('Mamaearth Onion Hair Oil for Hair Growth, 250 ml', 'Mamaearth Onion Hair Oil for Hair Growth (250 ml)')).toBeNull();
+  });
+
+  test('should only count accessory words naming the product', () => {
+    expect(accessoryCue('boAt Type-C Charging Cable 1.5m')).toBe('accessory term "charging cable"');
+    expect(accessoryCue('Laptop Sleeve 15.6 inch')).toBe('accessory term "sleeve"');
+    expect(accessoryCue('Spigen Case Matte Black for Apple iPhone 14 Pro', IPHONE.title)).toBe('accessory term "case" for "apple iphone 14 pro"');
+
+    const products = [
+      ['Roadster Men Navy Blue Full Sleeve Cotton T-shirt', 'Roadster Men Cotton T-shirt'],
+      ['boAt Airdopes 141 Bluetooth Earbuds, Charging Case, 42H Playtime', 'boAt Airdopes 141 TWS Earbuds'],
+      ['Samsung Galaxy Watch 6 Bluetooth Smartwatch 44mm Graphite Sport Band Strap', 'Samsung Galaxy Watch 6 44mm'],
+      ['Dell 24 inch Monitor, Height Adjustable Stand', 'Dell 24 inch FHD Monitor']
+    ];
+    products.forEach(([title, sourceTitle]) => {
+      expect(accessoryCue(title, sourceTitle)).toBeNull();
+      expect(classifyListing({ title: sourceTitle }, { title }).excluded).toBe(false);
+    });
+  });
+
+  test('should not flag accessories when the source is one', () => {
+    const source = { title: 'Spigen Ultra Hybrid Case for iPhone 14 Pro' };
+    const result = classifyListing(source, { title: 'Spigen Ultra Hybrid Back Cover for iPhone 14 Pro' });
+
+    expect(result.flags).toEqual([]);
+    expect(result.excluded).toBe(false);
+  });
+
+  test('should flag condition differences', () => {
+    expect(detectCondition('Apple iPhone 14 Pro (Renewed)')).toBe('renewed');
+    expect(detectCondition('Refurbished Apple iPhone 14 Pro')).toBe('refurbished');
+    expect(detectCondition('Apple iPhone 14 Pro - Open Box')).toBe('open-box');
+    expect(detectCondition('Pre-owned Apple iPhone 14 Pro')).toBe('used');
+    expect(detectCondition('Apple iPhone 14 Pro (Used)')).toBe('used');
+    expect(detectCondition('Apple iPhone 14 Pro - Used, Good Condition')).toBe('used');
+    expect(detectCondition('Nivea Body Lotion 400ml, Used by Dermatologists')).toBe('new');
+
+    expect(classifyListing(IPHONE, { title: 'Apple iPhone 14 Pro 256GB (Renewed)' })).toMatchObject({
+      flags: ['renewed'],
+      excluded: true,
+      condition: 'renewed'
+    });
+
+    // A new unit for a renewed source is marked, not excluded
+    const renewedSource = { title: 'Apple iPhone 14 Pro 256GB (Renewed)' };
+    expect(classifyListing(renewedSource, { title: 'Apple iPhone 14 Pro 256GB' })).toMatchObject({
+      flags: ['source-renewed'],
+      excluded: false
+    });
+  });
+
+  test('should flag price outliers against the reference price', () => {
+    const low = classifyListing(IPHONE, { title: 'Apple iPhone 14 Pro', price_cents: 99900 }, { referencePriceCents: 12990000 });
+    const high = classifyListing(IPHONE, { title: 'Apple iPhone 14 Pro', price_cents: 45000000 }, { referencePriceCents: 12990000 });
+
+    expect(low).toMatchObject({ flags: ['price-low'], excluded: true, price_ratio: 0.008 });
+    expect(high).toMatchObject({ flags: ['price-high'], excluded: false });
+    expect(classifyListing(IPHONE, { title: 'Apple iPhone 14 Pro', price_cents: 99900 }).price_ratio).toBeNull();
+  });
+
+  test('should fall back to the median candidate price', () => {
+    const candidates = [{ price_cents: 100 }, { price_cents: 300 }, { price_cents: 200 }, { title: 'No price' }];
+
+    expect(referencePrice({ title: 'x' }, candidates)).toBe(200);
+    expect(referencePrice({ title: 'x', price_cents: 500 }, candidates)).toBe(500);
+    expect(referencePrice({ title: 'x' }, [])).toBeNull();
+  });
+});
+
+describe('Flag-Aware Matching', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should skip accessories and renewed units with higher scores', () => {
+    const result = findBestMatch(IPHONE, [
+      { site: 'amazon', title: 'Spigen Case for Apple iPhone 14 Pro 256GB Deep Purple', price_cents: 129900 },
+      { site: 'amazon', title: 'Apple iPhone 14 Pro 256GB Deep Purple (Renewed)', price_cents: 10990000 },
+      { site: 'flipkart', title: 'Apple iPhone 14 Pro (256 GB) - Purple', price_cents: 12890000 }
+    ]);
+
+    expect(result.best.site).toBe('flipkart');
+    expect(result.reason.classification.flags).toEqual([]);
+
+    const accessory = result.allScores.find(s => s.title.startsWith('Spigen'));
+    expect(accessory).toMatchObject({ flags: ['accessory', 'price-low'], excluded: true });
+    expect(accessory.reason).toContain('Accessory: accessory term "case"');
+    expect(result.allScores.find(s => /Renewed/.test(s.title))).toMatchObject({ flags: ['renewed'], excluded: true });
+  });
+
+  test('should return no best match when every candidate is flagged', () => {
+    const result = findBestMatch(IPHONE, [
+      { site: 'amazon', title: 'Tempered Glass Screen Guard for Apple iPhone 14 Pro', price_cents: 29900 }
+    ]);
+
+    expect(result.best).toBeNull();
+    expect(result.reason.error).toMatch(/All candidates flagged/);
+    expect(result.allScores).toHaveLength(1);
+  });
+
+  test('should pick flagged candidates with includeFlagged', () => {
+    const candidates = [{ site: 'amazon', title: 'Apple iPhone 14 Pro 256GB Deep Purple (Renewed)' }];
+    const result = findBestMatch(IPHONE, candidates, { includeFlagged: true });
+
+    expect(result.best.title).toBe(candidates[0].title);
+    expect(result.allScores[0]).toMatchObject({ flags: ['renewed'], excluded: false });
+  });
+});
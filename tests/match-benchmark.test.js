@@ -0,0 +1,85 @@
+/**
+ * tests/match-benchmark.test.js - Matcher Benchmark Regression Test
+ *
+ * Validates the labelled dataset in tests/fixtures/match-benchmark/ and
+ * keeps the matcher's F1 on it from dropping (server/utils/matchBenchmark.js).
+ * Raise MIN_F1 when a matcher change improves it: npm run bench:matcher
+ *
+ * RUN: npm test
+ */
+
+const { loadBenchmark, runBenchmark } = require('../server/utils/matchBenchmark');
+
+// F1 at the 0.4 match threshold must not fall below this
+const MIN_F1 = 0.87;
+
+describe('Match Benchmark Dataset', () => {
+  const cases = loadBenchmark();
+
+  test('should cover electronics, fashion and grocery', () => {
+    const categories = new Set(cases.map(benchmarkCase => benchmarkCase.category));
+    expect(Array.from(categories).sort()).toEqual(['electronics', 'fashion', 'grocery']);
+    expect(cases.length).toBeGreaterThanOrEqual(30);
+  });
+
+  test('should have unique ids and expected answers among the candidates', () => {
+    expect(new Set(cases.map(benchmarkCase => benchmarkCase.id)).size).toBe(cases.length);
+
+    cases.forEach(benchmarkCase => {
+      const ids = benchmarkCase.candidates.map(candidate => candidate.site_id);
+      expect(new Set(ids).size).toBe(ids.length);
+      if (benchmarkCase.expected !== null) {
+        expect(ids).toContain(benchmarkCase.expected);
+      }
+      expect(benchmarkCase.source.title).toBeTruthy();
+    });
+  });
+});
+
+describe('Match Benchmark', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should count right picks, wrong picks and misses', () => {
+    const cases = [
+      {
+        id: 'right',
+        category: 'test',
+        source: { title: 'Sony WH-1000XM5 Headphones Black' },
+        candidates: [{ site: 'flipkart', site_id: 'a', title: 'SONY WH-1000XM5 Headphones (Black)' }],
+        expected: 'a'
+      },
+      {
+        id: 'none-expected',
+        category: 'test',
+        source: { title: 'Amul Butter 500 g' },
+        candidates: [{ site: 'flipkart', site_id: 'b', title: 'Amul Butter 100 g' }],
+        expected: null
+      },
+      {
+        id: 'unrelated',
+        category: 'test',
+        source: { title: 'Nike Revolution 6 Running Shoes' },
+        candidates: [{ site: 'amazon', site_id: 'c', title: 'Tata Salt 1 kg' }],
+        expected: 'c'
+      }
+    ];
+
+    const report = runBenchmark(cases, { thresholds: [0.4] });
+
+    expect(report.thresholds[0]).toMatchObject({ tp: 1, fp: 0, fn: 1, tn: 1, precision: 1, recall: 0.5 });
+    expect(report.confusion.map(entry => [entry.id, entry.kind])).toEqual([['unrelated', 'missed']]);
+  });
+
+  test(`should keep F1 at 0.4 above ${MIN_F1}`, () => {
+    const report = runBenchmark(loadBenchmark(), { thresholds: [0.4, 0.6, 0.8] });
+
+    expect(report.thresholds.map(row => row.threshold)).toEqual([0.4, 0.6, 0.8]);
+    expect(report.thresholds[0].f1).toBeGreaterThanOrEqual(MIN_F1);
+  });
+});
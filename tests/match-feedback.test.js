@@ -0,0 +1,209 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/match-feedback.test.js - Unit Tests for Match Feedback and Fitted Weights
+ *
+ * Tests POST /v1/match-feedback, server/utils/feedbackStore.js,
+ * server/utils/matchWeights.js and server/utils/weightFitter.js
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createFeedbackStore } = require('../server/utils/feedbackStore');
+const { DEFAULT_MATCH_WEIGHTS, loadMatchWeights, resolveMatchWeights } = require('../server/utils/matchWeights');
+const { evaluate, fitMatchWeights } = require('../server/utils/weightFitter');
+const { scoreCandidate } = require('../server/matcher');
+
+// Labelled pairs where the default threshold lets same-line different products through
+function labelledPairs() {
+  const pairs = [];
+  const models = ['Pro', 'Max', 'Plus', 'Ultra', 'Lite', 'Neo', 'Prime', 'Edge', 'Air', 'Turbo', 'Nova', 'Zoom'];
+  models.forEach((model, i) => {
+    const source = { site: 'amazon', site_id: `A${i}`, title: `Acme Widget ${model} ${i + 10} Blue` };
+    pairs.push({
+      label: 'match',
+      source,
+      candidate: { site: 'flipkart', site_id: `F${i}`, title: `Acme Widget ${model} ${i + 10} (Blue)` }
+    });
+    pairs.push({
+      label: 'mismatch',
+      source,
+      candidate: { site: 'flipkart', site_id: `G${i}`, title: `Acme Widget Stand Holder ${i + 30} Blue` }
+    });
+  });
+  return pairs;
+}
+
+describe('Match Weights', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-weights-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should use the defaults without a weights file', () => {
+    const weights = loadMatchWeights(path.join(tmpDir, 'missing.json'));
+
+    expect(weights).toMatchObject({ title_base: 0.5, token_overlap: 0.45, brand_match: 0.1, keyword_match: 0.05, source: 'default' });
+    expect(weights.thresholds).toEqual({ match: 0.4, good: 0.6, excellent: 0.8 });
+  });
+
+  test('should load fitted values and ignore invalid ones', () => {
+    const filePath = path.join(tmpDir, 'match-weights.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      title_base: 0.45,
+      token_overlap: 2,
+      thresholds: { match: 0.5, good: 0.55, excellent: 0.85 }
+    }));
+
+    const weights = loadMatchWeights(filePath);
+
+    expect(weights.title_base).toBe(0.45);
+    expect(weights.token_overlap).toBe(0.45);
+    expect(weights.thresholds).toEqual({ match: 0.5, good: 0.55, excellent: 0.85 });
+    expect(resolveMatchWeights({ thresholds: { match: 0.9, good: 0.6 } }).thresholds).toEqual(DEFAULT_MATCH_WEIGHTS.thresholds);
+  });
+
+  test('should score with the weights it is given', () => {
+    const source = { title: 'Acme Widget Pro 10' };
+    const candidate = { title: 'Acme Widget Pro 10 Blue' };
+    const base = scoreCandidate(source, candidate).score;
+    const lower = scoreCandidate(source, candidate, { weights: { ...DEFAULT_MATCH_WEIGHTS, title_base: 0.4 } }).score;
+
+    expect(lower).toBeCloseTo(base - 0.1, 3);
+  });
+});
+
+describe('Weight Fitting', () => {
+  test('should compute precision, recall and F1', () => {
+    const scored = [
+      { score: 0.9, match: true },
+      { score: 0.7, match: false },
+      { score: 0.5, match: true },
+      { score: 0.2, match: false }
+    ];
+
+    expect(evaluate(scored, 0.6)).toMatchObject({ precision: 0.5, recall: 0.5, f1: 0.5, tp: 1, fp: 1 });
+    expect(evaluate(scored, 0.4)).toMatchObject({ precision: 0.6667, recall: 1 });
+  });
+
+  test('should refuse to fit too few labels', () => {
+    expect(() => fitMatchWeights(labelledPairs().slice(0, 6))).toThrow(expect.objectContaining({ code: 'NOT_ENOUGH_FEEDBACK' }));
+  });
+
+  test('should fit weights and thresholds that separate the labels', () => {
+    const pairs = labelledPairs();
+    const fit = fitMatchWeights(pairs);
+    const { thresholds } = fit.weights;
+
+    expect(fit.metrics.before.precision).toBeLessThan(1);
+    expect(fit.metrics.after.f1).toBe(1);
+    expect(thresholds.match).toBeLessThanOrEqual(thresholds.good);
+    expect(thresholds.good).toBeLessThanOrEqual(thresholds.excellent);
+
+    // Every mismatch falls below the fitted match threshold
+    pairs.forEach(pair => {
+      const { score } = scoreCandidate(pair.source, pair.candidate, { weights: fit.weights });
+      expect(score >= thresholds.match).toBe(pair.label === 'match');
+    });
+  });
+});
+
+describe('Feedback Store', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-feedback-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should keep one label per pair, the latest', () => {
+    const store = createFeedbackStore(path.join(tmpDir, 'match-feedback.json'));
+    const source = { site: 'amazon', site_id: 'B0BN94DM8Z', title: 'Apple iPhone 14 Pro', price_cents: '12990000', extra: 'dropped' };
+    const candidate = { site: 'flipkart', site_id: 'MOBGHC89GXVKZYXR', title: 'APPLE iPhone 14 Pro' };
+
+    store.addFeedback({ source, candidate, label: 'mismatch', score: 0.62 });
+    const pair = store.addFeedback({ source, candidate, label: 'match', score: 0.62 });
+
+    expect(pair).toMatchObject({ id: 'amazon:b0bn94dm8z|flipkart:mobghc89gxvkzyxr', label: 'match', score: 0.62 });
+    expect(pair.source).toEqual({ site: 'amazon', site_id: 'B0BN94DM8Z', title: 'Apple iPhone 14 Pro', price_cents: 12990000 });
+
+    const reopened = createFeedbackStore(store.filePath);
+    expect(reopened.counts()).toEqual({ total: 1, match: 1, mismatch: 0 });
+    expect(reopened.listFeedback({ label: 'mismatch' })).toEqual([]);
+  });
+});
+
+describe('POST /v1/match-feedback', () => {
+  const savedEnv = { ...process.env };
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  const body = {
+    source: { site: 'amazon', site_id: 'B0BN94DM8Z', title: 'Apple iPhone 14 Pro 256GB' },
+    candidate: { site: 'Flipkart', site_id: 'MOBGHC89GXVKZYXR', title: 'APPLE iPhone 14 Pro (256 GB)' },
+    label: 'match',
+    score: 0.91
+  };
+
+  const post = payload => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-feedback-route-'));
+    process.env.MATCH_FEEDBACK_DB = path.join(tmpDir, 'match-feedback.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    let routes;
+    jest.isolateModules(() => {
+      routes = require('../server/routes/match-feedback');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', routes);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/v1/match-feedback`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should store a labelled pair', async () => {
+    const res = await post(body);
+    const json = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(json).toMatchObject({ ok: true, label: 'match', counts: { total: 1, match: 1, mismatch: 0 } });
+    expect(createFeedbackStore(process.env.MATCH_FEEDBACK_DB).listFeedback()[0].candidate.site).toBe('flipkart');
+  });
+
+  test('should reject bad labels and products', async () => {
+    expect((await post({ ...body, label: 'maybe' })).status).toBe(400);
+    expect((await post({ ...body, source: { site: 'ebay', title: 'x' } })).status).toBe(400);
+    expect((await post({ ...body, candidate: { site: 'flipkart' } })).status).toBe(400);
+  });
+});
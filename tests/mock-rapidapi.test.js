@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/mock-rapidapi.test.js - Scraper and Cross-Site Search Against the Mock RapidAPI
+ *
+ * Starts server/mock/rapidapiServer.js on a random port, points the
+ * RAPIDAPI_* env vars at it and replays tests/fixtures/html for the pages
+ * that would otherwise be scraped, so nothing leaves the machine
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { startMockRapidApi } = require('../server/mock/rapidapiServer');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'html');
+
+let mock;
+let tmpDir;
+let scraper;
+let searchRoutes;
+const savedEnv = { ...process.env };
+
+// Configure mock faults through the admin endpoint
+async function setFaults(faults) {
+  await fetch(`${mock.url}/__mock/config`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(faults)
+  });
+}
+
+beforeAll(async () => {
+  mock = await startMockRapidApi({ port: 0 });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => mock.server.close(resolve));
+});
+
+beforeEach(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-mockapi-'));
+  Object.assign(process.env, {
+    RAPIDAPI_AMAZON_URL: `${mock.url}/amazon`,
+    RAPIDAPI_AMAZON_KEY: 'mock-key',
+    RAPIDAPI_FLIPKART_URL: `${mock.url}/flipkart/fk-product-details`,
+    RAPIDAPI_FLIPKART_KEY: 'mock-key',
+    SCRAPER_FIXTURES: 'replay',
+    SCRAPER_FIXTURES_DIR: FIXTURES_DIR,
+    SMARTSHOPPER_DATA_DIR: tmpDir
+  });
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.isolateModules(() => {
+    scraper = require('../server/utils/scraper');
+    searchRoutes = require('../server/routes/search-crosssite');
+  });
+
+  await fetch(`${mock.url}/__mock/reset`, { method: 'POST' });
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Mock RapidAPI', () => {
+  test('should serve Amazon search results from the catalog', async () => {
+    const results = await scraper.searchAmazonRapidAPI('boat airdopes 141', 5);
+
+    expect(results).toHaveLength(2);
+    expect(results[0]).toMatchObject({
+      site: 'Amazon',
+      numericPrice: 1099,
+      url: 'https://www.amazon.in/dp/B0B6GJ1ZGJ',
+      asin: 'B0B6GJ1ZGJ',
+      source: 'rapidapi'
+    });
+    await expect(scraper.searchAmazonRapidAPI('garden hose', 5)).resolves.toEqual([]);
+  });
+
+  test('should serve Flipkart bulk product details', async () => {
+    const results = await scraper.searchFlipkartRapidAPI('boat airdopes 141', 3);
+
+    expect(results).toEqual([expect.objectContaining({ site: 'Flipkart', numericPrice: 1199, availability: 'In Stock' })]);
+    await expect(scraper.scrapeFlipkartRapidAPI('https://www.flipkart.com/x/p/itmunknown')).rejects.toThrow('No data returned');
+  });
+
+  test('should record price points only for results with their own URL', async () => {
+    const { createPriceHistoryStore } = require('../server/utils/priceHistory');
+    const history = () => createPriceHistoryStore(path.join(tmpDir, 'price-history.json'));
+
+    await scraper.searchFlipkartRapidAPI('boat airdopes 141', 3);
+    expect(history().getHistory('flipkart:ACCGHGZ7YHZQ8XKF')).toHaveLength(1);
+
+    // Same product, but the API leaves out its URL
+    const bare = await startMockRapidApi({
+      port: 0,
+      catalogs: { flipkart: [{ pid: 'ACCGHGZ7YHZQ8XKF', title: 'boAt Airdopes 141', price: '₹999', in_stock: true }] }
+    });
+    process.env.RAPIDAPI_FLIPKART_URL = `${bare.url}/flipkart/fk-product-details`;
+    let bareScraper;
+    jest.isolateModules(() => {
+      bareScraper = require('../server/utils/scraper');
+    });
+
+    const results = await bareScraper.searchFlipkartRapidAPI('boat airdopes 141', 3);
+    await new Promise(resolve => bare.server.close(resolve));
+
+    expect(results).toEqual([expect.objectContaining({ numericPrice: 999, url: expect.stringContaining('pid=ACCGHGZ7YHZQ8XKF') })]);
+    expect(history().getHistory('flipkart:ACCGHGZ7YHZQ8XKF')).toHaveLength(1);
+  });
+
+  test('should simulate errors and rate limits', async () => {
+    await setFaults({ failNext: 1, errorStatus: 503 });
+    await expect(scraper.searchAmazonRapidAPI('boat airdopes 141')).resolves.toEqual([]);
+    await expect(scraper.searchAmazonRapidAPI('boat airdopes 141')).resolves.toHaveLength(2);
+
+    await setFaults({ rateLimit: { limit: 1, windowMs: 60000 } });
+    const headers = { 'x-rapidapi-key': 'mock-key' };
+    const first = await fetch(`${mock.url}/amazon/search?query=iphone`, { headers });
+    const second = await fetch(`${mock.url}/amazon/search?query=iphone`, { headers });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+    expect(second.headers.get('x-ratelimit-requests-remaining')).toBe('0');
+    expect(Number(second.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  test('should reject requests without an API key', async () => {
+    const res = await fetch(`${mock.url}/amazon/search?query=iphone`);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Cross-Site Search End to End', () => {
+  test('should match candidates from the mock APIs in /v1/search-crosssite', async () => {
+    const app = express();
+    app.use('/v1', searchRoutes);
+    const server = app.listen(0);
+
+    try {
+      const params = new URLSearchParams({ site: 'myntra', id: '2314271', title: 'boat airdopes 141' });
+      const res = await fetch(`http://localhost:${server.address().port}/v1/search-crosssite?${params}`);
+      const body = await res.json();
+      const bySite = Object.fromEntries(body.results.map(result => [result.site, result]));
+
+      expect(bySite.amazon).toMatchObject({ available: true, site_id: 'B0B6GJ1ZGJ', price_cents: 109900 });
+      expect(bySite.flipkart).toMatchObject({ available: true, site_id: 'ACCGHGZ7YHZQ8XKF', price_cents: 119900 });
+      expect(bySite.meesho.available).toBe(false);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should describe pack listings with a per-item price', async () => {
+    const app = express();
+    app.use('/v1', searchRoutes);
+    const server = app.listen(0);
+
+    try {
+      const params = new URLSearchParams({ site: 'myntra', id: '1700944', title: 'Jockey Men Cotton Round Neck Vest White' });
+      const res = await fetch(`http://localhost:${server.address().port}/v1/search-crosssite?${params}`);
+      const body = await res.json();
+      const amazon = body.results.find(result => result.site === 'amazon');
+
+      expect(amazon).toMatchObject({ available: true, price_cents: 74700, effective_price_cents: 24900 });
+      expect(amazon.flags).toContain('bundle');
+      expect(amazon.bundle).toMatchObject({ kind: 'pack', items: 3, source_items: 1, per_item_price_cents: 24900 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * tests/model-numbers.test.js - Model Number Grammar Tests
+ *
+ * Tests server/utils/modelNumbers.js against the per-brand SKU fixtures in
+ * tests/fixtures/model-numbers.json, and model-number matching in the
+ * matcher (exact or family, never substring).
+ *
+ * RUN: npm test
+ */
+
+const fixtures = require('./fixtures/model-numbers.json');
+const { extractModelNumbers, matchModelNumbers } = require('../server/utils/modelNumbers');
+const { scoreCandidate } = require('../server/matcher');
+
+const pairs = models => models.map(model => [model.code, model.family]);
+
+describe('Model Number Extraction', () => {
+  test.each(fixtures.extract.map(entry => [entry.text, entry]))('should parse "%s"', (text, { brand, models }) => {
+    expect(pairs(extractModelNumbers(text, { brand }))).toEqual(models);
+  });
+
+  test.each(fixtures.explicit.map(entry => [entry.text, entry]))('should parse model field "%s"', (text, { brand, models }) => {
+    expect(pairs(extractModelNumbers(text, { brand, explicit: true }))).toEqual(models);
+  });
+
+  test.each(fixtures.not_models)('should find no model number in "%s"', text => {
+    expect(extractModelNumbers(text)).toEqual([]);
+  });
+
+  test('should record the grammar brand and the text as written', () => {
+    expect(extractModelNumbers('Galaxy S23 (SM-S911B/DS)')).toEqual([
+      { code: 'S911B', family: 'S911', brand: 'Samsung', text: 'SM-S911B/DS' }
+    ]);
+  });
+
+  test('should only apply brand-specific grammars to that brand', () => {
+    expect(extractModelNumbers('Laptop 82XV00ABIN', { brand: 'Dell' })).toEqual([]);
+    expect(extractModelNumbers('Laptop 82XV00ABIN', { brand: 'Lenovo' })).toHaveLength(1);
+  });
+});
+
+describe('Model Number Matching', () => {
+  const parse = (text, brand) => extractModelNumbers(text, { brand, explicit: true });
+
+  test('should match equal codes exactly', () => {
+    expect(matchModelNumbers(parse('SM-S911B', 'Samsung'), parse('SM-S911B/DS', 'Samsung'))).toMatchObject({ kind: 'exact' });
+  });
+
+  test('should match region and colour variants by family', () => {
+    expect(matchModelNumbers(parse('SM-S911B', 'Samsung'), parse('SM-S911E', 'Samsung'))).toMatchObject({ kind: 'family' });
+    expect(matchModelNumbers(parse('MLPF3HN/A', 'Apple'), parse('MLPF3LL/A', 'Apple'))).toMatchObject({ kind: 'family' });
+  });
+
+  test('should not match one code contained in another', () => {
+    expect(matchModelNumbers(parse('S911', 'Samsung'), parse('S9110', 'Samsung'))).toBeNull();
+    expect(matchModelNumbers(parse('RMX3750'), parse('RMX375'))).toBeNull();
+  });
+});
+
+describe('Matcher Model Numbers', () => {
+  test('should score a regional variant as a model match', () => {
+    const result = scoreCandidate(
+      { title: 'Samsung Galaxy S23 5G 128GB Phantom Black', model: 'SM-S911B/DS' },
+      { title: 'Samsung Galaxy S23 (Phantom Black, 128 GB) SM-S911E' }
+    );
+
+    expect(result.score).toBe(1.0);
+    expect(result.reason.model).toEqual({ kind: 'family', source: 'S911B', candidate: 'S911E' });
+    expect(result.reason.breakdown).toContain('Model number family match: S911 (S911B vs S911E)');
+  });
+
+  test('should not treat a storage size as a model number', () => {
+    const result = scoreCandidate(
+      { title: 'Samsung Galaxy S23 5G 128GB', model: '128GB' },
+      { title: 'Samsung Galaxy A14 5G 128GB' }
+    );
+
+    expect(result.reason.model_match).toBe(false);
+    expect(result.score).toBeLessThan(1.0);
+  });
+
+  test('should not match a model number by substring', () => {
+    const result = scoreCandidate(
+      { title: 'realme narzo 60 5G', model: 'RMX3750' },
+      { title: 'realme narzo 60 Pro 5G RMX3771' }
+    );
+
+    expect(result.reason.model_match).toBe(false);
+  });
+});
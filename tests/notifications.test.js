@@ -0,0 +1,130 @@
+/**
+ * tests/notifications.test.js - Unit Tests for Watchlist Notifications
+ *
+ * Tests alert thresholds and muting in scripts/notifications.js and the
+ * daily digest queue in scripts/storage.js, with stubbed chrome.storage
+ * and chrome.notifications
+ *
+ * RUN: npm test
+ */
+
+const WATCHLIST_KEY = 'smartshopper_watchlist';
+const DIGEST_QUEUE_KEY = 'smartshopper_digest_queue';
+
+const SETTINGS = { enabled: true, dropPercent: 10, digest: false };
+
+let storageData;
+let notifications;
+let storage;
+
+beforeEach(() => {
+  storageData = {};
+  global.chrome = {
+    storage: {
+      local: {
+        get: jest.fn((keys, callback) => callback(Object.fromEntries(keys.map(key => [key, storageData[key]])))),
+        set: jest.fn((items, callback) => {
+          Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+          callback();
+        })
+      }
+    },
+    notifications: { create: jest.fn(async () => {}) }
+  };
+  jest.isolateModules(() => {
+    notifications = require('../scripts/notifications.js');
+    storage = require('../scripts/storage.js');
+  });
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+// Shape returned by updateProductPrice()
+function priceUpdate(oldPrice, newPrice, product = {}) {
+  return {
+    product: { id: 'p1', name: 'boAt Airdopes 141', url: 'https://www.amazon.in/dp/B0B6GJ1ZGJ', currentPrice: newPrice, ...product },
+    priceChanged: oldPrice !== newPrice,
+    priceDropped: newPrice < oldPrice,
+    priceDifference: oldPrice - newPrice
+  };
+}
+
+describe('Price Alert Rule', () => {
+  test('should alert on drops at or above the threshold', () => {
+    expect(notifications.getPriceAlert(priceUpdate(1000, 900), SETTINGS)).toMatchObject({
+      type: 'drop',
+      productId: 'p1',
+      oldPrice: 1000,
+      newPrice: 900,
+      dropPercent: 10
+    });
+    expect(notifications.getPriceAlert(priceUpdate(1000, 950), SETTINGS)).toBeNull();
+    expect(notifications.getPriceAlert(priceUpdate(1000, 1100), SETTINGS)).toBeNull();
+    expect(notifications.getPriceAlert(priceUpdate(1000, 900), { ...SETTINGS, enabled: false })).toBeNull();
+  });
+
+  test('should alert when a small drop crosses the target price', () => {
+    expect(notifications.getPriceAlert(priceUpdate(1000, 980, { targetPrice: 990 }), SETTINGS)).toMatchObject({
+      type: 'target',
+      targetPrice: 990
+    });
+    // Already below target before this drop
+    expect(notifications.getPriceAlert(priceUpdate(980, 970, { targetPrice: 990 }), SETTINGS)).toBeNull();
+  });
+
+  test('should suppress alerts for muted products', async () => {
+    expect(notifications.getPriceAlert(priceUpdate(1000, 500, { muted: true }), SETTINGS)).toBeNull();
+
+    await expect(notifications.notifyPriceChange(priceUpdate(1000, 500, { muted: true }))).resolves.toBeNull();
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+
+  test('should mute a product stored in the watchlist', async () => {
+    storageData[WATCHLIST_KEY] = [{ id: 'p1', url: 'https://www.amazon.in/dp/B0B6GJ1ZGJ', muted: false }];
+
+    await expect(storage.setProductMuted('p1', true)).resolves.toBe(true);
+    await expect(storage.setProductMuted('missing', true)).resolves.toBe(false);
+    expect(storageData[WATCHLIST_KEY][0].muted).toBe(true);
+  });
+});
+
+describe('Daily Digest', () => {
+  test('should notify immediately when digest mode is off', async () => {
+    await notifications.notifyPriceChange(priceUpdate(1000, 800));
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith('price-alert:p1', expect.objectContaining({ title: 'Price drop!' }));
+    expect(storageData[DIGEST_QUEUE_KEY]).toBeUndefined();
+  });
+
+  test('should queue the latest alert per product in digest mode', async () => {
+    await storage.saveNotificationSettings({ digest: true });
+
+    await notifications.notifyPriceChange(priceUpdate(1000, 800));
+    await notifications.notifyPriceChange(priceUpdate(800, 700));
+    await notifications.notifyPriceChange(priceUpdate(500, 400, { id: 'p2', name: 'Noise ColorFit Pro 4' }));
+
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+    expect(storageData[DIGEST_QUEUE_KEY].map(alert => [alert.productId, alert.newPrice])).toEqual([['p1', 700], ['p2', 400]]);
+  });
+
+  test('should flush the queue into one notification and clear it', async () => {
+    await storage.queueDigestAlert({ productId: 'p1', name: 'boAt Airdopes 141', type: 'drop', oldPrice: 1000, newPrice: 800, dropPercent: 20 });
+    await storage.queueDigestAlert({ productId: 'p2', name: 'Noise ColorFit Pro 4', type: 'target', oldPrice: 500, newPrice: 400, targetPrice: 450 });
+
+    await expect(notifications.sendDailyDigest()).resolves.toBe(2);
+
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+    expect(chrome.notifications.create).toHaveBeenCalledWith('price-digest', expect.objectContaining({
+      type: 'list',
+      title: '2 price drops today',
+      items: [expect.objectContaining({ title: 'boAt Airdopes 141' }), expect.objectContaining({ title: 'Noise ColorFit Pro 4' })]
+    }));
+    expect(storageData[DIGEST_QUEUE_KEY]).toEqual([]);
+
+    // Nothing queued: no empty digest
+    await expect(notifications.sendDailyDigest()).resolves.toBe(0);
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+  });
+});
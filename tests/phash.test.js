@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/phash.test.js - Unit Tests for Perceptual Image Hashes
+ *
+ * Tests server/phash.js (pHash, aHash, dHash) on the greyscale PGM fixtures
+ * in tests/fixtures/images/, which decode without sharp:
+ * - phone.pgm         96x96 phone on a gradient background
+ * - phone-large.pgm   the same drawing at 160x160
+ * - phone-bright.pgm  the same drawing 25 levels brighter
+ * - shoe.pgm          an unrelated product
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const phash = require('../server/phash');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'images');
+const fixture = name => path.join(FIXTURES_DIR, name);
+
+// Full 2D DCT-II, straight from the definition
+function referenceDct(pixels, n, u, v) {
+  const cu = u === 0 ? Math.sqrt(1 / n) : Math.sqrt(2 / n);
+  const cv = v === 0 ? Math.sqrt(1 / n) : Math.sqrt(2 / n);
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      sum += pixels[i * n + j] *
+             Math.cos((2 * i + 1) * u * Math.PI / (2 * n)) *
+             Math.cos((2 * j + 1) * v * Math.PI / (2 * n));
+    }
+  }
+  return cu * cv * sum;
+}
+
+describe('Perceptual Hashes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should match the reference DCT', () => {
+    const pixels = Float64Array.from({ length: 32 * 32 }, (_, i) => (i * 37) % 255);
+    const dct = phash.dctLowFrequencies(pixels, 32);
+
+    for (let u = 0; u < 8; u++) {
+      for (let v = 0; v < 8; v++) {
+        expect(dct[u * 8 + v]).toBeCloseTo(referenceDct(pixels, 32, u, v), 6);
+      }
+    }
+  });
+
+  test('should keep all 64 bits', () => {
+    // Alternating pixels above/below the mean set the last bits too
+    const hash = phash.hashGreyscale(Float64Array.from({ length: 64 }, (_, i) => (i % 2 ? 255 : 0)), 'ahash');
+
+    expect(hash).toBe('5555555555555555');
+    expect(phash.hammingDistance('ffffffffffffffff', 'fffffffffffffffe')).toBe(1);
+    expect(phash.hammingDistance('0123456789abcdef', '0123456789abcdef')).toBe(0);
+    expect(phash.hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(() => phash.hammingDistance('ff', 'fff')).toThrow('Hashes must be same length');
+  });
+
+  test('should decode PGM fixtures', () => {
+    const image = phash.decodePgm(fs.readFileSync(fixture('phone.pgm')));
+
+    expect(image).toMatchObject({ width: 96, height: 96 });
+    expect(image.data).toHaveLength(96 * 96);
+    expect(phash.decodePgm(Buffer.from('\x89PNG'))).toBeNull();
+  });
+
+  test.each(['phash', 'ahash', 'dhash'])('%s should survive rescaling and brightness but separate products', async algorithm => {
+    const [phone, large, bright, shoe] = await Promise.all(
+      ['phone.pgm', 'phone-large.pgm', 'phone-bright.pgm', 'shoe.pgm'].map(name => phash.computeImageHash(fixture(name), algorithm))
+    );
+
+    expect(phone).toMatch(/^[0-9a-f]{16}$/);
+    expect(phash.hammingDistance(phone, large)).toBeLessThanOrEqual(10);
+    expect(phash.hammingDistance(phone, bright)).toBeLessThanOrEqual(10);
+    expect(phash.hammingDistance(phone, shoe)).toBeGreaterThan(20);
+  });
+
+  test('should expose pHash, aHash and dHash under the same API', async () => {
+    const bytes = fs.readFileSync(fixture('phone.pgm'));
+
+    await expect(phash.computePHash(bytes)).resolves.toBe(await phash.computeImageHash(fixture('phone.pgm'), 'phash'));
+    await expect(phash.computeAHash(bytes)).resolves.toBe(await phash.computeImageHash(bytes, 'ahash'));
+    await expect(phash.computeDHash(bytes)).resolves.toBe(await phash.computeImageHash(bytes, 'dhash'));
+    await expect(phash.computeImageHash(bytes, 'xhash')).rejects.toThrow('Unknown hash algorithm: xhash');
+  });
+});
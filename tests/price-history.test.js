@@ -0,0 +1,107 @@
+/**
+ * tests/price-history.test.js - Unit Tests for the Price History Store
+ *
+ * Tests persistence and canonical key derivation in server/utils/priceHistory.js
+ * using a temporary JSON file
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPriceHistoryStore, canonicalKeyFromUrl } = require('../server/utils/priceHistory');
+
+describe('Price History Store', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-history-'));
+    dbPath = path.join(tmpDir, 'price-history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should store and return points oldest first', () => {
+    const store = createPriceHistoryStore(dbPath);
+
+    store.addPricePoint('amazon:B0BN94DM8Z', { price_cents: 13990000, ts: 2000 });
+    store.addPricePoint('amazon:B0BN94DM8Z', { price_cents: 12990000, ts: 1000 });
+
+    const history = store.getHistory('amazon:B0BN94DM8Z');
+
+    expect(history).toHaveLength(2);
+    expect(history[0].price_cents).toBe(12990000);
+    expect(store.getLatestPrice('amazon:B0BN94DM8Z').price_cents).toBe(13990000);
+  });
+
+  test('should persist points across store instances', () => {
+    const first = createPriceHistoryStore(dbPath);
+    first.addPricePoint('flipkart:MOBGHC89GXVKZYXR', {
+      price_cents: 12990000,
+      source: 'rapidapi',
+      title: 'Apple iPhone 14 Pro'
+    });
+
+    const second = createPriceHistoryStore(dbPath);
+
+    expect(second.getHistory('flipkart:MOBGHC89GXVKZYXR')).toHaveLength(1);
+    expect(second.getProduct('flipkart:MOBGHC89GXVKZYXR').title).toBe('Apple iPhone 14 Pro');
+  });
+
+  test('should ignore invalid prices and reject malformed keys', () => {
+    const store = createPriceHistoryStore(dbPath);
+
+    expect(store.addPricePoint('myntra:12345678', { price_cents: 0 })).toBeNull();
+    expect(store.getHistory('myntra:12345678')).toEqual([]);
+    expect(() => store.addPricePoint('nokey', { price_cents: 100 })).toThrow();
+  });
+
+  test('should add a batch of points with one compact write', () => {
+    const store = createPriceHistoryStore(dbPath);
+    const writes = jest.spyOn(fs, 'writeFileSync');
+
+    const stored = store.addPricePoints([
+      { canonical_key: 'amazon:B0BN94DM8Z', price_cents: 12990000, ts: 1000 },
+      { canonical_key: 'flipkart:MOBGHC89GXVKZYXR', price_cents: 0 },
+      { canonical_key: 'flipkart:MOBGHC89GXVKZYXR', price_cents: 12490000, title: 'Apple iPhone 14 Pro' }
+    ]);
+
+    expect(writes).toHaveBeenCalledTimes(1);
+    writes.mockRestore();
+    expect(stored[1]).toBeNull();
+    expect(store.getHistory('flipkart:MOBGHC89GXVKZYXR')).toHaveLength(1);
+    expect(fs.readFileSync(dbPath, 'utf8')).not.toContain('\n');
+    expect(store.addPricePoints([{ canonical_key: 'myntra:12345678', price_cents: -1 }])).toEqual([null]);
+    expect(fs.existsSync(dbPath)).toBe(true);
+  });
+
+  test('should filter history by days', () => {
+    const store = createPriceHistoryStore(dbPath);
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    store.addPricePoint('meesho:87654321', { price_cents: 49900, ts: Date.now() - 40 * dayMs });
+    store.addPricePoint('meesho:87654321', { price_cents: 45900, ts: Date.now() - dayMs });
+
+    expect(store.getHistory('meesho:87654321', { days: 30 })).toHaveLength(1);
+  });
+});
+
+describe('Canonical Key From URL', () => {
+  test('should match extractor canonical keys', () => {
+    expect(canonicalKeyFromUrl('https://www.amazon.in/dp/B0BN94DM8Z/ref=abc')).toBe('amazon:B0BN94DM8Z');
+    expect(canonicalKeyFromUrl('https://www.flipkart.com/apple-iphone-14-pro/p/itmghc89gxvkzyxr?pid=MOBGHC89GXVKZYXR'))
+      .toBe('flipkart:MOBGHC89GXVKZYXR');
+    expect(canonicalKeyFromUrl('https://www.myntra.com/tshirts/roadster/12345678/buy')).toBe('myntra:12345678');
+    expect(canonicalKeyFromUrl('https://www.meesho.com/product/mens-tshirt/87654321')).toBe('meesho:87654321');
+  });
+
+  test('should return null for search pages and unknown sites', () => {
+    expect(canonicalKeyFromUrl('https://www.flipkart.com/search?q=iphone')).toBeNull();
+    expect(canonicalKeyFromUrl('https://example.com/dp/B0BN94DM8Z')).toBeNull();
+    expect(canonicalKeyFromUrl('not a url')).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * tests/quantity.test.js - Unit Tests for Quantity Parsing and Per-Unit Prices
+ *
+ * Tests shared/quantity.js (used by the matcher and the popup)
+ *
+ * RUN: npm test
+ */
+
+const quantity = require('../shared/quantity');
+
+describe('Quantity Parser', () => {
+  test('should normalize volume and mass units', () => {
+    expect(quantity.parseQuantity('Dove Shampoo 1 L')).toMatchObject({ dimension: 'volume', unit: 'ml', amount: 1000 });
+    expect(quantity.parseQuantity('Coke 1.25 Ltr')).toMatchObject({ unit: 'ml', amount: 1250 });
+    expect(quantity.parseQuantity('Tata Salt 1kg')).toMatchObject({ dimension: 'mass', unit: 'g', amount: 1000 });
+    expect(quantity.parseQuantity('Almonds 500 gm')).toMatchObject({ unit: 'g', amount: 500 });
+    expect(quantity.parseQuantity('Body Lotion 16.9 fl oz')).toMatchObject({ unit: 'ml', amount: 499.8 });
+    expect(quantity.parseQuantity('Peanut Butter 16 oz')).toMatchObject({ unit: 'g', amount: 453.6 });
+  });
+
+  test('should multiply multipacks', () => {
+    const expected = { unit: 'ml', amount: 500, count: 2, perItem: 250 };
+
+    expect(quantity.parseQuantity('Dove Shampoo 2 x 250ml')).toMatchObject(expected);
+    expect(quantity.parseQuantity('Dove Shampoo 250ml x 2')).toMatchObject(expected);
+    expect(quantity.parseQuantity('Dove Shampoo 250 ml (Pack of 2)')).toMatchObject(expected);
+    expect(quantity.parseQuantity('Maggi 70g (Pack of 12)')).toMatchObject({ amount: 840, count: 12 });
+  });
+
+  test('should tell per-item measures from totals', () => {
+    const colgate = quantity.parseQuantity('Colgate Toothpaste 200 g each, Pack of 2, 400g total');
+
+    expect(colgate).toMatchObject({ unit: 'g', amount: 400, count: 2, perItem: 200 });
+    expect(quantity.unitPriceCents(20000, colgate)).toBe(5000);
+    expect(quantity.parseQuantity('Dove Shampoo Pack of 2, 500ml total')).toMatchObject({ amount: 500, count: 2, perItem: 250 });
+    expect(quantity.parseQuantity('Nescafe Classic 100g per jar, Pack of 2')).toMatchObject({ amount: 200, count: 2, perItem: 100 });
+  });
+
+  test('should parse counts and ignore storage sizes', () => {
+    expect(quantity.parseQuantity('Multivitamin 60 Tablets')).toMatchObject({ dimension: 'count', amount: 60 });
+    expect(quantity.parseQuantity('Apple iPhone 15 128GB')).toBeNull();
+    expect(quantity.parseQuantity('Boat Airdopes 141')).toBeNull();
+  });
+
+  test('should read "5G" / "4G" in phone titles as the network, not grams', () => {
+    expect(quantity.parseQuantity('Samsung Galaxy S23 5G (Phantom Black, 8GB, 128GB Storage)')).toBeNull();
+    expect(quantity.parseQuantity('realme narzo 60 5G')).toBeNull();
+    expect(quantity.parseQuantity('Nokia 105 4G Dual SIM Phone')).toBeNull();
+    expect(quantity.parseQuantity('JioFi 4G Wireless Hotspot Router')).toBeNull();
+    expect(quantity.parseQuantity('Kesar Saffron 2g')).toMatchObject({ unit: 'g', amount: 2 });
+    expect(quantity.parseQuantity('Maggi 70g (Pack of 12)')).toMatchObject({ amount: 840 });
+  });
+
+  test('should compare quantities', () => {
+    const half = quantity.parseQuantity('500 ml');
+
+    expect(quantity.sameQuantity(half, quantity.parseQuantity('2 x 250ml'))).toBe(true);
+    expect(quantity.sameQuantity(half, quantity.parseQuantity('1 L'))).toBe(false);
+    expect(quantity.sameQuantity(half, quantity.parseQuantity('500 g'))).toBeNull();
+  });
+
+  test('should compute per-unit prices', () => {
+    const pack = quantity.parseQuantity('Dove Shampoo 2 x 250ml');
+
+    expect(quantity.unitPriceCents(39900, pack)).toBe(7980);
+    expect(quantity.unitBasisLabel(pack)).toBe('100 ml');
+    expect(quantity.formatQuantity(pack)).toBe('2 × 250 ml');
+    expect(quantity.unitPriceCents(29900, quantity.parseQuantity('60 Tablets'))).toBe(498);
+    expect(quantity.unitPriceCents(29900, null)).toBeNull();
+  });
+});
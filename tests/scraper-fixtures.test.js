@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/scraper-fixtures.test.js - Scraper Tests Against Saved HTML Pages
+ *
+ * Replays the pages in tests/fixtures/html through scrapeSearchResults,
+ * scrapeProductUrl and scrapePrice (no browser or network), checks
+ * record mode in server/utils/htmlFixtures.js and the history-based trends
+ * (node environment: cheerio's browser build does not load under jsdom)
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureStore, fixtureKey } = require('../server/utils/htmlFixtures');
+const { createPriceHistoryStore } = require('../server/utils/priceHistory');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'html');
+
+const AMAZON_PRODUCT_URL = 'https://www.amazon.in/dp/B0B6GJ1ZGJ';
+const FLIPKART_PRODUCT_URL = 'https://www.flipkart.com/boat-airdopes-141-42h-playtime/p/itm8b3f5a1c2d4e6?pid=ACCGHGZ7YHZQ8XKF';
+const MEESHO_PRODUCT_URL = 'https://www.meesho.com/trendy-cotton-kurtis/p/2ab3cd';
+
+let tmpDir;
+const savedEnv = { ...process.env };
+
+// Load a fresh scraper with fixture settings from the environment
+function loadScraper(env) {
+  Object.assign(process.env, env, { SMARTSHOPPER_DATA_DIR: path.join(tmpDir, 'data') });
+  let scraper;
+  jest.isolateModules(() => {
+    scraper = require('../server/utils/scraper');
+  });
+  return scraper;
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-fixtures-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+  jest.dontMock('node-fetch');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('Scraper Replay Mode', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = loadScraper({ SCRAPER_FIXTURES: 'replay', SCRAPER_FIXTURES_DIR: FIXTURES_DIR });
+  });
+
+  test('should parse saved search pages for every site', async () => {
+    const cases = [
+      ['amazon', 'boat airdopes 141', 2, 1099],
+      ['flipkart', 'boat airdopes 141', 1, 1199],
+      ['myntra', 'roadster t-shirt', 1, 359],
+      ['meesho', 'cotton kurti', 1, 289]
+    ];
+
+    for (const [site, query, count, firstPrice] of cases) {
+      const results = await scraper.scrapeSearchResults(site, query, 5);
+      expect(results).toHaveLength(count);
+      expect(results[0].numericPrice).toBe(firstPrice);
+      expect(results[0].url).toMatch(/^https:\/\/www\./);
+      expect(results[0].image).toMatch(/^https:\/\/.+\.jpe?g$/);
+    }
+  });
+
+  test('should parse saved product pages', async () => {
+    await expect(scraper.scrapeProductUrl(AMAZON_PRODUCT_URL)).resolves.toMatchObject({
+      site: 'Amazon',
+      productName: 'boAt Airdopes 141 Bluetooth TWS Earbuds with 42H Playtime (Bold Black)',
+      price: '₹1,099',
+      availability: 'In Stock'
+    });
+    await expect(scraper.scrapeProductUrl(FLIPKART_PRODUCT_URL)).resolves.toMatchObject({ site: 'Flipkart', numericPrice: 1199 });
+    await expect(scraper.scrapeProductUrl(MEESHO_PRODUCT_URL)).resolves.toMatchObject({ numericPrice: 289, availability: 'Out of Stock' });
+  });
+
+  test('should serve fixtures to the fetch/cheerio path', async () => {
+    await expect(scraper.scrapePrice(AMAZON_PRODUCT_URL)).resolves.toBe('₹1,099');
+    await expect(scraper.scrapePrice(FLIPKART_PRODUCT_URL)).resolves.toBe('₹1,199');
+  });
+
+  test('should record a search page\'s price points in one write', async () => {
+    const historyPath = path.join(tmpDir, 'data', 'price-history.json');
+    const writes = jest.spyOn(fs, 'writeFileSync');
+
+    await scraper.scrapeSearchResults('amazon', 'boat airdopes 141', 5);
+
+    const historyWrites = writes.mock.calls.filter(([file]) => file === `${historyPath}.tmp`);
+    expect(historyWrites).toHaveLength(1);
+    expect(Object.keys(JSON.parse(fs.readFileSync(historyPath, 'utf8')).products)).toHaveLength(2);
+  });
+
+  test('should fail instead of going online when a page was not recorded', async () => {
+    await expect(scraper.scrapeProductUrl('https://www.amazon.in/dp/B000000000')).resolves.toBeNull();
+    await expect(scraper.scrapeSearchResults('amazon', 'never recorded')).resolves.toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(expect.any(String), expect.stringContaining('No HTML fixture recorded'));
+  });
+});
+
+describe('Scraper Record Mode', () => {
+  test('should save fetched pages and replay them later', async () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'www.amazon.in', 'dp-B0B6GJ1ZGJ.html'), 'utf8');
+    const fetchMock = jest.fn(async () => ({ ok: true, status: 200, text: async () => html }));
+    jest.doMock('node-fetch', () => fetchMock);
+
+    const recorder = loadScraper({ SCRAPER_FIXTURES: 'record', SCRAPER_FIXTURES_DIR: tmpDir });
+    await expect(recorder.scrapePrice(`${AMAZON_PRODUCT_URL}#reviews`)).resolves.toBe('₹1,099');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    jest.dontMock('node-fetch');
+    const replayer = loadScraper({ SCRAPER_FIXTURES: 'replay', SCRAPER_FIXTURES_DIR: tmpDir });
+    await expect(replayer.scrapePrice(AMAZON_PRODUCT_URL)).resolves.toBe('₹1,099');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Price Trends', () => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  let scraper;
+
+  beforeEach(() => {
+    const history = createPriceHistoryStore(path.join(tmpDir, 'data', 'price-history.json'));
+    history.addPricePoints([
+      { canonical_key: 'amazon:B0B6GJ1ZGJ', price_cents: 129900, ts: Date.now() - 3 * dayMs },
+      { canonical_key: 'amazon:B0B6GJ1ZGJ', price_cents: 119900, ts: Date.now() - 2 * dayMs },
+      { canonical_key: 'amazon:B0B6GJ1ZGJ', price_cents: 109900, ts: Date.now() - dayMs }
+    ]);
+    scraper = loadScraper({});
+  });
+
+  test('should estimate trends from stored price history', async () => {
+    await expect(scraper.estimateTrend(AMAZON_PRODUCT_URL)).resolves.toBe('Falling');
+    await expect(scraper.estimateTrend(FLIPKART_PRODUCT_URL)).resolves.toBe('Unknown');
+    await expect(scraper.estimateTrend('https://example.com/item')).resolves.toBe('Unknown');
+  });
+
+  test('should analyze a current price against history', async () => {
+    await expect(scraper.analyzePriceHistory('amazon:B0B6GJ1ZGJ', 1399)).resolves.toEqual({
+      lowestPrice: 1099,
+      highestPrice: 1399,
+      averagePrice: 1249,
+      trend: 'Rising',
+      recommendation: 'Wait for discount'
+    });
+    await expect(scraper.analyzePriceHistory('amazon:B0B6GJ1ZGJ', 1049)).resolves.toMatchObject({
+      trend: 'Falling',
+      recommendation: 'Buy Now'
+    });
+    await expect(scraper.analyzePriceHistory('meesho:unknown', 289)).resolves.toMatchObject({
+      lowestPrice: 289,
+      trend: 'Unknown'
+    });
+  });
+});
+
+describe('Fixture Store', () => {
+  test('should key pages by URL without fragment', () => {
+    const store = createFixtureStore({ dir: tmpDir, mode: 'record' });
+    const file = store.write('https://www.myntra.com/search?q=kurta#top', '<html></html>');
+
+    expect(fixtureKey('https://www.myntra.com/search?q=kurta#top')).toBe('https://www.myntra.com/search?q=kurta');
+    expect(path.dirname(file)).toBe(path.join(tmpDir, 'www.myntra.com'));
+    expect(store.has('https://www.myntra.com/search?q=kurta')).toBe(true);
+    expect(store.read('https://www.myntra.com/search?q=kurta')).toBe('<html></html>');
+    expect(createFixtureStore({ dir: tmpDir }).record('https://www.myntra.com/x', 'x')).toBeNull();
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => createFixtureStore({ dir: tmpDir, mode: 'replya' })).toThrow('Invalid fixture mode');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/search-cache.test.js - Unit Tests for the Cross-Site Search Cache
+ *
+ * Tests TTL/key rules in server/utils/searchCache.js and the cache
+ * headers on GET /v1/search-crosssite (scraping replays an empty fixture
+ * directory, so candidates come from the mock fallback)
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createSearchCache, cacheKey } = require('../server/utils/searchCache');
+
+const MINUTE = 60 * 1000;
+
+describe('Search Cache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 1_000_000;
+  });
+
+  test('should key by normalized query and excluded site', () => {
+    expect(cacheKey('  Boat Airdopes-141!! ', 'Amazon')).toBe(cacheKey('boat airdopes 141', 'amazon'));
+    expect(cacheKey('boat airdopes 141', 'amazon')).not.toBe(cacheKey('boat airdopes 141', 'flipkart'));
+  });
+
+  test('should use the shortest TTL among candidate sources', () => {
+    const cache = createSearchCache({ now });
+
+    expect(cache.ttlFor([{ source: 'rapidapi' }])).toBe(60 * MINUTE);
+    expect(cache.ttlFor([{ source: 'rapidapi' }, { source: 'puppeteer' }])).toBe(30 * MINUTE);
+    expect(cache.ttlFor([{ mock: true }])).toBe(MINUTE);
+    expect(createSearchCache({ durationMs: 5 * MINUTE }).ttlFor([{ source: 'rapidapi' }])).toBe(5 * MINUTE);
+    expect(createSearchCache({ sourceTtlMs: { rapidapi: 2 * MINUTE } }).ttlFor([{ source: 'rapidapi' }])).toBe(2 * MINUTE);
+    expect(cache.ttlFor([{ source: 'rapidapi' }], { amazon: { status: 'ok' }, meesho: { status: 'timeout' } })).toBe(MINUTE);
+  });
+
+  test('should expire entries and honour max age', () => {
+    const cache = createSearchCache({ now });
+    cache.set('iphone 15', 'amazon', [{ source: 'puppeteer', title: 'Apple iPhone 15' }]);
+
+    time += 10 * MINUTE;
+    expect(cache.get('iphone 15', 'amazon')).toMatchObject({ ageMs: 10 * MINUTE, ttlMs: 30 * MINUTE });
+    expect(cache.get('iphone 15', 'amazon', { maxAgeMs: 5 * MINUTE })).toBeNull();
+
+    time += 21 * MINUTE;
+    expect(cache.get('iphone 15', 'amazon')).toBeNull();
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2, size: 0 });
+  });
+
+  test('should evict oldest entries and do nothing when disabled', () => {
+    const cache = createSearchCache({ now, maxEntries: 2 });
+    cache.set('a', 'amazon', []);
+    cache.set('b', 'amazon', []);
+    cache.set('c', 'amazon', []);
+
+    expect(cache.size()).toBe(2);
+    expect(cache.get('a', 'amazon')).toBeNull();
+
+    const disabled = createSearchCache({ enabled: false, now });
+    expect(disabled.set('a', 'amazon', [])).toBeNull();
+    expect(disabled.get('a', 'amazon')).toBeNull();
+  });
+});
+
+describe('GET /v1/search-crosssite caching', () => {
+  const savedEnv = { ...process.env };
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-cache-'));
+    Object.assign(process.env, {
+      SCRAPER_FIXTURES: 'replay',
+      SCRAPER_FIXTURES_DIR: path.join(tmpDir, 'fixtures'),
+      SMARTSHOPPER_DATA_DIR: path.join(tmpDir, 'data'),
+      RAPIDAPI_AMAZON_KEY: '',
+      RAPIDAPI_FLIPKART_KEY: ''
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let routes;
+    jest.isolateModules(() => {
+      routes = require('../server/routes/search-crosssite');
+    });
+
+    const app = express();
+    app.use('/v1', routes);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/v1/search-crosssite`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const query = (extra = {}) => `${baseUrl}?${new URLSearchParams({ site: 'amazon', id: 'B0B6GJ1ZGJ', title: 'boat airdopes 141', ...extra })}`;
+
+  test('should cache candidates and revalidate with ETag', async () => {
+    const first = await fetch(query());
+    const firstBody = await first.json();
+    const etag = first.headers.get('etag');
+
+    expect(firstBody._meta.cache).toMatchObject({ enabled: true, hit: false, sources: ['mock'], ttl_ms: MINUTE });
+    expect(etag).toMatch(/^W\/"[0-9a-f]+"$/);
+    expect(first.headers.get('cache-control')).toMatch(/^private, max-age=\d+$/);
+
+    const second = await fetch(query({ id: 'OTHER_ID_SAME_TITLE' }));
+    const secondBody = await second.json();
+    expect(secondBody._meta.cache.hit).toBe(true);
+    expect(secondBody.results).toEqual(firstBody.results);
+
+    // fetch() sends Cache-Control: no-cache on conditional requests unless told otherwise
+    const revalidated = await fetch(query(), { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+    expect(revalidated.status).toBe(304);
+  });
+
+  test('should bypass the cache with fresh=1', async () => {
+    const res = await fetch(query({ fresh: '1' }));
+    const body = await res.json();
+
+    expect(body._meta.cache).toMatchObject({ hit: false, bypassed: true });
+  });
+
+  test('should bypass the cache on Cache-Control: no-cache', async () => {
+    const res = await fetch(query(), { headers: { 'Cache-Control': 'no-cache' } });
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body._meta.cache.bypassed).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/search-stream.test.js - Tests for GET /v1/search-crosssite/stream
+ *
+ * Candidates come from the mock RapidAPI (Amazon, Flipkart) and replayed
+ * fixtures (Meesho has none for the query, so its site event is empty)
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { startMockRapidApi } = require('../server/mock/rapidapiServer');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'html');
+
+// Parse an SSE body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const lines = block.split('\n');
+    const field = name => lines.find(line => line.startsWith(`${name}: `)).slice(name.length + 2);
+    return { event: field('event'), data: JSON.parse(field('data')) };
+  });
+}
+
+describe('GET /v1/search-crosssite/stream', () => {
+  const savedEnv = { ...process.env };
+  let mock;
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    mock = await startMockRapidApi({ port: 0 });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-stream-'));
+    Object.assign(process.env, {
+      RAPIDAPI_AMAZON_URL: `${mock.url}/amazon`,
+      RAPIDAPI_AMAZON_KEY: 'mock-key',
+      RAPIDAPI_FLIPKART_URL: `${mock.url}/flipkart/fk-product-details`,
+      RAPIDAPI_FLIPKART_KEY: 'mock-key',
+      SCRAPER_FIXTURES: 'replay',
+      SCRAPER_FIXTURES_DIR: FIXTURES_DIR,
+      SMARTSHOPPER_DATA_DIR: tmpDir
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let routes;
+    jest.isolateModules(() => {
+      routes = require('../server/routes/search-crosssite');
+    });
+
+    const app = express();
+    app.use('/v1', routes);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/v1/search-crosssite/stream`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => mock.server.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const query = (extra = {}) => `${baseUrl}?${new URLSearchParams({ site: 'myntra', id: '2314271', title: 'boat airdopes 141', ...extra })}`;
+
+  test('should emit start, one event per site, then the summary', async () => {
+    const res = await fetch(query());
+    const events = parseEvents(await res.text());
+
+    expect(res.headers.get('content-type')).toMatch(/^text\/event-stream/);
+    expect(events[0]).toMatchObject({ event: 'start', data: { sites: ['amazon', 'flipkart', 'meesho'] } });
+    expect(events[events.length - 1].event).toBe('summary');
+
+    const siteEvents = events.filter(e => e.event === 'site');
+    expect(siteEvents.map(e => e.data.site).sort()).toEqual(['amazon', 'flipkart', 'meesho']);
+
+    const bySite = Object.fromEntries(siteEvents.map(e => [e.data.site, e.data]));
+    expect(bySite.amazon.result).toMatchObject({ available: true, site_id: 'B0B6GJ1ZGJ', price_cents: 109900 });
+    expect(bySite.meesho).toMatchObject({ candidates: 0, result: { available: false } });
+
+    // Per-site scores agree with the summary
+    const summary = events[events.length - 1].data;
+    summary.results.forEach(result => {
+      expect(bySite[result.site].result).toEqual(result);
+    });
+    expect(summary._meta.cache.hit).toBe(false);
+  });
+
+  test('should replay site events from the search cache', async () => {
+    const events = parseEvents(await (await fetch(query())).text());
+
+    expect(events.filter(e => e.event === 'site')).toHaveLength(3);
+    expect(events[events.length - 1].data._meta.cache.hit).toBe(true);
+  });
+
+  test('should reject missing parameters before streaming', async () => {
+    const res = await fetch(`${baseUrl}?site=myntra`);
+
+    expect(res.status).toBe(400);
+    expect(await res.json()).toMatchObject({ error: 'Missing required parameters' });
+  });
+});
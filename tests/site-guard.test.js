@@ -0,0 +1,242 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/site-guard.test.js - Unit Tests for Per-Site Deadlines, Retries and Circuit Breaker
+ *
+ * Tests server/utils/siteGuard.js and the per-site status it adds to
+ * /v1/search-crosssite (`_meta.sites`, `site_status` on result rows)
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createSiteGuard } = require('../server/utils/siteGuard');
+const { startMockRapidApi } = require('../server/mock/rapidapiServer');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'html');
+
+function blockedError() {
+  const err = new Error('RapidAPI error: 429');
+  err.code = 'SITE_BLOCKED';
+  return err;
+}
+
+describe('Site Guard', () => {
+  let time;
+  const now = () => time;
+  const sleep = jest.fn(() => Promise.resolve());
+
+  beforeEach(() => {
+    time = 1_000_000;
+    sleep.mockClear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should retry failures with doubling backoff', async () => {
+    const guard = createSiteGuard({ retries: 2, backoffMs: 100, now, sleep });
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce(['product']);
+
+    const result = await guard.run('flipkart', fn);
+
+    expect(result).toMatchObject({ status: 'ok', value: ['product'], attempts: 3 });
+    expect(sleep.mock.calls).toEqual([[100], [200]]);
+  });
+
+  test('should time out slow calls', async () => {
+    const guard = createSiteGuard({ timeoutMs: 20, retries: 1, sleep });
+
+    const result = await guard.run('myntra', () => new Promise(() => {}));
+
+    expect(result).toMatchObject({ status: 'timeout', attempts: 2, value: null });
+    expect(result.error).toMatch(/Timed out after 20ms/);
+  });
+
+  test('should abort a timed-out attempt before retrying', async () => {
+    const guard = createSiteGuard({ timeoutMs: 20, retries: 1, sleep });
+    const signals = [];
+
+    const result = await guard.run('myntra', signal => {
+      signals.push({ signal, abortedAtStart: signals.map(previous => previous.signal.aborted) });
+      return new Promise(() => {});
+    });
+
+    expect(result).toMatchObject({ status: 'timeout', attempts: 2 });
+    expect(signals[1].abortedAtStart).toEqual([true]);
+    expect(signals[1].signal.aborted).toBe(true);
+    expect(signals[0].signal.reason.code).toBe('TIMEOUT');
+  });
+
+  test('should not retry blocked sites', async () => {
+    const guard = createSiteGuard({ retries: 3, now, sleep });
+    const fn = jest.fn().mockRejectedValue(blockedError());
+
+    await expect(guard.run('amazon', fn)).resolves.toMatchObject({ status: 'blocked', attempts: 1 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should open the circuit after repeated failures and probe after cooldown', async () => {
+    const guard = createSiteGuard({ retries: 0, failureThreshold: 2, cooldownMs: 60000, now, sleep });
+    const failing = jest.fn().mockRejectedValue(new Error('boom'));
+
+    await guard.run('meesho', failing);
+    const opened = await guard.run('meesho', failing);
+    expect(opened.retry_at).toBe(new Date(time + 60000).toISOString());
+
+    const skipped = await guard.run('meesho', failing);
+    expect(skipped).toMatchObject({ status: 'circuit-open', attempts: 0 });
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(guard.state().meesho).toMatchObject({ failures: 2, open: true });
+
+    // Cooldown over: one trial call goes through and closes the circuit
+    time += 60000;
+    await expect(guard.run('meesho', () => Promise.resolve([]))).resolves.toMatchObject({ status: 'ok' });
+    expect(guard.state().meesho).toMatchObject({ failures: 0, open: false });
+  });
+});
+
+describe('GET /v1/search-crosssite site status', () => {
+  const savedEnv = { ...process.env };
+  let mock;
+  let blockedApi;
+  let amazonCalls = 0;
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    mock = await startMockRapidApi({ port: 0 });
+
+    // Amazon stand-in that always rate limits
+    const blockedApp = express();
+    blockedApp.get('/amazon/search', (req, res) => {
+      amazonCalls++;
+      res.status(429).json({ message: 'Too many requests' });
+    });
+    blockedApi = blockedApp.listen(0);
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-guard-'));
+    Object.assign(process.env, {
+      RAPIDAPI_AMAZON_URL: `http://localhost:${blockedApi.address().port}/amazon`,
+      RAPIDAPI_AMAZON_KEY: 'mock-key',
+      RAPIDAPI_FLIPKART_URL: `${mock.url}/flipkart/fk-product-details`,
+      RAPIDAPI_FLIPKART_KEY: 'mock-key',
+      SCRAPER_FIXTURES: 'replay',
+      SCRAPER_FIXTURES_DIR: FIXTURES_DIR,
+      SMARTSHOPPER_DATA_DIR: tmpDir,
+      SITE_RETRIES: '1',
+      SITE_RETRY_BACKOFF_MS: '0',
+      SITE_BREAKER_THRESHOLD: '1'
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let routes;
+    jest.isolateModules(() => {
+      routes = require('../server/routes/search-crosssite');
+    });
+
+    const app = express();
+    app.use('/v1', routes);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/v1/search-crosssite`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => blockedApi.close(resolve));
+    await new Promise(resolve => mock.server.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const query = () => `${baseUrl}?${new URLSearchParams({ site: 'myntra', id: '2314271', title: 'boat airdopes 141', fresh: '1' })}`;
+
+  test('should report per-site status and explain missing rows', async () => {
+    const body = await (await fetch(query())).json();
+    const bySite = Object.fromEntries(body.results.map(result => [result.site, result]));
+
+    expect(body._meta.sites.amazon).toMatchObject({ status: 'blocked', attempts: 1, candidates: 0 });
+    expect(body._meta.sites.flipkart).toMatchObject({ status: 'ok', candidates: 1 });
+    // No Meesho fixture for this query: both attempts fail
+    expect(body._meta.sites.meesho).toMatchObject({ status: 'error', attempts: 2 });
+
+    expect(bySite.amazon).toMatchObject({ available: false, site_status: 'blocked', reason: 'Site is blocking or rate limiting us' });
+    expect(bySite.flipkart).toMatchObject({ available: true, site_status: 'ok' });
+  });
+
+  test('should skip sites with an open circuit', async () => {
+    const callsBefore = amazonCalls;
+    const body = await (await fetch(query())).json();
+    const amazon = body.results.find(result => result.site === 'amazon');
+
+    expect(amazonCalls).toBe(callsBefore);
+    expect(body._meta.sites.amazon).toMatchObject({ status: 'circuit-open', attempts: 0 });
+    expect(body._meta.sites.amazon.retry_at).toEqual(expect.any(String));
+    expect(amazon).toMatchObject({ site_status: 'circuit-open', reason: 'Site skipped after repeated failures' });
+  });
+});
+
+describe('Cancelling timed-out scraper calls', () => {
+  const savedEnv = { ...process.env };
+  let hangingApi;
+  let requests;
+
+  beforeAll(() => {
+    // Amazon stand-in that never answers
+    const hangingApp = express();
+    hangingApp.get('/amazon/search', req => {
+      const request = { closed: false };
+      requests.push(request);
+      req.on('close', () => {
+        request.closed = true;
+      });
+    });
+    hangingApi = hangingApp.listen(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    hangingApi.closeAllConnections();
+    await new Promise(resolve => hangingApi.close(resolve));
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+  });
+
+  test('should close the request of every timed-out attempt', async () => {
+    Object.assign(process.env, {
+      RAPIDAPI_AMAZON_URL: `http://localhost:${hangingApi.address().port}/amazon`,
+      RAPIDAPI_AMAZON_KEY: 'mock-key'
+    });
+    let scraper;
+    jest.isolateModules(() => {
+      scraper = require('../server/utils/scraper');
+    });
+    const guard = createSiteGuard({ timeoutMs: 100, retries: 1, sleep: () => Promise.resolve() });
+
+    const result = await guard.run('amazon', signal =>
+      scraper.searchAmazonRapidAPI('boat airdopes 141', 3, { throwOnError: true, signal }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(result).toMatchObject({ status: 'timeout', attempts: 2 });
+    expect(requests).toEqual([{ closed: true }, { closed: true }]);
+  });
+});
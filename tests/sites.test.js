@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * tests/sites.test.js - Unit Tests for Site Adapters
+ *
+ * Tests the adapter registry in sites/ (URL detection, ID extraction,
+ * search URLs) and the shared parsers on both cheerio and DOM input
+ * (node environment: cheerio's browser build does not load under jsdom)
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { JSDOM } = require('jsdom');
+const sites = require('../sites');
+
+const AMAZON_SEARCH_HTML = `
+  <div data-component-type="s-search-result">
+    <h2><a class="a-link-normal" href="/Apple-iPhone-15/dp/B0CHX1W1XY"><span>Apple iPhone 15 (128 GB) - Black</span></a></h2>
+    <span class="a-price"><span class="a-offscreen">₹69,900</span></span>
+    <img class="s-image" src="https://m.media-amazon.com/images/I/iphone.jpg">
+  </div>
+  <div data-component-type="s-search-result">
+    <h2><a href="/dp/B0CHX2F5QT"><span>Sponsored result without price</span></a></h2>
+  </div>
+`;
+
+describe('Site Registry', () => {
+  test('should register all built-in sites', () => {
+    expect(sites.ids()).toEqual(['amazon', 'flipkart', 'myntra', 'meesho']);
+    expect(sites.get('Amazon')).toBe(sites.get('amazon'));
+    expect(sites.get('ebay')).toBeNull();
+  });
+
+  test('should detect site and build canonical keys from URLs', () => {
+    expect(sites.canonicalKeyFromUrl('https://www.amazon.in/Apple-iPhone/dp/B0CHX1W1XY?th=1')).toBe('amazon:B0CHX1W1XY');
+    expect(sites.canonicalKeyFromUrl('https://www.flipkart.com/phone/p/itmabc123?pid=MOBGTAGPTB3VS24W')).toBe('flipkart:MOBGTAGPTB3VS24W');
+    expect(sites.canonicalKeyFromUrl('https://www.myntra.com/tshirts/roadster/12345678/buy')).toBe('myntra:12345678');
+    expect(sites.canonicalKeyFromUrl('https://www.meesho.com/cotton-kurti/p/2ab3cd')).toBe('meesho:2ab3cd');
+    expect(sites.canonicalKeyFromUrl('https://www.example.com/dp/B0CHX1W1XY')).toBeNull();
+    expect(sites.detect('not a url')).toBeNull();
+  });
+
+  test('should build search URLs', () => {
+    expect(sites.get('amazon').searchUrl('iphone 15')).toBe('https://www.amazon.in/s?k=iphone%2015');
+    expect(sites.get('flipkart').searchUrl('iphone 15')).toBe('https://www.flipkart.com/search?q=iphone%2015');
+  });
+
+  test('should load the same adapters in the extension as SITE_FILES', () => {
+    const manifest = fs.readFileSync(path.join(__dirname, '..', 'sites', 'adapters.js'), 'utf8');
+    const imports = [...manifest.matchAll(/^import '\.\/([\w-]+\.js)';$/gm)].map(match => match[1]);
+
+    expect(imports).toEqual(['registry.js', ...sites.SITE_FILES]);
+  });
+
+  test('should try JSON-LD ID fields in order until one is valid', () => {
+    const amazon = sites.get('amazon');
+
+    expect(amazon.idFromJsonLd({ sku: 'B0CHX1W1XY', productID: 'B0CHX2F5QT' })).toBe('B0CHX1W1XY');
+    expect(amazon.idFromJsonLd({ sku: 'APL-IP15-128-BLK', productID: 'B0CHX1W1XY' })).toBe('B0CHX1W1XY');
+    expect(amazon.idFromJsonLd({ sku: 'apl-ip15', gtin13: 'B0CHX1W1XY' })).toBe('B0CHX1W1XY');
+    expect(amazon.idFromJsonLd({ sku: 'apl-ip15', gtin13: '0194253401810' })).toBeNull();
+    expect(sites.get('myntra').idFromJsonLd({ productID: 12345678 })).toBe('12345678');
+    expect(amazon.idFromJsonLd(null)).toBeNull();
+  });
+
+  test('should register a new site through defineAdapter', () => {
+    sites.register(sites.defineAdapter({
+      id: 'ajio',
+      name: 'Ajio',
+      baseUrl: 'https://www.ajio.com',
+      hosts: ['ajio.com'],
+      searchPath: '/search/?text=',
+      idPatterns: [/\/p\/(\d+_\w+)/]
+    }));
+
+    expect(sites.ids()).toContain('ajio');
+    expect(sites.canonicalKeyFromUrl('https://www.ajio.com/shirt/p/469581234_blue')).toBe('ajio:469581234_blue');
+    expect(() => sites.register({})).toThrow('Site adapter must have an id');
+  });
+});
+
+describe('Site Parsers', () => {
+  test('should parse search results from cheerio', () => {
+    const results = sites.get('amazon').parseSearchResults(sites.fromCheerio(cheerio.load(AMAZON_SEARCH_HTML)));
+
+    expect(results).toEqual([{
+      productName: 'Apple iPhone 15 (128 GB) - Black',
+      priceText: '₹69,900',
+      url: 'https://www.amazon.in/Apple-iPhone-15/dp/B0CHX1W1XY',
+      image: 'https://m.media-amazon.com/images/I/iphone.jpg'
+    }]);
+  });
+
+  test('should parse the same results from a DOM document', () => {
+    const { document } = new JSDOM(AMAZON_SEARCH_HTML).window;
+    const fromDom = sites.get('amazon').parseSearchResults(sites.fromDom(document));
+    const fromCheerio = sites.get('amazon').parseSearchResults(sites.fromCheerio(cheerio.load(AMAZON_SEARCH_HTML)));
+
+    expect(fromDom).toEqual(fromCheerio);
+  });
+
+  test('should parse product pages with price, MRP and availability', () => {
+    const $ = cheerio.load(`
+      <span id="productTitle"> Boat Airdopes 141 </span>
+      <div class="priceToPay"><span class="a-offscreen">₹1,299.00</span></div>
+      <div class="basisPrice"><span class="a-offscreen">₹4,490</span></div>
+      <div id="availability"><span>Currently unavailable.</span></div>
+    `);
+
+    expect(sites.get('amazon').parseProductPage(sites.fromCheerio($))).toEqual({
+      productName: 'Boat Airdopes 141',
+      priceText: '₹1,299.00',
+      mrpText: '₹4,490',
+      availability: 'Out of Stock'
+    });
+  });
+
+  test('should fall back to page text and URL slug on Flipkart', () => {
+    const $ = cheerio.load('<body><div class="unknown">Special price ₹ 12,999</div></body>');
+    const page = sites.get('flipkart').parseProductPage(sites.fromCheerio($), {
+      url: 'https://www.flipkart.com/samsung-galaxy-m14/p/itm123'
+    });
+
+    expect(page.priceText).toBe('₹ 12,999');
+    expect(page.productName).toBe('samsung galaxy m14');
+  });
+
+  test('should parse prices from display text', () => {
+    expect(sites.parsePrice('₹1,499.00')).toBe(1499);
+    expect(sites.parsePrice('18,930.')).toBe(18930);
+    expect(sites.parsePrice('Free')).toBeNull();
+  });
+});
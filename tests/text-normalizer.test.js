@@ -0,0 +1,96 @@
+/**
+ * tests/text-normalizer.test.js - Multilingual Title Normalization Tests
+ *
+ * Tests Unicode normalization, Devanagari transliteration and the synonym
+ * table (server/utils/textNormalizer.js) and their effect on matching.
+ *
+ * RUN: npm test
+ */
+
+const {
+  normalizeText,
+  transliterateDevanagari,
+  canonicalToken,
+  SYNONYMS
+} = require('../server/utils/textNormalizer');
+const { tokenize, scoreCandidate } = require('../server/matcher');
+
+describe('normalizeText', () => {
+  test('should keep letters of every script instead of deleting them', () => {
+    expect(normalizeText('தமிழ் சேலை (Silk)')).toBe('தமிழ் சேலை silk');
+  });
+
+  test('should strip Latin diacritics, fold full-width forms and drop punctuation', () => {
+    expect(normalizeText('Café — ＡＢＣ１２３, T_Shirt!')).toBe('cafe abc123 t shirt');
+  });
+
+  test('should romanize Devanagari', () => {
+    expect(normalizeText('लाल कुर्ती (Cotton)')).toBe('lal kurti cotton');
+  });
+
+  test('should return an empty string for empty input', () => {
+    expect(normalizeText('')).toBe('');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('transliterateDevanagari', () => {
+  test.each([
+    ['साड़ी', 'sari'],
+    ['कुर्ता', 'kurta'],
+    ['लाल', 'lal'],
+    ['रंग', 'rang'],
+    ['ज़री', 'zari'],
+    ['फ़ैशन', 'faishan'],
+    ['बच्चों', 'bachchon'],
+    ['न', 'na'],
+    ['में', 'mein'],
+    ['२५० ग्राम', '250 gram']
+  ])('should romanize %s as %s', (devanagari, latin) => {
+    expect(transliterateDevanagari(devanagari)).toBe(latin);
+  });
+
+  test('should leave other text alone', () => {
+    expect(transliterateDevanagari('Red साड़ी 5G')).toBe('Red sari 5G');
+  });
+});
+
+describe('Synonyms', () => {
+  test('should map spellings and Hindi words to one token', () => {
+    expect(canonicalToken('sari')).toBe('saree');
+    expect(canonicalToken('kurti')).toBe('kurta');
+    expect(canonicalToken('haldi')).toBe('turmeric');
+    expect(canonicalToken('lal')).toBe('red');
+    expect(canonicalToken('phone')).toBe('phone');
+  });
+
+  test('should list every variant once', () => {
+    const variants = SYNONYMS.flatMap(([, ...words]) => words);
+    expect(new Set(variants).size).toBe(variants.length);
+    SYNONYMS.forEach(([canonical]) => expect(variants).not.toContain(canonical));
+  });
+});
+
+describe('Cross-script Matching', () => {
+  test('should give Devanagari and English titles the same tokens', () => {
+    expect(tokenize('लाल कुर्ती महिलाओं के लिए')).toEqual(tokenize('Red Kurti for Women'));
+  });
+
+  test('should match a Hindi listing to its English equivalent', () => {
+    const source = { title: 'लाल रंग की सिल्क साड़ी ब्लाउज़ पीस के साथ' };
+    const saree = scoreCandidate(source, { title: 'Women Red Silk Blend Saree with Blouse Piece' });
+    const kurta = scoreCandidate(source, { title: 'Women Green Cotton Kurta with Dupatta' });
+
+    expect(saree.score).toBeGreaterThan(0.6);
+    expect(saree.score).toBeGreaterThan(kurta.score);
+  });
+
+  test('should match Hinglish spellings', () => {
+    const result = scoreCandidate(
+      { title: 'Haldi Paudar 200 g' },
+      { title: 'Turmeric Powder 200 g' }
+    );
+
+    expect(result.reason.token_overlap).toBe(1);
+  });
+});
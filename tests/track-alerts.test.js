@@ -0,0 +1,149 @@
+/**
+ * tests/track-alerts.test.js - Unit Tests for Tracking Store and Alert Evaluator
+ *
+ * Tests server/utils/trackStore.js persistence and the alert rules in
+ * server/utils/alertEvaluator.js with a stubbed scraper
+ *
+ * RUN: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTrackStore } = require('../server/utils/trackStore');
+const { createAlertEvaluator, shouldAlert } = require('../server/utils/alertEvaluator');
+
+describe('Tracking Store', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartshopper-track-'));
+    dbPath = path.join(tmpDir, 'trackings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should persist trackings across store instances', () => {
+    const first = createTrackStore(dbPath);
+    const tracking = first.createTracking({
+      productName: 'Boat Airdopes 131',
+      url: 'https://www.amazon.in/dp/B08JQN8DGZ',
+      currentPrice: 1299,
+      targetPrice: 999
+    });
+
+    const second = createTrackStore(dbPath);
+
+    expect(second.getTracking(tracking.id)).toMatchObject({
+      productName: 'Boat Airdopes 131',
+      canonical_key: 'amazon:B08JQN8DGZ',
+      targetPrice: 999,
+      active: true
+    });
+    expect(second.listTrackings()).toHaveLength(1);
+  });
+
+  test('should update, filter and remove trackings', () => {
+    const store = createTrackStore(dbPath);
+    const tracking = store.createTracking({ url: 'https://www.myntra.com/12345678' });
+
+    store.updateTracking(tracking.id, { active: false, targetPrice: 499 });
+
+    expect(store.listTrackings({ active: true })).toHaveLength(0);
+    expect(store.getTracking(tracking.id).targetPrice).toBe(499);
+    expect(store.updateTracking('missing', { active: true })).toBeNull();
+    expect(store.removeTracking(tracking.id)).toBe(true);
+    expect(store.getTracking(tracking.id)).toBeNull();
+  });
+
+  test('should evaluate active trackings and append alerts', async () => {
+    const store = createTrackStore(dbPath);
+    const hit = store.createTracking({ url: 'https://www.amazon.in/dp/B08JQN8DGZ', currentPrice: 1299, targetPrice: 999 });
+    const miss = store.createTracking({ url: 'https://www.amazon.in/dp/B0BN94DM8Z', currentPrice: 1299, targetPrice: 999 });
+    const paused = store.createTracking({ url: 'https://www.amazon.in/dp/B0BSHK12XY', currentPrice: 1299, targetPrice: 999 });
+    store.updateTracking(paused.id, { active: false });
+
+    const prices = {
+      'https://www.amazon.in/dp/B08JQN8DGZ': 949,
+      'https://www.amazon.in/dp/B0BN94DM8Z': 1199
+    };
+    const scrapeSite = jest.fn(async (site, name, url) => ({ numericPrice: prices[url] }));
+    const evaluator = createAlertEvaluator({ store, scrapeSite });
+
+    const results = await evaluator.runOnce();
+
+    expect(scrapeSite).toHaveBeenCalledTimes(2);
+    expect(results.every(r => r.ok)).toBe(true);
+    expect(store.getTracking(hit.id).alerts).toEqual([
+      expect.objectContaining({ type: 'target_reached', oldPrice: 1299, newPrice: 949, targetPrice: 999 })
+    ]);
+    expect(store.getTracking(miss.id).alerts).toHaveLength(0);
+    expect(store.getTracking(miss.id).currentPrice).toBe(1199);
+
+    // Same price below target again: no duplicate alert
+    await evaluator.runOnce();
+    expect(store.getTracking(hit.id).alerts).toHaveLength(1);
+  });
+
+  test('should record scrape failures on the tracking', async () => {
+    const store = createTrackStore(dbPath);
+    const tracking = store.createTracking({ url: 'https://www.flipkart.com/x/p/itmabc123', currentPrice: 500 });
+    const evaluator = createAlertEvaluator({ store, scrapeSite: async () => null });
+
+    const [result] = await evaluator.runOnce();
+
+    expect(result.ok).toBe(false);
+    expect(store.getTracking(tracking.id).lastError).toBe('No price found');
+    expect(store.getTracking(tracking.id).currentPrice).toBe(500);
+  });
+
+  test('should skip trackings on unsupported sites', async () => {
+    const store = createTrackStore(dbPath);
+    const tracking = store.createTracking({ url: 'https://example.com/item/42', currentPrice: 500 });
+    const scrapeSite = jest.fn();
+    const evaluator = createAlertEvaluator({ store, scrapeSite });
+
+    const [result] = await evaluator.runOnce();
+
+    expect(scrapeSite).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ ok: false, error: 'Unsupported site' });
+    expect(store.getTracking(tracking.id).lastError).toBe('Unsupported site');
+  });
+
+  test('should run once shortly after start, then on the interval', async () => {
+    jest.useFakeTimers();
+    try {
+      const store = createTrackStore(dbPath);
+      store.createTracking({ url: 'https://www.amazon.in/dp/B08JQN8DGZ', currentPrice: 1299 });
+      const scrapeSite = jest.fn(async () => ({ numericPrice: 1199 }));
+      const evaluator = createAlertEvaluator({ store, scrapeSite, intervalMs: 60000, startDelayMs: 1000 });
+
+      evaluator.start();
+      evaluator.start();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(scrapeSite).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(scrapeSite).toHaveBeenCalledTimes(2);
+
+      evaluator.stop();
+      await jest.advanceTimersByTimeAsync(120000);
+      expect(scrapeSite).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('Alert Rule', () => {
+  test('should alert on crossing the target and on further drops only', () => {
+    expect(shouldAlert(1200, 950, 1000)).toBe(true);
+    expect(shouldAlert(950, 900, 1000)).toBe(true);
+    expect(shouldAlert(950, 950, 1000)).toBe(false);
+    expect(shouldAlert(1200, 1100, 1000)).toBe(false);
+    expect(shouldAlert(1200, 900, null)).toBe(false);
+  });
+});